@@ -1,5 +1,10 @@
 // server-api/billing/stripe.js
 const Stripe = require("stripe");
+const db = require("../db");
+const {
+  upsertSubscription,
+  canonicalPlanCode,
+} = require("../services/subscriptions");
 const stripe = process.env.STRIPE_SECRET_KEY
   ? new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2024-06-20" })
   : null;
@@ -17,7 +22,7 @@ const priceIds = () => ({
   },
 });
 
-async function stripeCreateCheckout({ plan, cycle, customerEmail }) {
+async function stripeCreateCheckout({ plan, cycle, customerEmail, userId }) {
   if (!stripe) throw new Error("Stripe not configured");
   const price = (priceIds()[plan] || {})[cycle];
   if (!price) throw new Error("Unknown Stripe price for plan/cycle");
@@ -26,9 +31,11 @@ async function stripeCreateCheckout({ plan, cycle, customerEmail }) {
     mode: "subscription",
     allow_promotion_codes: true,
     customer_email: customerEmail || undefined,
+    client_reference_id: userId ? String(userId) : undefined,
     line_items: [{ price, quantity: 1 }],
     subscription_data: {
       trial_period_days: TRIAL_DAYS || undefined,
+      metadata: userId ? { user_id: String(userId) } : undefined,
     },
     success_url: `${process.env.PUBLIC_URL}/subscribe/thanks?session_id={CHECKOUT_SESSION_ID}`,
     cancel_url: `${process.env.PUBLIC_URL}/pricing?canceled=1`,
@@ -37,42 +44,230 @@ async function stripeCreateCheckout({ plan, cycle, customerEmail }) {
   return { url: session.url };
 }
 
-async function stripeHandleWebhook(req) {
-  const sig = req.headers["stripe-signature"];
-  const secret = process.env.STRIPE_WEBHOOK_SECRET;
-  const event = stripe.webhooks.constructEvent(req.rawBody, sig, secret);
+/* ───────────────────────── webhook sync helpers ───────────────────────── */
+
+// Claims older than this are assumed to belong to a crashed delivery
+const STALE_CLAIM_MINUTES = 5;
+
+function fromUnix(v) {
+  return v ? new Date(Number(v) * 1000) : null;
+}
+
+/** Reverse lookup: Stripe price id -> { plan, cycle } from priceIds() */
+function planForPrice(priceId) {
+  if (!priceId) return null;
+  for (const [plan, cycles] of Object.entries(priceIds())) {
+    for (const [cycle, id] of Object.entries(cycles)) {
+      if (id && id === priceId) return { plan, cycle };
+    }
+  }
+  return null;
+}
+
+/**
+ * Record the event in the ledger. Returns the ledger id when this delivery
+ * owns the event, or null when it was already processed (or is being
+ * processed right now by another delivery).
+ */
+async function claimEvent(event) {
+  const objectId = event.data?.object?.id || null;
+  const { rows } = await db.query(
+    `INSERT INTO billing_webhook_events (provider, event_id, event_type, object_id)
+     VALUES ('stripe', $1, $2, $3)
+     ON CONFLICT (provider, event_id) DO UPDATE
+        SET claimed_at = NOW(),
+            attempts = billing_webhook_events.attempts + 1
+      WHERE billing_webhook_events.processed_at IS NULL
+        AND billing_webhook_events.claimed_at <
+            NOW() - ($4 || ' minutes')::interval
+     RETURNING id`,
+    [event.id, event.type, objectId, String(STALE_CLAIM_MINUTES)]
+  );
+  return rows[0]?.id || null;
+}
+
+async function markEventProcessed(ledgerId) {
+  await db.query(
+    `UPDATE billing_webhook_events
+        SET processed_at = NOW(), last_error = NULL
+      WHERE id = $1`,
+    [ledgerId]
+  );
+}
+
+/** Release the claim so Stripe's retry can process the event again. */
+async function releaseEvent(ledgerId, err) {
+  try {
+    await db.query(
+      `UPDATE billing_webhook_events
+          SET claimed_at = to_timestamp(0), last_error = $2
+        WHERE id = $1`,
+      [ledgerId, String(err?.message || err || "").slice(0, 1000)]
+    );
+  } catch (e) {
+    console.error("[stripe] release webhook claim failed:", e.message);
+  }
+}
+
+/**
+ * Find the local user a Stripe subscription belongs to:
+ *  1) existing subscriptions row for this provider_ref
+ *  2) explicit hint (checkout client_reference_id) or subscription metadata
+ *  3) Stripe customer email -> users.email
+ */
+async function resolveUserId(sub, hintUserId) {
+  const { rows } = await db.query(
+    `SELECT user_id FROM subscriptions
+      WHERE provider = 'stripe' AND provider_ref = $1
+      ORDER BY created_at DESC NULLS LAST
+      LIMIT 1`,
+    [sub.id]
+  );
+  if (rows[0]?.user_id) return rows[0].user_id;
+
+  const hinted = Number(hintUserId || sub.metadata?.user_id);
+  if (Number.isFinite(hinted) && hinted > 0) return hinted;
+
+  const customerId =
+    typeof sub.customer === "string" ? sub.customer : sub.customer?.id;
+  if (!customerId) return null;
+
+  const customer =
+    typeof sub.customer === "object" && sub.customer?.email
+      ? sub.customer
+      : await stripe.customers.retrieve(customerId);
+  if (!customer?.email) return null;
+
+  const u = await db.query(
+    "SELECT id FROM users WHERE lower(email)=lower($1) LIMIT 1",
+    [customer.email]
+  );
+  return u.rows[0]?.id || null;
+}
+
+/**
+ * Always re-read the subscription from Stripe: events can arrive out of
+ * order, so the payload may be older than what Stripe currently has.
+ */
+async function fetchSubscription(subOrId) {
+  const id = typeof subOrId === "string" ? subOrId : subOrId?.id;
+  if (!id) return null;
+  try {
+    return await stripe.subscriptions.retrieve(id);
+  } catch (e) {
+    if (typeof subOrId === "object") return subOrId;
+    throw e;
+  }
+}
+
+/** Map a Stripe subscription onto our subscriptions row. */
+async function syncSubscription(subOrId, { userId: hintUserId } = {}) {
+  const sub = await fetchSubscription(subOrId);
+  if (!sub) return null;
+
+  const userId = await resolveUserId(sub, hintUserId);
+  if (!userId) {
+    console.warn(`[stripe] no local user for subscription ${sub.id}`);
+    return null;
+  }
+
+  const meterPrice = process.env.STRIPE_PRICE_METERED_SUBSCRIBER;
+  const planItem =
+    (sub.items?.data || []).find((it) => it.price?.id !== meterPrice) ||
+    sub.items?.data?.[0];
+  const mapped = planForPrice(planItem?.price?.id);
+
+  const status = String(sub.status || "").toLowerCase();
+  const periodEnd = fromUnix(sub.current_period_end);
+
+  // canceled_at drives access checks, so only set it once access really ends:
+  //  - fully canceled: when it ended
+  //  - cancel_at_period_end: the (future) period end
+  //  - otherwise clear it (e.g. the customer resumed)
+  let canceledAt = null;
+  if (status === "canceled" || status === "incomplete_expired") {
+    canceledAt =
+      fromUnix(sub.ended_at) || fromUnix(sub.canceled_at) || new Date();
+  } else if (sub.cancel_at_period_end) {
+    canceledAt = fromUnix(sub.cancel_at) || periodEnd;
+  }
+
+  return upsertSubscription(userId, {
+    status,
+    plan_code: mapped ? canonicalPlanCode(mapped.plan) : null,
+    started_at: fromUnix(sub.start_date),
+    current_period_end: periodEnd,
+    renews_at: sub.cancel_at_period_end ? null : periodEnd,
+    canceled_at: canceledAt,
+    provider: "stripe",
+    provider_ref: sub.id,
+  });
+}
+
+async function applyEvent(event) {
+  const obj = event.data.object;
 
   switch (event.type) {
     case "customer.subscription.created": {
-      const sub = event.data.object;
       const meterPrice = process.env.STRIPE_PRICE_METERED_SUBSCRIBER;
       if (meterPrice) {
-        const has = (sub.items?.data || []).some(
+        const has = (obj.items?.data || []).some(
           (it) => it.price?.id === meterPrice
         );
         if (!has) {
           await stripe.subscriptionItems.create({
-            subscription: sub.id,
+            subscription: obj.id,
             price: meterPrice,
           });
         }
       }
-      // TODO: upsert subscription in DB
+      await syncSubscription(obj);
       break;
     }
     case "customer.subscription.updated":
     case "customer.subscription.deleted":
+      await syncSubscription(obj);
+      break;
     case "invoice.paid":
     case "invoice.payment_failed":
+      // Stripe moves the subscription to active/past_due itself
+      if (obj.subscription) await syncSubscription(obj.subscription);
+      break;
     case "checkout.session.completed":
+      if (obj.mode === "subscription" && obj.subscription) {
+        await syncSubscription(obj.subscription, {
+          userId: obj.client_reference_id || obj.metadata?.user_id,
+        });
+      }
+      break;
     case "customer.subscription.trial_will_end":
-      // TODO: sync to DB
+      // informational only; state changes arrive as subscription.updated
       break;
   }
+}
+
+async function stripeHandleWebhook(req) {
+  if (!stripe) throw new Error("Stripe not configured");
+  const sig = req.headers["stripe-signature"];
+  const secret = process.env.STRIPE_WEBHOOK_SECRET;
+  const event = stripe.webhooks.constructEvent(req.rawBody, sig, secret);
+
+  const ledgerId = await claimEvent(event);
+  if (!ledgerId) return { received: true, duplicate: true };
+
+  try {
+    await applyEvent(event);
+  } catch (e) {
+    await releaseEvent(ledgerId, e);
+    throw e;
+  }
+
+  await markEventProcessed(ledgerId);
   return { received: true };
 }
 
 module.exports = {
   stripeCreateCheckout,
   stripeHandleWebhook,
+  syncSubscription,
 };
@@ -0,0 +1,29 @@
+-- 20261019_01_billing_webhook_events.sql
+-- Ledger of processed billing provider webhook events (Stripe retries are no-ops)
+
+CREATE TABLE IF NOT EXISTS billing_webhook_events (
+  id BIGSERIAL PRIMARY KEY,
+
+  provider TEXT NOT NULL CHECK (provider IN ('stripe','paypal')),
+  event_id TEXT NOT NULL,
+  event_type TEXT NOT NULL,
+
+  -- provider object the event was about (e.g. sub_..., in_..., cs_...)
+  object_id TEXT NULL,
+
+  claimed_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  processed_at TIMESTAMPTZ NULL,
+  attempts INT NOT NULL DEFAULT 1,
+  last_error TEXT NULL,
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+
+  UNIQUE(provider, event_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_billing_webhook_events_created_at
+  ON billing_webhook_events(created_at DESC);
+
+-- Webhooks look subscriptions up by the provider's subscription id
+CREATE INDEX IF NOT EXISTS idx_subscriptions_provider_ref
+  ON subscriptions(provider, provider_ref);
@@ -0,0 +1,34 @@
+-- 20261019_02_calendar_ical.sql
+-- Public .ics subscription feeds + UID tracking for .ics imports
+
+CREATE TABLE IF NOT EXISTS calendar_feed_tokens (
+  id BIGSERIAL PRIMARY KEY,
+
+  token TEXT NOT NULL UNIQUE,
+  label TEXT NOT NULL DEFAULT '',
+
+  -- NULL = full calendar, otherwise only events in this category
+  category_id INT NULL,
+
+  created_by BIGINT NULL,
+  last_accessed_at TIMESTAMPTZ NULL,
+  revoked_at TIMESTAMPTZ NULL,
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_calendar_feed_tokens_active
+  ON calendar_feed_tokens(token)
+  WHERE revoked_at IS NULL;
+
+-- UID of the VEVENT a row was imported from (re-imports update in place)
+ALTER TABLE calendar_events ADD COLUMN IF NOT EXISTS ical_uid TEXT NULL;
+ALTER TABLE calendar_series ADD COLUMN IF NOT EXISTS ical_uid TEXT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_calendar_events_ical_uid
+  ON calendar_events(ical_uid)
+  WHERE ical_uid IS NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_calendar_series_ical_uid
+  ON calendar_series(ical_uid)
+  WHERE ical_uid IS NOT NULL;
@@ -0,0 +1,20 @@
+-- 20261019_03_import_job_runner.sql
+-- Lease + retry backoff columns for workers/importWorker.js
+-- (applies to the import_jobs / import_job_items tables from sql/wasabi_importer.sql)
+
+-- Which worker holds the job, and when it last proved it is alive
+ALTER TABLE import_jobs
+  ADD COLUMN IF NOT EXISTS locked_by TEXT NULL,
+  ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMPTZ NULL;
+
+-- 'retrying' items are not picked up again before this time
+ALTER TABLE import_job_items
+  ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMPTZ NULL;
+
+CREATE INDEX IF NOT EXISTS idx_import_jobs_running_heartbeat
+  ON import_jobs(heartbeat_at)
+  WHERE status = 'running';
+
+CREATE INDEX IF NOT EXISTS idx_import_job_items_runnable
+  ON import_job_items(job_id, id)
+  WHERE status IN ('queued','retrying');
@@ -0,0 +1,75 @@
+-- 20261019_04_merge_watch_progress.sql
+-- Merge user_video_progress (old POST /me/progress) into watch_progress,
+-- the single progress store used by services/watchProgress.js.
+-- For a (user, video) present in both tables the most recently updated row wins.
+-- user_video_progress is left in place (no longer written) so this can be re-run.
+
+CREATE TABLE IF NOT EXISTS watch_progress (
+  id SERIAL PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  video_id INTEGER NOT NULL REFERENCES videos(id) ON DELETE CASCADE,
+  position_seconds INTEGER NOT NULL DEFAULT 0,
+  duration_seconds INTEGER,
+  completed BOOLEAN NOT NULL DEFAULT FALSE,
+  completed_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE watch_progress
+  ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ NULL;
+
+-- ON CONFLICT below needs the unique index; drop duplicates first, keeping
+-- the most recently updated row (highest id on a tie)
+DELETE FROM watch_progress w
+USING (
+  SELECT id,
+         ROW_NUMBER() OVER (
+           PARTITION BY user_id, video_id
+           ORDER BY updated_at DESC NULLS LAST, id DESC
+         ) AS rn
+  FROM watch_progress
+) d
+WHERE w.id = d.id
+  AND d.rn > 1;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_watch_progress_user_video_unique
+  ON watch_progress (user_id, video_id);
+
+CREATE INDEX IF NOT EXISTS idx_watch_progress_user_updated
+  ON watch_progress (user_id, updated_at DESC);
+
+-- Completed = within 95% or the last 5 seconds (WATCH_COMPLETE_* defaults)
+DO $$
+BEGIN
+  IF to_regclass('public.user_video_progress') IS NOT NULL THEN
+    INSERT INTO watch_progress AS wp
+      (user_id, video_id, position_seconds, duration_seconds, completed,
+       completed_at, updated_at, created_at)
+    SELECT u.user_id::text,
+           u.video_id,
+           u.position_seconds,
+           COALESCE(NULLIF(u.duration_seconds, 0), v.duration_seconds),
+           d.done,
+           CASE WHEN d.done THEN u.updated_at END,
+           u.updated_at,
+           u.updated_at
+    FROM user_video_progress u
+    JOIN videos v ON v.id = u.video_id
+    CROSS JOIN LATERAL (
+      SELECT COALESCE(NULLIF(u.duration_seconds, 0), v.duration_seconds, 0) AS dur
+    ) x
+    CROSS JOIN LATERAL (
+      SELECT (x.dur > 0
+              AND (u.position_seconds >= x.dur * 0.95
+                   OR u.position_seconds >= x.dur - 5)) AS done
+    ) d
+    ON CONFLICT (user_id, video_id) DO UPDATE SET
+      position_seconds = EXCLUDED.position_seconds,
+      duration_seconds = COALESCE(EXCLUDED.duration_seconds, wp.duration_seconds),
+      completed = EXCLUDED.completed,
+      completed_at = COALESCE(EXCLUDED.completed_at, wp.completed_at),
+      updated_at = EXCLUDED.updated_at
+    WHERE wp.updated_at < EXCLUDED.updated_at;
+  END IF;
+END $$;
@@ -0,0 +1,39 @@
+-- 20261019_05_search.sql
+-- Indexes for GET /api/search (services/search.js).
+-- The tsvector expressions must match the ones in services/search.js exactly
+-- or the planner will not use the GIN indexes.
+-- pg_trgm powers typo-tolerant title matching; search still works without it.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Full-text (english) over title + description/body
+CREATE INDEX IF NOT EXISTS idx_videos_search_fts
+  ON videos USING GIN (to_tsvector('english', COALESCE(title, '') || ' ' || COALESCE(description, '')));
+
+CREATE INDEX IF NOT EXISTS idx_playlists_search_fts
+  ON playlists USING GIN (to_tsvector('english', COALESCE(title, '') || ' ' || COALESCE(description, '')));
+
+CREATE INDEX IF NOT EXISTS idx_collections_search_fts
+  ON collections USING GIN (to_tsvector('english', COALESCE(title, '') || ' ' || COALESCE(description, '')));
+
+CREATE INDEX IF NOT EXISTS idx_resources_search_fts
+  ON resources USING GIN (to_tsvector('english', COALESCE(title, '') || ' ' || COALESCE(description, '')));
+
+CREATE INDEX IF NOT EXISTS idx_community_posts_search_fts
+  ON community_posts USING GIN (to_tsvector('english', COALESCE(title, '') || ' ' || COALESCE(body, '')));
+
+-- Trigram indexes on titles (word_similarity)
+CREATE INDEX IF NOT EXISTS idx_videos_title_trgm
+  ON videos USING GIN (title gin_trgm_ops);
+
+CREATE INDEX IF NOT EXISTS idx_playlists_title_trgm
+  ON playlists USING GIN (title gin_trgm_ops);
+
+CREATE INDEX IF NOT EXISTS idx_collections_title_trgm
+  ON collections USING GIN (title gin_trgm_ops);
+
+CREATE INDEX IF NOT EXISTS idx_resources_title_trgm
+  ON resources USING GIN (title gin_trgm_ops);
+
+CREATE INDEX IF NOT EXISTS idx_community_posts_title_trgm
+  ON community_posts USING GIN (title gin_trgm_ops);
@@ -0,0 +1,41 @@
+-- 20261019_06_video_captions.sql
+-- Caption / transcript tracks (services/captions.js).
+-- video_captions holds the normalized WebVTT per (video, lang);
+-- video_caption_cues holds one row per cue for transcript search.
+
+CREATE TABLE IF NOT EXISTS video_captions (
+  id SERIAL PRIMARY KEY,
+  video_id INTEGER NOT NULL REFERENCES videos(id) ON DELETE CASCADE,
+  lang TEXT NOT NULL,
+  label TEXT,
+  kind TEXT NOT NULL DEFAULT 'subtitles'
+    CHECK (kind IN ('subtitles', 'captions')),
+  source_format TEXT NOT NULL DEFAULT 'vtt',
+  vtt TEXT NOT NULL,
+  cue_count INTEGER NOT NULL DEFAULT 0,
+  is_default BOOLEAN NOT NULL DEFAULT FALSE,
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (video_id, lang)
+);
+
+CREATE TABLE IF NOT EXISTS video_caption_cues (
+  id BIGSERIAL PRIMARY KEY,
+  caption_id INTEGER NOT NULL REFERENCES video_captions(id) ON DELETE CASCADE,
+  video_id INTEGER NOT NULL,
+  lang TEXT NOT NULL,
+  start_ms INTEGER NOT NULL,
+  end_ms INTEGER NOT NULL,
+  text TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_video_caption_cues_caption_start
+  ON video_caption_cues (caption_id, start_ms);
+
+CREATE INDEX IF NOT EXISTS idx_video_caption_cues_video
+  ON video_caption_cues (video_id, start_ms);
+
+-- Must match the expression in services/captions.js and services/search.js
+CREATE INDEX IF NOT EXISTS idx_video_caption_cues_fts
+  ON video_caption_cues USING GIN (to_tsvector('english', text));
@@ -0,0 +1,29 @@
+-- 20261019_07_live_event_destinations.sql
+-- Simulcast destinations per live event (services/simulcast.js).
+-- config holds the connection details (page_id/page_access_token for
+-- Facebook, url/stream_key for YouTube and RTMP); the other columns record
+-- what starting/ending the event did to this destination.
+
+CREATE TABLE IF NOT EXISTS live_event_destinations (
+  id SERIAL PRIMARY KEY,
+  event_id INTEGER NOT NULL REFERENCES live_events(id) ON DELETE CASCADE,
+  kind TEXT NOT NULL CHECK (kind IN ('facebook', 'youtube', 'rtmp')),
+  label TEXT,
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  config JSONB NOT NULL DEFAULT '{}'::jsonb,
+  status TEXT NOT NULL DEFAULT 'idle',
+  relay TEXT,
+  remote_id TEXT,
+  ingest_url TEXT,
+  stream_key TEXT,
+  livepeer_target_id TEXT,
+  last_error TEXT,
+  started_at TIMESTAMPTZ,
+  ended_at TIMESTAMPTZ,
+  created_by INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_live_event_destinations_event
+  ON live_event_destinations (event_id);
@@ -0,0 +1,59 @@
+-- 20261019_08_push_campaigns.sql
+-- Admin push campaigns and their per-device results (services/pushCampaigns.js).
+-- One push_deliveries row per targeted token; error_code is the FCM code and
+-- token_pruned marks tokens deleted from user_push_tokens as unregistered.
+
+CREATE TABLE IF NOT EXISTS push_campaigns (
+  id SERIAL PRIMARY KEY,
+  title TEXT NOT NULL,
+  body TEXT NOT NULL,
+  image_url TEXT,
+  route TEXT,
+  audience JSONB NOT NULL DEFAULT '{"type":"all"}'::jsonb,
+  status TEXT NOT NULL DEFAULT 'draft',
+  send_at TIMESTAMPTZ,
+  started_at TIMESTAMPTZ,
+  finished_at TIMESTAMPTZ,
+  canceled_at TIMESTAMPTZ,
+  target_count INTEGER NOT NULL DEFAULT 0,
+  success_count INTEGER NOT NULL DEFAULT 0,
+  failure_count INTEGER NOT NULL DEFAULT 0,
+  pruned_count INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  created_by INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS push_campaigns_due_idx
+  ON push_campaigns (send_at) WHERE status IN ('scheduled', 'sending');
+
+CREATE TABLE IF NOT EXISTS push_deliveries (
+  id BIGSERIAL PRIMARY KEY,
+  campaign_id INTEGER NOT NULL REFERENCES push_campaigns(id) ON DELETE CASCADE,
+  user_id INTEGER,
+  token TEXT NOT NULL,
+  platform TEXT,
+  status TEXT NOT NULL DEFAULT 'pending',
+  error_code TEXT,
+  token_pruned BOOLEAN NOT NULL DEFAULT FALSE,
+  sent_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (campaign_id, token)
+);
+
+CREATE INDEX IF NOT EXISTS push_deliveries_pending_idx
+  ON push_deliveries (campaign_id, id) WHERE status = 'pending';
+
+-- System roles are only seeded once (services/rbac.js); give an existing
+-- marketer role the new permission.
+DO $$
+BEGIN
+  IF to_regclass('public.roles') IS NOT NULL THEN
+    UPDATE roles
+    SET permissions = array_append(permissions, 'push:send'),
+        updated_at = NOW()
+    WHERE name = 'marketer' AND is_system
+      AND NOT ('push:send' = ANY(permissions));
+  END IF;
+END $$;
@@ -0,0 +1,15 @@
+-- 20261019_09_notification_preferences.sql
+-- Per-user notification preferences (services/notificationPreferences.js).
+-- channels holds opt-outs only: { "<type>": { "push"|"email"|"in_app": false } }.
+-- Quiet hours are minutes of the day in `timezone`; they may wrap midnight.
+
+CREATE TABLE IF NOT EXISTS notification_preferences (
+  user_id INTEGER PRIMARY KEY,
+  channels JSONB NOT NULL DEFAULT '{}'::jsonb,
+  quiet_hours_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+  quiet_start_minute SMALLINT NOT NULL DEFAULT 1320,
+  quiet_end_minute SMALLINT NOT NULL DEFAULT 420,
+  timezone TEXT NOT NULL DEFAULT 'UTC',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
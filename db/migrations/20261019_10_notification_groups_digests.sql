@@ -0,0 +1,32 @@
+-- 20261019_10_notification_groups_digests.sql
+-- Notification grouping (services/notifications.js) and daily digests
+-- (services/notificationDigests.js).
+-- group_id is the first row of the group; NULL means the row starts its own.
+
+ALTER TABLE notifications
+  ADD COLUMN IF NOT EXISTS group_key TEXT,
+  ADD COLUMN IF NOT EXISTS group_id BIGINT;
+
+CREATE INDEX IF NOT EXISTS notifications_group_key_idx
+  ON notifications (user_id, group_key, id DESC) WHERE group_key IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS notifications_group_id_idx
+  ON notifications (user_id, (COALESCE(group_id, id)));
+
+ALTER TABLE notification_preferences
+  ADD COLUMN IF NOT EXISTS digest_mode TEXT NOT NULL DEFAULT 'off',
+  ADD COLUMN IF NOT EXISTS digest_hour SMALLINT NOT NULL DEFAULT 8,
+  ADD COLUMN IF NOT EXISTS last_digest_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS notification_preferences_digest_idx
+  ON notification_preferences (digest_hour) WHERE digest_mode <> 'off';
+
+-- "digests" email category (services/emailPreferences.js creates the
+-- table lazily, so it may not exist yet)
+DO $$
+BEGIN
+  IF to_regclass('public.email_preferences') IS NOT NULL THEN
+    ALTER TABLE email_preferences
+      ADD COLUMN IF NOT EXISTS digests BOOLEAN NOT NULL DEFAULT TRUE;
+  END IF;
+END $$;
@@ -0,0 +1,17 @@
+-- 20261019_11_analytics_batching.sql
+-- Dedupe key for batched analytics ingestion (services/analyticsEvents.js).
+-- Rows inserted with a key already present are skipped (ON CONFLICT DO
+-- NOTHING), so beacons and retries don't double count. anon_id holds the
+-- session id of logged-out viewers.
+
+DO $$
+BEGIN
+  IF to_regclass('public.analytics_events') IS NOT NULL THEN
+    ALTER TABLE analytics_events
+      ADD COLUMN IF NOT EXISTS anon_id TEXT,
+      ADD COLUMN IF NOT EXISTS dedupe_key TEXT;
+
+    CREATE UNIQUE INDEX IF NOT EXISTS analytics_events_dedupe_key_idx
+      ON analytics_events (dedupe_key) WHERE dedupe_key IS NOT NULL;
+  END IF;
+END $$;
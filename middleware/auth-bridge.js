@@ -1,6 +1,33 @@
 // server-api/middleware/auth-bridge.js
 const jwt = require("jsonwebtoken");
 
+/**
+ * Verify a JWT and return the numeric user id it carries (or null).
+ * Shared with the Socket.IO handshake so sockets accept exactly the
+ * same tokens as HTTP requests.
+ */
+function userIdFromToken(token) {
+  if (!token) return null;
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET || "devsecret");
+    const id = Number(payload?.sub || payload?.id);
+    return Number.isFinite(id) && id > 0 ? id : null;
+  } catch {
+    return null;
+  }
+}
+
+/** Extract `token=<JWT>` from a raw Cookie header. */
+function tokenFromCookie(cookieHeader) {
+  return (
+    String(cookieHeader || "")
+      .split(";")
+      .map((s) => s.trim())
+      .find((s) => s.startsWith("token="))
+      ?.split("=")[1] || null
+  );
+}
+
 /**
  * authBridge middleware
  *
@@ -12,23 +39,16 @@ const jwt = require("jsonwebtoken");
  * This middleware NEVER blocks requests.
  * Authorization decisions happen elsewhere.
  */
-module.exports = function authBridge(req, _res, next) {
+function authBridge(req, _res, next) {
   // --------------------------------------------------
   // 1) Authorization: Bearer <token>
   // --------------------------------------------------
   const auth = req.headers.authorization || "";
   if (auth.startsWith("Bearer ")) {
-    const token = auth.slice(7);
-    try {
-      const payload = jwt.verify(token, process.env.JWT_SECRET || "devsecret");
-
-      const id = Number(payload?.sub || payload?.id);
-      if (Number.isFinite(id) && id > 0) {
-        req.user = { id };
-        return next();
-      }
-    } catch {
-      // ignore invalid token
+    const id = userIdFromToken(auth.slice(7));
+    if (id) {
+      req.user = { id };
+      return next();
     }
   }
 
@@ -36,21 +56,10 @@ module.exports = function authBridge(req, _res, next) {
   // 2) Cookie token
   // --------------------------------------------------
   try {
-    const cookieHeader = req.headers.cookie || "";
-    const token = cookieHeader
-      .split(";")
-      .map((s) => s.trim())
-      .find((s) => s.startsWith("token="))
-      ?.split("=")[1];
-
-    if (token) {
-      const payload = jwt.verify(token, process.env.JWT_SECRET || "devsecret");
-
-      const id = Number(payload?.sub || payload?.id);
-      if (Number.isFinite(id) && id > 0) {
-        req.user = { id };
-        return next();
-      }
+    const id = userIdFromToken(tokenFromCookie(req.headers.cookie));
+    if (id) {
+      req.user = { id };
+      return next();
     }
   } catch {
     // ignore cookie parse / verify errors
@@ -67,4 +76,8 @@ module.exports = function authBridge(req, _res, next) {
   }
 
   return next();
-};
+}
+
+module.exports = authBridge;
+module.exports.userIdFromToken = userIdFromToken;
+module.exports.tokenFromCookie = tokenFromCookie;
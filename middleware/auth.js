@@ -1,5 +1,6 @@
 // server-api/middleware/auth.js
 const jwt = require("jsonwebtoken");
+const { accessFor, decorateUser } = require("./rbac");
 
 function getToken(req) {
   const h = req.headers.authorization || "";
@@ -24,6 +25,10 @@ function requireAuth(req, res, next) {
       role: (payload.role || payload.user_role || "user").toLowerCase(),
       ...payload,
     };
+    // Keep DB roles loaded by attachAccess (middleware/rbac)
+    if (req.access && String(req.access.userId) === String(id)) {
+      decorateUser(req.user, req.access);
+    }
     next();
   } catch {
     return res.status(401).json({ error: "Invalid token" });
@@ -33,7 +38,12 @@ function requireAuth(req, res, next) {
 function requireAdmin(req, res, next) {
   if (!req.user) return res.status(401).json({ error: "Unauthorized" });
   if (req.user.role === "admin" || req.user.is_admin === true) return next();
-  return res.status(403).json({ error: "Admin only" });
+  // Token may predate the user's admin role; check the DB roles
+  accessFor(req).then(
+    (access) =>
+      access?.isAdmin ? next() : res.status(403).json({ error: "Admin only" }),
+    () => res.status(403).json({ error: "Admin only" }),
+  );
 }
 
 module.exports = { requireAuth, requireAdmin };
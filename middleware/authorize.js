@@ -1,5 +1,5 @@
 // middleware/authorize.js
-const db = require("../db");
+const { entitlementFor } = require("../services/entitlements");
 
 function requireAuth(req, res, next) {
   if (!req.user) return res.status(401).json({ message: "Unauthorized" });
@@ -14,13 +14,8 @@ function requireAdmin(req, res, next) {
 // Use when a feature should only work for paying users
 async function requireActiveSubscriber(req, res, next) {
   if (!req.user) return res.status(401).json({ message: "Unauthorized" });
-  const { rows } = await db.query(
-    `SELECT 1 FROM subscriptions
-      WHERE user_id=$1 AND canceled_at IS NULL
-      LIMIT 1`,
-    [req.user.id]
-  );
-  if (!rows[0])
+  const ent = await entitlementFor(req);
+  if (!ent.active)
     return res.status(402).json({ message: "Subscription required" });
   next();
 }
@@ -1,5 +1,6 @@
 // server-api/middleware/entitlements.js
 const db = require("../db");
+const { entitlementFor } = require("../services/entitlements");
 
 /** Fallback limits if plan doesn't specify them */
 const DEFAULT_STORAGE_HOURS = Number(
@@ -71,50 +72,29 @@ async function attachEntitlements(req, _res, next) {
       return next();
     }
 
-    const uid = req.user.id;
-
-    // Active subscription + plan
-    const { rows } = await db.query(
-      `SELECT s.renews_at, s.started_at, COALESCE(s.interval, p.interval, 'month') AS interval,
-              p.title,
-              p.storage_hours_limit,  -- INTEGER or NULL = unlimited
-              p.live_hours_limit      -- INTEGER or NULL = unlimited
-         FROM subscriptions s
-    LEFT JOIN subscription_plans p ON p.id = s.plan_id
-        WHERE s.user_id = $1
-          AND s.canceled_at IS NULL
-        ORDER BY s.id DESC
-        LIMIT 1`,
-      [uid]
-    );
-
-    // Defaults (Free)
-    let limits = {
-      storage_hours_total: DEFAULT_STORAGE_HOURS,
-      live_hours_monthly: DEFAULT_LIVE_HOURS,
+    // Plan limits, add-ons and access come from the shared resolver
+    const ent = await entitlementFor(req);
+    const storageLimit = ent.quotas.storage_hours;
+    const liveLimit = ent.quotas.live_hours_monthly;
+
+    // Limits (NULL = unlimited)
+    const limits = {
+      storage_hours_total:
+        storageLimit == null ? null : Math.max(0, Number(storageLimit)),
+      live_hours_monthly:
+        liveLimit == null ? null : Math.max(0, Number(liveLimit)),
     };
-    let label = "Free";
+    const label = ent.label;
     let periodStart = startOfMonthUTC();
     let periodEnd = addMonthsUTC(periodStart, 1);
 
-    if (rows[0]) {
-      const r = rows[0];
-      label = r.title || "Subscription";
-
-      // Limits from plan (NULL = unlimited)
-      const storageLimit =
-        r.storage_hours_limit == null ? null : Number(r.storage_hours_limit);
-      const liveLimit =
-        r.live_hours_limit == null ? null : Number(r.live_hours_limit);
-
-      limits = {
-        storage_hours_total:
-          storageLimit == null ? null : Math.max(0, storageLimit),
-        live_hours_monthly: liveLimit == null ? null : Math.max(0, liveLimit),
-      };
+    if (ent.active && ent.subscription) {
+      const r = ent.subscription;
 
       // Period: prefer renews_at; fall back to calendar months/years
-      const interval = String(r.interval || "month").toLowerCase();
+      const interval = String(
+        r.interval || r.plan_interval || "month"
+      ).toLowerCase();
       if (r.renews_at) {
         const renewsAt = new Date(r.renews_at);
         if (interval === "year") {
@@ -136,7 +116,7 @@ async function attachEntitlements(req, _res, next) {
       limits,
       period: { start: periodStart, end: periodEnd },
       label,
-      features: {}, // hook for future feature flags
+      features: ent.features,
     };
 
     next();
@@ -1,19 +1,7 @@
 // server-api/middleware/permissions.js
-const db = require("../db");
-
-// quick helper: does user have an active subscription now?
-async function hasActiveSub(userId) {
-  const q = await db.query(
-    `SELECT 1
-       FROM subscriptions
-      WHERE user_id = $1
-        AND status = 'active'
-        AND (current_period_end IS NULL OR current_period_end > now())
-      LIMIT 1`,
-    [userId]
-  );
-  return q.rowCount > 0;
-}
+const {
+  hasActiveSubscription: hasActiveSub,
+} = require("../services/entitlements");
 
 // attach req.user if your JWT hasn't already done it (safety)
 function requireAuth(req, res, next) {
@@ -0,0 +1,78 @@
+// server-api/middleware/rbac.js
+const { loadAccess, can } = require("../services/rbac");
+
+/**
+ * Copy DB roles onto req.user so legacy `user.role === "admin"` checks
+ * keep working for users whose token carries only an id (authBridge).
+ */
+function decorateUser(user, access) {
+  if (!user || !access) return user;
+  user.roles = access.roles;
+  user.permissions = access.permissions;
+  if (access.isAdmin) {
+    user.role = "admin";
+    user.is_admin = true;
+  }
+  return user;
+}
+
+/** Access for req.user, loaded at most once per request. */
+async function accessFor(req) {
+  const userId = req.user?.id;
+  if (!userId) return null;
+  if (!req.access || String(req.access.userId) !== String(userId)) {
+    req.access = await loadAccess(userId);
+  }
+  decorateUser(req.user, req.access);
+  return req.access;
+}
+
+/**
+ * Global: runs after authBridge. Never blocks; a lookup failure just
+ * leaves req.user as it was.
+ */
+async function attachAccess(req, _res, next) {
+  if (req.user?.id) {
+    try {
+      await accessFor(req);
+    } catch (e) {
+      console.warn("[rbac] attachAccess failed:", e?.message || e);
+    }
+  }
+  next();
+}
+
+/**
+ * requirePermission("email:send", ...) — every listed permission is
+ * required. Put it after requireAuth so the user id comes from a verified
+ * token.
+ */
+function requirePermission(...permissions) {
+  return async function rbacGuard(req, res, next) {
+    try {
+      const access = await accessFor(req);
+      if (!access) {
+        return res.status(401).json({ ok: false, error: "Unauthorized" });
+      }
+      const missing = permissions.find((p) => !can(access, p));
+      if (missing) {
+        return res
+          .status(403)
+          .json({ ok: false, error: "Forbidden", permission: missing });
+      }
+      return next();
+    } catch (e) {
+      console.error("[rbac] requirePermission error:", e);
+      return res
+        .status(500)
+        .json({ ok: false, error: "Permission check failed" });
+    }
+  };
+}
+
+module.exports = {
+  attachAccess,
+  accessFor,
+  decorateUser,
+  requirePermission,
+};
@@ -83,6 +83,90 @@ async function sendPushNotification(token, title, body, data = {}) {
   }
 }
 
+/**
+ * Send one notification to many tokens (FCM multicast, 500 per request).
+ * options.imageUrl adds a rich-notification image; options.collapseKey
+ * makes newer notifications with the same key replace older ones.
+ * Returns counts plus per-token results: [{ token, ok, error? }]
+ * (error is the FCM code, e.g. "messaging/registration-token-not-registered")
+ */
+async function sendPushToTokens(tokens, title, body, data = {}, options = {}) {
+  const list = Array.from(new Set((tokens || []).filter(Boolean)));
+  if (!fcm) {
+    console.error("[firebase] ❌ FCM not initialized");
+    return {
+      ok: false,
+      error: "FCM not initialized",
+      successCount: 0,
+      failureCount: list.length,
+      results: [],
+    };
+  }
+
+  const notification =
+    title || body ? { title: title || "", body: body || "" } : undefined;
+  if (notification && options.imageUrl) {
+    notification.imageUrl = options.imageUrl;
+  }
+  // iOS only downloads the image when the notification is mutable
+  let apns = options.imageUrl
+    ? {
+        payload: { aps: { "mutable-content": 1 } },
+        fcmOptions: { imageUrl: options.imageUrl },
+      }
+    : undefined;
+  // Same collapse key = the device replaces the previous notification
+  let android;
+  if (options.collapseKey) {
+    android = {
+      collapseKey: options.collapseKey,
+      notification: { tag: options.collapseKey },
+    };
+    apns = {
+      ...(apns || {}),
+      headers: { "apns-collapse-id": options.collapseKey },
+    };
+  }
+  const stringData = Object.fromEntries(
+    Object.entries(data || {}).map(([k, v]) => [k, String(v)])
+  );
+
+  const results = [];
+  let successCount = 0;
+  let failureCount = 0;
+
+  for (let i = 0; i < list.length; i += 500) {
+    const batch = list.slice(i, i + 500);
+    try {
+      const res = await fcm.sendEachForMulticast({
+        tokens: batch,
+        notification,
+        data: stringData,
+        android,
+        apns,
+      });
+      successCount += res.successCount;
+      failureCount += res.failureCount;
+      res.responses.forEach((r, idx) => {
+        results.push({
+          token: batch[idx],
+          ok: r.success,
+          error: r.success ? undefined : r.error?.code || r.error?.message,
+        });
+      });
+    } catch (err) {
+      console.error("[firebase] ❌ Multicast failed:", err);
+      failureCount += batch.length;
+      for (const token of batch) {
+        results.push({ token, ok: false, error: err?.code || err?.message });
+      }
+    }
+  }
+
+  return { ok: true, successCount, failureCount, results };
+}
+
 module.exports = {
   sendPushNotification,
+  sendPushToTokens,
 };
@@ -2,7 +2,10 @@
 const router = require("express").Router();
 const db = require("../db");
 
-const { requireAuth, requireAdmin } = require("../middleware/auth"); // ✅ declared ONCE
+const { requireAuth } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/rbac");
+
+const canView = requirePermission("analytics:view");
 
 function parseDateParam(s, fallbackDaysAgo) {
   if (typeof s === "string" && /^\d{4}-\d{2}-\d{2}$/.test(s)) return s;
@@ -17,7 +20,7 @@ function pingSecondsFromReq(req) {
   return Math.max(5, Math.min(60, Math.floor(n)));
 }
 
-router.get("/overview", requireAuth, requireAdmin, async (req, res) => {
+router.get("/overview", requireAuth, canView, async (req, res) => {
   try {
     const from = parseDateParam(req.query.from, 29);
     const to = parseDateParam(req.query.to, 0);
@@ -72,7 +75,7 @@ router.get("/overview", requireAuth, requireAdmin, async (req, res) => {
   }
 });
 
-router.get("/timeseries", requireAuth, requireAdmin, async (req, res) => {
+router.get("/timeseries", requireAuth, canView, async (req, res) => {
   try {
     const from = parseDateParam(req.query.from, 29);
     const to = parseDateParam(req.query.to, 0);
@@ -120,7 +123,7 @@ router.get("/timeseries", requireAuth, requireAdmin, async (req, res) => {
   }
 });
 
-router.get("/top-videos", requireAuth, requireAdmin, async (req, res) => {
+router.get("/top-videos", requireAuth, canView, async (req, res) => {
   try {
     const from = parseDateParam(req.query.from, 29);
     const to = parseDateParam(req.query.to, 0);
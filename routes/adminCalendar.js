@@ -1,7 +1,38 @@
 // server-api/routes/adminCalendar.js
 const express = require("express");
+const crypto = require("crypto");
+const multer = require("multer");
 const router = express.Router();
 
+const {
+  formatUtc,
+  unescapeText,
+  parseCalendar,
+  findEvents,
+  getProp,
+  getProps,
+  parseDateValue,
+  parseDateList,
+  parseDuration,
+  parseRRule,
+  zonedToUtc,
+  isValidTimeZone,
+} = require("../services/ical");
+const {
+  WEEKDAYS,
+  localParts,
+  toLocalDateOnly,
+  parseWeekday,
+  seriesRule,
+  buildOccurrenceTimestamps,
+  generateOccurrences,
+  isOccurrence,
+} = require("../services/recurrence");
+const { requireAuth } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/rbac");
+
+router.use(requireAuth, requirePermission("calendar:edit"));
+
 /**
  * Single events table:
  *   calendar_events
@@ -20,10 +51,18 @@ const router = express.Router();
  *   PUT    /api/admin/calendar/series/:id
  *   DELETE /api/admin/calendar/series/:id
  *   POST   /api/admin/calendar/series/:id/exceptions
+ *
+ *   GET    /api/admin/calendar/feeds
+ *   POST   /api/admin/calendar/feeds
+ *   DELETE /api/admin/calendar/feeds/:id
+ *   POST   /api/admin/calendar/import        (multipart "file" or { ics })
+ *
+ * Public subscription feeds are served by routes/calendarFeed.js.
  */
 
 const ALLOWED_TYPES = new Set(["live", "premiere", "upload", "meeting"]);
-const ALLOWED_FREQ = new Set(["weekly", "monthly"]);
+const ALLOWED_FREQ = new Set(["daily", "weekly", "monthly", "yearly"]);
+const MAX_COUNT = 1000;
 const ALLOWED_ACTION = new Set(["skip", "override"]);
 
 function isValidISODate(v) {
@@ -66,81 +105,6 @@ function toIntOrNull(v) {
   return Number.isFinite(n) ? n : null;
 }
 
-function toISODateOnly(d) {
-  // d: Date
-  const yyyy = d.getUTCFullYear();
-  const mm = String(d.getUTCMonth() + 1).padStart(2, "0");
-  const dd = String(d.getUTCDate()).padStart(2, "0");
-  return `${yyyy}-${mm}-${dd}`;
-}
-
-function parseDateOnlyUTC(dateStr) {
-  // YYYY-MM-DD -> Date at 00:00:00Z
-  return new Date(`${dateStr}T00:00:00.000Z`);
-}
-
-function addDaysUTC(dateObj, days) {
-  const d = new Date(dateObj);
-  d.setUTCDate(d.getUTCDate() + days);
-  return d;
-}
-
-function addMonthsUTC(dateObj, months) {
-  const d = new Date(dateObj);
-  const day = d.getUTCDate();
-  d.setUTCDate(1);
-  d.setUTCMonth(d.getUTCMonth() + months);
-  // clamp day to month length
-  const lastDay = new Date(
-    Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0),
-  ).getUTCDate();
-  d.setUTCDate(Math.min(day, lastDay));
-  return d;
-}
-
-function weeksBetweenUTC(a, b) {
-  // a, b are Date at 00:00Z; returns integer difference in weeks (floor)
-  const ms = b.getTime() - a.getTime();
-  return Math.floor(ms / (7 * 24 * 60 * 60 * 1000));
-}
-
-/** Build occurrence start/end for a given date using base series times */
-function buildOccurrenceTimestamps(
-  baseStartISO,
-  baseEndISO,
-  occurrenceDateOnly,
-) {
-  const baseStart = new Date(baseStartISO);
-  const occDay = parseDateOnlyUTC(occurrenceDateOnly);
-
-  // Use baseStart time-of-day (UTC) on the occurrence day
-  const occStart = new Date(
-    Date.UTC(
-      occDay.getUTCFullYear(),
-      occDay.getUTCMonth(),
-      occDay.getUTCDate(),
-      baseStart.getUTCHours(),
-      baseStart.getUTCMinutes(),
-      baseStart.getUTCSeconds(),
-      baseStart.getUTCMilliseconds(),
-    ),
-  );
-
-  let occEnd = null;
-  if (baseEndISO) {
-    const baseEnd = new Date(baseEndISO);
-    const durationMs = baseEnd.getTime() - baseStart.getTime();
-    if (Number.isFinite(durationMs) && durationMs >= 0) {
-      occEnd = new Date(occStart.getTime() + durationMs);
-    }
-  }
-
-  return {
-    start_at: occStart.toISOString(),
-    end_at: occEnd ? occEnd.toISOString() : null,
-  };
-}
-
 /** Validate single event payload */
 function validateEventBody(body) {
   const title = cleanText(body?.title, 160);
@@ -181,49 +145,121 @@ function validateEventBody(body) {
   };
 }
 
-/** Validate recurrence payload */
+/** Validate recurrence payload (see services/recurrence.js for the shape) */
 function validateRecurrence(rec) {
+  const bad = (message) => ({ ok: false, status: 400, message });
+
   const freq = String(rec?.freq || "weekly")
     .trim()
     .toLowerCase();
   if (!ALLOWED_FREQ.has(freq)) {
-    return {
-      ok: false,
-      status: 400,
-      message: "recurrence.freq must be weekly or monthly.",
-    };
+    return bad("recurrence.freq must be daily, weekly, monthly or yearly.");
   }
 
-  const interval = Math.max(1, Number(rec?.interval) || 1);
+  const interval = Math.min(1000, Math.max(1, Number(rec?.interval) || 1));
 
-  let byweekday = [];
-  if (freq === "weekly") {
-    byweekday = Array.isArray(rec?.byweekday) ? rec.byweekday : [];
-    byweekday = byweekday
-      .map((x) =>
-        String(x || "")
-          .trim()
-          .toUpperCase(),
-      )
-      .filter(Boolean);
+  const timezone = String(
+    rec?.timezone || process.env.CALENDAR_TIMEZONE || "UTC",
+  ).trim();
+  if (!isValidTimeZone(timezone)) {
+    return bad(
+      "recurrence.timezone must be an IANA time zone (e.g. America/New_York).",
+    );
+  }
+
+  // "MO" every Monday; "2SU" / "-1FR" nth weekday of the month
+  let byweekday = Array.isArray(rec?.byweekday) ? rec.byweekday : [];
+  byweekday = byweekday
+    .map((x) =>
+      String(x || "")
+        .trim()
+        .toUpperCase(),
+    )
+    .filter((k) => parseWeekday(k));
+  for (const k of byweekday) {
+    const { n } = parseWeekday(k);
+    if (!n) continue;
+    if (freq !== "monthly" && freq !== "yearly") {
+      return bad(
+        "recurrence.byweekday ordinals (e.g. 2SU) need a monthly or yearly freq.",
+      );
+    }
+    if (Math.abs(n) > 5) {
+      return bad("recurrence.byweekday ordinals must be 1..5 or -1..-5.");
+    }
+  }
+
+  const intList = (name, min, max) => {
+    const raw = rec?.[name];
+    if (raw === undefined || raw === null || raw === "") return { list: [] };
+    const list = (Array.isArray(raw) ? raw : [raw]).map(Number);
+    const ok = list.every(
+      (n) => Number.isInteger(n) && n !== 0 && Math.abs(n) >= min && n <= max,
+    );
+    return ok ? { list: [...new Set(list)] } : { error: true };
+  };
+
+  const monthDay = intList("bymonthday", 1, 31);
+  if (monthDay.error || monthDay.list.some((n) => n < -31)) {
+    return bad("recurrence.bymonthday values must be 1..31 or -1..-31.");
+  }
+  const month = intList("bymonth", 1, 12);
+  if (month.error || month.list.some((n) => n < 1)) {
+    return bad("recurrence.bymonth values must be 1..12.");
+  }
+  const setPos = intList("bysetpos", 1, 366);
+  if (setPos.error || setPos.list.some((n) => n < -366)) {
+    return bad("recurrence.bysetpos values must be 1..366 or -1..-366.");
+  }
+
+  if (monthDay.list.length && (freq === "daily" || freq === "weekly")) {
+    return bad("recurrence.bymonthday needs a monthly or yearly freq.");
+  }
+  if (month.list.length && freq !== "yearly" && freq !== "daily") {
+    return bad("recurrence.bymonth is only supported for daily and yearly series.");
+  }
+  if (setPos.list.length) {
+    if (freq === "daily") {
+      return bad("recurrence.bysetpos is not supported for daily series.");
+    }
+    if (!byweekday.length && !monthDay.list.length) {
+      return bad("recurrence.bysetpos needs byweekday or bymonthday.");
+    }
+  }
 
-    const allowed = new Set(["SU", "MO", "TU", "WE", "TH", "FR", "SA"]);
-    byweekday = byweekday.filter((k) => allowed.has(k));
+  // weekly week start ("MO".."SU"); missing = the series start's weekday
+  let wkst = null;
+  if (rec?.wkst !== undefined && rec?.wkst !== null && rec?.wkst !== "") {
+    wkst = String(rec.wkst).trim().toUpperCase();
+    if (!WEEKDAYS.includes(wkst)) {
+      return bad("recurrence.wkst must be one of SU, MO, TU, WE, TH, FR, SA.");
+    }
+    if (freq !== "weekly") wkst = null;
+  }
 
-    // allow empty -> will be filled from start weekday later
+  let count = null;
+  if (rec?.count !== undefined && rec?.count !== null && rec?.count !== "") {
+    count = Number(rec.count);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_COUNT) {
+      return bad(`recurrence.count must be between 1 and ${MAX_COUNT}.`);
+    }
   }
 
   let until = rec?.until ?? null;
+  if (until && count) {
+    return bad("Use either recurrence.count or recurrence.until, not both.");
+  }
   if (until) {
-    // accept ISO or date-only; normalize to ISO
+    // accept ISO or date-only (end of that day in the series time zone)
     if (isValidYYYYMMDD(until)) {
-      until = `${until}T23:59:59.999Z`;
+      const [y, m, d] = String(until).trim().split("-").map(Number);
+      until = new Date(
+        zonedToUtc(y, m - 1, d, 23, 59, 59, timezone).getTime() + 999,
+      ).toISOString();
     } else if (!isValidISODate(until)) {
-      return {
-        ok: false,
-        status: 400,
-        message: "recurrence.until must be YYYY-MM-DD or ISO date.",
-      };
+      return bad("recurrence.until must be YYYY-MM-DD or ISO date.");
+    } else {
+      until = new Date(until).toISOString();
     }
   } else {
     until = null;
@@ -231,150 +267,205 @@ function validateRecurrence(rec) {
 
   return {
     ok: true,
-    value: { freq, interval, byweekday, until },
+    value: {
+      freq,
+      interval,
+      byweekday,
+      bymonthday: monthDay.list,
+      bymonth: month.list,
+      bysetpos: setPos.list,
+      count,
+      until,
+      timezone,
+      ...(wkst ? { wkst } : {}),
+    },
   };
 }
 
-/** Generate occurrence date-only strings within [from..to] inclusive */
-function generateOccurrences(seriesRow, fromISO, toISO) {
-  const baseStartISO = seriesRow.start_at;
-  const baseEndISO = seriesRow.end_at || null;
-
-  const recurrence =
-    seriesRow.recurrence ||
-    seriesRow.recurrence_json ||
-    seriesRow.recurrence_rule ||
-    null;
-  const rec =
-    typeof recurrence === "string" ? safeJsonParse(recurrence) : recurrence;
-
-  const freq = String(rec?.freq || "weekly").toLowerCase();
-  const interval = Math.max(1, Number(rec?.interval) || 1);
+/** Weekly series without byweekday repeat on the start's local weekday */
+function applyRecurrenceDefaults(rec, start_at) {
+  const out = { ...rec };
+  if (out.freq === "weekly" && (!out.byweekday || !out.byweekday.length)) {
+    out.byweekday = [WEEKDAYS[localParts(start_at, out.timezone).dow]];
+  }
+  return out;
+}
 
-  const rangeFrom = new Date(fromISO);
-  const rangeTo = new Date(toISO);
+/** pg returns DATE columns as local-midnight Dates; normalize to YYYY-MM-DD */
+function dateKey(v) {
+  if (v instanceof Date) {
+    const mm = String(v.getMonth() + 1).padStart(2, "0");
+    const dd = String(v.getDate()).padStart(2, "0");
+    return `${v.getFullYear()}-${mm}-${dd}`;
+  }
+  return String(v || "").slice(0, 10);
+}
 
-  // series can’t occur before base start day
-  const seriesStartDay = parseDateOnlyUTC(
-    toISODateOnly(new Date(baseStartISO)),
+/**
+ * Start/end of one occurrence. An override with start_at moves the
+ * occurrence (any day/time); end_at defaults to the series duration.
+ */
+function occurrenceTimes(seriesRow, dateOnly, override) {
+  const { tz } = seriesRule(seriesRow);
+  const base = buildOccurrenceTimestamps(
+    seriesRow.start_at,
+    seriesRow.end_at || null,
+    dateOnly,
+    tz,
   );
 
-  // cap by until if present
-  const untilISO = rec?.until ? new Date(rec.until).toISOString() : null;
-  const capTo = untilISO
-    ? new Date(Math.min(rangeTo.getTime(), new Date(untilISO).getTime()))
-    : rangeTo;
-
-  const fromDay = parseDateOnlyUTC(toISODateOnly(rangeFrom));
-  const toDay = parseDateOnlyUTC(toISODateOnly(capTo));
-
-  if (toDay.getTime() < fromDay.getTime()) return [];
+  let start_at = base.start_at;
+  let end_at = base.end_at;
+  if (override?.start_at) {
+    start_at = new Date(override.start_at).toISOString();
+    end_at = override.end_at
+      ? new Date(override.end_at).toISOString()
+      : base.end_at
+        ? new Date(
+            new Date(start_at).getTime() +
+              (new Date(base.end_at) - new Date(base.start_at)),
+          ).toISOString()
+        : null;
+  } else if (override?.end_at) {
+    end_at = new Date(override.end_at).toISOString();
+  }
 
-  // helper: map weekday to JS getUTCDay()
-  const mapDow = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+  return {
+    start_at,
+    end_at,
+    original_start_at: base.start_at,
+    moved: start_at !== base.start_at,
+  };
+}
 
-  const occurrences = [];
+function safeJsonParse(s) {
+  try {
+    return JSON.parse(s);
+  } catch {
+    return null;
+  }
+}
 
-  if (freq === "weekly") {
-    let byweekday = Array.isArray(rec?.byweekday) ? rec.byweekday : [];
-    byweekday = byweekday
-      .map((x) =>
-        String(x || "")
-          .trim()
-          .toUpperCase(),
-      )
-      .filter(Boolean);
+/* =======================================================
+   iCalendar mapping (recurrence_json <-> RRULE)
+   Series are exported with a TZID-local DTSTART in their time zone,
+   so BYDAY/BYMONTHDAY mean the same days on both sides.
+========================================================== */
+const UNSUPPORTED_RRULE_PARTS = [
+  "BYHOUR",
+  "BYMINUTE",
+  "BYSECOND",
+  "BYWEEKNO",
+  "BYYEARDAY",
+];
+
+function recurrenceToRRule(rec, baseStartISO) {
+  const r = applyRecurrenceDefaults(
+    {
+      freq: String(rec?.freq || "weekly").toLowerCase(),
+      ...rec,
+      interval: Math.max(1, Number(rec?.interval) || 1),
+    },
+    baseStartISO,
+  );
+  const start = localParts(baseStartISO, r.timezone);
+  const list = (v) => (Array.isArray(v) ? v : []);
 
-    // if empty, default to base start weekday
-    if (!byweekday.length) {
-      const baseStart = new Date(baseStartISO);
-      const inv = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
-      byweekday = [inv[baseStart.getUTCDay()] || "SU"];
-    }
+  const parts = [`FREQ=${r.freq.toUpperCase()}`];
+  if (r.interval > 1) parts.push(`INTERVAL=${r.interval}`);
 
-    const allowedDowNums = new Set(
-      byweekday.map((k) => mapDow[k]).filter((n) => n !== undefined),
-    );
+  const byday = list(r.byweekday);
+  const bymonthday = list(r.bymonthday);
 
-    // Iterate day-by-day; include if weekday matches AND week offset matches interval
-    let d = new Date(fromDay);
-    while (d.getTime() <= toDay.getTime()) {
-      // must not occur before series start
-      if (d.getTime() >= seriesStartDay.getTime()) {
-        const dow = d.getUTCDay();
-        if (allowedDowNums.has(dow)) {
-          const w = weeksBetweenUTC(seriesStartDay, d);
-          if (w % interval === 0) {
-            occurrences.push(toISODateOnly(d));
-          }
-        }
-      }
-      d = addDaysUTC(d, 1);
-    }
-    return occurrences;
+  if (r.freq === "yearly") {
+    parts.push(`BYMONTH=${(list(r.bymonth).length ? r.bymonth : [start.m + 1]).join(",")}`);
+    if (!byday.length && !bymonthday.length) parts.push(`BYMONTHDAY=${start.d}`);
+  } else if (r.freq === "daily" && list(r.bymonth).length) {
+    parts.push(`BYMONTH=${r.bymonth.join(",")}`);
   }
 
-  // monthly
-  // rule: repeat on the day-of-month of baseStart, every N months
-  const baseStart = new Date(baseStartISO);
-  const dom = baseStart.getUTCDate();
+  if (byday.length) parts.push(`BYDAY=${byday.join(",")}`);
+  if (bymonthday.length) parts.push(`BYMONTHDAY=${bymonthday.join(",")}`);
 
-  // find the first month occurrence >= fromDay
-  // start from series start month and step interval months until >= from
-  let cur = new Date(
-    Date.UTC(seriesStartDay.getUTCFullYear(), seriesStartDay.getUTCMonth(), 1),
-  );
-  // build occurrence in that month
-  function occInMonth(monthFirst) {
-    const lastDay = new Date(
-      Date.UTC(monthFirst.getUTCFullYear(), monthFirst.getUTCMonth() + 1, 0),
-    ).getUTCDate();
-    const day = Math.min(dom, lastDay);
-    return new Date(
-      Date.UTC(monthFirst.getUTCFullYear(), monthFirst.getUTCMonth(), day),
-    );
+  if (r.freq === "weekly" && r.interval > 1) {
+    // without wkst our week blocks are counted from the series start day
+    parts.push(`WKST=${r.wkst || WEEKDAYS[start.dow]}`);
   }
 
-  // Align months to interval based on series start month
-  const seriesMonth0 = new Date(
-    Date.UTC(seriesStartDay.getUTCFullYear(), seriesStartDay.getUTCMonth(), 1),
-  );
-
-  // move cur forward to at least fromDay
-  while (occInMonth(cur).getTime() < fromDay.getTime()) {
-    cur = addMonthsUTC(cur, 1);
+  if (r.freq === "monthly" && !byday.length && !bymonthday.length) {
+    // day-of-month clamped to month length (31st -> 30th/28th ...)
+    if (start.d <= 28) {
+      parts.push(`BYMONTHDAY=${start.d}`);
+    } else {
+      const days = [];
+      for (let d = 28; d <= start.d; d++) days.push(d);
+      parts.push(`BYMONTHDAY=${days.join(",")}`, "BYSETPOS=-1");
+    }
+  } else if (list(r.bysetpos).length) {
+    parts.push(`BYSETPOS=${r.bysetpos.join(",")}`);
   }
 
-  // now iterate month-by-month and include only those matching interval
-  let monthIter = new Date(cur);
-  while (true) {
-    const occDay = occInMonth(monthIter);
-    if (occDay.getTime() > toDay.getTime()) break;
+  if (r.count) parts.push(`COUNT=${r.count}`);
+  else if (r.until) parts.push(`UNTIL=${formatUtc(r.until)}`);
+  return parts.join(";");
+}
 
-    // interval check: months between seriesMonth0 and this monthIter
-    const monthsBetween =
-      (monthIter.getUTCFullYear() - seriesMonth0.getUTCFullYear()) * 12 +
-      (monthIter.getUTCMonth() - seriesMonth0.getUTCMonth());
+/**
+ * RRULE -> recurrence_json. Returns { ok, value } or { ok:false, reason }.
+ * `timezone` is the zone DTSTART was written in (BYDAY etc. are local to it).
+ */
+function rruleToRecurrence(rruleValue, timezone) {
+  const r = parseRRule(rruleValue);
 
-    if (monthsBetween >= 0 && monthsBetween % interval === 0) {
-      // must not occur before series start day
-      if (occDay.getTime() >= seriesStartDay.getTime()) {
-        occurrences.push(toISODateOnly(occDay));
-      }
-    }
+  const unsupported = UNSUPPORTED_RRULE_PARTS.filter((k) => r[k]);
+  if (unsupported.length) {
+    return { ok: false, reason: `${unsupported.join(", ")} not supported` };
+  }
+
+  const split = (v) =>
+    String(v || "")
+      .split(",")
+      .map((x) => x.trim())
+      .filter(Boolean);
 
-    monthIter = addMonthsUTC(monthIter, 1);
+  let until = null;
+  if (r.UNTIL) {
+    const u = parseDateList({ value: r.UNTIL, params: {} }, timezone)[0];
+    if (!u) return { ok: false, reason: "Invalid UNTIL" };
+    until = u.allDay ? u.dateOnly : u.date.toISOString();
   }
 
-  return occurrences;
+  const freq = String(r.FREQ || "").toLowerCase();
+  const v = validateRecurrence({
+    freq,
+    interval: r.INTERVAL,
+    // weekly/daily BYDAY never carries ordinals
+    byweekday: split(r.BYDAY).map((d) =>
+      freq === "weekly" || freq === "daily" ? d.replace(/^[+-]?\d+/, "") : d,
+    ),
+    bymonthday: split(r.BYMONTHDAY),
+    bymonth: split(r.BYMONTH),
+    bysetpos: split(r.BYSETPOS),
+    count: r.COUNT,
+    until,
+    timezone,
+    // RFC 5545 weeks start on Monday unless WKST says otherwise
+    wkst: freq === "weekly" ? r.WKST || "MO" : null,
+  });
+  if (!v.ok) {
+    return {
+      ok: false,
+      reason: ALLOWED_FREQ.has(freq)
+        ? v.message
+        : `Unsupported FREQ=${r.FREQ || "?"}`,
+    };
+  }
+  return { ok: true, value: v.value };
 }
 
-function safeJsonParse(s) {
-  try {
-    return JSON.parse(s);
-  } catch {
-    return null;
-  }
+/** Original start of one series occurrence (what RECURRENCE-ID/EXDATE point at) */
+function occurrenceStartISO(seriesRow, dateOnly) {
+  return occurrenceTimes(seriesRow, dateOnly).original_start_at;
 }
 
 /* =======================================================
@@ -437,41 +528,46 @@ router.get("/events", async (req, res) => {
     const seriesR = await db.query(seriesQ, [fromISO, toISO]);
     const seriesRows = seriesR.rows || [];
 
-    // 3) Exceptions in range (skip/override)
+    // 3) Exceptions near the range, plus overrides that move an
+    //    occurrence (those can land in range from any date)
+    const seriesIds = seriesRows.map((s) => s.id);
     const excQ = `
       SELECT id, series_id, date, action, override_json, created_at
       FROM calendar_series_exceptions
-      WHERE date >= $1::date AND date <= $2::date
+      WHERE series_id = ANY($1::bigint[])
+        AND (
+          (date >= $2::date - 1 AND date <= $3::date + 1)
+          OR (action = 'override' AND override_json ? 'start_at')
+        )
     `;
-    const excR = await db.query(excQ, [fromStr, toStr]);
+    const excR = seriesIds.length
+      ? await db.query(excQ, [seriesIds, fromStr, toStr])
+      : { rows: [] };
     const excRows = excR.rows || [];
 
-    const excBySeriesDate = new Map();
+    const excBySeries = new Map();
     for (const ex of excRows) {
-      const key = `${ex.series_id}::${ex.date}`;
-      excBySeriesDate.set(key, ex);
+      if (!excBySeries.has(ex.series_id)) {
+        excBySeries.set(ex.series_id, new Map());
+      }
+      excBySeries.get(ex.series_id).set(dateKey(ex.date), ex);
     }
 
     const expanded = [];
 
     for (const s of seriesRows) {
-      const recurrence = s.recurrence_json || {};
-      const rec =
-        typeof recurrence === "string" ? safeJsonParse(recurrence) : recurrence;
-
-      const occurrences = generateOccurrences(
-        {
-          ...s,
-          recurrence: rec,
-          recurrence_json: rec,
-        },
-        fromISO,
-        toISO,
-      );
+      const exByDate = excBySeries.get(s.id) || new Map();
+      const dates = new Set(generateOccurrences(s, fromISO, toISO));
+
+      // occurrences moved here from outside the range
+      for (const [date, ex] of exByDate.entries()) {
+        if (dates.has(date) || String(ex.action).toLowerCase() !== "override")
+          continue;
+        if (isOccurrence(s, date)) dates.add(date);
+      }
 
-      for (const dateOnly of occurrences) {
-        const exKey = `${s.id}::${dateOnly}`;
-        const ex = excBySeriesDate.get(exKey);
+      for (const dateOnly of dates) {
+        const ex = exByDate.get(dateOnly);
 
         if (ex && String(ex.action).toLowerCase() === "skip") {
           continue; // skipped occurrence
@@ -488,20 +584,16 @@ router.get("/events", async (req, res) => {
         const base = {
           title: s.title,
           type: s.type,
-          start_at: s.start_at,
-          end_at: s.end_at || null,
           video_id: s.video_id ?? null,
           category_id: s.category_id ?? null,
           notes: s.notes || "",
         };
 
         const merged = override ? { ...base, ...override } : base;
+        const ts = occurrenceTimes(s, dateOnly, override);
 
-        const ts = buildOccurrenceTimestamps(
-          merged.start_at,
-          merged.end_at,
-          dateOnly,
-        );
+        // moved out of the requested range
+        if (ts.start_at < fromISO || ts.start_at > toISO) continue;
 
         expanded.push({
           // string id is fine for the frontend (it only uses it as key/display)
@@ -514,6 +606,7 @@ router.get("/events", async (req, res) => {
 
           start_at: ts.start_at,
           end_at: ts.end_at,
+          ...(ts.moved ? { original_start_at: ts.original_start_at } : {}),
 
           video_id: toIntOrNull(merged.video_id),
           category_id: toIntOrNull(merged.category_id),
@@ -659,7 +752,9 @@ router.delete("/events/:id", async (req, res) => {
 
 /* =======================================================
    POST /api/admin/calendar/series
-   body: { title, type, start_at, end_at?, video_id?, category_id?, notes?, recurrence: { freq, interval, byweekday?, until? } }
+   body: { title, type, start_at, end_at?, video_id?, category_id?, notes?,
+           recurrence: { freq, interval, byweekday?, bymonthday?, bymonth?,
+                         bysetpos?, count? | until?, timezone? } }
 ========================================================== */
 router.post("/series", async (req, res) => {
   try {
@@ -677,15 +772,7 @@ router.post("/series", async (req, res) => {
       ev.value;
 
     // If weekly and byweekday empty, default to start_at weekday
-    const rec = { ...recV.value };
-    if (
-      rec.freq === "weekly" &&
-      (!rec.byweekday || rec.byweekday.length === 0)
-    ) {
-      const baseStart = new Date(start_at);
-      const inv = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
-      rec.byweekday = [inv[baseStart.getUTCDay()] || "SU"];
-    }
+    const rec = applyRecurrenceDefaults(recV.value, start_at);
 
     const q = `
       INSERT INTO calendar_series
@@ -737,15 +824,7 @@ router.put("/series/:id", async (req, res) => {
     const { title, type, start_at, end_at, video_id, category_id, notes } =
       ev.value;
 
-    const rec = { ...recV.value };
-    if (
-      rec.freq === "weekly" &&
-      (!rec.byweekday || rec.byweekday.length === 0)
-    ) {
-      const baseStart = new Date(start_at);
-      const inv = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
-      rec.byweekday = [inv[baseStart.getUTCDay()] || "SU"];
-    }
+    const rec = applyRecurrenceDefaults(recV.value, start_at);
 
     const q = `
       UPDATE calendar_series
@@ -833,6 +912,8 @@ router.delete("/series/:id", async (req, res) => {
      { date: 'YYYY-MM-DD', action: 'skip' }
    or
      { date: 'YYYY-MM-DD', action: 'override', override: { title?, type?, start_at?, end_at?, video_id?, category_id?, notes? } }
+   date is the occurrence's local date in the series time zone;
+   override.start_at/end_at are absolute, so an occurrence can be moved.
 ========================================================== */
 router.post("/series/:id/exceptions", async (req, res) => {
   try {
@@ -925,4 +1006,390 @@ router.post("/series/:id/exceptions", async (req, res) => {
   }
 });
 
+/* =======================================================
+   .ics SUBSCRIPTION FEEDS (tokens)
+   GET    /api/admin/calendar/feeds
+   POST   /api/admin/calendar/feeds   body: { label?, category_id? }
+   DELETE /api/admin/calendar/feeds/:id
+========================================================== */
+function feedUrl(req, token) {
+  const base = (
+    process.env.API_BASE ||
+    process.env.PUBLIC_BASE_URL ||
+    `${req.protocol}://${req.get("host")}`
+  ).replace(/\/+$/, "");
+  return `${base}/api/calendar/feed/${token}.ics`;
+}
+
+function toFeed(req, row) {
+  return {
+    id: row.id,
+    label: row.label || "",
+    category_id: row.category_id ?? null,
+    url: feedUrl(req, row.token),
+    webcal_url: feedUrl(req, row.token).replace(/^https?:/, "webcal:"),
+    last_accessed_at: row.last_accessed_at,
+    created_at: row.created_at,
+  };
+}
+
+router.get("/feeds", async (req, res) => {
+  try {
+    const db = req.db;
+    const r = await db.query(
+      `SELECT id, token, label, category_id, last_accessed_at, created_at
+       FROM calendar_feed_tokens
+       WHERE revoked_at IS NULL
+       ORDER BY created_at DESC`,
+    );
+    return res.json({ ok: true, feeds: r.rows.map((row) => toFeed(req, row)) });
+  } catch (e) {
+    console.error("[adminCalendar] GET /feeds error:", e);
+    return res.status(500).json({ ok: false, message: "Server error" });
+  }
+});
+
+router.post("/feeds", async (req, res) => {
+  try {
+    const db = req.db;
+    const label = cleanText(req.body?.label, 160);
+    const category_id = toIntOrNull(req.body?.category_id);
+    const token = crypto.randomBytes(24).toString("base64url");
+
+    const r = await db.query(
+      `INSERT INTO calendar_feed_tokens (token, label, category_id, created_by)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id, token, label, category_id, last_accessed_at, created_at`,
+      [token, label, category_id, req.user?.id || null],
+    );
+    return res.json({ ok: true, feed: toFeed(req, r.rows[0]) });
+  } catch (e) {
+    console.error("[adminCalendar] POST /feeds error:", e);
+    return res.status(500).json({ ok: false, message: "Server error" });
+  }
+});
+
+router.delete("/feeds/:id", async (req, res) => {
+  try {
+    const db = req.db;
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({ ok: false, message: "Invalid feed id." });
+    }
+
+    const r = await db.query(
+      `UPDATE calendar_feed_tokens SET revoked_at = now()
+       WHERE id = $1 AND revoked_at IS NULL
+       RETURNING id`,
+      [id],
+    );
+    if (r.rowCount === 0) {
+      return res.status(404).json({ ok: false, message: "Feed not found." });
+    }
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error("[adminCalendar] DELETE /feeds/:id error:", e);
+    return res.status(500).json({ ok: false, message: "Server error" });
+  }
+});
+
+/* =======================================================
+   POST /api/admin/calendar/import
+   multipart: file=<.ics>  (or JSON body { ics: "BEGIN:VCALENDAR..." })
+   optional: type, category_id, timezone (for floating times), dry_run=1
+
+   - VEVENT without RRULE           -> calendar_events
+   - VEVENT with RRULE              -> calendar_series
+       EXDATE                        -> skip exception
+       VEVENT with RECURRENCE-ID     -> override exception
+   Rows remember their UID, so re-importing the same file updates them.
+========================================================== */
+const icsUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+});
+
+function vText(comp, name, max) {
+  const p = getProp(comp, name);
+  return p ? cleanText(unescapeText(p.value), max) : "";
+}
+
+/** Start/end of a VEVENT as ISO strings (DTEND, else DURATION). */
+function vTimes(comp, defaultTz) {
+  const start = parseDateValue(getProp(comp, "DTSTART"), defaultTz);
+  if (!start) return null;
+
+  let endDate = null;
+  const end = parseDateValue(getProp(comp, "DTEND"), defaultTz);
+  if (end) endDate = end.date;
+  else {
+    const dur = parseDuration(getProp(comp, "DURATION")?.value);
+    if (dur != null) endDate = new Date(start.date.getTime() + dur);
+  }
+  if (endDate && endDate < start.date) endDate = null;
+
+  return {
+    start,
+    start_at: start.date.toISOString(),
+    end_at: endDate ? endDate.toISOString() : null,
+  };
+}
+
+function buildImportPlan(text, defaults) {
+  const roots = parseCalendar(text);
+  const cal = roots.find((c) => c.type === "VCALENDAR");
+  const calTz = cal ? getProp(cal, "X-WR-TIMEZONE")?.value : null;
+  const defaultTz = isValidTimeZone(defaults.timezone)
+    ? defaults.timezone
+    : isValidTimeZone(calTz)
+      ? calTz
+      : null;
+
+  const masters = [];
+  const overridesByUid = new Map();
+  for (const comp of findEvents(roots)) {
+    const uid = cleanText(getProp(comp, "UID")?.value, 500);
+    if (getProp(comp, "RECURRENCE-ID")) {
+      if (!overridesByUid.has(uid)) overridesByUid.set(uid, []);
+      overridesByUid.get(uid).push(comp);
+    } else {
+      masters.push(comp);
+    }
+  }
+
+  const plan = { events: [], series: [], skipped: [] };
+
+  for (const comp of masters) {
+    const uid = cleanText(getProp(comp, "UID")?.value, 500) || null;
+    const title = vText(comp, "SUMMARY", 160) || "Untitled event";
+
+    if (/^cancell?ed$/i.test(getProp(comp, "STATUS")?.value || "")) {
+      plan.skipped.push({ uid, title, reason: "Cancelled" });
+      continue;
+    }
+
+    const times = vTimes(comp, defaultTz);
+    if (!times) {
+      plan.skipped.push({ uid, title, reason: "Missing or invalid DTSTART" });
+      continue;
+    }
+
+    const v = validateEventBody({
+      title,
+      type: vText(comp, "X-BRTV-TYPE", 40) || defaults.type,
+      start_at: times.start_at,
+      end_at: times.end_at,
+      category_id: defaults.category_id,
+      notes: vText(comp, "DESCRIPTION", 4000),
+    });
+    if (!v.ok) {
+      plan.skipped.push({ uid, title, reason: v.message });
+      continue;
+    }
+
+    const rrule = getProp(comp, "RRULE");
+    if (!rrule) {
+      plan.events.push({ ...v.value, ical_uid: uid });
+      continue;
+    }
+
+    // the series repeats in the zone its DTSTART was written in
+    const seriesTz = times.start.tz || defaultTz || "UTC";
+    const rec = rruleToRecurrence(rrule.value, seriesTz);
+    if (!rec.ok) {
+      plan.skipped.push({ uid, title, reason: rec.reason });
+      continue;
+    }
+
+    const exceptions = new Map();
+    for (const p of getProps(comp, "EXDATE")) {
+      for (const d of parseDateList(p, defaultTz)) {
+        const date = d.allDay
+          ? d.dateOnly
+          : toLocalDateOnly(d.date, seriesTz);
+        exceptions.set(date, { date, action: "skip", override: null });
+      }
+    }
+
+    for (const o of (uid && overridesByUid.get(uid)) || []) {
+      const rid = parseDateValue(getProp(o, "RECURRENCE-ID"), defaultTz);
+      if (!rid) continue;
+      const date = rid.allDay
+        ? rid.dateOnly
+        : toLocalDateOnly(rid.date, seriesTz);
+
+      if (/^cancell?ed$/i.test(getProp(o, "STATUS")?.value || "")) {
+        exceptions.set(date, { date, action: "skip", override: null });
+        continue;
+      }
+
+      const ot = vTimes(o, defaultTz);
+      const override = {};
+      const oTitle = vText(o, "SUMMARY", 160);
+      if (oTitle && oTitle !== v.value.title) override.title = oTitle;
+      const oNotes = vText(o, "DESCRIPTION", 4000);
+      if (oNotes && oNotes !== v.value.notes) override.notes = oNotes;
+      if (ot) {
+        override.start_at = ot.start_at;
+        if (ot.end_at) override.end_at = ot.end_at;
+      }
+      exceptions.set(date, { date, action: "override", override });
+    }
+
+    plan.series.push({
+      ...v.value,
+      ical_uid: uid,
+      recurrence: rec.value,
+      exceptions: [...exceptions.values()],
+    });
+  }
+
+  for (const [uid, comps] of overridesByUid.entries()) {
+    if (!masters.some((m) => getProp(m, "UID")?.value === uid)) {
+      plan.skipped.push({
+        uid,
+        title: vText(comps[0], "SUMMARY", 160),
+        reason: "RECURRENCE-ID without a matching recurring event",
+      });
+    }
+  }
+
+  return plan;
+}
+
+async function upsertByUid(client, table, uid, cols, values) {
+  if (uid) {
+    const found = await client.query(
+      `SELECT id FROM ${table} WHERE ical_uid = $1 LIMIT 1`,
+      [uid],
+    );
+    if (found.rows[0]) {
+      const sets = cols.map((c, i) => `${c} = $${i + 1}`).join(", ");
+      await client.query(
+        `UPDATE ${table} SET ${sets}, updated_at = now() WHERE id = $${cols.length + 1}`,
+        [...values, found.rows[0].id],
+      );
+      return { id: found.rows[0].id, updated: true };
+    }
+  }
+  const placeholders = cols.map((_c, i) => `$${i + 1}`).join(", ");
+  const ins = await client.query(
+    `INSERT INTO ${table} (${cols.join(", ")}, ical_uid, updated_at)
+     VALUES (${placeholders}, $${cols.length + 1}, now())
+     RETURNING id`,
+    [...values, uid],
+  );
+  return { id: ins.rows[0].id, updated: false };
+}
+
+router.post("/import", icsUpload.single("file"), async (req, res) => {
+  const db = req.db;
+  const text = req.file?.buffer
+    ? req.file.buffer.toString("utf8")
+    : String(req.body?.ics || "");
+
+  if (!/BEGIN:VCALENDAR/i.test(text)) {
+    return res
+      .status(400)
+      .json({ ok: false, message: "Upload an .ics file (BEGIN:VCALENDAR)." });
+  }
+
+  const plan = buildImportPlan(text, {
+    type: req.body?.type,
+    category_id: toIntOrNull(req.body?.category_id),
+    timezone: String(req.body?.timezone || "").trim(),
+  });
+
+  const dryRun = ["1", "true"].includes(
+    String(req.body?.dry_run ?? req.query.dry_run ?? "").toLowerCase(),
+  );
+  if (dryRun) {
+    return res.json({ ok: true, dry_run: true, ...plan });
+  }
+
+  const client = await db.pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const summary = { created: 0, updated: 0, skipped: plan.skipped };
+    const eventCols = [
+      "title",
+      "type",
+      "start_at",
+      "end_at",
+      "video_id",
+      "category_id",
+      "notes",
+    ];
+
+    for (const e of plan.events) {
+      const r = await upsertByUid(
+        client,
+        "calendar_events",
+        e.ical_uid,
+        eventCols,
+        eventCols.map((c) => e[c]),
+      );
+      summary[r.updated ? "updated" : "created"] += 1;
+    }
+
+    for (const s of plan.series) {
+      const r = await upsertByUid(
+        client,
+        "calendar_series",
+        s.ical_uid,
+        [...eventCols, "recurrence_json"],
+        [...eventCols.map((c) => s[c]), JSON.stringify(s.recurrence)],
+      );
+      summary[r.updated ? "updated" : "created"] += 1;
+
+      // the file is the source of truth for this series' exceptions
+      await client.query(
+        `DELETE FROM calendar_series_exceptions WHERE series_id = $1`,
+        [r.id],
+      );
+      for (const ex of s.exceptions) {
+        await client.query(
+          `INSERT INTO calendar_series_exceptions
+             (series_id, date, action, override_json, created_at)
+           VALUES ($1, $2::date, $3, $4::jsonb, now())
+           ON CONFLICT (series_id, date)
+           DO UPDATE SET
+             action = EXCLUDED.action,
+             override_json = EXCLUDED.override_json`,
+          [
+            r.id,
+            ex.date,
+            ex.action,
+            ex.override ? JSON.stringify(ex.override) : null,
+          ],
+        );
+      }
+    }
+
+    await client.query("COMMIT");
+    return res.json({ ok: true, ...summary });
+  } catch (e) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    console.error("[adminCalendar] POST /import error:", e);
+    return res.status(500).json({ ok: false, message: "Server error" });
+  } finally {
+    client.release();
+  }
+});
+
 module.exports = router;
+
+/* expose helpers so the public feed (routes/calendarFeed.js) can reuse them */
+module.exports._helpers = {
+  recurrenceToRRule,
+  occurrenceStartISO,
+  occurrenceTimes,
+  dateKey,
+  cleanType,
+  cleanText,
+  toIntOrNull,
+  safeJsonParse,
+};
@@ -1,6 +1,10 @@
 // server-api/routes/adminDashboard.js
 const express = require("express");
 const router = express.Router();
+const { requireAuth } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/rbac");
+
+router.use(requireAuth, requirePermission("analytics:view"));
 
 /**
  * Helpers to safely detect columns (so this works even if your schema differs).
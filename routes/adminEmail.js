@@ -3,8 +3,12 @@ const express = require("express");
 const router = express.Router();
 
 const db = require("../db");
-const { requireAuth, requireAdmin } = require("../middleware/auth");
+const { requireAuth } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/rbac");
 const { encryptJSON, decryptJSON } = require("../utils/crypto");
+const segments = require("../services/emailSegments");
+const campaigns = require("../services/emailCampaigns");
+const prefs = require("../services/emailPreferences");
 
 /**
  * Admin Email API
@@ -16,10 +20,28 @@ const { encryptJSON, decryptJSON } = require("../utils/crypto");
  * POST /api/admin/email/disconnect
  * POST /api/admin/email/test
  * POST /api/admin/email/send
+ * GET  /api/admin/email/segments
+ * POST /api/admin/email/segments
+ * PUT  /api/admin/email/segments/:id
+ * DELETE /api/admin/email/segments/:id
+ * POST /api/admin/email/segments/preview
+ * GET  /api/admin/email/segments/:id/preview
  * GET  /api/admin/email/jobs
  * GET  /api/admin/email/jobs/:id/items
+ * POST /api/admin/email/jobs/:id/cancel
+ * GET  /api/admin/email/campaigns
+ * POST /api/admin/email/campaigns
+ * PUT  /api/admin/email/campaigns/:id
+ * DELETE /api/admin/email/campaigns/:id
+ * GET  /api/admin/email/suppressions
+ * POST /api/admin/email/suppressions
+ * DELETE /api/admin/email/suppressions/:email
  */
 
+// Provider settings + suppression list vs. sending/campaigns
+const canEditEmail = requirePermission("email:manage");
+const canSendEmail = requirePermission("email:send");
+
 /* -------------------------------
    Helpers
 -------------------------------- */
@@ -40,7 +62,7 @@ function cleanRegion(v) {
 /* -------------------------------
    GET active connection
 -------------------------------- */
-router.get("/connection", requireAuth, requireAdmin, async (_req, res) => {
+router.get("/connection", requireAuth, canEditEmail, async (_req, res) => {
   try {
     const { rows } = await db.query(
       `SELECT id, provider, is_active, created_at, updated_at
@@ -69,7 +91,7 @@ router.get("/connection", requireAuth, requireAdmin, async (_req, res) => {
      }
    }
 -------------------------------- */
-router.post("/connect", requireAuth, requireAdmin, async (req, res) => {
+router.post("/connect", requireAuth, canEditEmail, async (req, res) => {
   const provider = cleanProvider(req.body?.provider);
   const secrets = req.body?.secrets;
 
@@ -92,6 +114,10 @@ router.post("/connect", requireAuth, requireAdmin, async (req, res) => {
       safeStr(secrets.from_name).trim() ||
       safeStr(secrets.fromName).trim() ||
       "Bishop Robertson TV";
+    // Optional: verifies Mailgun bounce/complaint webhooks
+    const webhookSigningKey =
+      safeStr(secrets.webhook_signing_key).trim() ||
+      safeStr(secrets.webhookSigningKey).trim();
 
     if (provider === "mailgun") {
       if (!apiKey) {
@@ -120,6 +146,7 @@ router.post("/connect", requireAuth, requireAdmin, async (req, res) => {
       region,
       from_email: fromEmail,
       from_name: fromName,
+      webhook_signing_key: webhookSigningKey || null,
     };
 
     const enc = encryptJSON(payload); // packed string: "iv:tag:ciphertext"
@@ -148,7 +175,7 @@ router.post("/connect", requireAuth, requireAdmin, async (req, res) => {
 /* -------------------------------
    DISCONNECT
 -------------------------------- */
-router.post("/disconnect", requireAuth, requireAdmin, async (_req, res) => {
+router.post("/disconnect", requireAuth, canEditEmail, async (_req, res) => {
   try {
     await db.query(
       `UPDATE email_connections
@@ -165,7 +192,7 @@ router.post("/disconnect", requireAuth, requireAdmin, async (_req, res) => {
 /* -------------------------------
    TEST (decrypt secrets; verify required fields)
 -------------------------------- */
-router.post("/test", requireAuth, requireAdmin, async (_req, res) => {
+router.post("/test", requireAuth, canEditEmail, async (_req, res) => {
   try {
     const { rows } = await db.query(
       `SELECT provider, secrets_enc
@@ -204,11 +231,13 @@ router.post("/test", requireAuth, requireAdmin, async (_req, res) => {
      subject,
      html?,
      text?,
-     audience: { type: "all"|"ids", ids?: number[] },
+     audience: { type: "all"|"ids"|"segment"|"rules"|..., ... }
+               (see services/emailSegments.js),
      attachments?: [{name,url,mime,size}]  // optional
+     send_at?: ISO    // future -> job is "scheduled" until then
    }
 -------------------------------- */
-router.post("/send", requireAuth, requireAdmin, async (req, res) => {
+router.post("/send", requireAuth, canSendEmail, async (req, res) => {
   const subject = safeStr(req.body?.subject).trim();
   const html = safeStr(req.body?.html).trim();
   const text = safeStr(req.body?.text).trim();
@@ -217,6 +246,13 @@ router.post("/send", requireAuth, requireAdmin, async (req, res) => {
     ? req.body.attachments
     : [];
 
+  let sendAt;
+  try {
+    sendAt = campaigns.parseSendAt(req.body?.send_at);
+  } catch (e) {
+    return res.status(400).json({ ok: false, error: e.message });
+  }
+
   if (!subject) {
     return res.status(400).json({ ok: false, error: "Missing subject" });
   }
@@ -243,117 +279,161 @@ router.post("/send", requireAuth, requireAdmin, async (req, res) => {
     // Decrypt to fail early if key/format is wrong
     decryptJSON(conn.rows[0].secrets_enc);
 
-    // Recipients (v1 uses users table)
-    const type = safeStr(audience?.type || "all")
-      .trim()
-      .toLowerCase();
-    let recipients = [];
-
-    if (type === "ids") {
-      const ids = Array.isArray(audience?.ids)
-        ? audience.ids.map((x) => Number(x)).filter(Number.isFinite)
-        : [];
-      if (!ids.length) {
-        return res.status(400).json({ ok: false, error: "No ids provided" });
-      }
+    // Recipients (users table, filtered by the audience/segment) are
+    // queued now, or when send_at comes due for scheduled jobs
+    const job = await campaigns.createJob({
+      createdBy: req.user?.id,
+      subject,
+      html,
+      text,
+      audience,
+      attachments,
+      sendAt,
+    });
 
-      const r = await db.query(
-        `SELECT id, email
-         FROM users
-         WHERE id = ANY($1::int[])
-           AND email IS NOT NULL AND email <> ''`,
-        [ids],
-      );
-      recipients = r.rows;
-    } else {
-      const r = await db.query(
-        `SELECT id, email
-         FROM users
-         WHERE email IS NOT NULL AND email <> ''
-         ORDER BY id DESC
-         LIMIT 5000`,
-      );
-      recipients = r.rows;
+    // Worker will send + update items -> sent/failed and job status
+    return res.json({ ok: true, ...job });
+  } catch (e) {
+    if (e.status === 400) {
+      return res.status(400).json({ ok: false, error: e.message });
     }
+    console.error("[adminEmail] POST /send error:", e);
+    return res
+      .status(500)
+      .json({ ok: false, error: "Failed to create send job" });
+  }
+});
 
-    // Create job (try to store attachments if column exists)
-    let jobId;
+/* -------------------------------
+   SEGMENTS (saved audiences)
+   body: { name, description?, rules: <audience> }
+-------------------------------- */
+function segmentError(res, e, label) {
+  if (e.status === 400) {
+    return res.status(400).json({ ok: false, error: e.message });
+  }
+  console.error(`[adminEmail] ${label} error:`, e);
+  return res.status(500).json({ ok: false, error: "Segment request failed" });
+}
 
-    try {
-      const job = await db.query(
-        `INSERT INTO email_jobs
-          (created_by, subject, body_html, body_text, audience, attachments, status, created_at, updated_at)
-         VALUES
-          ($1, $2, $3, $4, $5::jsonb, $6::jsonb, 'queued', NOW(), NOW())
-         RETURNING id`,
-        [
-          req.user?.id || null,
-          subject,
-          html || null,
-          text || null,
-          JSON.stringify({ type, count: recipients.length }),
-          JSON.stringify(attachments),
-        ],
-      );
-      jobId = job.rows[0].id;
-    } catch (_e) {
-      // attachments column probably doesn't exist yet
-      const job = await db.query(
-        `INSERT INTO email_jobs
-          (created_by, subject, body_html, body_text, audience, status, created_at, updated_at)
-         VALUES
-          ($1, $2, $3, $4, $5::jsonb, 'queued', NOW(), NOW())
-         RETURNING id`,
-        [
-          req.user?.id || null,
-          subject,
-          html || null,
-          text || null,
-          JSON.stringify({ type, count: recipients.length }),
-        ],
-      );
-      jobId = job.rows[0].id;
-    }
+router.get("/segments", requireAuth, canSendEmail, async (_req, res) => {
+  try {
+    return res.json({ ok: true, items: await segments.listSegments() });
+  } catch (e) {
+    return segmentError(res, e, "GET /segments");
+  }
+});
 
-    // Bulk insert items
-    if (recipients.length) {
-      const values = [];
-      const params = [];
-      let p = 1;
+router.post("/segments", requireAuth, canSendEmail, async (req, res) => {
+  try {
+    const segment = await segments.saveSegment({
+      name: req.body?.name,
+      description: safeStr(req.body?.description).trim(),
+      rules: req.body?.rules,
+      createdBy: req.user?.id,
+    });
+    return res.json({ ok: true, segment });
+  } catch (e) {
+    return segmentError(res, e, "POST /segments");
+  }
+});
 
-      for (const u of recipients) {
-        values.push(`($${p++}, $${p++}, $${p++}, 'queued', NOW(), NOW())`);
-        params.push(jobId, u.id, u.email);
+// Preview an unsaved audience: { audience } -> recipient count + sample
+router.post(
+  "/segments/preview",
+  requireAuth,
+  canSendEmail,
+  async (req, res) => {
+    try {
+      const audience = req.body?.audience || req.body?.rules;
+      if (!audience) {
+        return res.status(400).json({ ok: false, error: "Missing audience" });
       }
+      const preview = await segments.previewAudience(audience);
+      return res.json({ ok: true, ...preview });
+    } catch (e) {
+      return segmentError(res, e, "POST /segments/preview");
+    }
+  },
+);
+
+router.put("/segments/:id", requireAuth, canSendEmail, async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isFinite(id)) {
+    return res.status(400).json({ ok: false, error: "Invalid segment id" });
+  }
 
-      await db.query(
-        `INSERT INTO email_job_items
-          (job_id, user_id, email, status, created_at, updated_at)
-         VALUES ${values.join(",")}`,
-        params,
-      );
+  try {
+    const segment = await segments.saveSegment({
+      id,
+      name: req.body?.name,
+      description: safeStr(req.body?.description).trim(),
+      rules: req.body?.rules,
+    });
+    if (!segment) {
+      return res.status(404).json({ ok: false, error: "Segment not found" });
     }
+    return res.json({ ok: true, segment });
+  } catch (e) {
+    return segmentError(res, e, "PUT /segments/:id");
+  }
+});
 
-    // Worker will send + update items -> sent/failed and job status
-    return res.json({ ok: true, jobId, queued: recipients.length });
+router.delete("/segments/:id", requireAuth, canSendEmail, async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isFinite(id)) {
+    return res.status(400).json({ ok: false, error: "Invalid segment id" });
+  }
+
+  try {
+    const deleted = await segments.deleteSegment(id);
+    if (!deleted) {
+      return res.status(404).json({ ok: false, error: "Segment not found" });
+    }
+    return res.json({ ok: true, deleted: true, id });
   } catch (e) {
-    console.error("[adminEmail] POST /send error:", e);
-    return res
-      .status(500)
-      .json({ ok: false, error: "Failed to create send job" });
+    return segmentError(res, e, "DELETE /segments/:id");
   }
 });
 
+router.get(
+  "/segments/:id/preview",
+  requireAuth,
+  canSendEmail,
+  async (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({ ok: false, error: "Invalid segment id" });
+    }
+
+    try {
+      const segment = await segments.getSegment(id);
+      if (!segment) {
+        return res.status(404).json({ ok: false, error: "Segment not found" });
+      }
+      const preview = await segments.previewAudience({
+        type: "segment",
+        segment_id: id,
+      });
+      return res.json({ ok: true, segment, ...preview });
+    } catch (e) {
+      return segmentError(res, e, "GET /segments/:id/preview");
+    }
+  },
+);
+
 /* -------------------------------
    LIST jobs
 -------------------------------- */
-router.get("/jobs", requireAuth, requireAdmin, async (req, res) => {
+router.get("/jobs", requireAuth, canSendEmail, async (req, res) => {
   const limit = Math.min(Number(req.query.limit) || 25, 100);
   const offset = Math.max(Number(req.query.offset) || 0, 0);
 
   try {
+    await campaigns.ensureCampaignTables();
     const { rows } = await db.query(
-      `SELECT id, created_by, subject, audience, status, created_at, updated_at
+      `SELECT id, created_by, subject, audience, status, send_at, campaign_id,
+              created_at, updated_at
        FROM email_jobs
        ORDER BY created_at DESC
        LIMIT $1 OFFSET $2`,
@@ -369,7 +449,7 @@ router.get("/jobs", requireAuth, requireAdmin, async (req, res) => {
 /* -------------------------------
    LIST job items
 -------------------------------- */
-router.get("/jobs/:id/items", requireAuth, requireAdmin, async (req, res) => {
+router.get("/jobs/:id/items", requireAuth, canSendEmail, async (req, res) => {
   const jobId = Number(req.params.id);
   if (!Number.isFinite(jobId)) {
     return res.status(400).json({ ok: false, error: "Invalid job id" });
@@ -396,12 +476,178 @@ router.get("/jobs/:id/items", requireAuth, requireAdmin, async (req, res) => {
   }
 });
 
+/* -------------------------------
+   CANCEL a scheduled job (before it is queued)
+   POST /api/admin/email/jobs/:id/cancel
+-------------------------------- */
+router.post("/jobs/:id/cancel", requireAuth, canSendEmail, async (req, res) => {
+  const jobId = Number(req.params.id);
+  if (!Number.isFinite(jobId)) {
+    return res.status(400).json({ ok: false, error: "Invalid job id" });
+  }
+
+  try {
+    const canceled = await campaigns.cancelJob(jobId);
+    if (!canceled) {
+      return res.status(409).json({
+        ok: false,
+        error: "Only scheduled jobs that have not started can be canceled.",
+      });
+    }
+    return res.json({ ok: true, jobId, status: "canceled" });
+  } catch (e) {
+    console.error("[adminEmail] POST /jobs/:id/cancel error:", e);
+    return res.status(500).json({ ok: false, error: "Failed to cancel job" });
+  }
+});
+
+/* -------------------------------
+   RECURRING CAMPAIGNS
+   body: {
+     name, kind: "broadcast"|"new_videos",
+     subject, html?, text?, audience?,
+     start_at,                 // first run (its local time is kept)
+     recurrence: { freq, interval?, byweekday?, ..., timezone },
+     is_active?
+   }
+-------------------------------- */
+function campaignError(res, e, label) {
+  if (e.status === 400) {
+    return res.status(400).json({ ok: false, error: e.message });
+  }
+  console.error(`[adminEmail] ${label} error:`, e);
+  return res.status(500).json({ ok: false, error: "Campaign request failed" });
+}
+
+router.get("/campaigns", requireAuth, canSendEmail, async (_req, res) => {
+  try {
+    return res.json({ ok: true, items: await campaigns.listCampaigns() });
+  } catch (e) {
+    return campaignError(res, e, "GET /campaigns");
+  }
+});
+
+router.post("/campaigns", requireAuth, canSendEmail, async (req, res) => {
+  try {
+    const campaign = await campaigns.saveCampaign(req.body, {
+      createdBy: req.user?.id,
+    });
+    return res.json({ ok: true, campaign });
+  } catch (e) {
+    return campaignError(res, e, "POST /campaigns");
+  }
+});
+
+router.put("/campaigns/:id", requireAuth, canSendEmail, async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isFinite(id)) {
+    return res.status(400).json({ ok: false, error: "Invalid campaign id" });
+  }
+
+  try {
+    const campaign = await campaigns.saveCampaign(req.body, { id });
+    if (!campaign) {
+      return res.status(404).json({ ok: false, error: "Campaign not found" });
+    }
+    return res.json({ ok: true, campaign });
+  } catch (e) {
+    return campaignError(res, e, "PUT /campaigns/:id");
+  }
+});
+
+router.delete("/campaigns/:id", requireAuth, canSendEmail, async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isFinite(id)) {
+    return res.status(400).json({ ok: false, error: "Invalid campaign id" });
+  }
+
+  try {
+    const deleted = await campaigns.deleteCampaign(id);
+    if (!deleted) {
+      return res.status(404).json({ ok: false, error: "Campaign not found" });
+    }
+    return res.json({ ok: true, deleted: true, id });
+  } catch (e) {
+    return campaignError(res, e, "DELETE /campaigns/:id");
+  }
+});
+
+/* -------------------------------
+   Suppression list
+   Bounced / complained / unsubscribed addresses are skipped by the worker.
+   GET    /api/admin/email/suppressions?q=&limit=&offset=
+   POST   /api/admin/email/suppressions { email, reason?, detail? }
+   DELETE /api/admin/email/suppressions/:email
+-------------------------------- */
+router.get("/suppressions", requireAuth, canEditEmail, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+    const items = await prefs.listSuppressions({
+      q: req.query.q || null,
+      limit,
+      offset,
+    });
+    return res.json({ ok: true, items, limit, offset });
+  } catch (e) {
+    console.error("[adminEmail] GET /suppressions error:", e);
+    return res
+      .status(500)
+      .json({ ok: false, error: "Failed to load suppressions" });
+  }
+});
+
+router.post("/suppressions", requireAuth, canEditEmail, async (req, res) => {
+  const email = prefs.normalizeEmail(req.body?.email);
+  if (!email || !email.includes("@")) {
+    return res.status(400).json({ ok: false, error: "Valid email required" });
+  }
+
+  try {
+    const suppression = await prefs.suppress(
+      email,
+      req.body?.reason || "manual",
+      {
+        detail: req.body?.detail,
+        source: "admin",
+        createdBy: req.user?.id,
+      },
+    );
+    return res.json({ ok: true, suppression });
+  } catch (e) {
+    console.error("[adminEmail] POST /suppressions error:", e);
+    return res.status(500).json({ ok: false, error: "Failed to suppress" });
+  }
+});
+
+router.delete(
+  "/suppressions/:email",
+  requireAuth,
+  canEditEmail,
+  async (req, res) => {
+    try {
+      const deleted = await prefs.unsuppress(req.params.email);
+      if (!deleted) {
+        return res
+          .status(404)
+          .json({ ok: false, error: "Suppression not found" });
+      }
+      return res.json({ ok: true, deleted: true });
+    } catch (e) {
+      console.error("[adminEmail] DELETE /suppressions/:email error:", e);
+      return res
+        .status(500)
+        .json({ ok: false, error: "Failed to remove suppression" });
+    }
+  },
+);
+
 /* -------------------------------
    DELETE job + items
    DELETE /api/admin/email/jobs/:id
    Optional: ?force=1 to delete even if queued/sending
 -------------------------------- */
-router.delete("/jobs/:id", requireAuth, requireAdmin, async (req, res) => {
+router.delete("/jobs/:id", requireAuth, canSendEmail, async (req, res) => {
   const jobId = Number(req.params.id);
   if (!Number.isFinite(jobId)) {
     return res.status(400).json({ ok: false, error: "Invalid job id" });
@@ -0,0 +1,98 @@
+// server-api/routes/adminModeration.js
+const express = require("express");
+const router = express.Router();
+
+const { requireAuth } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/rbac");
+const moderation = require("../services/moderation");
+
+/**
+ * Admin moderation queue for reported community/video content.
+ * Mount: app.use("/api/admin/moderation", require("./routes/adminModeration"));
+ *
+ * GET    /api/admin/moderation/queue?status=pending|actioned|dismissed&type=
+ * GET    /api/admin/moderation/reports/:type/:id
+ * POST   /api/admin/moderation/reports/:type/:id/action
+ *          { action: hide|unhide|delete|suspend|dismiss, reason?, days? }
+ * DELETE /api/admin/moderation/suspensions/:userId
+ *
+ * :type is post | community_comment | video_comment
+ */
+
+function sendError(res, e, label) {
+  if (e.status === 400 || e.status === 404) {
+    return res.status(e.status).json({ ok: false, error: e.message });
+  }
+  console.error(`[adminModeration] ${label} error:`, e);
+  return res
+    .status(500)
+    .json({ ok: false, error: "Moderation request failed" });
+}
+
+router.use(requireAuth, requirePermission("community:moderate"));
+
+router.get("/queue", async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+    const items = await moderation.listQueue({
+      status: String(req.query.status || "pending").toLowerCase(),
+      type: req.query.type || null,
+      limit,
+      offset,
+    });
+    return res.json({
+      ok: true,
+      items,
+      limit,
+      offset,
+      threshold: moderation.REPORT_THRESHOLD,
+    });
+  } catch (e) {
+    return sendError(res, e, "GET /queue");
+  }
+});
+
+router.get("/reports/:type/:id", async (req, res) => {
+  try {
+    const items = await moderation.listReports(req.params.type, req.params.id);
+    return res.json({ ok: true, items });
+  } catch (e) {
+    return sendError(res, e, "GET /reports/:type/:id");
+  }
+});
+
+router.post("/reports/:type/:id/action", async (req, res) => {
+  try {
+    const result = await moderation.resolveTarget({
+      type: req.params.type,
+      id: req.params.id,
+      action: req.body?.action,
+      reason: req.body?.reason,
+      days: req.body?.days,
+      adminId: req.user?.id,
+    });
+    return res.json({ ok: true, ...result });
+  } catch (e) {
+    return sendError(res, e, "POST /reports/:type/:id/action");
+  }
+});
+
+router.delete("/suspensions/:userId", async (req, res) => {
+  const userId = Number(req.params.userId);
+  if (!Number.isInteger(userId) || userId <= 0) {
+    return res.status(400).json({ ok: false, error: "Invalid user id" });
+  }
+
+  try {
+    const lifted = await moderation.liftSuspension(userId);
+    if (!lifted) {
+      return res.status(404).json({ ok: false, error: "Not suspended" });
+    }
+    return res.json({ ok: true, lifted: true });
+  } catch (e) {
+    return sendError(res, e, "DELETE /suspensions/:userId");
+  }
+});
+
+module.exports = router;
@@ -2,7 +2,10 @@
 const express = require("express");
 const router = express.Router();
 const pool = require("../db");
-const requireAdmin = require("../middleware/auth"); // kept for consistency, even if not used directly
+const { requireAuth } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/rbac");
+
+router.use(requireAuth, requirePermission("videos:edit"));
 
 /**
  * GET /api/admin/organize/overview
@@ -2,7 +2,8 @@
 const express = require("express");
 const router = express.Router();
 const db = require("../db");
-const authenticateAdmin = require("../middleware/authenticateAdmin");
+const { requireAuth } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/rbac");
 
 function safeSlug(s) {
   return String(s || "")
@@ -12,7 +13,7 @@ function safeSlug(s) {
     .replace(/(^-|-$)/g, "");
 }
 
-router.use(authenticateAdmin);
+router.use(requireAuth, requirePermission("pages:edit"));
 
 /**
  * IMPORTANT:
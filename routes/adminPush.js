@@ -0,0 +1,207 @@
+// server-api/routes/adminPush.js
+const express = require("express");
+const router = express.Router();
+
+const { requireAuth } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/rbac");
+const push = require("../services/pushCampaigns");
+
+/**
+ * Admin Push API (campaign composer + delivery reports)
+ * Mount: app.use("/api/admin/push", require("./routes/adminPush"));
+ *
+ * Endpoints:
+ * POST /api/admin/push/preview
+ * POST /api/admin/push/test
+ * GET  /api/admin/push/campaigns
+ * POST /api/admin/push/campaigns
+ * GET  /api/admin/push/campaigns/:id
+ * PUT  /api/admin/push/campaigns/:id
+ * POST /api/admin/push/campaigns/:id/send
+ * POST /api/admin/push/campaigns/:id/cancel
+ * GET  /api/admin/push/campaigns/:id/deliveries
+ *
+ * Campaign body: {
+ *   title, body, image_url?, route?,   // route = app deep link, e.g. "/watch/42"
+ *   audience?,                         // see services/pushCampaigns.js
+ *   send_at?                           // ISO time; omitted -> draft
+ * }
+ */
+
+const canSendPush = requirePermission("push:send");
+
+/* -------------------------------
+   Helpers
+-------------------------------- */
+function pushError(res, e, label) {
+  if (e.status === 400) {
+    return res.status(400).json({ ok: false, error: e.message });
+  }
+  console.error(`[adminPush] ${label} error:`, e);
+  return res.status(500).json({ ok: false, error: "Push request failed" });
+}
+
+function campaignId(req, res) {
+  const id = Number(req.params.id);
+  if (!Number.isFinite(id)) {
+    res.status(400).json({ ok: false, error: "Invalid campaign id" });
+    return null;
+  }
+  return id;
+}
+
+/* -------------------------------
+   COMPOSER
+-------------------------------- */
+
+// { audience } -> users/devices it reaches, by platform
+router.post("/preview", requireAuth, canSendPush, async (req, res) => {
+  try {
+    const preview = await push.previewAudience(req.body?.audience);
+    return res.json({ ok: true, ...preview });
+  } catch (e) {
+    return pushError(res, e, "POST /preview");
+  }
+});
+
+// Send the composed message to the caller's own devices
+router.post("/test", requireAuth, canSendPush, async (req, res) => {
+  try {
+    const result = await push.sendTest(req.body, req.user.id);
+    return res.json({ ok: true, ...result });
+  } catch (e) {
+    return pushError(res, e, "POST /test");
+  }
+});
+
+/* -------------------------------
+   CAMPAIGNS
+-------------------------------- */
+router.get("/campaigns", requireAuth, canSendPush, async (req, res) => {
+  try {
+    const items = await push.listCampaigns({
+      limit: req.query.limit,
+      offset: req.query.offset,
+    });
+    return res.json({ ok: true, items });
+  } catch (e) {
+    return pushError(res, e, "GET /campaigns");
+  }
+});
+
+router.post("/campaigns", requireAuth, canSendPush, async (req, res) => {
+  try {
+    const campaign = await push.saveCampaign(req.body, {
+      createdBy: req.user?.id,
+    });
+    return res.json({ ok: true, campaign });
+  } catch (e) {
+    return pushError(res, e, "POST /campaigns");
+  }
+});
+
+// Campaign + delivery report (by status/platform, top FCM errors)
+router.get("/campaigns/:id", requireAuth, canSendPush, async (req, res) => {
+  const id = campaignId(req, res);
+  if (id === null) return;
+
+  try {
+    const report = await push.campaignReport(id);
+    if (!report) {
+      return res.status(404).json({ ok: false, error: "Campaign not found" });
+    }
+    return res.json({ ok: true, ...report });
+  } catch (e) {
+    return pushError(res, e, "GET /campaigns/:id");
+  }
+});
+
+router.put("/campaigns/:id", requireAuth, canSendPush, async (req, res) => {
+  const id = campaignId(req, res);
+  if (id === null) return;
+
+  try {
+    const campaign = await push.saveCampaign(req.body, { id });
+    if (!campaign) {
+      return res.status(404).json({ ok: false, error: "Campaign not found" });
+    }
+    return res.json({ ok: true, campaign });
+  } catch (e) {
+    return pushError(res, e, "PUT /campaigns/:id");
+  }
+});
+
+router.post(
+  "/campaigns/:id/send",
+  requireAuth,
+  canSendPush,
+  async (req, res) => {
+    const id = campaignId(req, res);
+    if (id === null) return;
+
+    try {
+      const campaign = await push.sendNow(id);
+      if (!campaign) {
+        return res.status(409).json({
+          ok: false,
+          error: "Only draft or scheduled campaigns can be sent.",
+        });
+      }
+      return res.json({ ok: true, campaign });
+    } catch (e) {
+      return pushError(res, e, "POST /campaigns/:id/send");
+    }
+  },
+);
+
+router.post(
+  "/campaigns/:id/cancel",
+  requireAuth,
+  canSendPush,
+  async (req, res) => {
+    const id = campaignId(req, res);
+    if (id === null) return;
+
+    try {
+      const canceled = await push.cancelCampaign(id);
+      if (!canceled) {
+        return res.status(409).json({
+          ok: false,
+          error: "Only campaigns that have not started can be canceled.",
+        });
+      }
+      return res.json({ ok: true, id, status: "canceled" });
+    } catch (e) {
+      return pushError(res, e, "POST /campaigns/:id/cancel");
+    }
+  },
+);
+
+// Per-device results: ?status=pending|sent|failed&limit=&offset=
+router.get(
+  "/campaigns/:id/deliveries",
+  requireAuth,
+  canSendPush,
+  async (req, res) => {
+    const id = campaignId(req, res);
+    if (id === null) return;
+
+    const status = req.query.status ? String(req.query.status) : null;
+    if (status && !["pending", "sent", "failed"].includes(status)) {
+      return res.status(400).json({ ok: false, error: "Invalid status" });
+    }
+
+    try {
+      const items = await push.listDeliveries(id, {
+        status,
+        limit: req.query.limit,
+        offset: req.query.offset,
+      });
+      return res.json({ ok: true, items });
+    } catch (e) {
+      return pushError(res, e, "GET /campaigns/:id/deliveries");
+    }
+  },
+);
+
+module.exports = router;
@@ -2,6 +2,8 @@
 const express = require("express");
 const router = express.Router();
 const pool = require("../db");
+const { requireAuth } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/rbac");
 
 const multer = require("multer");
 const path = require("path");
@@ -82,6 +84,8 @@ const upload = multer({
   },
 });
 
+router.use(requireAuth, requirePermission("pages:edit"));
+
 /* -------------------------------------------------------
    Bunny Storage uploader
 ------------------------------------------------------- */
@@ -0,0 +1,94 @@
+// server-api/routes/adminRoles.js
+const express = require("express");
+const router = express.Router();
+
+const { requireAuth } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/rbac");
+const rbac = require("../services/rbac");
+
+/**
+ * Admin Roles API (roles:manage)
+ * Mount: app.use("/api/admin/roles", require("./routes/adminRoles"));
+ *
+ * GET    /api/admin/roles              -> { roles, permissions }
+ * POST   /api/admin/roles              { name, description?, permissions: [] }
+ * PUT    /api/admin/roles/:id          { description?, permissions: [] }
+ * DELETE /api/admin/roles/:id
+ *
+ * System roles (admin, editor, moderator, marketer) are read-only.
+ * Assign roles to users with PUT /api/admin/users/:id/roles.
+ */
+
+function sendError(res, e, label) {
+  if (e.status === 400) {
+    return res.status(400).json({ ok: false, error: e.message });
+  }
+  console.error(`[adminRoles] ${label} error:`, e);
+  return res.status(500).json({ ok: false, error: "Role request failed" });
+}
+
+router.use(requireAuth, requirePermission("roles:manage"));
+
+router.get("/", async (_req, res) => {
+  try {
+    const roles = await rbac.listRoles();
+    return res.json({ ok: true, roles, permissions: rbac.PERMISSIONS });
+  } catch (e) {
+    return sendError(res, e, "GET /");
+  }
+});
+
+router.post("/", async (req, res) => {
+  try {
+    const role = await rbac.saveRole({
+      name: req.body?.name,
+      description: req.body?.description,
+      permissions: req.body?.permissions,
+    });
+    return res.status(201).json({ ok: true, role });
+  } catch (e) {
+    return sendError(res, e, "POST /");
+  }
+});
+
+router.put("/:id", async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ ok: false, error: "Invalid role id" });
+  }
+
+  try {
+    const role = await rbac.saveRole({
+      id,
+      description: req.body?.description,
+      permissions: req.body?.permissions,
+    });
+    if (!role) {
+      return res.status(404).json({ ok: false, error: "Role not found" });
+    }
+    return res.json({ ok: true, role });
+  } catch (e) {
+    return sendError(res, e, "PUT /:id");
+  }
+});
+
+router.delete("/:id", async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ ok: false, error: "Invalid role id" });
+  }
+
+  try {
+    const deleted = await rbac.deleteRole(id);
+    if (!deleted) {
+      return res
+        .status(404)
+        .json({ ok: false, error: "Role not found or is a system role" });
+    }
+    return res.json({ ok: true, deleted: true, id });
+  } catch (e) {
+    return sendError(res, e, "DELETE /:id");
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,9 @@
 const express = require("express");
 const bcrypt = require("bcrypt");
 const router = express.Router();
+const { requireAuth } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/rbac");
+const rbac = require("../services/rbac");
 
 const BCRYPT_ROUNDS = Number(process.env.BCRYPT_ROUNDS || 10);
 
@@ -47,77 +50,11 @@ function normalizeRole(role) {
 }
 
 /**
- * DB-backed admin guard (matches auth-bridge.js)
- * - authBridge sets req.user = { id }
- * - we verify admin by reading users.role (or fallback columns if schema differs)
+ * Guards come from the RBAC layer (services/rbac.js):
+ * users:manage for accounts, roles:manage for role assignment.
  */
-async function isAdminUser(db, userId) {
-  const usersTable = "users";
-
-  const idCol = await pickFirstExistingColumn(db, usersTable, [
-    "id",
-    "user_id",
-  ]);
-  if (!idCol) return false;
-
-  const roleCol = await pickFirstExistingColumn(db, usersTable, [
-    "role",
-    "user_role",
-    "type",
-  ]);
-
-  const isAdminCol = await pickFirstExistingColumn(db, usersTable, [
-    "is_admin",
-    "isAdmin",
-    "admin",
-  ]);
-
-  if (isAdminCol) {
-    const sql = `
-      SELECT (${isAdminCol} = true) AS ok
-      FROM ${usersTable}
-      WHERE ${idCol} = $1
-      LIMIT 1
-    `;
-    const r = await db.query(sql, [userId]);
-    return !!r.rows?.[0]?.ok;
-  }
-
-  if (roleCol) {
-    const sql = `
-      SELECT LOWER(COALESCE(${roleCol}::text,'')) AS role
-      FROM ${usersTable}
-      WHERE ${idCol} = $1
-      LIMIT 1
-    `;
-    const r = await db.query(sql, [userId]);
-    const role = r.rows?.[0]?.role || "";
-    return ["admin", "super_admin", "superadmin"].includes(role);
-  }
-
-  return false;
-}
-
-async function requireAdmin(req, res, next) {
-  try {
-    const db = req.db;
-
-    const userId = Number(req.user?.id);
-    if (!Number.isFinite(userId) || userId <= 0) {
-      return res.status(401).json({ ok: false, message: "Unauthorized" });
-    }
-
-    const ok = await isAdminUser(db, userId);
-    if (!ok) {
-      return res.status(403).json({ ok: false, message: "Forbidden" });
-    }
-
-    return next();
-  } catch (e) {
-    console.error("[adminUsers] requireAdmin error:", e);
-    return res.status(500).json({ ok: false, message: "Server error" });
-  }
-}
+const canManageUsers = [requireAuth, requirePermission("users:manage")];
+const canManageRoles = [requireAuth, requirePermission("roles:manage")];
 
 /**
  * GET /api/admin/users
@@ -128,7 +65,7 @@ async function requireAdmin(req, res, next) {
  *  - sort (created_at|id|name|email|role)
  *  - order (asc|desc)
  */
-router.get("/", requireAdmin, async (req, res) => {
+router.get("/", canManageUsers, async (req, res) => {
   try {
     const db = req.db;
     const usersTable = "users";
@@ -247,7 +184,7 @@ router.get("/", requireAdmin, async (req, res) => {
  * GET /api/admin/users/:id
  * Returns a single user (safe fields only)
  */
-router.get("/:id", requireAdmin, async (req, res) => {
+router.get("/:id", canManageUsers, async (req, res) => {
   try {
     const db = req.db;
     const usersTable = "users";
@@ -323,7 +260,7 @@ router.get("/:id", requireAdmin, async (req, res) => {
  * Body: { name, email, role, password? }
  * - password optional; if provided, hashes and updates password_hash/password column
  */
-router.put("/:id", requireAdmin, async (req, res) => {
+router.put("/:id", canManageUsers, async (req, res) => {
   try {
     const db = req.db;
     const usersTable = "users";
@@ -394,7 +331,8 @@ router.put("/:id", requireAdmin, async (req, res) => {
       sets.push(`${emailCol} = $${idx++}`);
       params.push(email);
     }
-    if (roleCol) {
+    // Changing the legacy role column is a role assignment
+    if (roleCol && rbac.can(req.access, "roles:manage")) {
       sets.push(`${roleCol} = $${idx++}`);
       params.push(role);
     }
@@ -438,6 +376,7 @@ router.put("/:id", requireAdmin, async (req, res) => {
     if (r.rowCount === 0)
       return res.status(404).json({ ok: false, message: "User not found" });
 
+    rbac.invalidateAccess(userId);
     return res.json({ ok: true, id: r.rows?.[0]?.id });
   } catch (e) {
     console.error("[adminUsers] update error:", e);
@@ -446,7 +385,7 @@ router.put("/:id", requireAdmin, async (req, res) => {
 });
 
 // DELETE /api/admin/users/:id
-router.delete("/:id", requireAdmin, async (req, res) => {
+router.delete("/:id", canManageUsers, async (req, res) => {
   const db = req.db;
   const usersTable = "users";
   const userId = Number(req.params.id);
@@ -493,4 +432,76 @@ router.delete("/:id", requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/users/:id/roles
+ * Assigned roles plus the effective roles/permissions (incl. legacy users.role).
+ */
+router.get("/:id/roles", canManageRoles, async (req, res) => {
+  const userId = Number(req.params.id);
+  if (!Number.isFinite(userId) || userId <= 0) {
+    return res.status(400).json({ ok: false, message: "Invalid user id" });
+  }
+
+  try {
+    const [assigned, access] = await Promise.all([
+      rbac.getUserRoles(userId),
+      rbac.loadAccess(userId),
+    ]);
+    if (!access.userId) {
+      return res.status(404).json({ ok: false, message: "User not found" });
+    }
+    return res.json({
+      ok: true,
+      assigned,
+      roles: access.roles,
+      permissions: access.permissions,
+    });
+  } catch (e) {
+    console.error("[adminUsers] get roles error:", e);
+    return res.status(500).json({ ok: false, message: "Server error" });
+  }
+});
+
+/**
+ * PUT /api/admin/users/:id/roles
+ * Body: { roles: ["editor", "moderator"] }  (replaces assigned roles)
+ */
+router.put("/:id/roles", canManageRoles, async (req, res) => {
+  const userId = Number(req.params.id);
+  if (!Number.isFinite(userId) || userId <= 0) {
+    return res.status(400).json({ ok: false, message: "Invalid user id" });
+  }
+  if (!Array.isArray(req.body?.roles)) {
+    return res
+      .status(400)
+      .json({ ok: false, message: "roles must be an array" });
+  }
+
+  try {
+    const exists = await req.db.query(`SELECT 1 FROM users WHERE id = $1`, [
+      userId,
+    ]);
+    if (!exists.rowCount) {
+      return res.status(404).json({ ok: false, message: "User not found" });
+    }
+
+    const access = await rbac.setUserRoles(
+      userId,
+      req.body.roles,
+      req.user?.id,
+    );
+    return res.json({
+      ok: true,
+      roles: access.roles,
+      permissions: access.permissions,
+    });
+  } catch (e) {
+    if (e.status === 400) {
+      return res.status(400).json({ ok: false, message: e.message });
+    }
+    console.error("[adminUsers] set roles error:", e);
+    return res.status(500).json({ ok: false, message: "Server error" });
+  }
+});
+
 module.exports = router;
@@ -1,109 +1,16 @@
 // server-api/routes/analytics.js
-const router = require("express").Router();
+const express = require("express");
+const router = express.Router();
 const db = require("../db");
 const { requireAuth } = require("../middleware/auth"); // matches your auth.js exports
+const { isHistoryPaused } = require("../services/watchProgress");
+const analytics = require("../services/analyticsEvents");
 
-function clampInt(n, min, max) {
-  const x = Number(n);
-  if (!Number.isFinite(x)) return null;
-  const xi = Math.floor(x);
-  return Math.max(min, Math.min(max, xi));
-}
-
-// ---- schema cache ----
-let __analyticsSchema = null;
-
-async function getAnalyticsSchema() {
-  if (__analyticsSchema) return __analyticsSchema;
-
-  const r = await db.query(
-    `
-    SELECT column_name
-    FROM information_schema.columns
-    WHERE table_schema='public'
-      AND table_name='analytics_events'
-  `,
-  );
+const { getAnalyticsSchema } = analytics;
 
-  const cols = new Set((r.rows || []).map((x) => x.column_name));
-  const has = (c) => cols.has(c);
-
-  const schema = {
-    cols,
-
-    // type columns (some schemas have one or both)
-    hasType: has("type"),
-    hasEventType: has("event_type"),
-
-    // time columns
-    hasCreatedAt: has("created_at"),
-    hasOccurredAt: has("occurred_at"),
-
-    // user identity columns
-    hasUserId: has("user_id"),
-    hasMemberId: has("member_id"),
-    hasAccountId: has("account_id"),
-
-    // anon
-    hasAnonId: has("anon_id"),
-
-    // video id columns
-    hasVideoId: has("video_id"),
-    hasVodId: has("vod_id"),
-
-    // position/duration columns
-    posCol: has("position_sec")
-      ? "position_sec"
-      : has("position_seconds")
-        ? "position_seconds"
-        : null,
-    durCol: has("duration_sec")
-      ? "duration_sec"
-      : has("duration_seconds")
-        ? "duration_seconds"
-        : null,
-
-    hasPage: has("page"),
-    hasMeta: has("meta"),
-  };
-
-  schema.typeExpr =
-    schema.hasType && schema.hasEventType
-      ? "COALESCE(type, event_type)"
-      : schema.hasType
-        ? "type"
-        : schema.hasEventType
-          ? "event_type"
-          : null;
-
-  schema.timeExpr =
-    schema.hasCreatedAt && schema.hasOccurredAt
-      ? "COALESCE(created_at, occurred_at)"
-      : schema.hasCreatedAt
-        ? "created_at"
-        : schema.hasOccurredAt
-          ? "occurred_at"
-          : null;
-
-  schema.userExpr =
-    schema.hasUserId || schema.hasMemberId || schema.hasAccountId
-      ? `COALESCE(${schema.hasUserId ? "user_id" : "NULL"},
-               ${schema.hasMemberId ? "member_id" : "NULL"},
-               ${schema.hasAccountId ? "account_id" : "NULL"})`
-      : null;
-
-  schema.videoExpr =
-    schema.hasVideoId && schema.hasVodId
-      ? "COALESCE(video_id, vod_id)"
-      : schema.hasVideoId
-        ? "video_id"
-        : schema.hasVodId
-          ? "vod_id"
-          : null;
-
-  __analyticsSchema = schema;
-  return schema;
-}
+const MAX_BATCH = 100;
+const ANON_COOKIE = "anon_id";
+const ANON_COOKIE_MAX_AGE_MS = 365 * 24 * 60 * 60 * 1000;
 
 function getActorId(req) {
   const actor = req.user || req.admin || null;
@@ -114,158 +21,86 @@ function getActorId(req) {
 
 // quick dev helper
 router.post("/_refresh-schema", requireAuth, async (_req, res) => {
-  __analyticsSchema = null;
+  analytics.resetSchema();
   await getAnalyticsSchema();
   res.json({ ok: true });
 });
 
-// ---------- POST /api/analytics/event ----------
-router.post("/event", requireAuth, async (req, res) => {
-  try {
-    const s = await getAnalyticsSchema();
-
-    if (!s.typeExpr) {
-      return res.status(500).json({
-        ok: false,
-        error: "analytics_events missing type/event_type column",
-      });
-    }
-    if (!s.timeExpr) {
-      return res.status(500).json({
-        ok: false,
-        error: "analytics_events missing created_at/occurred_at column",
-      });
-    }
-
-    const actorId = getActorId(req);
-
-    if (!actorId && !s.hasAnonId) {
-      return res.status(401).json({ ok: false, error: "Unauthorized" });
-    }
-
-    const {
-      event_type,
-      video_id,
-      position_seconds,
-      duration_seconds,
-      meta,
-      page,
-      anon_id,
-    } = req.body || {};
-
-    const allowed = new Set([
-      // VOD
-      "video_play",
-      "video_progress",
-      "video_complete",
-      // LIVE
-      "live_open",
-      "live_progress",
-      "live_leave",
-    ]);
-    const et = allowed.has(event_type) ? event_type : null;
-    if (!et) {
-      return res.status(400).json({ ok: false, error: "Invalid event_type" });
-    }
-
-    // For video_* events we require a video id (this prevents "Top Videos only shows one item" bugs)
-    const isVideoEvent = et.startsWith("video_");
-    if (isVideoEvent && (video_id == null || video_id === "")) {
-      return res
-        .status(400)
-        .json({ ok: false, error: "video_id is required for video events" });
-    }
+function cookieValue(req, name) {
+  const hit = String(req.headers.cookie || "")
+    .split(/;\s*/)
+    .find((c) => c.startsWith(`${name}=`));
+  return hit ? decodeURIComponent(hit.slice(name.length + 1)) : null;
+}
 
-    const pos = clampInt(position_seconds, 0, 24 * 60 * 60);
-    const dur = clampInt(duration_seconds, 0, 24 * 60 * 60);
-
-    const cols = [];
-    const vals = [];
-    const params = [];
-
-    // ---- identity ----
-    if (actorId != null) {
-      if (s.hasUserId) {
-        cols.push("user_id");
-        vals.push(`$${(params.push(actorId), params.length)}`);
-      } else if (s.hasMemberId) {
-        cols.push("member_id");
-        vals.push(`$${(params.push(actorId), params.length)}`);
-      } else if (s.hasAccountId) {
-        cols.push("account_id");
-        vals.push(`$${(params.push(actorId), params.length)}`);
-      } else if (s.hasAnonId) {
-        cols.push("anon_id");
-        vals.push(`$${(params.push(anon_id || null), params.length)}`);
-      }
-    } else if (s.hasAnonId) {
-      cols.push("anon_id");
-      vals.push(`$${(params.push(anon_id || null), params.length)}`);
+/**
+ * Who the events belong to. Signed-in viewers are recorded by user id
+ * (plus their anon_id, so a preview session can be joined to the account);
+ * logged-out viewers by an anonymous session id from the body or the
+ * anon_id cookie, minted here when they have neither.
+ * Paused watch history: keep the event, drop who watched.
+ */
+async function resolveIdentity(req, res, bodyAnonId) {
+  const actorId = getActorId(req);
+  let anonId =
+    analytics.cleanAnonId(bodyAnonId) ||
+    analytics.cleanAnonId(cookieValue(req, ANON_COOKIE));
+
+  if (actorId != null) {
+    if (await isHistoryPaused(actorId)) {
+      return { userId: null, anonId: null, key: `u:${actorId}`, paused: true };
     }
+    return { userId: actorId, anonId };
+  }
 
-    // ---- video id ----
-    const vid =
-      video_id == null || video_id === ""
-        ? null
-        : Number.isFinite(Number(video_id))
-          ? Number(video_id)
-          : String(video_id);
-
-    if (s.hasVideoId) {
-      cols.push("video_id");
-      vals.push(`$${(params.push(vid), params.length)}`);
-    } else if (s.hasVodId) {
-      cols.push("vod_id");
-      vals.push(`$${(params.push(vid), params.length)}`);
-    }
+  if (!anonId) {
+    anonId = analytics.newAnonId();
+    res.cookie(ANON_COOKIE, anonId, {
+      maxAge: ANON_COOKIE_MAX_AGE_MS,
+      httpOnly: false,
+      sameSite: "lax",
+      secure: req.secure,
+    });
+  }
+  return { userId: null, anonId };
+}
 
-    // ---- write BOTH type columns when both exist ----
-    if (s.hasType) {
-      cols.push("type");
-      vals.push(`$${(params.push(et), params.length)}`);
-    }
-    if (s.hasEventType) {
-      cols.push("event_type");
-      vals.push(`$${(params.push(et), params.length)}`);
-    }
+function schemaError(res, s) {
+  if (!s.typeExpr) {
+    return res.status(500).json({
+      ok: false,
+      error: "analytics_events missing type/event_type column",
+    });
+  }
+  if (!s.timeExpr) {
+    return res.status(500).json({
+      ok: false,
+      error: "analytics_events missing created_at/occurred_at column",
+    });
+  }
+  return null;
+}
 
-    // position/duration
-    if (s.posCol) {
-      cols.push(s.posCol);
-      vals.push(`$${(params.push(pos), params.length)}`);
-    }
-    if (s.durCol) {
-      cols.push(s.durCol);
-      vals.push(`$${(params.push(dur), params.length)}`);
+// ---------- POST /api/analytics/event ----------
+// One event (signed in or anonymous); written by the buffered writer.
+router.post("/event", async (req, res) => {
+  try {
+    const s = await getAnalyticsSchema();
+    if (schemaError(res, s)) return;
+    if (getActorId(req) == null && !s.hasAnonId) {
+      return res.status(401).json({ ok: false, error: "Unauthorized" });
     }
 
-    // page/meta
-    if (s.hasPage) {
-      cols.push("page");
-      vals.push(`$${(params.push(page || null), params.length)}`);
-    }
-    if (s.hasMeta) {
-      cols.push("meta");
-      // ensure jsonb/json storage works reliably
-      const cleanMeta = meta && typeof meta === "object" ? meta : {};
-      vals.push(`$${(params.push(cleanMeta), params.length)}::jsonb`);
-    }
+    const body = req.body || {};
+    const identity = await resolveIdentity(req, res, body.anon_id);
 
-    // ---- write BOTH time columns when both exist ----
-    if (s.hasCreatedAt) {
-      cols.push("created_at");
-      vals.push("NOW()");
-    }
-    if (s.hasOccurredAt) {
-      cols.push("occurred_at");
-      vals.push("NOW()");
+    let event;
+    try {
+      event = analytics.normalizeEvent(body, identity);
+    } catch (e) {
+      return res.status(400).json({ ok: false, error: e.message });
     }
-
-    await db.query(
-      `INSERT INTO analytics_events (${cols.join(", ")})
-       VALUES (${vals.join(", ")})`,
-      params,
-    );
+    analytics.enqueue([event]);
 
     res.json({ ok: true });
   } catch (err) {
@@ -274,6 +109,72 @@ router.post("/event", requireAuth, async (req, res) => {
   }
 });
 
+// ---------- POST /api/analytics/events ----------
+// Batch: { anon_id?, events: [{ event_type, video_id?, position_seconds?,
+//   duration_seconds?, page?, meta?, event_id?, ts? }] } or a bare array.
+// Also accepts navigator.sendBeacon's text/plain body (same JSON).
+router.post(
+  "/events",
+  express.text({ type: "text/plain", limit: "256kb" }),
+  async (req, res) => {
+    try {
+      const s = await getAnalyticsSchema();
+      if (schemaError(res, s)) return;
+
+      let body = req.body;
+      if (typeof body === "string") {
+        try {
+          body = JSON.parse(body || "null");
+        } catch {
+          return res.status(400).json({ ok: false, error: "Invalid JSON" });
+        }
+      }
+      const list = Array.isArray(body) ? body : body?.events;
+      if (!Array.isArray(list) || !list.length) {
+        return res.status(400).json({ ok: false, error: "No events" });
+      }
+      if (list.length > MAX_BATCH) {
+        return res.status(413).json({
+          ok: false,
+          error: `At most ${MAX_BATCH} events per request`,
+        });
+      }
+
+      if (getActorId(req) == null && !s.hasAnonId) {
+        return res.status(401).json({ ok: false, error: "Unauthorized" });
+      }
+
+      const identity = await resolveIdentity(
+        req,
+        res,
+        Array.isArray(body) ? null : body?.anon_id,
+      );
+
+      const events = [];
+      let rejected = 0;
+      for (const raw of list) {
+        try {
+          events.push(analytics.normalizeEvent(raw, identity));
+        } catch {
+          rejected += 1;
+        }
+      }
+      const { accepted, duplicates } = analytics.enqueue(events);
+
+      res.json({
+        ok: true,
+        accepted,
+        duplicates,
+        rejected,
+        anon_id: identity.userId ? undefined : identity.anonId,
+      });
+    } catch (err) {
+      console.error("POST /api/analytics/events error:", err);
+      res.status(500).json({ ok: false, error: "Server error" });
+    }
+  },
+);
+
 // ---------- GET /api/analytics/summary?days=30&ping_seconds=15&dedupe_plays=1 ----------
 router.get("/summary", requireAuth, async (req, res) => {
   try {
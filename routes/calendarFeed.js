@@ -0,0 +1,180 @@
+// server-api/routes/calendarFeed.js
+const express = require("express");
+const router = express.Router();
+
+const { buildCalendar } = require("../services/ical");
+const { seriesRule } = require("../services/recurrence");
+const {
+  recurrenceToRRule,
+  occurrenceTimes,
+  dateKey,
+  cleanType,
+  safeJsonParse,
+} = require("./adminCalendar")._helpers;
+
+/**
+ * Public iCalendar subscription feed (Google / Apple / Outlook).
+ *
+ *   GET /api/calendar/feed/:token.ics[?category_id=]
+ *
+ * Tokens are created/revoked in /api/admin/calendar/feeds. A token bound
+ * to a category only ever exposes that category.
+ */
+
+const CALENDAR_NAME = "Bishop Robertson TV";
+const UID_DOMAIN = "bishop.tv";
+const PAST_DAYS = 180;
+
+function toObj(v) {
+  return typeof v === "string" ? safeJsonParse(v) : v || null;
+}
+
+function seriesEvents(s, exceptions) {
+  const rec = toObj(s.recurrence_json) || {};
+  const { tz } = seriesRule(s);
+  const uid = s.ical_uid || `series-${s.id}@${UID_DOMAIN}`;
+  const categories = s.category_name ? [s.category_name] : [];
+
+  const exdates = [];
+  const overrides = [];
+  for (const ex of exceptions) {
+    const dateOnly = dateKey(ex.date);
+
+    if (String(ex.action).toLowerCase() === "skip") {
+      exdates.push(occurrenceTimes(s, dateOnly).original_start_at);
+      continue;
+    }
+
+    const o = toObj(ex.override_json) || {};
+    const ts = occurrenceTimes(s, dateOnly, o);
+    overrides.push({
+      uid,
+      tz,
+      recurrenceId: ts.original_start_at,
+      start: ts.start_at,
+      end: ts.end_at,
+      summary: o.title ?? s.title,
+      description: o.notes ?? s.notes,
+      categories,
+      x: { "BRTV-TYPE": cleanType(o.type ?? s.type) },
+    });
+  }
+
+  return [
+    {
+      uid,
+      tz,
+      start: s.start_at,
+      end: s.end_at,
+      summary: s.title,
+      description: s.notes,
+      categories,
+      rrule: recurrenceToRRule(rec, s.start_at),
+      exdates,
+      stamp: s.updated_at || undefined,
+      x: { "BRTV-TYPE": cleanType(s.type) },
+    },
+    ...overrides,
+  ];
+}
+
+router.get("/feed/:token", async (req, res) => {
+  try {
+    const db = req.db;
+    const token = String(req.params.token || "").replace(/\.ics$/i, "");
+    if (!token) return res.status(404).send("Not found");
+
+    const t = await db.query(
+      `UPDATE calendar_feed_tokens SET last_accessed_at = now()
+       WHERE token = $1 AND revoked_at IS NULL
+       RETURNING id, category_id`,
+      [token],
+    );
+    const feed = t.rows[0];
+    if (!feed) return res.status(404).send("Not found");
+
+    const queryCategory = Number(req.query.category_id);
+    const categoryId =
+      feed.category_id ??
+      (Number.isFinite(queryCategory) && queryCategory > 0
+        ? queryCategory
+        : null);
+
+    const singles = await db.query(
+      `SELECT e.id, e.title, e.type, e.start_at, e.end_at, e.notes,
+              e.ical_uid, e.updated_at, c.name AS category_name
+       FROM calendar_events e
+       LEFT JOIN categories c ON c.id = e.category_id
+       WHERE e.start_at >= now() - ($1::int * interval '1 day')
+         AND ($2::int IS NULL OR e.category_id = $2)
+       ORDER BY e.start_at ASC`,
+      [PAST_DAYS, categoryId],
+    );
+
+    const series = await db.query(
+      `SELECT s.id, s.title, s.type, s.start_at, s.end_at, s.notes,
+              s.recurrence_json, s.ical_uid, s.updated_at,
+              c.name AS category_name
+       FROM calendar_series s
+       LEFT JOIN categories c ON c.id = s.category_id
+       WHERE ($1::int IS NULL OR s.category_id = $1)
+         AND (
+           (s.recurrence_json->>'until') IS NULL
+           OR (s.recurrence_json->>'until')::timestamptz
+                >= now() - ($2::int * interval '1 day')
+         )
+       ORDER BY s.start_at ASC`,
+      [categoryId, PAST_DAYS],
+    );
+
+    const seriesIds = series.rows.map((s) => s.id);
+    const exBySeries = new Map();
+    if (seriesIds.length) {
+      const ex = await db.query(
+        `SELECT series_id, date, action, override_json
+         FROM calendar_series_exceptions
+         WHERE series_id = ANY($1::bigint[])
+         ORDER BY date ASC`,
+        [seriesIds],
+      );
+      for (const row of ex.rows) {
+        if (!exBySeries.has(row.series_id)) exBySeries.set(row.series_id, []);
+        exBySeries.get(row.series_id).push(row);
+      }
+    }
+
+    const events = [
+      ...singles.rows.map((e) => ({
+        uid: e.ical_uid || `event-${e.id}@${UID_DOMAIN}`,
+        start: e.start_at,
+        end: e.end_at,
+        summary: e.title,
+        description: e.notes,
+        categories: e.category_name ? [e.category_name] : [],
+        stamp: e.updated_at || undefined,
+        x: { "BRTV-TYPE": cleanType(e.type) },
+      })),
+      ...series.rows.flatMap((s) =>
+        seriesEvents(s, exBySeries.get(s.id) || []),
+      ),
+    ];
+
+    let name = CALENDAR_NAME;
+    if (categoryId) {
+      const cat = await db.query(`SELECT name FROM categories WHERE id = $1`, [
+        categoryId,
+      ]);
+      if (cat.rows[0]?.name) name = `${CALENDAR_NAME} – ${cat.rows[0].name}`;
+    }
+
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Content-Disposition", 'inline; filename="calendar.ics"');
+    res.set("Cache-Control", "private, max-age=300");
+    return res.send(buildCalendar({ name, events }));
+  } catch (e) {
+    console.error("[calendarFeed] GET /feed/:token error:", e);
+    return res.status(500).send("Server error");
+  }
+});
+
+module.exports = router;
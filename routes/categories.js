@@ -2,6 +2,7 @@
 const express = require("express");
 const router = express.Router();
 const db = require("../db");
+const { can } = require("../services/rbac");
 
 let authenticate;
 try {
@@ -57,9 +58,9 @@ async function ensureTables() {
   return ensureTablesPromise;
 }
 
-function isAdmin(user) {
-  const r = (user?.role || user?.type || "").toLowerCase();
-  return r === "admin" || r === "owner";
+// videos:edit (services/rbac.js; req.access from middleware/rbac)
+function canEditVideos(req) {
+  return can(req.access, "videos:edit");
 }
 
 /* ------------------------------------------------------------------ */
@@ -163,7 +164,7 @@ router.put("/:id", authenticate, async (req, res) => {
     );
     const row = found[0];
     if (!row) return res.status(404).json({ message: "Not found" });
-    if (!isAdmin(req.user) && String(row.created_by) !== String(userId))
+    if (!canEditVideos(req) && String(row.created_by) !== String(userId))
       return res.status(403).json({ message: "Forbidden" });
 
     const name = cleanStr(req.body?.name);
@@ -211,7 +212,7 @@ router.delete("/:id", authenticate, async (req, res) => {
     );
     const row = found[0];
     if (!row) return res.status(404).json({ message: "Not found" });
-    if (!isAdmin(req.user) && String(row.created_by) !== String(userId))
+    if (!canEditVideos(req) && String(row.created_by) !== String(userId))
       return res.status(403).json({ message: "Forbidden" });
 
     await db.query(`DELETE FROM categories WHERE id=$1`, [id]);
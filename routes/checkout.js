@@ -27,6 +27,7 @@ router.get("/checkout/start", async (req, res) => {
         plan,
         cycle,
         customerEmail: email,
+        userId: req.user?.id,
       });
       return res.json({ ...out, provider: "stripe" });
     } else {
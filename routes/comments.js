@@ -3,9 +3,13 @@ const express = require("express");
 const router = express.Router();
 const db = require("../db");
 const authenticate = require("../middleware/authenticate");
+const moderation = require("../services/moderation");
+const videoComments = require("../services/videoComments");
+const { can } = require("../services/rbac");
 
-// 🔔 Centralized FCM sender (Admin SDK with legacy fallback)
-const { sendPush } = require("../notifications/fcm");
+// 🔔 Centralized FCM sender (prunes dead tokens)
+const { sendToTokens } = require("../services/pushCampaigns");
+const notifyPrefs = require("../services/notificationPreferences");
 
 // If you keep a placeholder "post" for cross-compat with older schemas,
 // leave this; otherwise it's harmless to store alongside video_id.
@@ -26,9 +30,69 @@ function toDisplayName(row) {
   return "Member";
 }
 
+// community:moderate (services/rbac.js; req.access from middleware/rbac)
+function canModerate(req) {
+  return can(req.access, "community:moderate");
+}
+
+// 403 payload for suspended members, or null
+async function suspendedResponse(userId) {
+  const s = await moderation.activeSuspension(userId);
+  if (!s) return null;
+  return {
+    message: "Your community access is suspended",
+    reason: s.reason || null,
+    until: s.expires_at || null,
+  };
+}
+
+// Thread node from services/videoComments -> API shape (recursive)
+function toThreadItem(r) {
+  return {
+    id: r.id,
+    post_id: r.post_id,
+    video_id: r.video_id,
+    user_id: r.user_id,
+    author_id: r.author_id,
+    author_name: toDisplayName(r),
+    body: r.body,
+    created_at: r.created_at,
+    edited_at: r.edited_at ?? null,
+    parent_id: r.parent_id ?? null,
+    position_seconds: r.position_seconds ?? null,
+    timestamps: videoComments.parseTimestamps(r.body),
+    is_pinned: !!r.is_pinned,
+    reactions: r.reactions || [],
+    reply_count: (r.replies || []).length,
+    replies: (r.replies || []).map(toThreadItem),
+  };
+}
+
+function sendServiceError(res, err, label, message) {
+  if ([400, 403, 404].includes(err.status)) {
+    return res.status(err.status).json({ message: err.message });
+  }
+  console.error(`[${label}] error:`, err);
+  return res.status(500).json({ message });
+}
+
+// is_hidden column + report tables (services/moderation.js),
+// edit/reaction/pin tables (services/videoComments.js). Every query below
+// needs them, so fail the request when they can't be created (the services
+// log why and retry on the next request).
+router.use(async (_req, res, next) => {
+  try {
+    await moderation.ensureModerationTables();
+    await videoComments.ensureCommentTables();
+  } catch {
+    return res.status(500).json({ message: "Comments are unavailable" });
+  }
+  next();
+});
+
 /* ============================================================================
    GET /api/comments?video_id=31&limit=50&offset=0
-   (Flat list; you can add parent_id threading later if desired)
+   (Flat list; GET /by-video/:videoId returns threads)
 ============================================================================ */
 router.get("/", async (req, res) => {
   try {
@@ -51,12 +115,13 @@ router.get("/", async (req, res) => {
         c.body,
         c.created_at,
         c.parent_id,
+        c.position_seconds,
         u.name  AS user_name,
         u.email AS user_email
       FROM public.comments c
       LEFT JOIN public.users u
         ON u.id = c.user_id
-      WHERE c.video_id = $1
+      WHERE c.video_id = $1 AND c.is_hidden = FALSE
       ORDER BY c.created_at ASC
       LIMIT $2 OFFSET $3
       `,
@@ -74,6 +139,8 @@ router.get("/", async (req, res) => {
         body: r.body,
         created_at: r.created_at,
         parent_id: r.parent_id ?? null,
+        position_seconds: r.position_seconds ?? null,
+        timestamps: videoComments.parseTimestamps(r.body),
       })),
     });
   } catch (err) {
@@ -83,7 +150,9 @@ router.get("/", async (req, res) => {
 });
 
 /* ============================================================================
-   BACKWARD: GET /api/comments/by-video/:videoId
+   GET /api/comments/by-video/:videoId?limit=20&cursor=...&sort=oldest|newest
+   Top-level comments as trees ({ ..., replies: [...] }), cursor-paginated.
+   The pinned comment comes back in `pinned` on the first page only.
 ============================================================================ */
 router.get("/by-video/:videoId", async (req, res) => {
   try {
@@ -92,40 +161,17 @@ router.get("/by-video/:videoId", async (req, res) => {
       return res.status(400).json({ message: "video_id is required" });
     }
 
-    const { rows } = await db.query(
-      `
-      SELECT
-        c.id,
-        c.post_id,
-        c.video_id,
-        c.user_id,
-        c.author_id,
-        c.body,
-        c.created_at,
-        c.parent_id,
-        u.name  AS user_name,
-        u.email AS user_email
-      FROM public.comments c
-      LEFT JOIN public.users u
-        ON u.id = c.user_id
-      WHERE c.video_id = $1
-      ORDER BY c.created_at ASC
-      `,
-      [videoId]
-    );
+    const result = await videoComments.listThreads(videoId, {
+      cursor: req.query.cursor || null,
+      limit: toInt(req.query.limit, 20),
+      sort: req.query.sort === "newest" ? "newest" : "oldest",
+      viewerId: req.user?.id ?? null,
+    });
 
     return res.json({
-      items: rows.map((r) => ({
-        id: r.id,
-        post_id: r.post_id,
-        video_id: r.video_id,
-        user_id: r.user_id,
-        author_id: r.author_id,
-        author_name: toDisplayName(r),
-        body: r.body,
-        created_at: r.created_at,
-        parent_id: r.parent_id ?? null,
-      })),
+      pinned: result.pinned.map(toThreadItem),
+      items: result.items.map(toThreadItem),
+      next_cursor: result.next_cursor,
     });
   } catch (err) {
     console.error("[GET /comments/by-video/:videoId] error:", err);
@@ -133,9 +179,31 @@ router.get("/by-video/:videoId", async (req, res) => {
   }
 });
 
+/* ============================================================================
+   GET /api/comments/by-video/:videoId/timeline?buckets=60
+   Comment counts across the video's duration (player heat strip).
+============================================================================ */
+router.get("/by-video/:videoId/timeline", async (req, res) => {
+  try {
+    const videoId = toInt(req.params.videoId, NaN);
+    if (!Number.isFinite(videoId)) {
+      return res.status(400).json({ message: "video_id is required" });
+    }
+
+    const result = await videoComments.timeline(videoId, {
+      buckets: toInt(req.query.buckets, 60),
+    });
+    return res.json(result);
+  } catch (err) {
+    console.error("[GET /comments/by-video/:videoId/timeline] error:", err);
+    return res.status(500).json({ message: "Failed to load timeline" });
+  }
+});
+
 /* ============================================================================
    POST /api/comments  (auth required)
-   Accepts: { video_id, text|body|content, parent_id? }
+   Accepts: { video_id, text|body|content, parent_id?, position_seconds? }
+   position_seconds defaults to the first mm:ss in the text.
 ============================================================================ */
 router.post("/", authenticate, async (req, res) => {
   try {
@@ -157,6 +225,19 @@ router.post("/", authenticate, async (req, res) => {
       return res.status(400).json({ message: "text/body is required" });
     }
 
+    const suspended = await suspendedResponse(userId);
+    if (suspended) return res.status(403).json(suspended);
+
+    let positionSeconds;
+    try {
+      positionSeconds = videoComments.resolvePosition(
+        req.body?.position_seconds ?? req.body?.positionSeconds,
+        text
+      );
+    } catch (e) {
+      return res.status(400).json({ message: e.message });
+    }
+
     // Optional parent (threading). If your DB has parent_id as INTEGER FK, this will work.
     // If you created parent_id as UUID by mistake, either drop/change it to INTEGER,
     // or cast appropriately here.
@@ -165,15 +246,35 @@ router.post("/", authenticate, async (req, res) => {
       const n = Number(parentId);
       parentId = Number.isFinite(n) ? Math.trunc(n) : null;
     }
+    if (parentId != null) {
+      const parent = await db.query(
+        `SELECT 1 FROM public.comments
+          WHERE id = $1 AND video_id = $2 AND is_hidden = FALSE
+          LIMIT 1`,
+        [parentId, videoId]
+      );
+      if (!parent.rowCount) {
+        return res.status(400).json({ message: "parent_id not found" });
+      }
+    }
 
     // Insert
     const insert = await db.query(
       `
-      INSERT INTO public.comments (post_id, video_id, user_id, author_id, body, parent_id)
-      VALUES ($1, $2, $3, $4, $5, $6)
+      INSERT INTO public.comments
+        (post_id, video_id, user_id, author_id, body, parent_id, position_seconds)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
       RETURNING id
       `,
-      [VIDEO_COMMENTS_POST_ID, videoId, userId, userId, text, parentId]
+      [
+        VIDEO_COMMENTS_POST_ID,
+        videoId,
+        userId,
+        userId,
+        text,
+        parentId,
+        positionSeconds,
+      ]
     );
     const newId = insert.rows[0].id;
 
@@ -182,6 +283,7 @@ router.post("/", authenticate, async (req, res) => {
       `
       SELECT
         c.id, c.post_id, c.video_id, c.user_id, c.author_id, c.body, c.created_at, c.parent_id,
+        c.position_seconds,
         u.name  AS user_name, u.email AS user_email
       FROM public.comments c
       LEFT JOIN public.users u ON u.id = c.user_id
@@ -192,6 +294,18 @@ router.post("/", authenticate, async (req, res) => {
     );
     const row = rows[0];
 
+    videoComments
+      .notifyMentions({
+        commentId: newId,
+        videoId,
+        authorId: userId,
+        authorName: toDisplayName(row),
+        text,
+      })
+      .catch((e) =>
+        console.warn("[comments] mention notify failed:", e?.message || e)
+      );
+
     // Fire & forget notifications (video owner + prior commenters, excluding author)
     (async () => {
       try {
@@ -221,7 +335,12 @@ router.post("/", authenticate, async (req, res) => {
             userSet.add(String(r.user_id));
           }
         }
-        const ids = Array.from(userSet);
+        // comment_reply push preference + quiet hours
+        const ids = await notifyPrefs.filterUserIds(
+          Array.from(userSet),
+          "comment_reply",
+          "push"
+        );
         if (ids.length === 0) return;
 
         // If your users.id is INTEGER (recommended), this works:
@@ -234,7 +353,7 @@ router.post("/", authenticate, async (req, res) => {
         );
         const tokens = t.rows.map((r) => r.token).filter(Boolean);
 
-        await sendPush(tokens, {
+        await sendToTokens(tokens, {
           title: "New comment",
           body: `${toDisplayName(row)}: ${text.slice(0, 90)}`,
           data: {
@@ -251,17 +370,7 @@ router.post("/", authenticate, async (req, res) => {
     })();
 
     return res.status(201).json({
-      comment: {
-        id: row.id,
-        post_id: row.post_id,
-        video_id: row.video_id,
-        user_id: row.user_id,
-        author_id: row.author_id,
-        author_name: toDisplayName(row),
-        body: row.body,
-        created_at: row.created_at,
-        parent_id: row.parent_id ?? null,
-      },
+      comment: toThreadItem(row),
     });
   } catch (err) {
     console.error("[POST /comments] error:", err);
@@ -269,6 +378,205 @@ router.post("/", authenticate, async (req, res) => {
   }
 });
 
+/* ============================================================================
+   PATCH /api/comments/:id  (author only)
+   Accepts: { text|body|content }. The previous body goes to comment_edits.
+============================================================================ */
+router.patch("/:id", authenticate, async (req, res) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) return res.status(401).json({ message: "Login required" });
+
+    const suspended = await suspendedResponse(userId);
+    if (suspended) return res.status(403).json(suspended);
+
+    const rawText = req.body?.text ?? req.body?.body ?? req.body?.content ?? "";
+    const { comment, previous } = await videoComments.editComment(
+      req.params.id,
+      userId,
+      rawText
+    );
+
+    videoComments
+      .notifyMentions({
+        commentId: comment.id,
+        videoId: comment.video_id,
+        authorId: userId,
+        authorName: toDisplayName({
+          user_name: req.user?.name,
+          user_email: req.user?.email,
+          user_id: userId,
+        }),
+        text: comment.body,
+        previousText: previous,
+      })
+      .catch((e) =>
+        console.warn("[comments] mention notify failed:", e?.message || e)
+      );
+
+    return res.json({
+      comment: {
+        id: comment.id,
+        video_id: comment.video_id,
+        user_id: comment.user_id,
+        body: comment.body,
+        parent_id: comment.parent_id ?? null,
+        timestamps: videoComments.parseTimestamps(comment.body),
+        edited_at: comment.edited_at ?? null,
+      },
+    });
+  } catch (err) {
+    return sendServiceError(
+      res,
+      err,
+      "PATCH /comments/:id",
+      "Failed to edit comment"
+    );
+  }
+});
+
+/* ============================================================================
+   GET /api/comments/:id/edits  (edit history, newest first)
+   Hidden comments: author or moderator only.
+============================================================================ */
+router.get("/:id/edits", async (req, res) => {
+  try {
+    const items = await videoComments.listEdits(req.params.id, {
+      viewerId: req.user?.id ?? null,
+      isModerator: canModerate(req),
+    });
+    return res.json({ items });
+  } catch (err) {
+    return sendServiceError(
+      res,
+      err,
+      "GET /comments/:id/edits",
+      "Failed to load edit history"
+    );
+  }
+});
+
+/* ============================================================================
+   POST   /api/comments/:id/reactions  { emoji }  (auth required)
+   DELETE /api/comments/:id/reactions  { emoji } or ?emoji=
+   Both return the comment's reaction counts.
+============================================================================ */
+router.post("/:id/reactions", authenticate, async (req, res) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) return res.status(401).json({ message: "Login required" });
+
+    const suspended = await suspendedResponse(userId);
+    if (suspended) return res.status(403).json(suspended);
+
+    const reactions = await videoComments.react(
+      req.params.id,
+      userId,
+      req.body?.emoji,
+      true
+    );
+    return res.json({ ok: true, reactions });
+  } catch (err) {
+    return sendServiceError(
+      res,
+      err,
+      "POST /comments/:id/reactions",
+      "Failed to react"
+    );
+  }
+});
+
+router.delete("/:id/reactions", authenticate, async (req, res) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) return res.status(401).json({ message: "Login required" });
+
+    const suspended = await suspendedResponse(userId);
+    if (suspended) return res.status(403).json(suspended);
+
+    const reactions = await videoComments.react(
+      req.params.id,
+      userId,
+      req.body?.emoji ?? req.query.emoji,
+      false
+    );
+    return res.json({ ok: true, reactions });
+  } catch (err) {
+    return sendServiceError(
+      res,
+      err,
+      "DELETE /comments/:id/reactions",
+      "Failed to remove reaction"
+    );
+  }
+});
+
+/* ============================================================================
+   POST   /api/comments/:id/pin  (video owner or moderator)
+   DELETE /api/comments/:id/pin
+============================================================================ */
+router.post("/:id/pin", authenticate, async (req, res) => {
+  try {
+    const result = await videoComments.setPinned(req.params.id, {
+      userId: req.user?.id,
+      isAdmin: canModerate(req),
+      pinned: true,
+    });
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    return sendServiceError(
+      res,
+      err,
+      "POST /comments/:id/pin",
+      "Failed to pin comment"
+    );
+  }
+});
+
+router.delete("/:id/pin", authenticate, async (req, res) => {
+  try {
+    const result = await videoComments.setPinned(req.params.id, {
+      userId: req.user?.id,
+      isAdmin: canModerate(req),
+      pinned: false,
+    });
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    return sendServiceError(
+      res,
+      err,
+      "DELETE /comments/:id/pin",
+      "Failed to unpin comment"
+    );
+  }
+});
+
+/* ============================================================================
+   POST /api/comments/:id/report  (auth required)
+   Accepts: { reason: spam|harassment|hate|sexual|violence|other, details? }
+============================================================================ */
+router.post("/:id/report", authenticate, async (req, res) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) return res.status(401).json({ message: "Login required" });
+
+    const result = await moderation.reportContent({
+      type: "video_comment",
+      id: req.params.id,
+      reporterId: userId,
+      reason: req.body?.reason,
+      details: req.body?.details,
+    });
+    return res.status(201).json({ ok: true, report: result.report });
+  } catch (err) {
+    if (err.status === 400 || err.status === 404) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("[POST /comments/:id/report] error:", err);
+    return res.status(500).json({ message: "Failed to report comment" });
+  }
+});
+
 /* ============================================================================
    DELETE /api/comments/:id  (author or admin/owner)
 ============================================================================ */
@@ -289,14 +597,13 @@ router.delete("/:id", authenticate, async (req, res) => {
 
     const comment = cur.rows[0];
     const isOwner = String(comment.user_id) === String(req.user.id);
-    const role = (req.user?.role || req.user?.type || "").toLowerCase();
-    const isAdmin = role === "admin" || role === "owner";
 
-    if (!isOwner && !isAdmin) {
+    if (!isOwner && !canModerate(req)) {
       return res.status(403).json({ message: "Forbidden" });
     }
 
     await db.query("DELETE FROM public.comments WHERE id = $1", [id]);
+    await videoComments.forgetComment(id);
     return res.json({ ok: true });
   } catch (err) {
     console.error("[DELETE /comments/:id] error:", err);
@@ -5,6 +5,8 @@ const https = require("https");
 const express = require("express");
 const multer = require("multer");
 const db = require("../db");
+const moderation = require("../services/moderation");
+const { can } = require("../services/rbac");
 
 const router = express.Router();
 
@@ -18,9 +20,20 @@ function requireAuth(req, res, next) {
   if (req.user && req.user.id) return next();
   return res.status(401).json({ message: "Unauthorized" });
 }
-function isAdmin(user) {
-  const role = (user?.role || "").toLowerCase();
-  return role === "admin";
+// community:moderate (services/rbac.js; req.access from middleware/rbac)
+function canModerate(req) {
+  return can(req.access, "community:moderate");
+}
+
+// 403 payload for suspended members, or null
+async function suspendedResponse(userId) {
+  const s = await moderation.activeSuspension(userId);
+  if (!s) return null;
+  return {
+    message: "Your community access is suspended",
+    reason: s.reason || null,
+    until: s.expires_at || null,
+  };
 }
 
 /* -------------------------------------------------------------------------- */
@@ -220,6 +233,18 @@ async function uploadCommunityImage({ postId, mediaFolder, file }) {
   return toPublicUrl(rel.replace(/\\/g, "/"));
 }
 
+// is_hidden columns + report tables (services/moderation.js). Every query
+// below needs them, so fail the request when they can't be created (the
+// service logs why and retries on the next request).
+router.use(async (_req, res, next) => {
+  try {
+    await moderation.ensureModerationTables();
+  } catch {
+    return res.status(500).json({ message: "Community is unavailable" });
+  }
+  next();
+});
+
 /* A tiny helper to compute author_name for POSTS consistently */
 const AUTHOR_NAME_SQL = `
   CASE
@@ -258,12 +283,14 @@ router.get("/posts", optionalAuth, async (req, res) => {
     }
 
     const viewer = req.user || null;
-    const viewerIsAdmin = !!(viewer && isAdmin(viewer));
+    const viewerIsAdmin = !!(viewer && canModerate(req));
     const viewerId = viewer?.id || null;
 
     let visSQL = `p.visibility = 'public'`;
     if (viewerIsAdmin) visSQL = "TRUE";
     else if (viewerId) visSQL = `p.visibility IN ('public','members')`;
+    if (!viewerIsAdmin)
+      visSQL += ` AND (p.is_hidden = FALSE OR p.user_id = $2)`;
 
     const params = [viewerIsAdmin, viewerId];
 
@@ -282,7 +309,7 @@ router.get("/posts", optionalAuth, async (req, res) => {
       SELECT
         p.id, p.user_id,
         p.title, p.body, p.media_url, p.created_at,
-        p.is_pinned, p.visibility, p.channel_id,
+        p.is_pinned, p.visibility, p.channel_id, p.is_hidden,
         (CASE WHEN $1::boolean IS TRUE OR p.user_id = $2 THEN TRUE ELSE FALSE END) AS can_edit,
         (CASE WHEN $1::boolean IS TRUE OR p.user_id = $2 THEN TRUE ELSE FALSE END) AS can_delete,
         COALESCE(c.cnt, 0)::int AS comments_count,
@@ -292,7 +319,7 @@ router.get("/posts", optionalAuth, async (req, res) => {
       LEFT JOIN LATERAL (
         SELECT COUNT(*)::int AS cnt
         FROM public.community_comments cc
-        WHERE cc.post_id = p.id
+        WHERE cc.post_id = p.id AND cc.is_hidden = FALSE
       ) c ON TRUE
       LEFT JOIN LATERAL (
         SELECT COUNT(*)::int AS cnt
@@ -326,12 +353,14 @@ router.get("/posts/:id", optionalAuth, async (req, res) => {
     if (!postId) return res.status(400).json({ message: "Bad post id" });
 
     const viewer = req.user || null;
-    const viewerIsAdmin = !!(viewer && isAdmin(viewer));
+    const viewerIsAdmin = !!(viewer && canModerate(req));
     const viewerId = viewer?.id || null;
 
     let visSQL = `p.visibility = 'public'`;
     if (viewerIsAdmin) visSQL = "TRUE";
     else if (viewerId) visSQL = `p.visibility IN ('public','members')`;
+    if (!viewerIsAdmin)
+      visSQL += ` AND (p.is_hidden = FALSE OR p.user_id = $2)`;
 
     const params = [viewerIsAdmin, viewerId, postId];
 
@@ -340,7 +369,7 @@ router.get("/posts/:id", optionalAuth, async (req, res) => {
       SELECT
         p.id, p.user_id,
         p.title, p.body, p.media_url, p.created_at,
-        p.is_pinned, p.visibility, p.channel_id,
+        p.is_pinned, p.visibility, p.channel_id, p.is_hidden,
         (CASE WHEN $1::boolean IS TRUE OR p.user_id = $2 THEN TRUE ELSE FALSE END) AS can_edit,
         (CASE WHEN $1::boolean IS TRUE OR p.user_id = $2 THEN TRUE ELSE FALSE END) AS can_delete,
         COALESCE(c.cnt, 0)::int AS comments_count,
@@ -350,7 +379,7 @@ router.get("/posts/:id", optionalAuth, async (req, res) => {
       LEFT JOIN LATERAL (
         SELECT COUNT(*)::int AS cnt
         FROM public.community_comments cc
-        WHERE cc.post_id = p.id
+        WHERE cc.post_id = p.id AND cc.is_hidden = FALSE
       ) c ON TRUE
       LEFT JOIN LATERAL (
         SELECT COUNT(*)::int AS cnt
@@ -380,6 +409,9 @@ router.post("/posts", requireAuth, upload.any(), async (req, res) => {
   try {
     const userId = req.user.id;
 
+    const suspended = await suspendedResponse(userId);
+    if (suspended) return res.status(403).json(suspended);
+
     const title = (req.body?.title || "").trim() || null;
 
     // frontend uses "body"
@@ -404,7 +436,7 @@ router.post("/posts", requireAuth, upload.any(), async (req, res) => {
 
     // visibility stays admin-only
     let visibility = "public";
-    if (isAdmin(req.user)) {
+    if (canModerate(req)) {
       visibility = normalizeVisibility(req.body?.visibility);
     }
 
@@ -483,7 +515,7 @@ router.patch("/posts/:id", requireAuth, upload.any(), async (req, res) => {
     if (!cur.rowCount) return res.status(404).json({ message: "Not found" });
 
     const owns = cur.rows[0].user_id === req.user.id;
-    const admin = isAdmin(req.user);
+    const admin = canModerate(req);
     if (!admin && !owns) return res.status(403).json({ message: "Forbidden" });
 
     const titleRaw = req.body?.title;
@@ -613,7 +645,7 @@ router.delete("/posts/:id", requireAuth, async (req, res) => {
     if (!cur.rowCount) return res.status(404).json({ message: "Not found" });
 
     const owns = cur.rows[0].user_id === req.user.id;
-    if (!isAdmin(req.user) && !owns)
+    if (!canModerate(req) && !owns)
       return res.status(403).json({ message: "Forbidden" });
 
     await db.query(`DELETE FROM public.community_posts WHERE id = $1`, [
@@ -670,6 +702,9 @@ router.get("/posts/:id/comments", optionalAuth, async (req, res) => {
     const postId = parseInt(req.params.id, 10);
     if (!postId) return res.status(400).json({ message: "Bad post id" });
 
+    const viewerIsAdmin = !!(req.user && canModerate(req));
+    const viewerId = req.user?.id || null;
+
     const { rows } = await db.query(
       `
        SELECT
@@ -678,6 +713,7 @@ router.get("/posts/:id/comments", optionalAuth, async (req, res) => {
          c.user_id,
          c.body,
          c.created_at,
+         c.is_hidden,
          p.display_name AS profile_name,
          u.name AS user_name,
          u.email AS user_email
@@ -685,9 +721,10 @@ router.get("/posts/:id/comments", optionalAuth, async (req, res) => {
        LEFT JOIN public.profiles p ON p.user_id = c.user_id
        LEFT JOIN public.users u ON u.id = c.user_id
        WHERE c.post_id = $1
+         AND ($2::boolean IS TRUE OR c.is_hidden = FALSE OR c.user_id = $3)
        ORDER BY c.created_at ASC
       `,
-      [postId]
+      [postId, viewerIsAdmin, viewerId]
     );
 
     const items = rows.map((r) => ({
@@ -696,6 +733,7 @@ router.get("/posts/:id/comments", optionalAuth, async (req, res) => {
       user_id: r.user_id,
       body: r.body,
       created_at: r.created_at,
+      is_hidden: !!r.is_hidden,
       author_name: buildCommentAuthorName(
         r.profile_name,
         r.user_name,
@@ -720,6 +758,9 @@ router.post("/posts/:id/comments", requireAuth, async (req, res) => {
     if (!postId || !body)
       return res.status(400).json({ message: "Bad request" });
 
+    const suspended = await suspendedResponse(userId);
+    if (suspended) return res.status(403).json(suspended);
+
     const ins = await db.query(
       `INSERT INTO public.community_comments (post_id, user_id, body)
        VALUES ($1, $2, $3)
@@ -756,6 +797,41 @@ router.post("/posts/:id/comments", requireAuth, async (req, res) => {
   }
 });
 
+/* -------------------------------------------------------------------------- */
+/* Reports                                                                    */
+/* Body: { reason: spam|harassment|hate|sexual|violence|other, details? }     */
+/* -------------------------------------------------------------------------- */
+function reportHandler(type) {
+  return async (req, res) => {
+    try {
+      const id = parseInt(req.params.id, 10);
+      if (!id) return res.status(400).json({ message: "Bad id" });
+
+      const result = await moderation.reportContent({
+        type,
+        id,
+        reporterId: req.user.id,
+        reason: req.body?.reason,
+        details: req.body?.details,
+      });
+      res.status(201).json({ ok: true, report: result.report });
+    } catch (err) {
+      if (err.status === 400 || err.status === 404) {
+        return res.status(err.status).json({ message: err.message });
+      }
+      console.error(`[community] report ${type} error`, err);
+      res.status(500).json({ message: "Server error" });
+    }
+  };
+}
+
+router.post("/posts/:id/report", requireAuth, reportHandler("post"));
+router.post(
+  "/comments/:id/report",
+  requireAuth,
+  reportHandler("community_comment")
+);
+
 /* -------------------------------------------------------------------------- */
 /* Channels                                                                   */
 /* -------------------------------------------------------------------------- */
@@ -0,0 +1,210 @@
+// server-api/routes/emailPreferences.js
+const express = require("express");
+const router = express.Router();
+
+const db = require("../db");
+const { requireAuth } = require("../middleware/auth");
+const { decryptJSON } = require("../utils/crypto");
+const prefs = require("../services/emailPreferences");
+
+/**
+ * Email preferences, one-click unsubscribe and provider webhooks.
+ * Mount: app.use("/api/email", require("./routes/emailPreferences"));
+ *
+ * GET  /api/email/unsubscribe?token=&category=   (link in every email; confirm page)
+ * POST /api/email/unsubscribe?token=&category=   (confirm form + RFC 8058 one-click)
+ * GET  /api/email/preferences                    (signed-in user)
+ * PUT  /api/email/preferences { newsletters?, live_reminders?, receipts?, digests? }
+ * POST /api/email/webhooks/mailgun               (bounces / complaints)
+ */
+
+function escapeHtml(s) {
+  return String(s || "").replace(
+    /[<>&"]/g,
+    (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;" })[c],
+  );
+}
+
+const CATEGORY_LABELS = {
+  newsletters: "newsletters and announcements",
+  live_reminders: "live event reminders",
+  receipts: "billing receipts",
+  digests: "notification digests",
+};
+
+/* -------------------------------
+   Unsubscribe
+   GET only shows a confirmation form, so mail scanners and link previews
+   that fetch the link change nothing; the form and RFC 8058 one-click
+   (List-Unsubscribe-Post, sent by workers/emailWorker.js) POST to the same
+   URL.
+-------------------------------- */
+function linkParams(req) {
+  const category = String(req.query.category || req.body?.category || "")
+    .trim()
+    .toLowerCase();
+  return {
+    token: String(req.query.token || req.body?.token || "").trim(),
+    category,
+    // null for receipts / unknown categories (services/emailPreferences.js)
+    categories: prefs.unsubscribeCategories(category),
+  };
+}
+
+function categoryText(categories) {
+  return categories.length === 1
+    ? CATEGORY_LABELS[categories[0]]
+    : "any emails except billing receipts";
+}
+
+function sendPage(res, title, body) {
+  res.setHeader("Content-Type", "text/html; charset=utf-8");
+  return res.send(
+    `<!doctype html><meta charset="utf-8"><title>${title}</title>` +
+      `<div style="font-family:Arial,sans-serif">${body}</div>`,
+  );
+}
+
+router.get("/unsubscribe", async (req, res) => {
+  try {
+    const { token, category, categories } = linkParams(req);
+    if (!categories)
+      return res.status(400).send("This unsubscribe link is invalid.");
+    const email = await prefs.emailForToken(token);
+    if (!email)
+      return res.status(404).send("This unsubscribe link is invalid.");
+
+    const query = new URLSearchParams({ token });
+    if (category) query.set("category", category);
+    return sendPage(
+      res,
+      "Unsubscribe",
+      `<p>Stop sending ${escapeHtml(categoryText(categories))} to ` +
+        `<b>${escapeHtml(email)}</b>?</p>` +
+        `<form method="post" action="?${escapeHtml(query.toString())}">` +
+        `<button type="submit">Unsubscribe</button></form>`,
+    );
+  } catch (e) {
+    console.error("[emailPreferences] unsubscribe page error:", e);
+    return res.status(500).send("Failed to load this page");
+  }
+});
+
+router.post("/unsubscribe", async (req, res) => {
+  try {
+    const { token, category, categories } = linkParams(req);
+    if (!categories)
+      return res.status(400).send("This unsubscribe link is invalid.");
+    const result = await prefs.unsubscribeByToken(token, category);
+    if (!result)
+      return res.status(404).send("This unsubscribe link is invalid.");
+
+    return sendPage(
+      res,
+      "Unsubscribed",
+      `<p><b>${escapeHtml(result.email)}</b> ` +
+        `won't get ${escapeHtml(categoryText(result.categories))} ` +
+        `from us anymore.</p>`,
+    );
+  } catch (e) {
+    console.error("[emailPreferences] unsubscribe error:", e);
+    return res.status(500).send("Failed to unsubscribe");
+  }
+});
+
+/* -------------------------------
+   Signed-in user's preferences
+-------------------------------- */
+async function userEmail(userId) {
+  const r = await db.query(`SELECT email FROM users WHERE id = $1`, [userId]);
+  return r.rows[0]?.email || null;
+}
+
+router.get("/preferences", requireAuth, async (req, res) => {
+  try {
+    const email = await userEmail(req.user.id);
+    if (!email) {
+      return res.status(404).json({ ok: false, error: "No email on account" });
+    }
+    const preferences = await prefs.getPreferences(email);
+    return res.json({ ok: true, preferences });
+  } catch (e) {
+    console.error("[emailPreferences] GET /preferences error:", e);
+    return res
+      .status(500)
+      .json({ ok: false, error: "Failed to load preferences" });
+  }
+});
+
+router.put("/preferences", requireAuth, async (req, res) => {
+  try {
+    const email = await userEmail(req.user.id);
+    if (!email) {
+      return res.status(404).json({ ok: false, error: "No email on account" });
+    }
+    const preferences = await prefs.updatePreferences(
+      email,
+      req.body || {},
+      req.user.id,
+    );
+    return res.json({ ok: true, preferences });
+  } catch (e) {
+    console.error("[emailPreferences] PUT /preferences error:", e);
+    return res
+      .status(500)
+      .json({ ok: false, error: "Failed to save preferences" });
+  }
+});
+
+/* -------------------------------
+   Mailgun webhooks
+   Point "Permanent failure", "Spam complaint" and "Unsubscribe" here.
+-------------------------------- */
+async function mailgunSigningKey() {
+  if (process.env.MAILGUN_WEBHOOK_SIGNING_KEY) {
+    return process.env.MAILGUN_WEBHOOK_SIGNING_KEY;
+  }
+  try {
+    const r = await db.query(
+      `SELECT secrets_enc
+       FROM email_connections
+       WHERE is_active = TRUE AND provider = 'mailgun'
+       ORDER BY updated_at DESC
+       LIMIT 1`,
+    );
+    if (!r.rows.length) return null;
+    const secrets = decryptJSON(r.rows[0].secrets_enc) || {};
+    return secrets.webhook_signing_key || secrets.webhookSigningKey || null;
+  } catch (e) {
+    console.error("[emailPreferences] signing key lookup failed:", e.message);
+    return null;
+  }
+}
+
+router.post("/webhooks/mailgun", async (req, res) => {
+  try {
+    const key = await mailgunSigningKey();
+    if (!key) {
+      return res
+        .status(503)
+        .json({ ok: false, error: "Webhook signing key not configured" });
+    }
+    if (!prefs.verifyMailgunSignature(req.body?.signature, key)) {
+      // 406 tells Mailgun not to retry
+      return res.status(406).json({ ok: false, error: "Invalid signature" });
+    }
+
+    const data = req.body?.["event-data"];
+    if (!data || typeof data !== "object") {
+      return res.status(400).json({ ok: false, error: "Missing event-data" });
+    }
+
+    const result = await prefs.recordMailgunEvent(data);
+    return res.json({ ok: true, ...result });
+  } catch (e) {
+    console.error("[emailPreferences] mailgun webhook error:", e);
+    return res.status(500).json({ ok: false, error: "Webhook failed" });
+  }
+});
+
+module.exports = router;
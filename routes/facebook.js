@@ -5,10 +5,11 @@ const qs = require("querystring");
 const crypto = require("crypto");
 
 const pool = require("../db"); // keep as-is
+const facebookLive = require("../services/facebookLive");
 
 const router = express.Router();
 
-const FB_GRAPH = "https://graph.facebook.com/v20.0";
+const FB_GRAPH = facebookLive.FB_GRAPH;
 const FB_DIALOG = "https://www.facebook.com/v20.0/dialog/oauth";
 
 // ---------- Helpers ----------
@@ -295,29 +296,13 @@ router.post("/live/create", requireAdmin, async (req, res) => {
       });
     }
 
-    const createRes = await axios.post(
-      `${FB_GRAPH}/${encodeURIComponent(page_id)}/live_videos`,
-      null,
-      {
-        params: {
-          access_token: page_access_token,
-          status: status || "LIVE_NOW",
-          title: title || "Live Stream",
-          description: description || "",
-        },
-        timeout: 15000,
-      }
+    const live = await facebookLive.createLiveVideo(
+      page_id,
+      page_access_token,
+      { title, description, status }
     );
 
-    const data = createRes.data;
-
-    return res.json({
-      ok: true,
-      live_video_id: data.id,
-      stream_url: data.stream_url,
-      secure_stream_url: data.secure_stream_url,
-      stream_key: data.stream_key,
-    });
+    return res.json({ ok: true, ...live });
   } catch (err) {
     const msg = err.response?.data || err.message;
     return res.status(500).json({ ok: false, error: msg });
@@ -339,19 +324,12 @@ router.post("/live/stop", requireAdmin, async (req, res) => {
         .status(400)
         .json({ ok: false, error: "Missing page_access_token" });
 
-    const stopRes = await axios.post(
-      `${FB_GRAPH}/${encodeURIComponent(live_video_id)}`,
-      null,
-      {
-        params: {
-          access_token: page_access_token,
-          end_live_video: true,
-        },
-        timeout: 15000,
-      }
+    const result = await facebookLive.endLiveVideo(
+      live_video_id,
+      page_access_token
     );
 
-    return res.json({ ok: true, result: stopRes.data });
+    return res.json({ ok: true, result });
   } catch (err) {
     const msg = err.response?.data || err.message;
     return res.status(500).json({ ok: false, error: msg });
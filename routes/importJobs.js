@@ -2,9 +2,12 @@
 const express = require("express");
 const router = express.Router();
 const db = require("../db");
-const { requireAuth, requireAdmin } = require("../middleware/auth");
+const { requireAuth } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/rbac");
+
+const canImport = requirePermission("videos:import");
 const wasabi = require("../services/importer/providers/importWasabi");
-const { runJob } = require("../services/importer/engine");
+const progress = require("../services/importer/progress");
 
 function isMp4(key = "") {
   return String(key).toLowerCase().endsWith(".mp4");
@@ -20,6 +23,11 @@ function parseNullableInt(v) {
   return i > 0 ? i : null;
 }
 
+function parseConcurrency(v) {
+  const n = parseNullableInt(v);
+  return n ? Math.min(n, 8) : null;
+}
+
 function parseIdArray(v) {
   if (!v) return [];
   if (Array.isArray(v)) {
@@ -44,7 +52,7 @@ function parseIdArray(v) {
    POST /api/admin/import-jobs
    ✅ FIX: totals is NOT NULL -> always insert '{}'::jsonb
 ======================================================= */
-router.post("/", requireAuth, requireAdmin, async (req, res) => {
+router.post("/", requireAuth, canImport, async (req, res) => {
   try {
     const mode = String(req.body?.mode || "remote");
     if (!["remote", "copy_to_bunny"].includes(mode)) {
@@ -60,6 +68,8 @@ router.post("/", requireAuth, requireAdmin, async (req, res) => {
       default_title_mode: String(
         req.body?.default_title_mode || "filename_no_ext",
       ),
+      // items processed in parallel by workers/importWorker.js (null = env default)
+      concurrency: parseConcurrency(req.body?.concurrency),
     };
 
     const totals = {
@@ -96,7 +106,7 @@ router.post("/", requireAuth, requireAdmin, async (req, res) => {
 /* =======================================================
    POST /api/admin/import-jobs/:id/scan
 ======================================================= */
-router.post("/:id/scan", requireAuth, requireAdmin, async (req, res) => {
+router.post("/:id/scan", requireAuth, canImport, async (req, res) => {
   const jobId = Number(req.params.id);
   if (!Number.isFinite(jobId))
     return res.status(400).json({ ok: false, message: "Invalid job id" });
@@ -188,9 +198,9 @@ router.post("/:id/scan", requireAuth, requireAdmin, async (req, res) => {
 
 /* =======================================================
    POST /api/admin/import-jobs/:id/start
-   ✅ FIX: mark job running immediately (so UI polls)
+   ✅ Only marks the job running; workers/importWorker.js picks it up
 ======================================================= */
-router.post("/:id/start", requireAuth, requireAdmin, async (req, res) => {
+router.post("/:id/start", requireAuth, canImport, async (req, res) => {
   const jobId = Number(req.params.id);
   if (!Number.isFinite(jobId))
     return res.status(400).json({ ok: false, message: "Invalid job id" });
@@ -236,16 +246,23 @@ router.post("/:id/start", requireAuth, requireAdmin, async (req, res) => {
       );
     }
 
+    const concurrency = parseConcurrency(req.body?.concurrency);
+
     // ✅ Make job "running" right away so frontend poll kicks in
+    // (the import worker claims running jobs that no live worker holds)
     await db.query(
       `UPDATE import_jobs
        SET status='running',
            started_at=COALESCE(started_at, NOW()),
            finished_at=NULL,
-           last_error=NULL
+           last_error=NULL,
+           settings=CASE WHEN $2::int IS NULL THEN settings
+                         ELSE jsonb_set(coalesce(settings,'{}'::jsonb), '{concurrency}', to_jsonb($2::int), true)
+                    END
        WHERE id=$1`,
-      [jobId],
+      [jobId, concurrency],
     );
+    progress.emitStatus(jobId, "running");
 
     res.json({
       ok: true,
@@ -255,20 +272,6 @@ router.post("/:id/start", requireAuth, requireAdmin, async (req, res) => {
       job_id: jobId,
       selected_count: itemIds.length || 0,
     });
-
-    setImmediate(async () => {
-      try {
-        await runJob(jobId);
-      } catch (e) {
-        console.error("[import-jobs start runner]", e);
-        try {
-          await db.query(
-            `UPDATE import_jobs SET status='failed', last_error=$2 WHERE id=$1`,
-            [jobId, e.message || "job failed"],
-          );
-        } catch {}
-      }
-    });
   } catch (e) {
     console.error("[import-jobs start]", e);
     res.status(500).json({ ok: false, message: e.message || "Server error" });
@@ -278,7 +281,7 @@ router.post("/:id/start", requireAuth, requireAdmin, async (req, res) => {
 /* =======================================================
    POST /api/admin/import-jobs/:id/pause
 ======================================================= */
-router.post("/:id/pause", requireAuth, requireAdmin, async (req, res) => {
+router.post("/:id/pause", requireAuth, canImport, async (req, res) => {
   const jobId = Number(req.params.id);
   if (!Number.isFinite(jobId))
     return res.status(400).json({ ok: false, message: "Invalid job id" });
@@ -287,6 +290,7 @@ router.post("/:id/pause", requireAuth, requireAdmin, async (req, res) => {
     await db.query(`UPDATE import_jobs SET status='paused' WHERE id=$1`, [
       jobId,
     ]);
+    progress.emitStatus(jobId, "paused");
     res.json({ ok: true, message: "Job paused", job_id: jobId });
   } catch (e) {
     res.status(500).json({ ok: false, message: "Server error" });
@@ -296,7 +300,7 @@ router.post("/:id/pause", requireAuth, requireAdmin, async (req, res) => {
 /* =======================================================
    POST /api/admin/import-jobs/:id/cancel
 ======================================================= */
-router.post("/:id/cancel", requireAuth, requireAdmin, async (req, res) => {
+router.post("/:id/cancel", requireAuth, canImport, async (req, res) => {
   const jobId = Number(req.params.id);
   if (!Number.isFinite(jobId))
     return res.status(400).json({ ok: false, message: "Invalid job id" });
@@ -306,6 +310,7 @@ router.post("/:id/cancel", requireAuth, requireAdmin, async (req, res) => {
       `UPDATE import_jobs SET status='canceled', finished_at=NOW() WHERE id=$1`,
       [jobId],
     );
+    progress.emitStatus(jobId, "canceled");
     res.json({ ok: true, message: "Job canceled", job_id: jobId });
   } catch (e) {
     res.status(500).json({ ok: false, message: "Server error" });
@@ -315,7 +320,7 @@ router.post("/:id/cancel", requireAuth, requireAdmin, async (req, res) => {
 /* =======================================================
    GET /api/admin/import-jobs/:id
 ======================================================= */
-router.get("/:id", requireAuth, requireAdmin, async (req, res) => {
+router.get("/:id", requireAuth, canImport, async (req, res) => {
   const jobId = Number(req.params.id);
   if (!Number.isFinite(jobId))
     return res.status(400).json({ ok: false, message: "Invalid job id" });
@@ -347,7 +352,7 @@ router.get("/:id", requireAuth, requireAdmin, async (req, res) => {
 /* =======================================================
    GET /api/admin/import-jobs/:id/items/by-ids?ids=1,2,3
 ======================================================= */
-router.get("/:id/items/by-ids", requireAuth, requireAdmin, async (req, res) => {
+router.get("/:id/items/by-ids", requireAuth, canImport, async (req, res) => {
   const jobId = Number(req.params.id);
   if (!Number.isFinite(jobId))
     return res.status(400).json({ ok: false, message: "Invalid job id" });
@@ -377,7 +382,7 @@ router.get("/:id/items/by-ids", requireAuth, requireAdmin, async (req, res) => {
 /* =======================================================
    GET /api/admin/import-jobs/:id/items?status=queued&limit=200
 ======================================================= */
-router.get("/:id/items", requireAuth, requireAdmin, async (req, res) => {
+router.get("/:id/items", requireAuth, canImport, async (req, res) => {
   const jobId = Number(req.params.id);
   if (!Number.isFinite(jobId))
     return res.status(400).json({ ok: false, message: "Invalid job id" });
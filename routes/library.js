@@ -1,6 +1,8 @@
 const express = require("express");
 const router = express.Router();
 const db = require("../db");
+const watchProgress = require("../services/watchProgress");
+const { hasActiveSubscription } = require("../services/entitlements");
 
 let requireAuth;
 try {
@@ -15,18 +17,8 @@ const baseAuth =
   authenticate ||
   ((_req, _res, next) => next());
 
+// Progress lives in watch_progress (services/watchProgress.js)
 async function ensureTables() {
-  await db.query(`
-    CREATE TABLE IF NOT EXISTS user_video_progress (
-      id SERIAL PRIMARY KEY,
-      user_id INTEGER NOT NULL,
-      video_id INTEGER NOT NULL,
-      position_seconds INTEGER NOT NULL DEFAULT 0,
-      duration_seconds INTEGER NOT NULL DEFAULT 0,
-      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      UNIQUE (user_id, video_id)
-    );
-  `);
   await db.query(`
     CREATE TABLE IF NOT EXISTS user_watchlist (
       id SERIAL PRIMARY KEY,
@@ -36,9 +28,6 @@ async function ensureTables() {
       UNIQUE (user_id, video_id)
     );
   `);
-  await db.query(
-    `CREATE INDEX IF NOT EXISTS idx_progress_user ON user_video_progress (user_id, updated_at DESC)`
-  );
   await db.query(
     `CREATE INDEX IF NOT EXISTS idx_watchlist_user ON user_watchlist (user_id, created_at DESC)`
   );
@@ -47,57 +36,124 @@ function uid(req) {
   return req?.user?.id || req?.user?.user_id || req?.user?.uid || null;
 }
 
-/* Save progress */
+/* Save progress (same store as POST /api/videos/:id/progress) */
 router.post("/progress", baseAuth, async (req, res) => {
   try {
-    await ensureTables();
     const userId = uid(req);
     if (!userId) return res.status(401).json({ message: "Unauthorized" });
-    const { video_id, position, duration } = req.body || {};
-    const vid = Number(video_id);
+    const vid = Number(req.body?.video_id);
     if (!Number.isFinite(vid))
       return res.status(400).json({ message: "video_id required" });
 
-    const pos = Math.max(0, Math.trunc(Number(position || 0)));
-    const dur = Math.max(0, Math.trunc(Number(duration || 0)));
-
-    await db.query(
-      `INSERT INTO user_video_progress (user_id, video_id, position_seconds, duration_seconds, updated_at)
-       VALUES ($1,$2,$3,$4,NOW())
-       ON CONFLICT (user_id, video_id)
-       DO UPDATE SET position_seconds=EXCLUDED.position_seconds, duration_seconds=EXCLUDED.duration_seconds, updated_at=NOW()`,
-      [userId, vid, pos, dur]
+    const progress = await watchProgress.saveProgress(
+      userId,
+      vid,
+      req.body || {}
     );
-    res.json({ ok: true });
+    res.json({ ok: true, progress });
   } catch (e) {
     console.error("POST /me/progress error:", e);
     res.status(500).json({ message: "Failed to save progress" });
   }
 });
 
-/* Continue watching rail */
+/* Continue watching rail: unfinished videos the user can still play */
 router.get("/continue", baseAuth, async (req, res) => {
   try {
-    await ensureTables();
     const userId = uid(req);
     if (!userId) return res.status(401).json({ message: "Unauthorized" });
 
-    const { rows } = await db.query(
-      `SELECT p.video_id AS id, p.position_seconds, p.duration_seconds, v.title, v.thumbnail_url
-         FROM user_video_progress p
-         JOIN videos v ON v.id = p.video_id
-        WHERE p.user_id = $1
-        ORDER BY p.updated_at DESC
-        LIMIT 50`,
-      [userId]
-    );
-    res.json({ items: rows });
+    const items = await watchProgress.listContinue(userId, {
+      limit: req.query.limit,
+      entitled: await hasActiveSubscription(userId),
+    });
+    res.json({ items });
   } catch (e) {
     console.error("GET /me/continue error:", e);
     res.status(500).json({ message: "Failed" });
   }
 });
 
+/* Watch history: GET /me/history?limit=30&cursor=...&tz=America/Chicago */
+router.get("/history", baseAuth, async (req, res) => {
+  try {
+    const userId = uid(req);
+    if (!userId) return res.status(401).json({ message: "Unauthorized" });
+
+    const [history, paused] = await Promise.all([
+      watchProgress.listHistory(userId, {
+        cursor: req.query.cursor || null,
+        limit: req.query.limit,
+        timeZone: String(req.query.tz || "UTC"),
+      }),
+      watchProgress.isHistoryPaused(userId),
+    ]);
+    res.json({ ...history, paused });
+  } catch (e) {
+    console.error("GET /me/history error:", e);
+    res.status(500).json({ message: "Failed to load history" });
+  }
+});
+
+/* Pause/resume history: PUT /me/history/settings { paused: true } */
+router.get("/history/settings", baseAuth, async (req, res) => {
+  try {
+    const userId = uid(req);
+    if (!userId) return res.status(401).json({ message: "Unauthorized" });
+    const paused = await watchProgress.isHistoryPaused(userId);
+    res.json({ paused });
+  } catch (e) {
+    console.error("GET /me/history/settings error:", e);
+    res.status(500).json({ message: "Failed" });
+  }
+});
+router.put("/history/settings", baseAuth, async (req, res) => {
+  try {
+    const userId = uid(req);
+    if (!userId) return res.status(401).json({ message: "Unauthorized" });
+    if (typeof req.body?.paused !== "boolean")
+      return res.status(400).json({ message: "paused must be true or false" });
+
+    const settings = await watchProgress.setHistoryPaused(
+      userId,
+      req.body.paused
+    );
+    res.json({ ok: true, ...settings });
+  } catch (e) {
+    console.error("PUT /me/history/settings error:", e);
+    res.status(500).json({ message: "Failed to save settings" });
+  }
+});
+
+/* Remove one video / clear everything */
+router.delete("/history/:videoId", baseAuth, async (req, res) => {
+  try {
+    const userId = uid(req);
+    if (!userId) return res.status(401).json({ message: "Unauthorized" });
+    const vid = Number(req.params.videoId);
+    if (!Number.isFinite(vid))
+      return res.status(400).json({ message: "Invalid video id" });
+
+    const deleted = await watchProgress.deleteHistoryEntry(userId, vid);
+    if (!deleted) return res.status(404).json({ message: "Not found" });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("DELETE /me/history/:videoId error:", e);
+    res.status(500).json({ message: "Failed to remove" });
+  }
+});
+router.delete("/history", baseAuth, async (req, res) => {
+  try {
+    const userId = uid(req);
+    if (!userId) return res.status(401).json({ message: "Unauthorized" });
+    const deleted = await watchProgress.clearHistory(userId);
+    res.json({ ok: true, deleted });
+  } catch (e) {
+    console.error("DELETE /me/history error:", e);
+    res.status(500).json({ message: "Failed to clear history" });
+  }
+});
+
 /* Watchlist add/remove/list */
 router.post("/watchlist", baseAuth, async (req, res) => {
   try {
@@ -4,6 +4,10 @@ const router = express.Router();
 const axios = require("axios");
 const crypto = require("crypto");
 const db = require("../db");
+const { ensureChatTables } = require("../services/liveChat");
+const liveReminders = require("../services/liveReminders");
+const simulcast = require("../services/simulcast");
+const { can } = require("../services/rbac");
 
 /* ──────────────────────────────────────────────────────────────
    AUTH & ROLES (STRICT)
@@ -21,9 +25,10 @@ const baseAuth =
   authenticate ||
   ((_req, _res, next) => next());
 
-function isAdmin(user) {
-  const r = (user?.role || user?.type || "").toLowerCase();
-  return r === "admin" || r === "owner";
+// Roles granting live:manage (services/rbac.js, loaded by middleware/rbac)
+// manage every event; everyone else only their own
+function canManageLive(req) {
+  return can(req.access, "live:manage");
 }
 function roleAllows(user) {
   const r = (user?.role || user?.type || "").toLowerCase();
@@ -71,7 +76,7 @@ function getReqUserId(req) {
 
 // Allow user/admin/creator/owner (must be authenticated)
 function allowUserOrAdmin(req, res, next) {
-  if (roleAllows(req.user) || isAdmin(req.user) || getReqUserId(req) != null)
+  if (roleAllows(req.user) || canManageLive(req) || getReqUserId(req) != null)
     return next();
   return res.status(403).json({ message: "Forbidden" });
 }
@@ -368,7 +373,7 @@ async function assertOwnerOrAdmin(eventId, req) {
   );
   if (!q.rowCount) return { ok: false, status: 404 };
   const row = q.rows[0];
-  if (isAdmin(req.user)) return { ok: true, row };
+  if (canManageLive(req)) return { ok: true, row };
 
   const uid = getReqUserId(req);
   if (row.created_by == null && uid != null) {
@@ -497,7 +502,7 @@ router.get("/events", baseAuth, allowUserOrAdmin, async (req, res) => {
   try {
     await ensureLiveTables();
 
-    if (isAdmin(req.user)) {
+    if (canManageLive(req)) {
       const q = await db.query("SELECT * FROM live_events ORDER BY id DESC");
       return res.json({ items: q.rows.map(attachPlaybackFallback) });
     }
@@ -629,7 +634,15 @@ router.post(
         [id]
       );
       if (!up.rows[0]) return res.status(404).json({ message: "Not found" });
-      res.json(attachPlaybackFallback(up.rows[0]));
+
+      // Simulcast: per-destination failures are recorded, never fatal
+      const started = attachPlaybackFallback(up.rows[0]);
+      try {
+        started.destinations = await simulcast.startDestinations(started);
+      } catch (e) {
+        console.warn("start() simulcast failed:", e?.message || e);
+      }
+      res.json(started);
     } catch (e) {
       console.error("POST /live/events/:id/start error:", e);
       res.status(500).json({ message: "Failed to mark live" });
@@ -669,6 +682,14 @@ router.post(
       const evt = q.rows[0];
       if (!evt) return res.status(404).json({ message: "Not found" });
 
+      // Stop simulcast destinations (Facebook live videos, relay targets)
+      let destinations;
+      try {
+        destinations = await simulcast.stopDestinations(evt);
+      } catch (e) {
+        console.warn("end() simulcast stop failed:", e?.message || e);
+      }
+
       // usage (strict but best-effort; end should still succeed)
       (async () => {
         try {
@@ -789,6 +810,7 @@ router.post(
       const endedRow = attachPlaybackFallback(out.rows[0]);
       endedRow.vod_video_id = endedRow.vod_video_id || createdVodId || null;
       endedRow.vod_hls_url = endedRow.vod_hls_url || createdVodUrl || null;
+      endedRow.destinations = destinations;
       return res.json(endedRow);
     } catch (err) {
       console.error("POST /live/events/:id/end error:", err);
@@ -820,6 +842,11 @@ router.delete(
       const row = q.rows[0];
       if (!row) return res.status(404).json({ message: "Not found" });
 
+      try {
+        await simulcast.stopDestinations(row);
+      } catch (e) {
+        console.warn("delete() simulcast stop failed:", e?.message || e);
+      }
       if (row.provider === "livepeer" && row.provider_stream_id) {
         await lpDelete(`/stream/${row.provider_stream_id}`);
       }
@@ -840,6 +867,163 @@ router.delete(
   }
 );
 
+/* ──────────────────────────────────────────────────────────────
+   SIMULCAST DESTINATIONS (owner/admin)
+   Facebook page / YouTube / RTMP outputs for one event; see
+   services/simulcast.js. Start provisions them, end stops them.
+────────────────────────────────────────────────────────────── */
+function sendSimulcastError(res, e, label) {
+  if (e?.status === 400 || e?.status === 404) {
+    return res.status(e.status).json({ message: e.message });
+  }
+  console.error(`${label} error:`, e);
+  return res.status(500).json({ message: "Simulcast request failed" });
+}
+
+async function loadOwnedEvent(req, res) {
+  await ensureLiveTables();
+  const id = parseId(req);
+  if (id == null) {
+    res.status(400).json({ message: "Invalid id" });
+    return null;
+  }
+  const perm = await assertOwnerOrAdmin(id, req);
+  if (!perm.ok) {
+    res.status(perm.status).json({ message: "Forbidden" });
+    return null;
+  }
+  const q = await db.query("SELECT * FROM live_events WHERE id=$1", [id]);
+  if (!q.rows[0]) {
+    res.status(404).json({ message: "Not found" });
+    return null;
+  }
+  return q.rows[0];
+}
+
+router.get(
+  "/events/:id/destinations",
+  baseAuth,
+  allowUserOrAdmin,
+  async (req, res) => {
+    try {
+      const evt = await loadOwnedEvent(req, res);
+      if (!evt) return;
+      res.json({ items: await simulcast.listDestinations(evt.id) });
+    } catch (e) {
+      sendSimulcastError(res, e, "GET /live/events/:id/destinations");
+    }
+  }
+);
+
+/**
+ * GET /live/events/:id/destinations/:destId/ingest
+ * Unmasked ingest URL + stream key of an encoder-relayed destination.
+ * Event owner only (not other live managers).
+ */
+router.get(
+  "/events/:id/destinations/:destId/ingest",
+  baseAuth,
+  allowUserOrAdmin,
+  async (req, res) => {
+    try {
+      const evt = await loadOwnedEvent(req, res);
+      if (!evt) return;
+      if (String(evt.created_by) !== String(getReqUserId(req))) {
+        return res.status(403).json({ message: "Forbidden" });
+      }
+      const destId = Number.parseInt(req.params.destId, 10);
+      if (!Number.isInteger(destId))
+        return res.status(400).json({ message: "Invalid destination id" });
+
+      const ingest = await simulcast.encoderIngest(evt.id, destId);
+      res.set("Cache-Control", "no-store");
+      res.json({ ingest });
+    } catch (e) {
+      sendSimulcastError(
+        res,
+        e,
+        "GET /live/events/:id/destinations/:destId/ingest"
+      );
+    }
+  }
+);
+
+/**
+ * POST /live/events/:id/destinations
+ * { kind: "facebook", page_id, page_access_token? }
+ * { kind: "youtube", stream_key, url? }
+ * { kind: "rtmp", url, stream_key }
+ * (+ label, enabled)
+ */
+router.post(
+  "/events/:id/destinations",
+  baseAuth,
+  allowUserOrAdmin,
+  requireActiveSub,
+  async (req, res) => {
+    try {
+      const evt = await loadOwnedEvent(req, res);
+      if (!evt) return;
+      const destination = await simulcast.addDestination(evt, req.body || {}, {
+        userId: getReqUserId(req),
+      });
+      res.status(201).json({ destination });
+    } catch (e) {
+      sendSimulcastError(res, e, "POST /live/events/:id/destinations");
+    }
+  }
+);
+
+router.patch(
+  "/events/:id/destinations/:destId",
+  baseAuth,
+  allowUserOrAdmin,
+  requireActiveSub,
+  async (req, res) => {
+    try {
+      const evt = await loadOwnedEvent(req, res);
+      if (!evt) return;
+      const destId = Number.parseInt(req.params.destId, 10);
+      if (!Number.isInteger(destId))
+        return res.status(400).json({ message: "Invalid destination id" });
+
+      const destination = await simulcast.updateDestination(
+        evt,
+        destId,
+        req.body || {},
+        { userId: getReqUserId(req) }
+      );
+      res.json({ destination });
+    } catch (e) {
+      sendSimulcastError(res, e, "PATCH /live/events/:id/destinations/:destId");
+    }
+  }
+);
+
+router.delete(
+  "/events/:id/destinations/:destId",
+  baseAuth,
+  allowUserOrAdmin,
+  async (req, res) => {
+    try {
+      const evt = await loadOwnedEvent(req, res);
+      if (!evt) return;
+      const destId = Number.parseInt(req.params.destId, 10);
+      if (!Number.isInteger(destId))
+        return res.status(400).json({ message: "Invalid destination id" });
+
+      await simulcast.removeDestination(evt, destId);
+      res.status(204).send();
+    } catch (e) {
+      sendSimulcastError(
+        res,
+        e,
+        "DELETE /live/events/:id/destinations/:destId"
+      );
+    }
+  }
+);
+
 /* ──────────────────────────────────────────────────────────────
    CHAT HISTORY (public)
 ────────────────────────────────────────────────────────────── */
@@ -849,16 +1033,44 @@ router.get("/events/:id/chat", async (req, res) => {
     const id = parseId(req);
     if (id == null) return res.status(400).json({ message: "Invalid id" });
 
+    await ensureChatTables();
+
     const limit = Math.min(parseInt(req.query.limit || "200", 10), 500);
     const q = await db.query(
       `SELECT id, event_id, user_id, name, message, created_at
        FROM live_chat_messages
-       WHERE event_id=$1
+       WHERE event_id=$1 AND deleted_at IS NULL
        ORDER BY created_at ASC
        LIMIT $2`,
       [id, limit]
     );
-    res.json({ items: q.rows });
+
+    const ev = await db.query(
+      `SELECT m.id, m.event_id, m.user_id, m.name, m.message, m.created_at,
+              e.chat_slow_mode_seconds
+         FROM live_events e
+         LEFT JOIN live_chat_messages m
+           ON m.id = e.chat_pinned_message_id AND m.deleted_at IS NULL
+        WHERE e.id=$1`,
+      [id]
+    );
+    const meta = ev.rows[0] || {};
+    const pinned = meta.id
+      ? {
+          id: meta.id,
+          event_id: meta.event_id,
+          user_id: meta.user_id,
+          name: meta.name,
+          message: meta.message,
+          created_at: meta.created_at,
+        }
+      : null;
+
+    res.json({
+      items: q.rows,
+      pinned,
+      slow_mode_seconds: Number(meta.chat_slow_mode_seconds || 0),
+    });
   } catch (e) {
     console.error("GET /live/events/:id/chat error:", e);
     res.status(500).json({ message: "Failed to fetch chat" });
@@ -866,7 +1078,8 @@ router.get("/events/:id/chat", async (req, res) => {
 });
 
 /* ──────────────────────────────────────────────────────────────
-   REGISTRATION / ICS (public)
+   REGISTRATION / REMINDERS / ICS
+   (reminder scheduling lives in services/liveReminders.js)
 ────────────────────────────────────────────────────────────── */
 router.get("/events/:id/register", async (req, res) => {
   try {
@@ -910,15 +1123,124 @@ router.get("/events/:id/register", async (req, res) => {
       );
       return res.send(ics);
     }
-    return res.json({ ok: true });
+    // signed-in callers also learn whether they're registered
+    const uid = getReqUserId(req);
+    const reg =
+      uid != null ? await liveReminders.getRegistration(id, uid) : null;
+    return res.json({
+      ok: true,
+      registered: !!reg && !reg.unsubscribed_at,
+    });
   } catch (e) {
     console.error("GET /live/events/:id/register error:", e);
     return res.status(500).json({ message: "Failed" });
   }
 });
 
-router.post("/events/:id/register", async (_req, res) => {
-  return res.json({ ok: true });
+// Register for reminders (email + push before start, and when live)
+router.post("/events/:id/register", baseAuth, async (req, res) => {
+  try {
+    await ensureLiveTables();
+    const id = parseId(req);
+    if (id == null) return res.status(400).json({ message: "Invalid id" });
+
+    const uid = getReqUserId(req);
+    if (uid == null) return res.status(401).json({ message: "Login required" });
+
+    const ev = await db.query(
+      "SELECT id, status FROM live_events WHERE id=$1",
+      [id]
+    );
+    if (!ev.rows[0]) return res.status(404).json({ message: "Not found" });
+    if (ev.rows[0].status === "ended") {
+      return res.status(409).json({ message: "This event has ended" });
+    }
+
+    await liveReminders.register(id, uid);
+    return res.json({
+      ok: true,
+      registered: true,
+      reminders: liveReminders.parseOffsets().map((o) => o.key),
+    });
+  } catch (e) {
+    console.error("POST /live/events/:id/register error:", e);
+    return res.status(500).json({ message: "Failed to register" });
+  }
+});
+
+// Stop reminders for this event
+router.delete("/events/:id/register", baseAuth, async (req, res) => {
+  try {
+    const id = parseId(req);
+    if (id == null) return res.status(400).json({ message: "Invalid id" });
+
+    const uid = getReqUserId(req);
+    if (uid == null) return res.status(401).json({ message: "Login required" });
+
+    await liveReminders.unsubscribe(id, uid);
+    return res.json({ ok: true, registered: false });
+  } catch (e) {
+    console.error("DELETE /live/events/:id/register error:", e);
+    return res.status(500).json({ message: "Failed to unregister" });
+  }
+});
+
+// Unsubscribe link from reminder emails. GET only shows a confirmation
+// form (mail scanners and link previews fetch links); the form and
+// List-Unsubscribe-Post one-click POST to the same URL.
+function escapeHtml(s) {
+  return String(s || "").replace(
+    /[<>&"]/g,
+    (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;" })[c]
+  );
+}
+function reminderToken(req) {
+  return String(req.query.token || req.body?.token || "").trim();
+}
+function sendReminderPage(res, title, body) {
+  res.setHeader("Content-Type", "text/html; charset=utf-8");
+  return res.send(
+    `<!doctype html><meta charset="utf-8"><title>${title}</title>` +
+      `<div style="font-family:Arial,sans-serif">${body}</div>`
+  );
+}
+
+router.get("/reminders/unsubscribe", async (req, res) => {
+  try {
+    const token = reminderToken(req);
+    const ev = await liveReminders.eventForToken(token);
+    if (!ev) return res.status(404).send("This unsubscribe link is invalid.");
+
+    const query = new URLSearchParams({ token }).toString();
+    return sendReminderPage(
+      res,
+      "Stop reminders",
+      `<p>Stop reminders for <b>${escapeHtml(ev.title || "this event")}</b>?</p>` +
+        `<form method="post" action="?${escapeHtml(query)}">` +
+        `<button type="submit">Stop reminders</button></form>`
+    );
+  } catch (e) {
+    console.error("live reminders unsubscribe page error:", e);
+    return res.status(500).send("Failed to load this page");
+  }
+});
+
+router.post("/reminders/unsubscribe", async (req, res) => {
+  try {
+    const ev = await liveReminders.unsubscribeByToken(reminderToken(req));
+    if (!ev) return res.status(404).send("This unsubscribe link is invalid.");
+
+    return sendReminderPage(
+      res,
+      "Unsubscribed",
+      `<p>You won't get any more reminders for <b>${escapeHtml(
+        ev.title || "this event"
+      )}</b>.</p>`
+    );
+  } catch (e) {
+    console.error("live reminders unsubscribe error:", e);
+    return res.status(500).send("Failed to unsubscribe");
+  }
 });
 
 /* ──────────────────────────────────────────────────────────────
@@ -3,6 +3,8 @@ const express = require("express");
 const router = express.Router();
 const db = require("../db");
 const authenticate = require("../middleware/authenticate");
+const notifyPrefs = require("../services/notificationPreferences");
+const notifications = require("../services/notifications");
 
 // Map DB row → JSON, parsing payload JSONB
 function mapRow(row) {
@@ -31,13 +33,22 @@ function mapRow(row) {
 
 /**
  * GET /api/notifications
+ * Grouped by default: similar notifications collapse into one item
+ * ("10 new videos") with count, unread_count and the first few children.
+ * ?grouped=0 returns the individual rows.
  */
 router.get("/", authenticate, async (req, res) => {
   const userId = req.user.id;
   const limit = Math.min(Number(req.query.limit) || 20, 50);
   const offset = Math.max(Number(req.query.offset) || 0, 0);
+  const grouped = !["0", "false"].includes(String(req.query.grouped));
 
   try {
+    if (grouped) {
+      const items = await notifications.listGroups(userId, { limit, offset });
+      return res.json({ items });
+    }
+
     const { rows } = await db.query(
       `
       SELECT
@@ -65,8 +76,52 @@ router.get("/", authenticate, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/notifications/groups/:groupId
+ * All notifications in one group (expanded), newest first.
+ */
+router.get("/groups/:groupId", authenticate, async (req, res) => {
+  const groupId = Number(req.params.groupId);
+  if (!Number.isFinite(groupId)) {
+    return res.status(400).json({ message: "Invalid group id" });
+  }
+  const limit = Math.min(Number(req.query.limit) || 50, 200);
+  const offset = Math.max(Number(req.query.offset) || 0, 0);
+
+  try {
+    const items = await notifications.getGroup(req.user.id, groupId, {
+      limit,
+      offset,
+    });
+    if (!items) return res.status(404).json({ message: "Not found" });
+    res.json({ group_id: groupId, items });
+  } catch (err) {
+    console.error("[notifications] group error", err);
+    res.status(500).json({ message: "Failed to load notifications" });
+  }
+});
+
+/**
+ * POST /api/notifications/groups/:groupId/read
+ */
+router.post("/groups/:groupId/read", authenticate, async (req, res) => {
+  const groupId = Number(req.params.groupId);
+  if (!Number.isFinite(groupId)) {
+    return res.status(400).json({ message: "Invalid group id" });
+  }
+
+  try {
+    const updated = await notifications.markGroupRead(req.user.id, groupId);
+    res.json({ ok: true, updated });
+  } catch (err) {
+    console.error("[notifications] group mark-read error", err);
+    res.status(500).json({ message: "Failed to mark notifications as read" });
+  }
+});
+
 /**
  * GET /api/notifications/unread-count
+ * -> { count (rows), groups (grouped items) }
  */
 router.get("/unread-count", authenticate, async (req, res) => {
   const userId = req.user.id;
@@ -79,13 +134,50 @@ router.get("/unread-count", authenticate, async (req, res) => {
     `,
       [userId]
     );
-    res.json({ count: rows[0]?.c || 0 });
+    const groups = await notifications.unreadGroupCount(userId);
+    res.json({ count: rows[0]?.c || 0, groups });
   } catch (err) {
     console.error("[notifications] unread-count error", err);
     res.status(500).json({ message: "Failed to count notifications" });
   }
 });
 
+/**
+ * GET /api/notifications/preferences
+ * -> { types: { new_video: { push, email, in_app }, ... },
+ *      quiet_hours: { enabled, start: "22:00", end: "07:00", timezone },
+ *      digest: { mode: "off"|"daily", hour } }
+ */
+router.get("/preferences", authenticate, async (req, res) => {
+  try {
+    const preferences = await notifyPrefs.getPreferences(req.user.id);
+    res.json({ preferences });
+  } catch (err) {
+    console.error("[notifications] preferences error", err);
+    res.status(500).json({ message: "Failed to load preferences" });
+  }
+});
+
+/**
+ * PUT /api/notifications/preferences
+ * Partial update, same shape as GET (e.g. { types: { new_video: { push: false } } })
+ */
+router.put("/preferences", authenticate, async (req, res) => {
+  try {
+    const preferences = await notifyPrefs.updatePreferences(
+      req.user.id,
+      req.body || {}
+    );
+    res.json({ ok: true, preferences });
+  } catch (err) {
+    if (err.status === 400) {
+      return res.status(400).json({ message: err.message });
+    }
+    console.error("[notifications] save preferences error", err);
+    res.status(500).json({ message: "Failed to save preferences" });
+  }
+});
+
 /**
  * IMPORTANT: mark-all-read must be defined BEFORE :id/read
  * POST /api/notifications/mark-all-read
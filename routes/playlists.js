@@ -2,6 +2,7 @@
 const express = require("express");
 const router = express.Router();
 const db = require("../db");
+const { can } = require("../services/rbac");
 const authenticate = require("../middleware/authenticate");
 
 /* -------------------- helpers -------------------- */
@@ -12,9 +13,9 @@ const slugify = (s) =>
     .replace(/[^a-z0-9]+/g, "-")
     .replace(/(^-|-$)+/g, "");
 
-function isAdmin(user) {
-  const r = (user?.role || user?.type || "").toLowerCase();
-  return r === "admin" || r === "owner";
+// videos:edit (services/rbac.js; req.access from middleware/rbac)
+function canEditVideos(req) {
+  return can(req.access, "videos:edit");
 }
 
 async function ensureFavorites(userId) {
@@ -407,7 +408,7 @@ router.get("/", authenticate, async (req, res) => {
     let sqlWhere = "";
     let adminScopeAll = false;
 
-    if (isAdmin(req.user)) {
+    if (canEditVideos(req)) {
       adminScopeAll = String(req.query.scope || "").toLowerCase() === "all";
       if (!adminScopeAll) {
         sqlWhere = `
@@ -470,7 +471,7 @@ router.get("/:idOrSlug", authenticate, async (req, res) => {
     const playlist = cur.rows[0];
 
     if (
-      !isAdmin(req.user) &&
+      !canEditVideos(req) &&
       String(playlist.created_by) !== String(req.user.id)
     ) {
       return res.status(403).json({ message: "Forbidden" });
@@ -509,7 +510,7 @@ router.put("/:id", authenticate, async (req, res) => {
 
     const row = cur.rows[0];
 
-    if (!isAdmin(req.user) && String(row.created_by) !== String(req.user?.id)) {
+    if (!canEditVideos(req) && String(row.created_by) !== String(req.user?.id)) {
       return res.status(403).json({ message: "Forbidden" });
     }
 
@@ -579,7 +580,7 @@ router.delete("/:id", authenticate, async (req, res) => {
       return res.status(404).json({ message: "Not found" });
 
     if (
-      !isAdmin(req.user) &&
+      !canEditVideos(req) &&
       String(cur.rows[0].created_by) !== String(req.user?.id)
     ) {
       return res.status(403).json({ message: "Forbidden" });
@@ -613,7 +614,7 @@ router.post("/:id/videos", authenticate, async (req, res) => {
       return res.status(404).json({ message: "Not found" });
 
     if (
-      !isAdmin(req.user) &&
+      !canEditVideos(req) &&
       String(cur.rows[0].created_by) !== String(req.user?.id)
     ) {
       return res.status(403).json({ message: "Forbidden" });
@@ -652,7 +653,7 @@ router.delete("/:id/videos/:videoId", authenticate, async (req, res) => {
       return res.status(404).json({ message: "Not found" });
 
     if (
-      !isAdmin(req.user) &&
+      !canEditVideos(req) &&
       String(cur.rows[0].created_by) !== String(req.user?.id)
     ) {
       return res.status(403).json({ message: "Forbidden" });
@@ -689,7 +690,7 @@ router.post("/:id/share", authenticate, async (req, res) => {
 
     const row = cur.rows[0];
 
-    if (!isAdmin(req.user) && String(row.created_by) !== String(req.user.id)) {
+    if (!canEditVideos(req) && String(row.created_by) !== String(req.user.id)) {
       return res.status(403).json({ message: "Forbidden" });
     }
 
@@ -723,7 +724,7 @@ router.post("/:id/unshare", authenticate, async (req, res) => {
 
     const row = cur.rows[0];
 
-    if (!isAdmin(req.user) && String(row.created_by) !== String(req.user.id)) {
+    if (!canEditVideos(req) && String(row.created_by) !== String(req.user.id)) {
       return res.status(403).json({ message: "Forbidden" });
     }
 
@@ -761,7 +762,7 @@ router.post("/:id/share-cascade", authenticate, async (req, res) => {
 
     const row = cur.rows[0];
 
-    if (!isAdmin(req.user) && String(row.created_by) !== String(req.user.id)) {
+    if (!canEditVideos(req) && String(row.created_by) !== String(req.user.id)) {
       client.release();
       return res.status(403).json({ message: "Forbidden" });
     }
@@ -842,7 +843,7 @@ router.put("/:id/reorder", authenticate, async (req, res) => {
     }
 
     const createdBy = cur.rows[0].created_by;
-    if (!isAdmin(req.user) && String(createdBy) !== String(req.user?.id)) {
+    if (!canEditVideos(req) && String(createdBy) !== String(req.user?.id)) {
       return res.status(403).json({ message: "Forbidden" });
     }
 
@@ -0,0 +1,52 @@
+// server-api/routes/search.js
+const express = require("express");
+const router = express.Router();
+const { search, TYPES } = require("../services/search");
+const { entitlementFor } = require("../services/entitlements");
+
+/**
+ * GET /api/search?q=&types=video,post&limit=20&offset=0&include_locked=0
+ * Works signed out; results follow the viewer's visibility and premium access.
+ * Shape: { ok, query, total, facets: { video: n, ... }, items: [...] }
+ * items: { type, id, title, title_html, snippet, thumbnail_url, url,
+ *          created_at, locked, score } (title_html / snippet use <mark>)
+ * Video items also have moments: [{ lang, start_seconds, text_html, url }],
+ * the transcript cues that matched, linking to /watch/:id?t=<seconds>.
+ */
+router.get("/", async (req, res) => {
+  try {
+    const viewer = {
+      id: req.user?.id ?? null,
+      // full access ("*") from services/rbac.js, loaded by middleware/rbac
+      isAdmin: !!req.access?.isAdmin,
+      entitled: false,
+    };
+    if (viewer.id != null && !viewer.isAdmin) {
+      try {
+        viewer.entitled = (await entitlementFor(req)).active;
+      } catch (e) {
+        console.warn("[GET /search] entitlement lookup failed:", e.message);
+      }
+    }
+
+    const result = await search(req.query.q, {
+      types: req.query.types || req.query.type,
+      limit: req.query.limit,
+      offset: req.query.offset,
+      viewer,
+      includeLocked: !["0", "false"].includes(
+        String(req.query.include_locked ?? "").toLowerCase(),
+      ),
+    });
+
+    return res.json({ ok: true, types: TYPES, ...result });
+  } catch (err) {
+    if (err.status === 400) {
+      return res.status(400).json({ ok: false, message: err.message });
+    }
+    console.error("[GET /search] error:", err);
+    return res.status(500).json({ ok: false, message: "Search failed" });
+  }
+});
+
+module.exports = router;
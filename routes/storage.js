@@ -3,7 +3,10 @@ const express = require("express");
 const router = express.Router();
 const db = require("../db");
 const { encryptJSON } = require("../utils/crypto");
-const { requireAuth, requireAdmin } = require("../middleware/auth");
+const { requireAuth } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/rbac");
+
+const canEditStore = requirePermission("storage:manage");
 
 function normPrefix(p) {
   const s = String(p || "").trim();
@@ -30,7 +33,7 @@ function assertNonEmpty(val, msg) {
  * NOTE: DB uses `config`, but frontend expects `meta` in some places,
  * so we return BOTH: meta + config for safety.
  */
-router.get("/active", requireAuth, requireAdmin, async (_req, res) => {
+router.get("/active", requireAuth, canEditStore, async (_req, res) => {
   try {
     const r = await db.query(`
       SELECT
@@ -72,7 +75,7 @@ router.get("/active", requireAuth, requireAdmin, async (_req, res) => {
 router.post(
   "/connect/:provider",
   requireAuth,
-  requireAdmin,
+  canEditStore,
   async (req, res) => {
     const provider = String(req.params.provider || "").toLowerCase();
     const body = req.body || {};
@@ -207,7 +210,7 @@ router.post(
 router.post(
   "/disconnect/:provider",
   requireAuth,
-  requireAdmin,
+  canEditStore,
   async (req, res) => {
     const provider = String(req.params.provider || "").toLowerCase();
 
@@ -249,7 +252,7 @@ router.post(
  * Verifies config without saving (if body provided),
  * or verifies saved active config (if body omitted).
  */
-router.post("/test/:provider", requireAuth, requireAdmin, async (req, res) => {
+router.post("/test/:provider", requireAuth, canEditStore, async (req, res) => {
   const provider = String(req.params.provider || "").toLowerCase();
 
   try {
@@ -5,6 +5,8 @@ const db = require("../db");
 
 // ✅ Use your real auth middleware
 const { requireAuth } = require("../middleware/auth");
+const { entitlementFor } = require("../services/entitlements");
+const { canonicalPlanCode } = require("../services/subscriptions");
 
 // Prefer Node 18+ fetch; fallback to node-fetch dynamically.
 const fetch =
@@ -23,18 +25,6 @@ function cleanInt(v, d = 0) {
   return Number.isFinite(n) ? Math.trunc(n) : d;
 }
 
-// canonical: starter | pro | custom
-function canonicalPlanCode(str) {
-  const s = String(str || "").toLowerCase();
-  if (!s) return null;
-  if (s.includes("custom") || s.includes("enterprise")) return "custom";
-  if (s.includes("starter") || s.includes("basic") || s.includes("growth"))
-    return "starter";
-  if (s.includes("pro") || s.includes("plus") || s.includes("essential"))
-    return "pro";
-  if (["starter", "pro", "custom"].includes(s)) return s;
-  return null;
-}
 function labelForCode(code) {
   if (code === "starter") return "Starter";
   if (code === "pro") return "Pro";
@@ -568,17 +558,36 @@ router.get("/customer", requireAuth, async (req, res) => {
     const userId = req.user?.id;
     if (!userId) return res.json({ subscribed: false });
 
-    const { rows } = await db.query(
-      `SELECT 1 FROM subscriptions WHERE user_id=$1 AND canceled_at IS NULL LIMIT 1`,
-      [userId]
-    );
-    res.json({ subscribed: rows.length > 0 });
+    const ent = await entitlementFor(req);
+    res.json({ subscribed: ent.active });
   } catch (e) {
     console.error("GET /subscription/customer error:", e);
     res.status(500).json({ message: "Error checking subscription" });
   }
 });
 
+/**
+ * The entitlement decision every gate uses (for the web and mobile apps):
+ * { active, reason, status, provider, plan_code, label, access_until,
+ *   grace_until, trial_ends_at, will_renew, features, quotas, add_ons, support }
+ */
+router.get("/entitlements", requireAuth, async (req, res) => {
+  try {
+    await initOnce();
+    const { subscription, ...entitlement } = await entitlementFor(req);
+    res.json({
+      ok: true,
+      entitlement: {
+        ...entitlement,
+        subscription_id: subscription?.id ?? null,
+      },
+    });
+  } catch (e) {
+    console.error("GET /subscription/entitlements error:", e);
+    res.status(500).json({ message: "Failed to load entitlements" });
+  }
+});
+
 /* ───────────────────── full details for dashboard (with usage) ───────────────────── */
 
 router.get("/me", requireAuth, async (req, res) => {
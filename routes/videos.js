@@ -9,17 +9,19 @@ const fs = require("fs");
 const crypto = require("crypto");
 const fetch = require("node-fetch");
 const { getDurationSeconds } = require("../services/mediaMeta");
+const watchProgress = require("../services/watchProgress");
+const recommendations = require("../services/recommendations");
+const captions = require("../services/captions");
+const { hasActiveSubscription } = require("../services/entitlements");
+const { can } = require("../services/rbac");
 
 // 🔔 Centralized FCM sender (Admin SDK with legacy fallback)
-const { sendPush } = require("../notifications/fcm");
+const { sendToTokens } = require("../services/pushCampaigns");
+const notifyPrefs = require("../services/notificationPreferences");
+const notifications = require("../services/notifications");
 
 /* -------------------- helpers -------------------- */
 
-function isAdmin(user) {
-  const r = (user?.role || user?.type || "").toLowerCase();
-  return r === "admin" || r === "owner";
-}
-
 function pick(obj, keys) {
   const out = {};
   for (const k of keys) if (obj[k] !== undefined) out[k] = obj[k];
@@ -208,15 +210,17 @@ function mergeJson(a, b) {
   return { ...(a || {}), ...(b || {}) };
 }
 
-async function assertOwnerOrAdmin(videoId, user) {
+// The video's creator, or anyone whose roles grant `permission`
+// (services/rbac.js; req.access is loaded by middleware/rbac)
+async function assertOwnerOrAdmin(videoId, req, permission = "videos:edit") {
   const q = await db.query(
     "SELECT id, created_by FROM videos WHERE id=$1 LIMIT 1",
     [videoId],
   );
   if (q.rowCount === 0) return { ok: false, status: 404 };
   const row = q.rows[0];
-  if (isAdmin(user)) return { ok: true, row };
-  if (row.created_by && String(row.created_by) === String(user?.id))
+  if (can(req.access, permission)) return { ok: true, row };
+  if (row.created_by && String(row.created_by) === String(req.user?.id))
     return { ok: true, row };
   return { ok: false, status: 403 };
 }
@@ -643,82 +647,6 @@ function rewriteM3u8(text, sourceUrl, videoId, ttlSeconds, row = null) {
     .join("\n");
 }
 
-/* -------------------- WATCH PROGRESS (DB RESUME) -------------------- */
-
-let watchProgressTableReady = false;
-let watchProgressTablePromise = null;
-
-async function ensureWatchProgressTable() {
-  if (watchProgressTableReady) return;
-  if (watchProgressTablePromise) return watchProgressTablePromise;
-
-  // Keep this defensive because some dev/prod databases may already have an
-  // older watch_progress table that was created before the unique constraint or
-  // the newer columns existed. ON CONFLICT(user_id, video_id) requires a unique
-  // index, and completed must never be inserted as NULL.
-  watchProgressTablePromise = (async () => {
-    await db.query(`
-      CREATE TABLE IF NOT EXISTS watch_progress (
-        id SERIAL PRIMARY KEY,
-        user_id TEXT NOT NULL,
-        video_id INTEGER NOT NULL REFERENCES videos(id) ON DELETE CASCADE,
-        position_seconds INTEGER NOT NULL DEFAULT 0,
-        duration_seconds INTEGER,
-        completed BOOLEAN NOT NULL DEFAULT FALSE,
-        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
-      );
-    `);
-
-    await db.query(
-      `ALTER TABLE watch_progress
-         ADD COLUMN IF NOT EXISTS position_seconds INTEGER NOT NULL DEFAULT 0,
-         ADD COLUMN IF NOT EXISTS duration_seconds INTEGER,
-         ADD COLUMN IF NOT EXISTS completed BOOLEAN NOT NULL DEFAULT FALSE,
-         ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-         ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()`,
-    );
-
-    // Remove older duplicate progress rows before creating the unique index.
-    await db.query(`
-      DELETE FROM watch_progress a
-      USING watch_progress b
-      WHERE a.ctid < b.ctid
-        AND a.user_id = b.user_id
-        AND a.video_id = b.video_id
-    `);
-
-    await db.query(`
-      CREATE UNIQUE INDEX IF NOT EXISTS idx_watch_progress_user_video_unique
-        ON watch_progress (user_id, video_id)
-    `);
-
-    await db.query(`
-      CREATE INDEX IF NOT EXISTS idx_watch_progress_user_updated
-        ON watch_progress (user_id, updated_at DESC)
-    `);
-
-    await db.query(`
-      CREATE INDEX IF NOT EXISTS idx_watch_progress_video_updated
-        ON watch_progress (video_id, updated_at DESC)
-    `);
-
-    watchProgressTableReady = true;
-  })().catch((err) => {
-    watchProgressTableReady = false;
-    watchProgressTablePromise = null;
-    throw err;
-  });
-
-  return watchProgressTablePromise;
-}
-
-function coerceProgressSeconds(v, fallback = 0) {
-  const n = Number(v);
-  if (!Number.isFinite(n)) return fallback;
-  return Math.max(0, Math.floor(n));
-}
-
 /* -------------------- PUBLIC ROUTES -------------------- */
 
 router.get("/public/catalog", async (req, res) => {
@@ -1033,6 +961,23 @@ router.get("/public/:id/preview-proxy", async (req, res) => {
 
 /* -------------------- AUTH’D ROUTES -------------------- */
 
+/* -------------------- RECOMMENDATIONS -------------------- */
+
+// Personalized for a logged-in user, popular-in-last-30-days otherwise
+// (services/recommendations.js)
+router.get("/recommended", async (req, res) => {
+  try {
+    const result = await recommendations.recommendFor(req.user?.id ?? null, {
+      limit: req.query.limit,
+    });
+    res.setHeader("Cache-Control", "private, max-age=60");
+    res.json(result);
+  } catch (e) {
+    console.error("[GET /videos/recommended] error:", e);
+    res.status(500).json({ message: "Failed to fetch recommendations" });
+  }
+});
+
 router.get("/", authenticate, async (req, res) => {
   try {
     ensureVideoListIndexes();
@@ -1058,7 +1003,7 @@ router.get("/", authenticate, async (req, res) => {
     const params = [];
     let where = "WHERE 1=1";
 
-    if (!isAdmin(req.user)) {
+    if (!can(req.access, "videos:edit")) {
       params.push(req.user.id);
       where += ` AND v.created_by = $${params.length}`;
     }
@@ -1134,32 +1079,8 @@ router.get("/:id/progress", authenticate, async (req, res) => {
       return res.status(400).json({ ok: false, message: "Invalid id" });
     }
 
-    await ensureWatchProgressTable();
-
-    const r = await db.query(
-      `SELECT position_seconds,
-              duration_seconds,
-              completed,
-              updated_at
-         FROM watch_progress
-        WHERE user_id = $1
-          AND video_id = $2
-        LIMIT 1`,
-      [String(req.user.id), Number(id)],
-    );
-
-    if (r.rowCount === 0) {
-      return res.json({
-        ok: true,
-        video_id: Number(id),
-        position_seconds: 0,
-        duration_seconds: null,
-        completed: false,
-        updated_at: null,
-      });
-    }
-
-    return res.json({ ok: true, video_id: Number(id), ...r.rows[0] });
+    const progress = await watchProgress.getProgress(req.user.id, Number(id));
+    return res.json({ ok: true, ...progress, video_id: Number(id) });
   } catch (e) {
     console.error("[GET /videos/:id/progress] error:", e);
     return res
@@ -1175,38 +1096,12 @@ router.post("/:id/progress", authenticate, async (req, res) => {
       return res.status(400).json({ ok: false, message: "Invalid id" });
     }
 
-    await ensureWatchProgressTable();
-
-    const position = coerceProgressSeconds(
-      req.body?.position_seconds ?? req.body?.position ?? req.body?.seconds,
-      0,
-    );
-    const durationRaw =
-      req.body?.duration_seconds ?? req.body?.duration ?? null;
-    const duration =
-      durationRaw == null ? null : coerceProgressSeconds(durationRaw, 0);
-
-    const completed =
-      Boolean(req.body?.completed) ||
-      Boolean(
-        duration && duration > 0 && position >= Math.max(0, duration - 5),
-      );
-
-    const r = await db.query(
-      `INSERT INTO watch_progress
-         (user_id, video_id, position_seconds, duration_seconds, completed, updated_at)
-       VALUES ($1, $2, $3, $4, $5, NOW())
-       ON CONFLICT (user_id, video_id)
-       DO UPDATE SET
-         position_seconds = EXCLUDED.position_seconds,
-         duration_seconds = COALESCE(EXCLUDED.duration_seconds, watch_progress.duration_seconds),
-         completed = EXCLUDED.completed OR watch_progress.completed,
-         updated_at = NOW()
-       RETURNING position_seconds, duration_seconds, completed, updated_at`,
-      [String(req.user.id), Number(id), position, duration, completed],
+    const progress = await watchProgress.saveProgress(
+      req.user.id,
+      Number(id),
+      req.body || {},
     );
-
-    return res.json({ ok: true, video_id: Number(id), ...r.rows[0] });
+    return res.json({ ok: true, ...progress, video_id: Number(id) });
   } catch (e) {
     console.error("[POST /videos/:id/progress] error:", e);
     return res
@@ -1238,7 +1133,7 @@ router.get("/:id", authenticate, async (req, res) => {
 
     const row = { ...r.rows[0] };
     const ownerOrAdmin =
-      isAdmin(req.user) ||
+      can(req.access, "videos:edit") ||
       (row.created_by && String(row.created_by) === String(req.user?.id));
 
     // ✅ Normal logged-in users are allowed to watch published videos, but they
@@ -1419,7 +1314,7 @@ router.put("/:id", authenticate, async (req, res) => {
       return res.status(400).json({ message: "Invalid id" });
     }
 
-    const perm = await assertOwnerOrAdmin(id, req.user);
+    const perm = await assertOwnerOrAdmin(id, req);
     if (!perm.ok) {
       return res.status(perm.status).json({ message: "Forbidden" });
     }
@@ -1535,7 +1430,7 @@ router.post("/:id/publish", authenticate, async (req, res) => {
       return res.status(400).json({ message: "Invalid id" });
     }
 
-    const perm = await assertOwnerOrAdmin(id, req.user);
+    const perm = await assertOwnerOrAdmin(id, req, "videos:publish");
     if (!perm.ok) {
       return res.status(perm.status).json({ message: "Forbidden" });
     }
@@ -1584,10 +1479,27 @@ router.post("/:id/publish", authenticate, async (req, res) => {
       route: `/watch/${videoId}`,
     };
 
+    // both honour the users' notification preferences (push: quiet hours too)
     try {
+      await notifyPrefs.ensureNotificationPreferenceTables();
+      await notifications.ensureNotificationColumns();
+      const inAppParams = [
+        title,
+        body,
+        videoId,
+        `/watch/${videoId}`,
+        uploaderId,
+      ];
+      // batch publishes collapse into one "N new videos" group per user
+      const groupIdSql = notifications.groupIdSql(
+        "u.id",
+        "new_video",
+        inAppParams,
+      );
       await db.query(
         `
-        INSERT INTO notifications (user_id, title, body, channel, payload)
+        INSERT INTO notifications
+          (user_id, title, body, channel, payload, group_key, group_id)
         SELECT
           u.id,
           $1::text,
@@ -1597,12 +1509,15 @@ router.post("/:id/publish", authenticate, async (req, res) => {
             'type', 'video_published',
             'video_id', $3::int,
             'route', $4::text
-          )
+          ),
+          'new_video',
+          ${groupIdSql}
         FROM users u
         WHERE u.id IS NOT NULL
           AND ($5::int IS NULL OR u.id <> $5)
+          AND ${notifyPrefs.allowedSql("u.id", "new_video", "in_app", inAppParams)}
       `,
-        [title, body, videoId, `/watch/${videoId}`, uploaderId],
+        inAppParams,
       );
     } catch (err) {
       console.warn(
@@ -1612,6 +1527,8 @@ router.post("/:id/publish", authenticate, async (req, res) => {
     }
 
     try {
+      await notifyPrefs.ensureNotificationPreferenceTables();
+      const pushParams = [uploaderId];
       const t = await db.query(
         `
         SELECT token
@@ -1619,16 +1536,28 @@ router.post("/:id/publish", authenticate, async (req, res) => {
         WHERE token IS NOT NULL
           AND token <> ''
           AND ($1::int IS NULL OR user_id <> $1)
+          AND ${notifyPrefs.allowedSql("user_id", "new_video", "push", pushParams)}
       `,
-        [uploaderId],
+        pushParams,
       );
       const tokens = t.rows.map((r) => r.token).filter(Boolean);
 
       if (tokens.length) {
-        await sendPush(tokens, {
-          title,
+        // one notification on the device for a batch of publishes
+        const recent = await db.query(
+          `SELECT COUNT(*)::int AS n
+           FROM videos
+           WHERE is_published = TRUE
+             AND published_at BETWEEN NOW() - ($1::int * interval '1 minute')
+                                  AND NOW()`,
+          [notifications.GROUP_WINDOW_MINUTES],
+        );
+        const n = Math.max(recent.rows[0]?.n || 0, 1);
+        await sendToTokens(tokens, {
+          title: notifications.summaryTitle("video_published", n, title),
           body,
           data: appPayload,
+          collapseKey: "new_video",
         });
       }
     } catch (e) {
@@ -1647,7 +1576,7 @@ router.post("/:id/unpublish", authenticate, async (req, res) => {
     const { id } = req.params;
     if (!isDigits(id)) return res.status(400).json({ message: "Invalid id" });
 
-    const perm = await assertOwnerOrAdmin(id, req.user);
+    const perm = await assertOwnerOrAdmin(id, req, "videos:publish");
     if (!perm.ok) return res.status(perm.status).json({ message: "Forbidden" });
 
     const { rows } = await db.query(
@@ -1670,7 +1599,7 @@ router.delete("/:id", authenticate, async (req, res) => {
     const { id } = req.params;
     if (!isDigits(id)) return res.status(400).json({ message: "Invalid id" });
 
-    const perm = await assertOwnerOrAdmin(id, req.user);
+    const perm = await assertOwnerOrAdmin(id, req);
     if (!perm.ok) return res.status(perm.status).json({ message: "Forbidden" });
 
     await db.query("DELETE FROM videos WHERE id=$1", [id]);
@@ -1716,4 +1645,160 @@ router.get("/:id/status", authenticate, async (req, res) => {
   res.json(q.rows[0]);
 });
 
+/* -------------------- captions / transcripts -------------------- */
+
+// Published videos for everyone; premium ones need a subscription.
+// Owners and anyone with videos:edit always pass.
+async function captionAccess(videoId, req) {
+  const user = req.user;
+  const q = await db.query(
+    `SELECT id, created_by, is_published, COALESCE(is_premium, TRUE) AS is_premium
+     FROM videos WHERE id=$1 LIMIT 1`,
+    [videoId],
+  );
+  const row = q.rows[0];
+  if (!row) return { ok: false, status: 404, message: "Not found" };
+  if (
+    can(req.access, "videos:edit") ||
+    (row.created_by && String(row.created_by) === String(user?.id))
+  )
+    return { ok: true };
+  if (!row.is_published)
+    return { ok: false, status: 404, message: "Not found" };
+  if (row.is_premium && !(user?.id && (await hasActiveSubscription(user.id))))
+    return { ok: false, status: 402, message: "Subscription required" };
+  return { ok: true };
+}
+
+function sendCaptionError(res, e, label) {
+  if (e.status === 400 || e.status === 404) {
+    return res.status(e.status).json({ message: e.message });
+  }
+  console.error(`[${label}] error:`, e);
+  return res.status(500).json({ message: "Captions request failed" });
+}
+
+/** GET /api/videos/:id/captions -> { items: [{ lang, label, kind, is_default, url, ... }] } */
+router.get("/:id/captions", async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isDigits(id)) return res.status(400).json({ message: "Invalid id" });
+
+    const access = await captionAccess(id, req);
+    if (!access.ok)
+      return res.status(access.status).json({ message: access.message });
+
+    res.json({ items: await captions.listTracks(id) });
+  } catch (e) {
+    sendCaptionError(res, e, "GET /videos/:id/captions");
+  }
+});
+
+/** GET /api/videos/:id/captions/:lang.vtt -> text/vtt */
+router.get("/:id/captions/:lang.vtt", async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isDigits(id)) return res.status(400).send("Invalid id");
+
+    const access = await captionAccess(id, req);
+    if (!access.ok) return res.status(access.status).send(access.message);
+
+    const vtt = await captions.getVtt(id, req.params.lang);
+    if (vtt == null) return res.status(404).send("Not found");
+
+    res.set("Content-Type", "text/vtt; charset=utf-8");
+    res.set("Cache-Control", "private, max-age=300");
+    res.send(vtt);
+  } catch (e) {
+    if (e.status === 400) return res.status(400).send(e.message);
+    console.error("[GET /videos/:id/captions/:lang.vtt] error:", e);
+    res.status(500).send("Failed to load captions");
+  }
+});
+
+/**
+ * PUT /api/videos/:id/captions/:lang (owner/admin)
+ * Body: raw WebVTT/SRT (Content-Type text/vtt, application/x-subrip or
+ * text/plain; label/kind/default in the query string), or JSON
+ * { content, label, kind, is_default }. Replaces the language's track.
+ */
+router.put(
+  "/:id/captions/:lang",
+  authenticate,
+  express.text({
+    type: ["text/vtt", "text/plain", "application/x-subrip", "text/srt"],
+    limit: "5mb",
+  }),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!isDigits(id)) return res.status(400).json({ message: "Invalid id" });
+
+      const perm = await assertOwnerOrAdmin(id, req);
+      if (!perm.ok) {
+        return res.status(perm.status).json({ message: "Forbidden" });
+      }
+
+      const raw = typeof req.body === "string";
+      const opts = raw ? req.query : req.body || {};
+      const content = raw ? req.body : opts.content;
+      if (!content || typeof content !== "string") {
+        return res.status(400).json({ message: "Caption content required" });
+      }
+
+      const track = await captions.saveTrack(id, req.params.lang, content, {
+        label: opts.label,
+        kind: opts.kind || "subtitles",
+        isDefault: [true, "true", "1"].includes(
+          opts.is_default ?? opts.default,
+        ),
+        userId: req.user?.id,
+      });
+      res.json({ ok: true, track });
+    } catch (e) {
+      sendCaptionError(res, e, "PUT /videos/:id/captions/:lang");
+    }
+  },
+);
+
+/** DELETE /api/videos/:id/captions/:lang (owner/admin) */
+router.delete("/:id/captions/:lang", authenticate, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isDigits(id)) return res.status(400).json({ message: "Invalid id" });
+
+    const perm = await assertOwnerOrAdmin(id, req);
+    if (!perm.ok) return res.status(perm.status).json({ message: "Forbidden" });
+
+    const removed = await captions.deleteTrack(id, req.params.lang);
+    if (!removed) return res.status(404).json({ message: "Not found" });
+    res.json({ ok: true });
+  } catch (e) {
+    sendCaptionError(res, e, "DELETE /videos/:id/captions/:lang");
+  }
+});
+
+/**
+ * GET /api/videos/:id/transcript/search?q=forgiveness&lang=en
+ * -> { items: [{ lang, start_seconds, end_seconds, text, text_html, url }] }
+ */
+router.get("/:id/transcript/search", async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isDigits(id)) return res.status(400).json({ message: "Invalid id" });
+
+    const access = await captionAccess(id, req);
+    if (!access.ok)
+      return res.status(access.status).json({ message: access.message });
+
+    const items = await captions.searchTranscript(id, req.query.q, {
+      lang: req.query.lang,
+      limit: req.query.limit,
+    });
+    res.json({ items });
+  } catch (e) {
+    sendCaptionError(res, e, "GET /videos/:id/transcript/search");
+  }
+});
+
 module.exports = router;
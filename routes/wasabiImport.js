@@ -9,6 +9,10 @@ const {
   HeadObjectCommand,
   GetObjectCommand,
 } = require("@aws-sdk/client-s3");
+const { requireAuth } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/rbac");
+
+router.use(requireAuth, requirePermission("videos:import"));
 
 /* =========================================================
    Helpers
@@ -2,6 +2,8 @@ const express = require("express");
 const router = express.Router();
 const db = require("../db");
 const { signHls } = require("../lib/tokens");
+const { hasActiveSubscription } = require("../services/entitlements");
+const captions = require("../services/captions");
 
 let requireAuth;
 try {
@@ -26,11 +28,7 @@ function getUserId(req) {
 async function hasActiveSub(userId) {
   if (!userId) return false;
   try {
-    const { rows } = await db.query(
-      "SELECT 1 FROM subscriptions WHERE user_id=$1 AND canceled_at IS NULL LIMIT 1",
-      [userId]
-    );
-    return rows.length > 0;
+    return await hasActiveSubscription(userId);
   } catch {
     return false;
   }
@@ -41,12 +39,43 @@ function parsePlaybackIdFromUrl(url) {
   const m = url.match(/\/hls\/([^/]+)\/index\.m3u8/i);
   return m ? m[1] : null;
 }
+// Uploaded caption tracks, else the legacy metadata.subtitles [{lang,url}]
+async function subtitlesFor(row) {
+  let tracks = [];
+  try {
+    tracks = await captions.listTracks(row.id);
+  } catch (e) {
+    console.warn("[watch] caption lookup failed:", e.message);
+  }
+  if (tracks.length) {
+    return tracks.map((t) => ({
+      lang: t.lang,
+      label: t.label,
+      kind: t.kind,
+      default: t.is_default,
+      url: t.url,
+    }));
+  }
+  const legacy = Array.isArray(row.metadata?.subtitles)
+    ? row.metadata.subtitles
+    : [];
+  return legacy
+    .filter((s) => s && s.url)
+    .map((s) => ({
+      lang: s.lang || "",
+      label: s.lang || "",
+      kind: "subtitles",
+      default: false,
+      url: s.url,
+    }));
+}
 
 /**
  * GET /watch/:id
  * Returns entitled playback info for VOD (and can be extended for live).
  * Response:
- *  { id, title, is_premium, hls_url, tokenized_hls_url, subtitles: [], thumbs: {...} }
+ *  { id, title, is_premium, hls_url, tokenized_hls_url, subtitles: [...], thumbs: {...} }
+ *  subtitles: [{ lang, label, kind, default, url }] (url serves WebVTT)
  */
 router.get("/:id", baseAuth, async (req, res) => {
   try {
@@ -86,7 +115,7 @@ router.get("/:id", baseAuth, async (req, res) => {
       is_premium: premium,
       hls_url: directHls, // original (for debugging)
       tokenized_hls_url: tokenizedUrl, // player should use this one
-      subtitles: [], // extend when you have captions
+      subtitles: await subtitlesFor(row),
       thumbnails: { poster: row.thumbnail_url || null },
     });
   } catch (e) {
@@ -228,6 +228,9 @@ app.use(express.urlencoded({ extended: true }));
 
 app.use(authBridge);
 
+// DB roles/permissions for req.user (services/rbac, cached per user)
+app.use(require("./middleware/rbac").attachAccess);
+
 app.use((req, _res, next) => {
   req.db = db;
   next();
@@ -308,11 +311,16 @@ app.use("/api/resources", resourcesRoutes);
 // public misc routes
 app.use("/api/public", publicRoutes);
 
+// ✅ site search (videos, playlists, collections, resources, posts)
+app.use("/api/search", require("./routes/search"));
+
 app.use("/api/devices", devicesRoutes);
 
 app.use("/dev", devEmailRoutes);
 app.use("/api/emails", emailsRoutes);
 app.use("/api/admin/email", require("./routes/adminEmail"));
+app.use("/api/admin/push", require("./routes/adminPush"));
+app.use("/api/email", require("./routes/emailPreferences"));
 
 app.use("/api", bunnyStreamRouter);
 
@@ -326,16 +334,19 @@ app.use("/api/playlists", playlistsRouter);
 
 // ✅ community
 app.use("/api/community", communityRoutes);
+app.use("/api/admin/moderation", require("./routes/adminModeration"));
 
 // ✅ admin routes
 app.use("/api/admin/dashboard", adminDashboardRoutes);
 app.use("/api/admin/calendar", adminCalendarRoutes);
+app.use("/api/calendar", require("./routes/calendarFeed"));
 app.use("/api/admin/resources", adminResourcesRoutes);
 app.use("/api/admin/organize", adminOrganizeRoutes);
 app.use("/api/integrations", integrationsRoutes);
 app.use("/api", pagesRoutes);
 app.use("/api/admin/analytics", adminAnalyticsRoutes);
 app.use("/api/admin/users", adminUsersRoutes);
+app.use("/api/admin/roles", require("./routes/adminRoles"));
 app.use("/api/admin/wasabi", require("./routes/wasabiImport"));
 // app.use("/api/storage", require("./routes/storage"));
 app.use("/api/admin/storage", require("./routes/storage"));
@@ -377,44 +388,12 @@ if (tusRouter) {
 }
 
 /* --------------------------------------------------------
-   SOCKET.IO CHAT
+   SOCKET.IO CHAT (auth + moderation live in services/liveChat)
 --------------------------------------------------------- */
-io.on("connection", (socket) => {
-  socket.on("chat:join", ({ eventId, name }) => {
-    if (!eventId) return;
-    socket.join(`live:${eventId}`);
-    socket.data.name = name || "Guest";
-  });
+require("./services/liveChat").attachLiveChat(io);
 
-  socket.on("chat:message", async (payload = {}, ack) => {
-    try {
-      const { eventId, message, userId, name } = payload;
-      if (!eventId || !message) return ack && ack({ ok: false });
-
-      const ins = await db.query(
-        `INSERT INTO live_chat_messages (event_id, user_id, name, message)
-         VALUES ($1,$2,$3,$4)
-         RETURNING id, created_at`,
-        [eventId, userId || null, name || socket.data.name || "Guest", message],
-      );
-
-      const msg = {
-        id: ins.rows[0].id,
-        event_id: eventId,
-        user_id: userId || null,
-        name: name || socket.data.name || "Guest",
-        message,
-        created_at: ins.rows[0].created_at,
-      };
-
-      io.to(`live:${eventId}`).emit("chat:new", msg);
-      ack && ack({ ok: true });
-    } catch (e) {
-      console.error("socket chat:message error", e);
-      ack && ack({ ok: false });
-    }
-  });
-});
+// Admin-only `import:<jobId>` rooms for Wasabi import progress
+require("./services/importer/progress").attachImportProgress(app.get("io"));
 
 /* --------------------------------------------------------
    ERRORS
@@ -440,6 +419,58 @@ try {
   console.log("[emailWorker] not started:", e.message);
 }
 
+// ✅ Scheduled (send_at) email jobs + recurring campaigns -> email worker
+try {
+  const { startEmailCampaignWorker } = require("./workers/emailCampaignWorker");
+  startEmailCampaignWorker({ intervalMs: 30000 });
+} catch (e) {
+  console.log("[emailCampaignWorker] not started:", e.message);
+}
+
+// ✅ Live event reminders (queues emails for the worker above + FCM pushes)
+try {
+  const { startLiveReminderWorker } = require("./workers/liveReminderWorker");
+  startLiveReminderWorker({ intervalMs: 60000 });
+} catch (e) {
+  console.log("[liveReminderWorker] not started:", e.message);
+}
+
+// ✅ Push campaigns (scheduled / send-now, see /api/admin/push)
+try {
+  const { startPushCampaignWorker } = require("./workers/pushCampaignWorker");
+  startPushCampaignWorker({ intervalMs: 15000 });
+} catch (e) {
+  console.log("[pushCampaignWorker] not started:", e.message);
+}
+
+// ✅ Daily notification digests (queues emails for the email worker)
+try {
+  const {
+    startNotificationDigestWorker,
+  } = require("./workers/notificationDigestWorker");
+  startNotificationDigestWorker({ intervalMs: 300000 });
+} catch (e) {
+  console.log("[notificationDigestWorker] not started:", e.message);
+}
+
+// ✅ Wasabi import runner (claims jobs started via /api/admin/import-jobs)
+try {
+  const { startImportWorker } = require("./workers/importWorker");
+  startImportWorker({ intervalMs: 5000 });
+} catch (e) {
+  console.log("[importWorker] not started:", e.message);
+}
+
+// ✅ Nightly recommendation precompute (co-watch pairs + 30-day popularity)
+try {
+  const {
+    startRecommendationsWorker,
+  } = require("./workers/recommendationsWorker");
+  startRecommendationsWorker({});
+} catch (e) {
+  console.log("[recommendationsWorker] not started:", e.message);
+}
+
 /* --------------------------------------------------------
    START
 --------------------------------------------------------- */
@@ -455,3 +486,18 @@ server.headersTimeout = 76 * 1000;
 server.listen(PORT, HOST, () => {
   console.log(`Server running on http://${HOST}:${PORT}`);
 });
+
+// ✅ Write buffered analytics events before exiting (a stuck database
+// must not keep the process from stopping)
+const SHUTDOWN_FLUSH_MS = Number(process.env.SHUTDOWN_FLUSH_MS || 5000);
+for (const signal of ["SIGTERM", "SIGINT"]) {
+  process.once(signal, () => {
+    const timeout = new Promise((resolve) => {
+      setTimeout(resolve, SHUTDOWN_FLUSH_MS).unref();
+    });
+    Promise.race([
+      require("./services/analyticsEvents").flush(),
+      timeout,
+    ]).finally(() => process.exit(0));
+  });
+}
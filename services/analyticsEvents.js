@@ -0,0 +1,482 @@
+// server-api/services/analyticsEvents.js
+const crypto = require("crypto");
+const db = require("../db");
+
+/**
+ * Player/page analytics ingestion (routes/analytics.js).
+ *
+ * analytics_events differs between installs, so its columns are detected
+ * once (getAnalyticsSchema) and every write/read adapts to them.
+ *
+ * Events are validated by normalizeEvent() and queued in memory; a buffered
+ * writer inserts them in one multi-row INSERT every FLUSH_MS or as soon as
+ * FLUSH_SIZE are waiting. When Postgres rejects a batch's data the rows are
+ * retried one by one and only the rejected ones are dropped; any other
+ * failure (database down) puts the events back (the buffer is capped at
+ * MAX_BUFFER, oldest dropped). Events still buffered when the process stops
+ * are lost unless flush() is awaited on shutdown (server.js).
+ *
+ * Dedupe: every event gets a dedupe key, sha1 of the actor plus the client's
+ * event_id, or of actor/type/video/position/second when there is none (a
+ * page-unload beacon resending what was already sent). Keys seen in the last
+ * DEDUPE_TTL_MS are dropped here; with the dedupe_key column and its unique
+ * index (db/migrations/20261019_11_analytics_batching.sql) repeats across
+ * instances are dropped by the INSERT as well. Events from viewers who paused
+ * their watch history are deduped in memory only: their key is derived from
+ * the user id, so it is never stored (dedupe_key NULL).
+ *
+ *   ANALYTICS_FLUSH_MS=2000  ANALYTICS_FLUSH_SIZE=500
+ */
+
+const EVENT_TYPES = new Set([
+  // VOD
+  "video_play",
+  "video_progress",
+  "video_complete",
+  // LIVE
+  "live_open",
+  "live_progress",
+  "live_leave",
+]);
+const FLUSH_MS = Number(process.env.ANALYTICS_FLUSH_MS || 2000);
+const FLUSH_SIZE = Number(process.env.ANALYTICS_FLUSH_SIZE || 500);
+const MAX_BUFFER = 20000;
+const DEDUPE_TTL_MS = 10 * 60 * 1000;
+const MAX_DEDUPE_KEYS = 100000;
+// client timestamps are trusted this far back (beacons, offline retries)
+const MAX_EVENT_AGE_MS = 24 * 60 * 60 * 1000;
+const MAX_CLOCK_SKEW_MS = 60 * 1000;
+const MAX_SECONDS = 24 * 60 * 60;
+const ANON_ID_RE = /^[A-Za-z0-9_-]{8,64}$/;
+// fits an INTEGER video_id/vod_id column
+const MAX_VIDEO_ID = 2147483647;
+const MAX_META_DEPTH = 5;
+
+// ---- schema cache ----
+let __analyticsSchema = null;
+
+async function getAnalyticsSchema() {
+  if (__analyticsSchema) return __analyticsSchema;
+
+  const r = await db.query(
+    `
+    SELECT column_name
+    FROM information_schema.columns
+    WHERE table_schema='public'
+      AND table_name='analytics_events'
+  `,
+  );
+
+  const cols = new Set((r.rows || []).map((x) => x.column_name));
+  const has = (c) => cols.has(c);
+
+  const schema = {
+    cols,
+
+    // type columns (some schemas have one or both)
+    hasType: has("type"),
+    hasEventType: has("event_type"),
+
+    // time columns
+    hasCreatedAt: has("created_at"),
+    hasOccurredAt: has("occurred_at"),
+
+    // user identity columns
+    hasUserId: has("user_id"),
+    hasMemberId: has("member_id"),
+    hasAccountId: has("account_id"),
+
+    // anon
+    hasAnonId: has("anon_id"),
+
+    // video id columns
+    hasVideoId: has("video_id"),
+    hasVodId: has("vod_id"),
+
+    // position/duration columns
+    posCol: has("position_sec")
+      ? "position_sec"
+      : has("position_seconds")
+        ? "position_seconds"
+        : null,
+    durCol: has("duration_sec")
+      ? "duration_sec"
+      : has("duration_seconds")
+        ? "duration_seconds"
+        : null,
+
+    hasPage: has("page"),
+    hasMeta: has("meta"),
+
+    // unique per event (see dedupe below); optional
+    hasDedupeKey: has("dedupe_key"),
+  };
+
+  schema.typeExpr =
+    schema.hasType && schema.hasEventType
+      ? "COALESCE(type, event_type)"
+      : schema.hasType
+        ? "type"
+        : schema.hasEventType
+          ? "event_type"
+          : null;
+
+  schema.timeExpr =
+    schema.hasCreatedAt && schema.hasOccurredAt
+      ? "COALESCE(created_at, occurred_at)"
+      : schema.hasCreatedAt
+        ? "created_at"
+        : schema.hasOccurredAt
+          ? "occurred_at"
+          : null;
+
+  schema.userExpr =
+    schema.hasUserId || schema.hasMemberId || schema.hasAccountId
+      ? `COALESCE(${schema.hasUserId ? "user_id" : "NULL"},
+               ${schema.hasMemberId ? "member_id" : "NULL"},
+               ${schema.hasAccountId ? "account_id" : "NULL"})`
+      : null;
+
+  schema.videoExpr =
+    schema.hasVideoId && schema.hasVodId
+      ? "COALESCE(video_id, vod_id)"
+      : schema.hasVideoId
+        ? "video_id"
+        : schema.hasVodId
+          ? "vod_id"
+          : null;
+
+  __analyticsSchema = schema;
+  return schema;
+}
+
+function resetSchema() {
+  __analyticsSchema = null;
+}
+
+/* ───────────────────────── normalize ───────────────────────── */
+
+function clampInt(n, min, max) {
+  const x = Number(n);
+  if (!Number.isFinite(x)) return null;
+  const xi = Math.floor(x);
+  return Math.max(min, Math.min(max, xi));
+}
+
+function badEvent(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/** A usable anonymous session id, or null. */
+function cleanAnonId(v) {
+  const s = String(v ?? "").trim();
+  return ANON_ID_RE.test(s) ? s : null;
+}
+
+function newAnonId() {
+  return crypto.randomUUID();
+}
+
+/** Client time (ms epoch or ISO) within the accepted window, else now. */
+function eventTime(v) {
+  const now = Date.now();
+  if (v === undefined || v === null || v === "") return new Date(now);
+  const t = typeof v === "number" ? v : new Date(v).getTime();
+  if (!Number.isFinite(t)) return new Date(now);
+  if (t > now + MAX_CLOCK_SKEW_MS || t < now - MAX_EVENT_AGE_MS) {
+    return new Date(now);
+  }
+  return new Date(Math.min(t, now));
+}
+
+// Postgres text and jsonb cannot hold NUL characters
+function stripNul(v) {
+  return String(v).replace(/\u0000/g, "");
+}
+
+function cleanMeta(v, depth = 0) {
+  if (typeof v === "string") return stripNul(v);
+  if (!v || typeof v !== "object") return v;
+  if (depth >= MAX_META_DEPTH) return null;
+  if (Array.isArray(v)) return v.map((x) => cleanMeta(x, depth + 1));
+  const out = {};
+  for (const [k, x] of Object.entries(v)) {
+    out[stripNul(k)] = cleanMeta(x, depth + 1);
+  }
+  return out;
+}
+
+function sha1(s) {
+  return crypto.createHash("sha1").update(s).digest("hex");
+}
+
+/**
+ * Validate one raw event. identity: { userId, anonId, key?, paused? }
+ * (resolved by the route; userId null for anonymous or paused-history
+ * viewers, key overrides who the event is deduped for, paused keeps that
+ * key out of the table).
+ * Throws a 400 error for an unusable event.
+ */
+function normalizeEvent(raw, identity) {
+  if (!raw || typeof raw !== "object") throw badEvent("Invalid event");
+
+  const type = raw.event_type ?? raw.type;
+  if (!EVENT_TYPES.has(type)) throw badEvent("Invalid event_type");
+
+  const v = raw.video_id;
+  const videoId = v == null || v === "" ? null : Number(v);
+  if (
+    videoId !== null &&
+    !(Number.isSafeInteger(videoId) && videoId > 0 && videoId <= MAX_VIDEO_ID)
+  ) {
+    throw badEvent("Invalid video_id");
+  }
+  // For video_* events we require a video id (this prevents "Top Videos only shows one item" bugs)
+  if (type.startsWith("video_") && videoId === null) {
+    throw badEvent("video_id is required for video events");
+  }
+
+  const position = clampInt(raw.position_seconds, 0, MAX_SECONDS);
+  const at = eventTime(raw.ts ?? raw.occurred_at);
+  const actor =
+    identity.key ||
+    (identity.userId ? `u:${identity.userId}` : `a:${identity.anonId || ""}`);
+  const clientId = String(raw.event_id ?? "").slice(0, 100);
+  const dedupeKey = sha1(
+    clientId
+      ? `${actor}|${clientId}`
+      : `${actor}|${type}|${videoId ?? ""}|${position ?? ""}|${Math.floor(
+          at.getTime() / 1000,
+        )}`,
+  );
+
+  return {
+    type,
+    userId: identity.userId || null,
+    anonId: identity.anonId || null,
+    videoId,
+    position,
+    duration: clampInt(raw.duration_seconds, 0, MAX_SECONDS),
+    page: raw.page ? stripNul(raw.page).slice(0, 500) : null,
+    meta: raw.meta && typeof raw.meta === "object" ? cleanMeta(raw.meta) : {},
+    at,
+    dedupeKey,
+    storedKey: identity.paused ? null : dedupeKey,
+  };
+}
+
+/* ───────────────────────── dedupe ───────────────────────── */
+
+// dedupe key -> expiry (ms); Map keeps insertion order, oldest first
+const recentKeys = new Map();
+
+function seenRecently(key) {
+  const now = Date.now();
+  for (const [k, exp] of recentKeys) {
+    if (exp > now && recentKeys.size <= MAX_DEDUPE_KEYS) break;
+    recentKeys.delete(k);
+  }
+  if (recentKeys.has(key)) return true;
+  recentKeys.set(key, now + DEDUPE_TTL_MS);
+  return false;
+}
+
+/* ───────────────────────── buffered writer ───────────────────────── */
+
+let buffer = [];
+let flushing = null;
+let timer = null;
+
+function scheduleFlush() {
+  if (timer) return;
+  timer = setTimeout(() => {
+    timer = null;
+    flush().catch(() => {});
+  }, FLUSH_MS);
+  // never keep the process alive just for analytics
+  timer.unref?.();
+}
+
+/**
+ * Queue normalized events. Returns { accepted, duplicates }.
+ */
+function enqueue(events) {
+  let accepted = 0;
+  let duplicates = 0;
+  for (const e of events) {
+    if (seenRecently(e.dedupeKey)) {
+      duplicates += 1;
+      continue;
+    }
+    buffer.push(e);
+    accepted += 1;
+  }
+  if (buffer.length > MAX_BUFFER) {
+    const dropped = buffer.length - MAX_BUFFER;
+    buffer = buffer.slice(dropped);
+    console.warn(`[analyticsEvents] buffer full, dropped ${dropped} event(s)`);
+  }
+
+  if (buffer.length >= FLUSH_SIZE) flush().catch(() => {});
+  else if (buffer.length) scheduleFlush();
+  return { accepted, duplicates };
+}
+
+/** Column list + one row's placeholders for the detected schema. */
+function rowSql(s, e, params) {
+  const cols = [];
+  const vals = [];
+  const add = (col, value, cast = "") => {
+    cols.push(col);
+    params.push(value);
+    vals.push(`$${params.length}${cast}`);
+  };
+
+  // ---- identity ----
+  if (e.userId != null) {
+    if (s.hasUserId) add("user_id", e.userId);
+    else if (s.hasMemberId) add("member_id", e.userId);
+    else if (s.hasAccountId) add("account_id", e.userId);
+  }
+  if (s.hasAnonId) add("anon_id", e.anonId);
+
+  // ---- video id ----
+  if (s.hasVideoId) add("video_id", e.videoId);
+  else if (s.hasVodId) add("vod_id", e.videoId);
+
+  // ---- write BOTH type columns when both exist ----
+  if (s.hasType) add("type", e.type);
+  if (s.hasEventType) add("event_type", e.type);
+
+  if (s.posCol) add(s.posCol, e.position);
+  if (s.durCol) add(s.durCol, e.duration);
+  if (s.hasPage) add("page", e.page);
+  if (s.hasMeta) add("meta", e.meta, "::jsonb");
+
+  // ---- write BOTH time columns when both exist ----
+  if (s.hasCreatedAt) add("created_at", e.at);
+  if (s.hasOccurredAt) add("occurred_at", e.at);
+
+  if (s.hasDedupeKey) add("dedupe_key", e.storedKey);
+  return { cols, vals };
+}
+
+function insertSql(s, events) {
+  const params = [];
+  let cols = [];
+  const rows = events.map((e) => {
+    const row = rowSql(s, e, params);
+    cols = row.cols;
+    return `(${row.vals.join(", ")})`;
+  });
+  return {
+    text: `INSERT INTO analytics_events (${cols.join(", ")})
+       VALUES ${rows.join(",\n")}
+       ${s.hasDedupeKey ? "ON CONFLICT DO NOTHING" : ""}`,
+    params,
+  };
+}
+
+/**
+ * One transaction, so a failed batch leaves nothing behind to duplicate
+ * when it is retried.
+ */
+async function insertBatch(s, events) {
+  // the identity columns differ for signed-in and anonymous events
+  const byKind = new Map();
+  for (const e of events) {
+    const kind = e.userId != null ? "user" : "anon";
+    if (!byKind.has(kind)) byKind.set(kind, []);
+    byKind.get(kind).push(e);
+  }
+
+  const client = await db.pool.connect();
+  try {
+    await client.query("BEGIN");
+    for (const group of byKind.values()) {
+      const q = insertSql(s, group);
+      await client.query(q.text, q.params);
+    }
+    await client.query("COMMIT");
+  } catch (e) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// SQLSTATE class 22 (data exception) / 23 (constraint violation): the rows
+// themselves are bad and retrying them can never succeed
+function isDataError(e) {
+  return /^2[23]/.test(String(e?.code || ""));
+}
+
+/**
+ * Insert rows one at a time after their batch was rejected, dropping the
+ * ones Postgres rejects. If the database fails for another reason the
+ * error carries the rows still to write as `remaining`.
+ */
+async function insertEach(s, events) {
+  for (let i = 0; i < events.length; i += 1) {
+    const q = insertSql(s, [events[i]]);
+    try {
+      await db.query(q.text, q.params);
+    } catch (e) {
+      if (!isDataError(e)) {
+        throw Object.assign(e, { remaining: events.slice(i) });
+      }
+      console.warn("[analyticsEvents] dropped bad event:", e.message);
+    }
+  }
+}
+
+/**
+ * Write everything buffered so far (FLUSH_SIZE rows per INSERT).
+ * Concurrent calls share the running flush.
+ */
+async function flush() {
+  if (flushing) return flushing;
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  flushing = (async () => {
+    while (buffer.length) {
+      const batch = buffer.splice(0, FLUSH_SIZE);
+      try {
+        const s = await getAnalyticsSchema();
+        try {
+          await insertBatch(s, batch);
+        } catch (e) {
+          if (!isDataError(e)) throw e;
+          await insertEach(s, batch);
+        }
+      } catch (e) {
+        console.error("[analyticsEvents] flush failed:", e?.message || e);
+        buffer = (e?.remaining || batch).concat(buffer).slice(-MAX_BUFFER);
+        scheduleFlush();
+        break;
+      }
+    }
+  })().finally(() => {
+    flushing = null;
+  });
+  return flushing;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  getAnalyticsSchema,
+  resetSchema,
+  cleanAnonId,
+  newAnonId,
+  normalizeEvent,
+  enqueue,
+  flush,
+};
@@ -0,0 +1,399 @@
+// server-api/services/captions.js
+const db = require("../db");
+const { HIGHLIGHT, toPrefixQuery, headlineHtml } = require("./search");
+
+/**
+ * Caption / transcript tracks per video and language.
+ *
+ * Uploads are WebVTT or SRT; both are parsed into cues and stored twice:
+ *   video_captions      one row per (video, lang) with the normalized
+ *                       WebVTT served to players
+ *   video_caption_cues  one row per cue (start/end in ms + plain text),
+ *                       full-text indexed so GET /api/search can return
+ *                       the moments a word is spoken
+ *
+ * Re-uploading a language replaces its track and cues. Transcript text is
+ * indexed with the english config, like the rest of site search.
+ */
+
+const KINDS = ["subtitles", "captions"];
+const MAX_CUES = 20000;
+const MAX_CUE_CHARS = 1000;
+const LANG_RE = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/;
+// 00:01:02.345 / 01:02.345 (VTT) and 00:01:02,345 (SRT)
+const TIME_RE = /(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})/;
+
+/* ───────────────────────── DB bootstrap ───────────────────────── */
+
+async function ensureCaptionTables() {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS video_captions (
+      id SERIAL PRIMARY KEY,
+      video_id INTEGER NOT NULL REFERENCES videos(id) ON DELETE CASCADE,
+      lang TEXT NOT NULL,
+      label TEXT,
+      kind TEXT NOT NULL DEFAULT 'subtitles'
+        CHECK (kind IN ('subtitles', 'captions')),
+      source_format TEXT NOT NULL DEFAULT 'vtt',
+      vtt TEXT NOT NULL,
+      cue_count INTEGER NOT NULL DEFAULT 0,
+      is_default BOOLEAN NOT NULL DEFAULT FALSE,
+      created_by TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      UNIQUE (video_id, lang)
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS video_caption_cues (
+      id BIGSERIAL PRIMARY KEY,
+      caption_id INTEGER NOT NULL REFERENCES video_captions(id) ON DELETE CASCADE,
+      video_id INTEGER NOT NULL,
+      lang TEXT NOT NULL,
+      start_ms INTEGER NOT NULL,
+      end_ms INTEGER NOT NULL,
+      text TEXT NOT NULL
+    )
+  `);
+
+  await db.query(
+    `CREATE INDEX IF NOT EXISTS idx_video_caption_cues_caption_start
+       ON video_caption_cues (caption_id, start_ms)`,
+  );
+  await db.query(
+    `CREATE INDEX IF NOT EXISTS idx_video_caption_cues_video
+       ON video_caption_cues (video_id, start_ms)`,
+  );
+  await db.query(
+    `CREATE INDEX IF NOT EXISTS idx_video_caption_cues_fts
+       ON video_caption_cues USING GIN (to_tsvector('english', text))`,
+  );
+}
+
+let __initPromise = null;
+function initOnce() {
+  if (!__initPromise) {
+    __initPromise = ensureCaptionTables().catch((e) => {
+      console.error("[captions] ensureCaptionTables failed:", e);
+      __initPromise = null;
+      throw e;
+    });
+  }
+  return __initPromise;
+}
+
+/* ───────────────────────── helpers ───────────────────────── */
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function notFound(message) {
+  const err = new Error(message);
+  err.status = 404;
+  return err;
+}
+
+/** "EN-us" -> "en-us"; throws on anything that is not a language tag */
+function normalizeLang(lang) {
+  const v = String(lang || "")
+    .trim()
+    .toLowerCase()
+    .replace(/_/g, "-");
+  if (!LANG_RE.test(v)) throw badRequest("Invalid language code");
+  return v;
+}
+
+function parseTime(str) {
+  const m = TIME_RE.exec(str);
+  if (!m) return null;
+  const [, h, mm, ss, frac] = m;
+  return (
+    (Number(h || 0) * 3600 + Number(mm) * 60 + Number(ss)) * 1000 +
+    Number(frac.padEnd(3, "0"))
+  );
+}
+
+function formatTime(ms) {
+  const pad = (n, w = 2) => String(n).padStart(w, "0");
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor((ms % 3600000) / 60000);
+  const s = Math.floor((ms % 60000) / 1000);
+  return `${pad(h)}:${pad(m)}:${pad(s)}.${pad(ms % 1000, 3)}`;
+}
+
+// Cue markup (<v Speaker>, <i>, <00:01.000>, {\an8}) -> plain text
+function plainText(text) {
+  return text
+    .replace(/<[^>]*>/g, "")
+    .replace(/\{\\[^}]*\}/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Parse WebVTT or SRT text.
+ * -> { format: "vtt" | "srt", cues: [{ start_ms, end_ms, settings, text }] }
+ */
+function parseCaptions(input) {
+  const src = String(input || "")
+    .replace(/^\uFEFF/, "")
+    .replace(/\r\n?/g, "\n");
+  const format = /^WEBVTT\b/.test(src) ? "vtt" : "srt";
+
+  const cues = [];
+  for (const block of src.split(/\n{2,}/)) {
+    const lines = block.split("\n").filter((l) => l.trim() !== "");
+    const at = lines.findIndex((l) => l.includes("-->"));
+    if (at === -1) continue; // header, NOTE, STYLE, REGION, SRT index only
+
+    const [left, right = ""] = lines[at].split("-->");
+    const start = parseTime(left);
+    const end = parseTime(right);
+    if (start == null || end == null || end < start) continue;
+
+    let text = lines
+      .slice(at + 1)
+      .join("\n")
+      .trim();
+    // SRT positioning ({\an8}) and <font> tags are not valid in WebVTT
+    if (format === "srt") {
+      text = text
+        .replace(/\{\\[^}]*\}/g, "")
+        .replace(/<\/?font[^>]*>/gi, "")
+        .trim();
+    }
+    if (!text) continue;
+
+    // VTT cue settings follow the end time ("align:start line:90%")
+    const settings =
+      format === "vtt" ? right.trim().replace(/^\S+/, "").trim() : "";
+    cues.push({ start_ms: start, end_ms: end, settings, text });
+  }
+
+  cues.sort((a, b) => a.start_ms - b.start_ms);
+  return { format, cues };
+}
+
+function toVtt(cues) {
+  const body = cues
+    .map(
+      (c) =>
+        `${formatTime(c.start_ms)} --> ${formatTime(c.end_ms)}` +
+        (c.settings ? ` ${c.settings}` : "") +
+        `\n${c.text}`,
+    )
+    .join("\n\n");
+  return `WEBVTT\n\n${body}\n`;
+}
+
+/** Player URL for a track (served by routes/videos.js) */
+function trackUrl(videoId, lang) {
+  return `/api/videos/${videoId}/captions/${lang}.vtt`;
+}
+
+/** Playback deep link for a moment in a video */
+function momentUrl(videoId, startMs) {
+  return `/watch/${videoId}?t=${Math.floor(startMs / 1000)}`;
+}
+
+function toTrack(r) {
+  return {
+    lang: r.lang,
+    label: r.label || r.lang,
+    kind: r.kind,
+    is_default: !!r.is_default,
+    cue_count: r.cue_count,
+    url: trackUrl(r.video_id, r.lang),
+    updated_at: r.updated_at,
+  };
+}
+
+/* ───────────────────────── public API ───────────────────────── */
+
+/**
+ * Store (or replace) the track for (videoId, lang) from WebVTT/SRT text.
+ * is_default moves the default flag off the video's other tracks.
+ */
+async function saveTrack(
+  videoId,
+  lang,
+  content,
+  { label, kind = "subtitles", isDefault = false, userId = null } = {},
+) {
+  await initOnce();
+  const code = normalizeLang(lang);
+  if (!KINDS.includes(kind)) {
+    throw badRequest(`kind must be one of ${KINDS.join(", ")}`);
+  }
+
+  const { format, cues } = parseCaptions(content);
+  if (!cues.length) throw badRequest("No cues found (expected WebVTT or SRT)");
+  if (cues.length > MAX_CUES) {
+    throw badRequest(`Too many cues (max ${MAX_CUES})`);
+  }
+
+  const client = await db.pool.connect();
+  try {
+    await client.query("BEGIN");
+    const v = await client.query(
+      "SELECT id FROM videos WHERE id = $1 FOR UPDATE",
+      [videoId],
+    );
+    if (!v.rowCount) throw notFound("Video not found");
+
+    if (isDefault) {
+      await client.query(
+        "UPDATE video_captions SET is_default = FALSE WHERE video_id = $1",
+        [videoId],
+      );
+    }
+
+    const t = await client.query(
+      `INSERT INTO video_captions
+         (video_id, lang, label, kind, source_format, vtt, cue_count,
+          is_default, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       ON CONFLICT (video_id, lang) DO UPDATE SET
+         label = COALESCE(EXCLUDED.label, video_captions.label),
+         kind = EXCLUDED.kind,
+         source_format = EXCLUDED.source_format,
+         vtt = EXCLUDED.vtt,
+         cue_count = EXCLUDED.cue_count,
+         is_default = EXCLUDED.is_default OR video_captions.is_default,
+         updated_at = NOW()
+       RETURNING *`,
+      [
+        videoId,
+        code,
+        label ? String(label).trim().slice(0, 80) : null,
+        kind,
+        format,
+        toVtt(cues),
+        cues.length,
+        !!isDefault,
+        userId != null ? String(userId) : null,
+      ],
+    );
+    const track = t.rows[0];
+
+    await client.query("DELETE FROM video_caption_cues WHERE caption_id = $1", [
+      track.id,
+    ]);
+    await client.query(
+      `INSERT INTO video_caption_cues
+         (caption_id, video_id, lang, start_ms, end_ms, text)
+       SELECT $1, $2, $3, s, e, t
+       FROM unnest($4::int[], $5::int[], $6::text[]) AS u(s, e, t)
+       WHERE t <> ''`,
+      [
+        track.id,
+        videoId,
+        code,
+        cues.map((c) => c.start_ms),
+        cues.map((c) => c.end_ms),
+        cues.map((c) => plainText(c.text).slice(0, MAX_CUE_CHARS)),
+      ],
+    );
+
+    await client.query("COMMIT");
+    return toTrack(track);
+  } catch (e) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+async function listTracks(videoId) {
+  await initOnce();
+  const r = await db.query(
+    `SELECT video_id, lang, label, kind, is_default, cue_count, updated_at
+     FROM video_captions
+     WHERE video_id = $1
+     ORDER BY is_default DESC, lang ASC`,
+    [videoId],
+  );
+  return r.rows.map(toTrack);
+}
+
+/** Normalized WebVTT for (videoId, lang), or null */
+async function getVtt(videoId, lang) {
+  await initOnce();
+  const r = await db.query(
+    "SELECT vtt FROM video_captions WHERE video_id = $1 AND lang = $2",
+    [videoId, normalizeLang(lang)],
+  );
+  return r.rows[0]?.vtt ?? null;
+}
+
+async function deleteTrack(videoId, lang) {
+  await initOnce();
+  const r = await db.query(
+    "DELETE FROM video_captions WHERE video_id = $1 AND lang = $2",
+    [videoId, normalizeLang(lang)],
+  );
+  return r.rowCount > 0;
+}
+
+/**
+ * Moments in one video's transcript matching q (prefix match per word).
+ * -> [{ lang, start_seconds, end_seconds, text, text_html, url }]
+ * `text` is the uploaded cue text as is; text_html is escaped. Callers
+ * check the viewer may watch the video.
+ */
+async function searchTranscript(videoId, q, { lang, limit = 50 } = {}) {
+  await initOnce();
+  const tsquery = toPrefixQuery(q);
+  if (!tsquery) throw badRequest("q has no searchable words");
+
+  const r = await db.query(
+    `SELECT c.lang, c.start_ms, c.end_ms, c.text,
+            ts_headline('english', c.text, to_tsquery('english', $2),
+                        '${HIGHLIGHT}, HighlightAll=true') AS text_html
+     FROM video_caption_cues c
+     WHERE c.video_id = $1
+       AND ($3::text IS NULL OR c.lang = $3)
+       AND to_tsvector('english', c.text) @@ to_tsquery('english', $2)
+     ORDER BY c.start_ms ASC
+     LIMIT $4`,
+    [
+      videoId,
+      tsquery,
+      lang ? normalizeLang(lang) : null,
+      Math.min(Math.max(Number(limit) || 50, 1), 200),
+    ],
+  );
+  return r.rows.map((row) => ({
+    lang: row.lang,
+    start_seconds: Math.floor(row.start_ms / 1000),
+    end_seconds: Math.ceil(row.end_ms / 1000),
+    text: row.text,
+    text_html: headlineHtml(row.text_html),
+    url: momentUrl(videoId, row.start_ms),
+  }));
+}
+
+module.exports = {
+  KINDS,
+  ensureCaptionTables,
+  parseCaptions,
+  toVtt,
+  trackUrl,
+  momentUrl,
+  saveTrack,
+  listTracks,
+  getVtt,
+  deleteTrack,
+  searchTranscript,
+};
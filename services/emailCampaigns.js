@@ -0,0 +1,644 @@
+// server-api/services/emailCampaigns.js
+const db = require("../db");
+const segments = require("./emailSegments");
+const notifyPrefs = require("./notificationPreferences");
+const { isValidTimeZone } = require("./ical");
+const {
+  generateOccurrences,
+  buildOccurrenceTimestamps,
+  seriesRule,
+} = require("./recurrence");
+
+/**
+ * Scheduled broadcasts + recurring campaigns.
+ *
+ * - email_jobs.send_at: a job created with a future send_at is stored as
+ *   `scheduled` with no items. When it comes due, recipients are resolved
+ *   from its audience (services/emailSegments.js) and it becomes `queued`
+ *   for workers/emailWorker.js. Scheduled jobs can be canceled until then.
+ *
+ * - email_campaigns: recurring jobs on a calendar-style schedule
+ *   (start_at + recurrence_json, same shape as calendar_series; see
+ *   services/recurrence.js). Each run creates a fresh job.
+ *     kind "broadcast"   the stored subject/body as-is
+ *     kind "new_videos"  digest of videos published since the previous run;
+ *                        {{videos}} / {{video_count}} are filled in (the
+ *                        list is appended when the body has no {{videos}}).
+ *                        Runs with nothing new are skipped, and users who
+ *                        turned off new_video email are left out.
+ *
+ * Both are driven by workers/emailCampaignWorker.js. Due rows are claimed
+ * with FOR UPDATE SKIP LOCKED so several instances can run it.
+ */
+
+const KINDS = ["broadcast", "new_videos"];
+const FREQS = ["daily", "weekly", "monthly", "yearly"];
+const DIGEST_MAX_VIDEOS = 20;
+const ITEM_CHUNK = 1000;
+
+/* ───────────────────────── DB bootstrap ───────────────────────── */
+
+async function ensureCampaignTables() {
+  await db.query(`
+    ALTER TABLE email_jobs
+      ADD COLUMN IF NOT EXISTS send_at TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS canceled_at TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS campaign_id INTEGER
+  `);
+  await db.query(
+    `CREATE INDEX IF NOT EXISTS email_jobs_scheduled_idx
+       ON email_jobs (send_at) WHERE status = 'scheduled'`,
+  );
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS email_campaigns (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL,
+      kind TEXT NOT NULL DEFAULT 'broadcast',
+      subject TEXT NOT NULL,
+      body_html TEXT,
+      body_text TEXT,
+      audience JSONB NOT NULL DEFAULT '{"type":"all"}'::jsonb,
+      start_at TIMESTAMPTZ NOT NULL,
+      recurrence_json JSONB NOT NULL DEFAULT '{}'::jsonb,
+      is_active BOOLEAN NOT NULL DEFAULT TRUE,
+      last_run_at TIMESTAMPTZ,
+      next_run_at TIMESTAMPTZ,
+      last_job_id INTEGER,
+      created_by INTEGER,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+  await db.query(
+    `CREATE INDEX IF NOT EXISTS email_campaigns_due_idx
+       ON email_campaigns (next_run_at) WHERE is_active = TRUE`,
+  );
+}
+
+let __initPromise = null;
+function initOnce() {
+  if (!__initPromise) {
+    __initPromise = ensureCampaignTables().catch((e) => {
+      console.error("[emailCampaigns] ensureCampaignTables failed:", e);
+      __initPromise = null;
+      throw e;
+    });
+  }
+  return __initPromise;
+}
+
+/* ───────────────────────── helpers ───────────────────────── */
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function safeStr(v) {
+  return (v ?? "").toString();
+}
+
+function toObj(v) {
+  if (typeof v !== "string") return v || null;
+  try {
+    return JSON.parse(v);
+  } catch {
+    return null;
+  }
+}
+
+function escapeHtml(str = "") {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function trimSlash(v) {
+  return String(v || "").replace(/\/+$/, "");
+}
+
+async function insertItems(client, jobId, recipients) {
+  for (let i = 0; i < recipients.length; i += ITEM_CHUNK) {
+    const chunk = recipients.slice(i, i + ITEM_CHUNK);
+    const values = [];
+    const params = [];
+    let p = 1;
+    for (const u of chunk) {
+      values.push(`($${p++}, $${p++}, $${p++}, 'queued', NOW(), NOW())`);
+      params.push(jobId, u.id, u.email);
+    }
+    await client.query(
+      `INSERT INTO email_job_items
+        (job_id, user_id, email, status, created_at, updated_at)
+       VALUES ${values.join(",")}`,
+      params,
+    );
+  }
+}
+
+async function inTransaction(fn) {
+  const client = await db.pool.connect();
+  try {
+    await client.query("BEGIN");
+    const out = await fn(client);
+    await client.query("COMMIT");
+    return out;
+  } catch (e) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+/* ───────────────────────── jobs ───────────────────────── */
+
+let _hasAttachments = null;
+async function hasAttachmentsColumn() {
+  if (_hasAttachments === null) {
+    const r = await db.query(
+      `SELECT 1 FROM information_schema.columns
+       WHERE table_schema = 'public' AND table_name = 'email_jobs'
+         AND column_name = 'attachments'`,
+    );
+    _hasAttachments = r.rows.length > 0;
+  }
+  return _hasAttachments;
+}
+
+function parseSendAt(v) {
+  if (v === undefined || v === null || v === "") return null;
+  const d = new Date(v);
+  if (!Number.isFinite(d.getTime())) throw badRequest("Invalid send_at");
+  return d;
+}
+
+/**
+ * Create a broadcast job. With a future `sendAt` it is only scheduled
+ * (recipients are resolved when it comes due); otherwise recipients are
+ * resolved and queued right away.
+ */
+async function createJob(
+  {
+    createdBy,
+    subject,
+    html,
+    text,
+    audience,
+    attachments,
+    sendAt,
+    campaignId,
+    notificationType,
+  },
+  client = db,
+) {
+  await initOnce();
+
+  const aud = audience || { type: "all" };
+  const type = safeStr(aud.type || "all")
+    .trim()
+    .toLowerCase();
+  const scheduled = !!sendAt && sendAt.getTime() > Date.now();
+
+  // scheduled: only check the audience now, resolve it when due
+  if (scheduled) await segments.validateRules(aud);
+  let recipients = scheduled ? null : await segments.resolveRecipients(aud);
+  // e.g. new_videos campaigns: leave out users who turned off that email
+  // (services/notificationPreferences.js)
+  if (recipients && notificationType) {
+    const allowed = new Set(
+      await notifyPrefs.filterUserIds(
+        recipients.map((r) => r.id),
+        notificationType,
+        "email",
+      ),
+    );
+    recipients = recipients.filter((r) => allowed.has(Number(r.id)));
+  }
+  const stored = {
+    ...aud,
+    type,
+    count: recipients ? recipients.length : null,
+  };
+
+  const cols = `created_by, subject, body_html, body_text, audience, status,
+                send_at, campaign_id, created_at, updated_at`;
+  const vals = [
+    createdBy || null,
+    subject,
+    html || null,
+    text || null,
+    JSON.stringify(stored),
+    scheduled ? "scheduled" : "queued",
+    sendAt || null,
+    campaignId || null,
+  ];
+
+  // Store attachments only if the column exists
+  const job = (await hasAttachmentsColumn())
+    ? await client.query(
+        `INSERT INTO email_jobs (${cols}, attachments)
+         VALUES ($1, $2, $3, $4, $5::jsonb, $6, $7, $8, NOW(), NOW(), $9::jsonb)
+         RETURNING id`,
+        [...vals, JSON.stringify(attachments || [])],
+      )
+    : await client.query(
+        `INSERT INTO email_jobs (${cols})
+         VALUES ($1, $2, $3, $4, $5::jsonb, $6, $7, $8, NOW(), NOW())
+         RETURNING id`,
+        vals,
+      );
+  const jobId = job.rows[0].id;
+
+  if (recipients?.length) await insertItems(client, jobId, recipients);
+
+  return {
+    jobId,
+    status: scheduled ? "scheduled" : "queued",
+    queued: recipients ? recipients.length : 0,
+    send_at: sendAt ? sendAt.toISOString() : null,
+  };
+}
+
+/** Cancel a job that has not started yet. Returns false if it already did. */
+async function cancelJob(jobId) {
+  await initOnce();
+  const r = await db.query(
+    `UPDATE email_jobs
+     SET status = 'canceled', canceled_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND status = 'scheduled'
+     RETURNING id`,
+    [jobId],
+  );
+  return (r.rowCount || 0) > 0;
+}
+
+/**
+ * Turn due scheduled jobs into queued ones (one transaction per job).
+ * Returns the number of jobs released to the email worker.
+ */
+async function releaseDueJobs(limit = 10) {
+  await initOnce();
+  let released = 0;
+
+  for (let i = 0; i < limit; i++) {
+    const done = await inTransaction(async (client) => {
+      const r = await client.query(
+        `SELECT id, audience
+         FROM email_jobs
+         WHERE status = 'scheduled' AND send_at <= NOW()
+         ORDER BY send_at ASC, id ASC
+         FOR UPDATE SKIP LOCKED
+         LIMIT 1`,
+      );
+      const job = r.rows[0];
+      if (!job) return null;
+
+      const audience = toObj(job.audience) || { type: "all" };
+      let recipients;
+      try {
+        recipients = await segments.resolveRecipients(audience);
+      } catch (e) {
+        console.error(`[emailCampaigns] job ${job.id} audience:`, e.message);
+        await client.query(
+          `UPDATE email_jobs SET status = 'failed', updated_at = NOW()
+           WHERE id = $1`,
+          [job.id],
+        );
+        return job;
+      }
+
+      await insertItems(client, job.id, recipients);
+      await client.query(
+        `UPDATE email_jobs
+         SET status = $2,
+             audience = jsonb_set(COALESCE(audience, '{}'::jsonb), '{count}', to_jsonb($3::int), true),
+             updated_at = NOW()
+         WHERE id = $1`,
+        [job.id, recipients.length ? "queued" : "sent", recipients.length],
+      );
+      released += 1;
+      return job;
+    });
+    if (!done) break;
+  }
+
+  return released;
+}
+
+/* ───────────────────────── campaigns ───────────────────────── */
+
+/** First run strictly after `afterISO`, or null when the schedule has ended. */
+function nextRunAfter(campaign, afterISO) {
+  const { rec, tz } = seriesRule(campaign);
+  const after = new Date(afterISO).getTime();
+  const interval = Math.max(1, Number(rec.interval) || 1);
+  const windowDays = (rec.freq === "yearly" ? 370 : 62) * interval;
+
+  // an unbounded window can hold no occurrence for sparse rules; step forward
+  let from = Math.max(after + 1, new Date(campaign.start_at).getTime());
+  for (let step = 0; step < 12; step++) {
+    const to = from + windowDays * 86400000;
+    const dates = generateOccurrences(
+      { ...campaign, end_at: null },
+      new Date(from).toISOString(),
+      new Date(to).toISOString(),
+    );
+    for (const d of dates) {
+      const at = buildOccurrenceTimestamps(campaign.start_at, null, d, tz);
+      if (new Date(at.start_at).getTime() > after) return at.start_at;
+    }
+    if (rec.until && to > new Date(rec.until).getTime()) return null;
+    from = to;
+  }
+  return null;
+}
+
+function cleanCampaign(body, existing = {}) {
+  const pick = (k) => (body[k] !== undefined ? body[k] : existing[k]);
+
+  const name = safeStr(pick("name")).trim();
+  if (!name) throw badRequest("Campaign name is required");
+
+  const kind = safeStr(pick("kind") || "broadcast")
+    .trim()
+    .toLowerCase();
+  if (!KINDS.includes(kind)) {
+    throw badRequest(`kind must be ${KINDS.join(" or ")}`);
+  }
+
+  const subject = safeStr(pick("subject")).trim();
+  if (!subject) throw badRequest("Missing subject");
+  const html = safeStr(pick("body_html") ?? pick("html")).trim();
+  const text = safeStr(pick("body_text") ?? pick("text")).trim();
+  if (!html && !text && kind === "broadcast") {
+    throw badRequest("Provide html or text");
+  }
+
+  const startAt = new Date(pick("start_at"));
+  if (!Number.isFinite(startAt.getTime())) {
+    throw badRequest("start_at is required (first run time)");
+  }
+
+  const rec = toObj(pick("recurrence_json") ?? pick("recurrence")) || {};
+  const freq = safeStr(rec.freq || "weekly").toLowerCase();
+  if (!FREQS.includes(freq)) {
+    throw badRequest(`recurrence.freq must be ${FREQS.join(", ")}`);
+  }
+  const timezone = safeStr(
+    rec.timezone || process.env.CALENDAR_TIMEZONE || "UTC",
+  ).trim();
+  if (!isValidTimeZone(timezone)) {
+    throw badRequest("recurrence.timezone must be an IANA time zone");
+  }
+
+  const audience = toObj(pick("audience")) || { type: "all" };
+  const isActive = pick("is_active") === undefined ? true : !!pick("is_active");
+
+  return {
+    name,
+    kind,
+    subject,
+    body_html: html || null,
+    body_text: text || null,
+    audience,
+    start_at: startAt.toISOString(),
+    recurrence_json: { ...rec, freq, timezone },
+    is_active: isActive,
+  };
+}
+
+async function listCampaigns() {
+  await initOnce();
+  const r = await db.query(
+    `SELECT * FROM email_campaigns ORDER BY is_active DESC, next_run_at ASC NULLS LAST, id DESC`,
+  );
+  return r.rows;
+}
+
+async function getCampaign(id) {
+  await initOnce();
+  const r = await db.query(`SELECT * FROM email_campaigns WHERE id = $1`, [id]);
+  return r.rows[0] || null;
+}
+
+async function saveCampaign(body, { id, createdBy } = {}) {
+  await initOnce();
+
+  const existing = id ? await getCampaign(id) : null;
+  if (id && !existing) return null;
+
+  const c = cleanCampaign(body || {}, existing || {});
+  await segments.validateRules(c.audience);
+
+  // next run: first occurrence not before now (or after the last run)
+  const after = existing?.last_run_at
+    ? new Date(
+        Math.max(new Date(existing.last_run_at).getTime(), Date.now() - 1),
+      )
+    : new Date(Date.now() - 1);
+  const nextRun = c.is_active ? nextRunAfter(c, after.toISOString()) : null;
+  if (c.is_active && !nextRun) {
+    throw badRequest("Schedule has no upcoming runs");
+  }
+
+  const vals = [
+    c.name,
+    c.kind,
+    c.subject,
+    c.body_html,
+    c.body_text,
+    JSON.stringify(c.audience),
+    c.start_at,
+    JSON.stringify(c.recurrence_json),
+    c.is_active,
+    nextRun,
+  ];
+
+  if (existing) {
+    const r = await db.query(
+      `UPDATE email_campaigns
+       SET name = $2, kind = $3, subject = $4, body_html = $5, body_text = $6,
+           audience = $7::jsonb, start_at = $8, recurrence_json = $9::jsonb,
+           is_active = $10, next_run_at = $11, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [id, ...vals],
+    );
+    return r.rows[0];
+  }
+
+  const r = await db.query(
+    `INSERT INTO email_campaigns
+       (name, kind, subject, body_html, body_text, audience, start_at,
+        recurrence_json, is_active, next_run_at, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6::jsonb, $7, $8::jsonb, $9, $10, $11)
+     RETURNING *`,
+    [...vals, createdBy || null],
+  );
+  return r.rows[0];
+}
+
+async function deleteCampaign(id) {
+  await initOnce();
+  const r = await db.query(`DELETE FROM email_campaigns WHERE id = $1`, [id]);
+  return (r.rowCount || 0) > 0;
+}
+
+/* ───────────────────────── digest content ───────────────────────── */
+
+async function newVideosSince(client, sinceISO) {
+  const r = await client.query(
+    `SELECT v.id, v.title, v.description, v.thumbnail_url,
+            COALESCE(v.published_at, v.created_at) AS published_at
+     FROM videos v
+     WHERE v.is_published = TRUE
+       AND v.visibility = 'public'
+       AND COALESCE(v.published_at, v.created_at) > $1
+     ORDER BY COALESCE(v.published_at, v.created_at) DESC
+     LIMIT $2`,
+    [sinceISO, DIGEST_MAX_VIDEOS],
+  );
+  return r.rows;
+}
+
+function fillDigest(template, vars) {
+  return safeStr(template).replace(
+    /\{\{\s*(videos|video_count)\s*\}\}/g,
+    (_m, key) => vars[key],
+  );
+}
+
+/** Subject/body for a new_videos digest, or null when nothing is new. */
+function buildDigest(campaign, videos) {
+  if (!videos.length) return null;
+
+  const base = trimSlash(process.env.PUBLIC_URL);
+  const link = (v) => `${base}/watch/${v.id}`;
+
+  const listHtml = `<ul>${videos
+    .map(
+      (v) =>
+        `<li><a href="${escapeHtml(link(v))}">${escapeHtml(v.title || "Untitled")}</a></li>`,
+    )
+    .join("")}</ul>`;
+  const listText = videos
+    .map((v) => `- ${v.title || "Untitled"}: ${link(v)}`)
+    .join("\n");
+
+  const count = String(videos.length);
+  const html = safeStr(campaign.body_html);
+  const text = safeStr(campaign.body_text);
+
+  return {
+    subject: fillDigest(campaign.subject, { videos: "", video_count: count }),
+    html: /\{\{\s*videos\s*\}\}/.test(html)
+      ? fillDigest(html, { videos: listHtml, video_count: count })
+      : `${fillDigest(html, { videos: "", video_count: count })}${listHtml}`,
+    text: /\{\{\s*videos\s*\}\}/.test(text)
+      ? fillDigest(text, { videos: listText, video_count: count })
+      : [fillDigest(text, { videos: "", video_count: count }), listText]
+          .filter(Boolean)
+          .join("\n\n"),
+  };
+}
+
+/* ───────────────────────── runner ───────────────────────── */
+
+/**
+ * Run every campaign whose next_run_at has passed: queue a fresh job for
+ * its audience and advance the schedule. Returns the number of jobs created.
+ */
+async function runDueCampaigns(limit = 10) {
+  await initOnce();
+  let created = 0;
+
+  for (let i = 0; i < limit; i++) {
+    const campaign = await inTransaction(async (client) => {
+      const r = await client.query(
+        `SELECT *
+         FROM email_campaigns
+         WHERE is_active = TRUE AND next_run_at <= NOW()
+         ORDER BY next_run_at ASC, id ASC
+         FOR UPDATE SKIP LOCKED
+         LIMIT 1`,
+      );
+      const c = r.rows[0];
+      if (!c) return null;
+
+      let message = {
+        subject: c.subject,
+        html: c.body_html,
+        text: c.body_text,
+      };
+      if (c.kind === "new_videos") {
+        const since = c.last_run_at || c.created_at;
+        message = buildDigest(
+          c,
+          await newVideosSince(client, new Date(since).toISOString()),
+        );
+      }
+
+      let jobId = null;
+      if (message) {
+        const job = await createJob(
+          {
+            createdBy: c.created_by,
+            subject: message.subject,
+            html: message.html,
+            text: message.text,
+            audience: { ...(toObj(c.audience) || {}), campaign_id: c.id },
+            campaignId: c.id,
+            notificationType: c.kind === "new_videos" ? "new_video" : null,
+          },
+          client,
+        );
+        jobId = job.jobId;
+        created += 1;
+      }
+
+      // Advance past now so a long outage doesn't replay missed runs
+      const nextRun = nextRunAfter(
+        c,
+        new Date(
+          Math.max(Date.now(), new Date(c.next_run_at).getTime()),
+        ).toISOString(),
+      );
+      await client.query(
+        `UPDATE email_campaigns
+         SET last_run_at = NOW(),
+             next_run_at = $2,
+             is_active = $3,
+             last_job_id = COALESCE($4, last_job_id),
+             updated_at = NOW()
+         WHERE id = $1`,
+        [c.id, nextRun, !!nextRun, jobId],
+      );
+      return c;
+    });
+    if (!campaign) break;
+  }
+
+  return created;
+}
+
+module.exports = {
+  ensureCampaignTables: initOnce,
+  parseSendAt,
+  createJob,
+  cancelJob,
+  releaseDueJobs,
+  listCampaigns,
+  getCampaign,
+  saveCampaign,
+  deleteCampaign,
+  runDueCampaigns,
+  nextRunAfter,
+};
@@ -0,0 +1,422 @@
+// server-api/services/emailPreferences.js
+const crypto = require("crypto");
+const db = require("../db");
+
+/**
+ * Email unsubscribe preferences, suppression list and provider events.
+ *
+ * - email_preferences: one row per address (lowercased) with an opt-out flag
+ *   per category and an unsubscribe token. Rows are created lazily the first
+ *   time an address is mailed or edits its preferences.
+ * - email_suppressions: addresses never mailed again (bounces, complaints,
+ *   provider unsubscribes, manual admin entries).
+ * - email_events: ledger of Mailgun webhook events (idempotent on event id).
+ *
+ * Categories: newsletters (admin broadcasts / campaigns), live_reminders,
+ * receipts, digests (daily notification digests). workers/emailWorker.js
+ * checks sendability before each send and adds a one-click
+ * List-Unsubscribe header for the job's category.
+ */
+
+const CATEGORIES = ["newsletters", "live_reminders", "receipts", "digests"];
+const DEFAULT_CATEGORY = "newsletters";
+// Receipts are transactional: only the preferences page turns them off,
+// never an unsubscribe link
+const ONE_CLICK_CATEGORIES = CATEGORIES.filter((c) => c !== "receipts");
+const SUPPRESS_REASONS = ["bounce", "complaint", "unsubscribe", "manual"];
+
+// Mailgun signs webhooks with timestamp + token; reject stale replays
+const SIGNATURE_MAX_AGE_SECONDS = 15 * 60;
+
+/* ───────────────────────── DB bootstrap ───────────────────────── */
+
+async function ensurePreferenceTables() {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS email_preferences (
+      email TEXT PRIMARY KEY,
+      user_id INTEGER,
+      newsletters BOOLEAN NOT NULL DEFAULT TRUE,
+      live_reminders BOOLEAN NOT NULL DEFAULT TRUE,
+      receipts BOOLEAN NOT NULL DEFAULT TRUE,
+      token TEXT NOT NULL UNIQUE,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+  await db.query(
+    `ALTER TABLE email_preferences
+       ADD COLUMN IF NOT EXISTS digests BOOLEAN NOT NULL DEFAULT TRUE`,
+  );
+  await db.query(
+    `CREATE INDEX IF NOT EXISTS idx_email_preferences_user ON email_preferences (user_id)`,
+  );
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS email_suppressions (
+      email TEXT PRIMARY KEY,
+      reason TEXT NOT NULL,
+      detail TEXT,
+      source TEXT,
+      created_by INTEGER,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS email_events (
+      id BIGSERIAL PRIMARY KEY,
+      provider TEXT NOT NULL,
+      event_id TEXT NOT NULL,
+      event TEXT NOT NULL,
+      severity TEXT,
+      recipient TEXT,
+      reason TEXT,
+      message_id TEXT,
+      payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      UNIQUE (provider, event_id)
+    );
+  `);
+  await db.query(
+    `CREATE INDEX IF NOT EXISTS idx_email_events_recipient ON email_events (recipient, created_at DESC)`,
+  );
+}
+
+let __initPromise = null;
+function initOnce() {
+  if (!__initPromise) {
+    __initPromise = ensurePreferenceTables().catch((e) => {
+      console.error("[emailPreferences] ensurePreferenceTables failed:", e);
+      __initPromise = null;
+      throw e;
+    });
+  }
+  return __initPromise;
+}
+
+/* ───────────────────────── helpers ───────────────────────── */
+
+function normalizeEmail(email) {
+  return String(email || "")
+    .trim()
+    .toLowerCase();
+}
+
+function cleanCategory(category) {
+  const c = String(category || "")
+    .trim()
+    .toLowerCase();
+  return CATEGORIES.includes(c) ? c : null;
+}
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Categories an unsubscribe link turns off: one category, or every
+ * one-click category for "all" / none. null for receipts and unknown names.
+ */
+function unsubscribeCategories(category) {
+  const c = String(category || "")
+    .trim()
+    .toLowerCase();
+  if (!c || c === "all") return ONE_CLICK_CATEGORIES;
+  return ONE_CLICK_CATEGORIES.includes(c) ? [c] : null;
+}
+
+function newToken() {
+  return crypto.randomBytes(24).toString("hex");
+}
+
+function trimSlash(v) {
+  return String(v || "").replace(/\/+$/, "");
+}
+
+function unsubscribeUrl(token, category = DEFAULT_CATEGORY) {
+  const base = trimSlash(
+    process.env.API_BASE || process.env.PUBLIC_BASE_URL || "",
+  );
+  return `${base}/api/email/unsubscribe?token=${encodeURIComponent(
+    token,
+  )}&category=${encodeURIComponent(category)}`;
+}
+
+function rowToPreferences(row) {
+  if (!row) return null;
+  const out = { email: row.email };
+  for (const c of CATEGORIES) out[c] = row[c] !== false;
+  return out;
+}
+
+/* ───────────────────────── tokens / preferences ───────────────────────── */
+
+/**
+ * Unsubscribe tokens for a batch of recipients ({ email, user_id }),
+ * creating preference rows as needed. Returns Map(email -> token).
+ */
+async function tokensFor(recipients) {
+  await initOnce();
+  const byEmail = new Map();
+  for (const r of recipients || []) {
+    const email = normalizeEmail(r.email);
+    if (email && !byEmail.has(email)) byEmail.set(email, r.user_id ?? null);
+  }
+  if (!byEmail.size) return new Map();
+
+  const emails = [...byEmail.keys()];
+  await db.query(
+    `INSERT INTO email_preferences (email, user_id, token)
+     SELECT x.email, x.user_id, x.token
+     FROM unnest($1::text[], $2::int[], $3::text[]) AS x(email, user_id, token)
+     ON CONFLICT (email) DO UPDATE
+       SET user_id = COALESCE(email_preferences.user_id, EXCLUDED.user_id)
+       WHERE email_preferences.user_id IS NULL AND EXCLUDED.user_id IS NOT NULL`,
+    [emails, emails.map((e) => byEmail.get(e)), emails.map(() => newToken())],
+  );
+
+  const r = await db.query(
+    `SELECT email, token FROM email_preferences WHERE email = ANY($1::text[])`,
+    [emails],
+  );
+  return new Map(r.rows.map((row) => [row.email, row.token]));
+}
+
+async function getPreferences(email) {
+  await initOnce();
+  const [token] = (await tokensFor([{ email }])).values();
+  if (!token) return null;
+  const r = await db.query(`SELECT * FROM email_preferences WHERE email = $1`, [
+    normalizeEmail(email),
+  ]);
+  return rowToPreferences(r.rows[0]);
+}
+
+async function updatePreferences(email, patch, userId = null) {
+  await initOnce();
+  await tokensFor([{ email, user_id: userId }]);
+
+  const sets = [];
+  const vals = [normalizeEmail(email)];
+  for (const c of CATEGORIES) {
+    if (typeof patch?.[c] === "boolean") {
+      vals.push(patch[c]);
+      sets.push(`${c} = $${vals.length}`);
+    }
+  }
+  if (sets.length) {
+    await db.query(
+      `UPDATE email_preferences SET ${sets.join(", ")}, updated_at = NOW()
+       WHERE email = $1`,
+      vals,
+    );
+  }
+  return getPreferences(email);
+}
+
+/** The address an unsubscribe token belongs to (no changes), or null. */
+async function emailForToken(token) {
+  await initOnce();
+  if (!token) return null;
+  const r = await db.query(
+    `SELECT email FROM email_preferences WHERE token = $1`,
+    [String(token)],
+  );
+  return r.rows[0]?.email || null;
+}
+
+/**
+ * One-click unsubscribe. `category` "all" (or missing) opts out of every
+ * category except receipts; receipts or an unknown category is a 400.
+ * Returns { email, categories } or null for a bad token.
+ */
+async function unsubscribeByToken(token, category) {
+  const cats = unsubscribeCategories(category);
+  if (!cats) throw badRequest("Unknown unsubscribe category");
+  await initOnce();
+  if (!token) return null;
+
+  const r = await db.query(
+    `UPDATE email_preferences
+     SET ${cats.map((c) => `${c} = FALSE`).join(", ")}, updated_at = NOW()
+     WHERE token = $1
+     RETURNING email`,
+    [String(token)],
+  );
+  if (!r.rows[0]) return null;
+  return { email: r.rows[0].email, categories: cats };
+}
+
+/* ───────────────────────── suppression ───────────────────────── */
+
+async function suppress(email, reason, { detail, source, createdBy } = {}) {
+  await initOnce();
+  const addr = normalizeEmail(email);
+  if (!addr) return null;
+  const why = SUPPRESS_REASONS.includes(reason) ? reason : "manual";
+
+  const r = await db.query(
+    `INSERT INTO email_suppressions (email, reason, detail, source, created_by)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (email) DO UPDATE
+       SET reason = EXCLUDED.reason, detail = EXCLUDED.detail,
+           source = EXCLUDED.source, created_at = NOW()
+     RETURNING *`,
+    [addr, why, detail || null, source || null, createdBy || null],
+  );
+  return r.rows[0];
+}
+
+async function unsuppress(email) {
+  await initOnce();
+  const r = await db.query(`DELETE FROM email_suppressions WHERE email = $1`, [
+    normalizeEmail(email),
+  ]);
+  return (r.rowCount || 0) > 0;
+}
+
+async function listSuppressions({ q, limit = 50, offset = 0 } = {}) {
+  await initOnce();
+  const r = await db.query(
+    `SELECT email, reason, detail, source, created_by, created_at
+     FROM email_suppressions
+     WHERE ($1::text IS NULL OR email ILIKE '%' || $1 || '%')
+     ORDER BY created_at DESC
+     LIMIT $2 OFFSET $3`,
+    [q ? String(q).trim() : null, limit, offset],
+  );
+  return r.rows;
+}
+
+/**
+ * Which of these addresses must not get mail of `category`.
+ * Returns Map(email -> reason) for the blocked ones.
+ */
+async function blockedRecipients(emails, category = DEFAULT_CATEGORY) {
+  await initOnce();
+  const list = [...new Set((emails || []).map(normalizeEmail))].filter(
+    Boolean,
+  );
+  const blocked = new Map();
+  if (!list.length) return blocked;
+
+  const s = await db.query(
+    `SELECT email, reason FROM email_suppressions WHERE email = ANY($1::text[])`,
+    [list],
+  );
+  for (const row of s.rows) blocked.set(row.email, `suppressed: ${row.reason}`);
+
+  const cat = cleanCategory(category) || DEFAULT_CATEGORY;
+  const p = await db.query(
+    `SELECT email FROM email_preferences
+     WHERE email = ANY($1::text[]) AND ${cat} = FALSE`,
+    [list],
+  );
+  for (const row of p.rows) {
+    if (!blocked.has(row.email)) blocked.set(row.email, `unsubscribed: ${cat}`);
+  }
+  return blocked;
+}
+
+async function canSend(email, category = DEFAULT_CATEGORY) {
+  const blocked = await blockedRecipients([email], category);
+  return blocked.size === 0;
+}
+
+/* ───────────────────────── Mailgun webhooks ───────────────────────── */
+
+function verifyMailgunSignature(sig, signingKey) {
+  if (!sig || !signingKey) return false;
+  const { timestamp, token, signature } = sig;
+  if (!timestamp || !token || !signature) return false;
+
+  const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (!Number.isFinite(age) || age > SIGNATURE_MAX_AGE_SECONDS) return false;
+
+  const expected = crypto
+    .createHmac("sha256", signingKey)
+    .update(String(timestamp) + String(token))
+    .digest("hex");
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(signature));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Record one Mailgun event ("event-data") and auto-suppress permanent
+ * failures, complaints and Mailgun-side unsubscribes.
+ * Returns { duplicate, suppressed }.
+ */
+async function recordMailgunEvent(data) {
+  await initOnce();
+  const event = String(data?.event || "").toLowerCase();
+  const recipient = normalizeEmail(data?.recipient);
+  const eventId =
+    data?.id ||
+    crypto
+      .createHash("sha256")
+      .update(JSON.stringify(data || {}))
+      .digest("hex");
+  const severity = data?.severity || null;
+  const reason =
+    data?.["delivery-status"]?.description ||
+    data?.["delivery-status"]?.message ||
+    data?.reason ||
+    null;
+
+  const ins = await db.query(
+    `INSERT INTO email_events
+       (provider, event_id, event, severity, recipient, reason, message_id, payload)
+     VALUES ('mailgun', $1, $2, $3, $4, $5, $6, $7::jsonb)
+     ON CONFLICT (provider, event_id) DO NOTHING
+     RETURNING id`,
+    [
+      String(eventId),
+      event || "unknown",
+      severity,
+      recipient || null,
+      reason ? String(reason).slice(0, 1000) : null,
+      data?.message?.headers?.["message-id"] || null,
+      JSON.stringify(data || {}),
+    ],
+  );
+  if (!ins.rows[0]) return { duplicate: true, suppressed: false };
+
+  let why = null;
+  if (event === "failed" && severity === "permanent") why = "bounce";
+  else if (event === "bounced") why = "bounce";
+  else if (event === "complained") why = "complaint";
+  else if (event === "unsubscribed") why = "unsubscribe";
+
+  if (!why || !recipient) return { duplicate: false, suppressed: false };
+
+  await suppress(recipient, why, {
+    detail: reason ? String(reason).slice(0, 500) : null,
+    source: "mailgun",
+  });
+  return { duplicate: false, suppressed: true };
+}
+
+module.exports = {
+  CATEGORIES,
+  DEFAULT_CATEGORY,
+  ensurePreferenceTables: initOnce,
+  normalizeEmail,
+  cleanCategory,
+  unsubscribeUrl,
+  unsubscribeCategories,
+  tokensFor,
+  getPreferences,
+  updatePreferences,
+  emailForToken,
+  unsubscribeByToken,
+  suppress,
+  unsuppress,
+  listSuppressions,
+  blockedRecipients,
+  canSend,
+  verifyMailgunSignature,
+  recordMailgunEvent,
+};
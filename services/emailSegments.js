@@ -0,0 +1,353 @@
+// server-api/services/emailSegments.js
+const db = require("../db");
+const { ensureReminderTables } = require("./liveReminders");
+const { ensureProgressTable } = require("./watchProgress");
+
+/**
+ * Audiences for admin email broadcasts.
+ *
+ * An audience is a single condition or a combination of them:
+ *
+ *   { type: "all" }
+ *   { type: "ids", ids: [1, 2, 3] }
+ *   { type: "plan", plan_codes: ["growth"] }        active subscribers (any plan if empty)
+ *   { type: "trialing" }
+ *   { type: "watched", video_id?, category_id?, days: 30 }
+ *   { type: "live_event", event_id }                registered, not unsubscribed
+ *   { type: "lapsed", days? }                       latest subscription canceled (within N days)
+ *   { type: "segment", segment_id }                 a saved segment
+ *   { type: "rules", match: "all"|"any", conditions: [ ...conditions ] }
+ *
+ * Saved segments (email_segments.rules) hold any of the above. Every
+ * condition compiles to a subquery of user ids; recipients are the users
+ * with a non-empty email among them, capped at EMAIL_MAX_RECIPIENTS.
+ */
+
+const MAX_RECIPIENTS = Number(process.env.EMAIL_MAX_RECIPIENTS || 5000);
+const MAX_WATCH_DAYS = 365;
+const MAX_DEPTH = 4;
+
+const TYPES = [
+  "all",
+  "ids",
+  "plan",
+  "trialing",
+  "watched",
+  "live_event",
+  "lapsed",
+  "segment",
+  "rules",
+];
+
+const WATCH_EVENT_TYPES = ["video_play", "video_progress", "video_complete"];
+
+/* ───────────────────────── DB bootstrap ───────────────────────── */
+
+async function ensureSegmentTables() {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS email_segments (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL,
+      description TEXT,
+      rules JSONB NOT NULL DEFAULT '{}'::jsonb,
+      created_by INTEGER,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+}
+
+let __initPromise = null;
+function initOnce() {
+  if (!__initPromise) {
+    __initPromise = ensureSegmentTables().catch((e) => {
+      console.error("[emailSegments] ensureSegmentTables failed:", e);
+      __initPromise = null;
+      throw e;
+    });
+  }
+  return __initPromise;
+}
+
+/* ───────────────────────── helpers ───────────────────────── */
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function toId(v) {
+  const n = Number(v);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+function idList(v) {
+  return (Array.isArray(v) ? v : [])
+    .map((x) => Number(x))
+    .filter((n) => Number.isInteger(n) && n > 0);
+}
+
+function strList(v) {
+  const arr = Array.isArray(v) ? v : v ? [v] : [];
+  return arr.map((x) => String(x).trim().toLowerCase()).filter(Boolean);
+}
+
+// Latest subscription row per user (subscriptions can hold history)
+const LATEST_SUBS = `
+  SELECT DISTINCT ON (user_id)
+         user_id, plan_code, status, canceled_at, current_period_end, renews_at
+  FROM subscriptions
+  ORDER BY user_id, created_at DESC NULLS LAST
+`;
+
+/**
+ * Compile one condition into `SELECT user_id::text ...`, pushing bind
+ * values onto `params`. Saved segments are looked up and inlined.
+ */
+async function conditionSql(cond, params, depth = 0) {
+  if (!cond || typeof cond !== "object") throw badRequest("Invalid audience");
+  if (depth > MAX_DEPTH) throw badRequest("Audience is nested too deeply");
+
+  const type = String(cond.type || "all")
+    .trim()
+    .toLowerCase();
+  const p = (v) => {
+    params.push(v);
+    return `$${params.length}`;
+  };
+
+  switch (type) {
+    case "all":
+      return `SELECT id::text AS user_id FROM users`;
+
+    case "ids": {
+      const ids = idList(cond.ids);
+      if (!ids.length) throw badRequest("No ids provided");
+      return `SELECT unnest(${p(ids)}::int[])::text AS user_id`;
+    }
+
+    case "plan": {
+      const $plans = p(strList(cond.plan_codes || cond.plan_code));
+      return `SELECT s.user_id::text AS user_id
+              FROM (${LATEST_SUBS}) s
+              WHERE LOWER(s.status) IN ('active','trial','trialing')
+                AND (s.canceled_at IS NULL OR s.canceled_at > NOW())
+                AND COALESCE(s.current_period_end, s.renews_at) > NOW()
+                AND (cardinality(${$plans}::text[]) = 0
+                     OR LOWER(s.plan_code) = ANY(${$plans}::text[]))`;
+    }
+
+    case "trialing":
+      return `SELECT s.user_id::text AS user_id
+              FROM (${LATEST_SUBS}) s
+              WHERE LOWER(s.status) IN ('trial','trialing')
+                AND (s.canceled_at IS NULL OR s.canceled_at > NOW())`;
+
+    case "lapsed": {
+      const $days = p(toId(cond.days));
+      return `SELECT s.user_id::text AS user_id
+              FROM (${LATEST_SUBS}) s
+              WHERE s.canceled_at IS NOT NULL
+                AND s.canceled_at <= NOW()
+                AND (${$days}::int IS NULL
+                     OR s.canceled_at >= NOW() - (${$days}::int * interval '1 day'))`;
+    }
+
+    case "watched": {
+      const videoId = toId(cond.video_id);
+      const categoryId = toId(cond.category_id);
+      const days = Math.min(toId(cond.days) || 30, MAX_WATCH_DAYS);
+      const $days = p(days);
+      const $video = p(videoId);
+      const $category = p(categoryId);
+      const $types = p(WATCH_EVENT_TYPES);
+      await ensureProgressTable();
+      return `SELECT ae.user_id::text AS user_id
+              FROM analytics_events ae
+              LEFT JOIN videos v ON v.id = ae.video_id
+              WHERE ae.user_id IS NOT NULL
+                AND ae.event_type = ANY(${$types}::text[])
+                AND ae.created_at >= NOW() - (${$days}::int * interval '1 day')
+                AND (${$video}::int IS NULL OR ae.video_id = ${$video})
+                AND (${$category}::int IS NULL OR v.category_id = ${$category})
+              UNION
+              SELECT wp.user_id AS user_id
+              FROM watch_progress wp
+              LEFT JOIN videos v ON v.id = wp.video_id
+              WHERE wp.updated_at >= NOW() - (${$days}::int * interval '1 day')
+                AND (${$video}::int IS NULL OR wp.video_id = ${$video})
+                AND (${$category}::int IS NULL OR v.category_id = ${$category})`;
+    }
+
+    case "live_event": {
+      const eventId = toId(cond.event_id);
+      if (!eventId) throw badRequest("live_event requires event_id");
+      await ensureReminderTables();
+      return `SELECT r.user_id::text AS user_id
+              FROM live_event_registrations r
+              WHERE r.event_id = ${p(eventId)}
+                AND r.unsubscribed_at IS NULL`;
+    }
+
+    case "segment": {
+      const segment = await getSegment(cond.segment_id);
+      if (!segment) throw badRequest("Segment not found");
+      return conditionSql(segment.rules, params, depth + 1);
+    }
+
+    case "rules": {
+      const conditions = Array.isArray(cond.conditions) ? cond.conditions : [];
+      if (!conditions.length) throw badRequest("rules requires conditions");
+      const op =
+        String(cond.match || "all").toLowerCase() === "any"
+          ? "UNION"
+          : "INTERSECT";
+      const parts = [];
+      for (const c of conditions) {
+        parts.push(`(${await conditionSql(c, params, depth + 1)})`);
+      }
+      return parts.join(`\n${op}\n`);
+    }
+
+    default:
+      throw badRequest(
+        `Unknown audience type "${type}" (use ${TYPES.join(", ")})`,
+      );
+  }
+}
+
+async function recipientsSql(audience) {
+  const params = [];
+  const ids = await conditionSql(audience || { type: "all" }, params);
+  return {
+    sql: `FROM users u
+          WHERE u.email IS NOT NULL AND u.email <> ''
+            AND u.id::text IN (${ids})`,
+    params,
+  };
+}
+
+/* ───────────────────────── public API ───────────────────────── */
+
+/**
+ * `SELECT user_id::text ...` for an audience, for callers that target
+ * something other than email addresses (push campaigns). Bind values are
+ * $1..$n of the returned params.
+ */
+async function audienceUserIdsSql(audience) {
+  await initOnce();
+  const params = [];
+  const sql = await conditionSql(audience || { type: "all" }, params);
+  return { sql, params };
+}
+
+/**
+ * Recipients for an audience, newest users first, capped at MAX_RECIPIENTS.
+ */
+async function resolveRecipients(audience) {
+  await initOnce();
+  const { sql, params } = await recipientsSql(audience);
+  const r = await db.query(
+    `SELECT u.id, u.email ${sql}
+     ORDER BY u.id DESC
+     LIMIT ${MAX_RECIPIENTS}`,
+    params,
+  );
+  return r.rows;
+}
+
+async function previewAudience(audience, sampleSize = 10) {
+  await initOnce();
+  const { sql, params } = await recipientsSql(audience);
+  const count = await db.query(`SELECT COUNT(*)::int AS n ${sql}`, params);
+  const sample = await db.query(
+    `SELECT u.id, u.email ${sql}
+     ORDER BY u.id DESC
+     LIMIT ${Math.min(Math.max(Number(sampleSize) || 10, 0), 50)}`,
+    params,
+  );
+  const total = count.rows[0]?.n || 0;
+  return {
+    count: Math.min(total, MAX_RECIPIENTS),
+    total,
+    truncated: total > MAX_RECIPIENTS,
+    sample: sample.rows,
+  };
+}
+
+async function listSegments() {
+  await initOnce();
+  const r = await db.query(
+    `SELECT id, name, description, rules, created_by, created_at, updated_at
+     FROM email_segments
+     ORDER BY name ASC, id ASC`,
+  );
+  return r.rows;
+}
+
+async function getSegment(id) {
+  const segmentId = toId(id);
+  if (!segmentId) return null;
+  await initOnce();
+  const r = await db.query(
+    `SELECT id, name, description, rules, created_by, created_at, updated_at
+     FROM email_segments
+     WHERE id = $1`,
+    [segmentId],
+  );
+  return r.rows[0] || null;
+}
+
+/**
+ * Compiles the rules once (against no data) so bad segments are rejected
+ * on save rather than at send time.
+ */
+async function validateRules(rules) {
+  await conditionSql(rules, []);
+}
+
+async function saveSegment({ id, name, description, rules, createdBy }) {
+  await initOnce();
+  const cleanName = String(name || "").trim();
+  if (!cleanName) throw badRequest("Segment name is required");
+  await validateRules(rules);
+
+  if (id) {
+    const r = await db.query(
+      `UPDATE email_segments
+       SET name = $2, description = $3, rules = $4::jsonb, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [id, cleanName, description || null, JSON.stringify(rules)],
+    );
+    return r.rows[0] || null;
+  }
+
+  const r = await db.query(
+    `INSERT INTO email_segments (name, description, rules, created_by)
+     VALUES ($1, $2, $3::jsonb, $4)
+     RETURNING *`,
+    [cleanName, description || null, JSON.stringify(rules), createdBy || null],
+  );
+  return r.rows[0];
+}
+
+async function deleteSegment(id) {
+  await initOnce();
+  const r = await db.query(`DELETE FROM email_segments WHERE id = $1`, [id]);
+  return (r.rowCount || 0) > 0;
+}
+
+module.exports = {
+  ensureSegmentTables: initOnce,
+  resolveRecipients,
+  previewAudience,
+  audienceUserIdsSql,
+  listSegments,
+  getSegment,
+  saveSegment,
+  deleteSegment,
+  validateRules,
+  MAX_RECIPIENTS,
+};
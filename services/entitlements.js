@@ -3,62 +3,367 @@ const db = require("../db");
 const { PLAN_DEFS, ADD_ON_DEFS } = require("../billing/entitlements");
 
 /**
- * Resolve the current plan of a user.
- *  - You may want to scope subscriptions by org/account instead of user_id.
+ * One answer to "what is this user entitled to right now?".
+ *
+ * resolveEntitlement(userId) looks at every subscriptions row for the user
+ * (routes/subscription.js inserts a row per purchase, the Stripe/PayPal
+ * sync upserts one) and returns the best decision:
+ *
+ *   active / trialing            -> access until the period (or trial) ends
+ *   past_due / PayPal suspended  -> access for PAST_DUE_GRACE_DAYS after the
+ *                                   period end ("grace_period")
+ *   canceled_at in the future    -> access until then ("paid_through")
+ *   canceled_at in the past,
+ *   unpaid / incomplete / expired -> no access
+ *
+ * Add-ons from subscription_addons are added to the plan quotas while the
+ * subscription grants access. Every gate (requireActiveSub, permissions,
+ * authorize, watch, attachEntitlements) and GET /api/subscription/entitlements
+ * use this decision.
  */
-async function getActiveSubscription(userId) {
-  const q = `
-    SELECT * FROM subscriptions
-    WHERE user_id = $1 AND status = 'active'
-    ORDER BY started_at DESC
-    LIMIT 1
-  `;
-  const { rows } = await db.query(q, [userId]);
-  return rows[0] || null;
+
+const PAST_DUE_GRACE_DAYS = Number(process.env.PAST_DUE_GRACE_DAYS || 7);
+// Provider webhooks can land a little after the period rolls over
+const RENEWAL_LAG_HOURS = Number(process.env.RENEWAL_LAG_HOURS || 24);
+
+const DAY_MS = 24 * 3600 * 1000;
+
+const FREE = {
+  label: "Free",
+  features: {},
+  quotas: {
+    storage_hours: Number(process.env.STORAGE_HOURS_LIMIT_DEFAULT || 100),
+    live_hours_monthly: Number(process.env.LIVE_HOURS_LIMIT_DEFAULT || 100),
+  },
+  support: "basic",
+};
+
+// subscriptions.plan_code is starter|pro|custom; PLAN_DEFS predate that
+const PLAN_ALIASES = {
+  starter: "growth",
+  basic: "growth",
+  pro: "essentials",
+  plus: "essentials",
+  enterprise: "custom",
+};
+
+// Rank decisions when a user has several rows
+const REASON_RANK = {
+  active: 6,
+  trialing: 5,
+  paid_through: 4,
+  grace_period: 3,
+  past_due: 2,
+  expired: 1,
+  canceled: 1,
+  inactive: 1,
+  no_subscription: 0,
+};
+
+/* ───────────────────────── helpers ───────────────────────── */
+
+function toDate(v) {
+  if (!v) return null;
+  const d = new Date(v);
+  return Number.isFinite(+d) ? d : null;
 }
 
-/** Fetch add-ons for the user and aggregate totals */
-async function getAddOnTotals(userId) {
-  const q = `SELECT sku, SUM(quantity) AS qty FROM subscription_addons WHERE user_id=$1 GROUP BY sku`;
-  const { rows } = await db.query(q, [userId]);
-  const totals = { storage_hours: 0, live_hours_monthly: 0 };
-  for (const r of rows) {
-    const sku = r.sku;
-    const qty = Number(r.qty || 0);
-    const def = ADD_ON_DEFS[sku];
-    if (!def || !qty) continue;
-    if (def.storage_hours) totals.storage_hours += def.storage_hours * qty;
-    if (def.live_hours_monthly)
-      totals.live_hours_monthly += def.live_hours_monthly * qty;
+function iso(d) {
+  return d ? d.toISOString() : null;
+}
+
+function normalizeStatus(s) {
+  const v = String(s || "active")
+    .trim()
+    .toLowerCase();
+  if (v === "cancelled") return "canceled";
+  if (v === "trial") return "trialing";
+  // PayPal suspends a subscription after failed payments
+  if (v === "suspended") return "past_due";
+  return v;
+}
+
+function planKey(row) {
+  for (const raw of [row?.plan_code, row?.plan, row?.plan_title]) {
+    const s = String(raw || "")
+      .trim()
+      .toLowerCase();
+    if (!s) continue;
+    if (PLAN_DEFS[s]) return s;
+    if (PLAN_ALIASES[s]) return PLAN_ALIASES[s];
+    for (const [alias, key] of Object.entries(PLAN_ALIASES)) {
+      if (s.includes(alias)) return key;
+    }
+    for (const key of Object.keys(PLAN_DEFS)) {
+      if (s.includes(key)) return key;
+    }
   }
-  return totals;
+  return null;
 }
 
 /**
- * Public API — returns normalized entitlements for a user.
+ * Decide access for one subscriptions row at `now`.
+ * Returns { active, reason, access_until, grace_until, trial_ends_at, will_renew }.
  */
-async function getEntitlements(userId) {
-  const subs = await getActiveSubscription(userId);
-  const planCode = subs?.plan_code || "growth"; // default to Growth for safety
-  const plan = PLAN_DEFS[planCode] || PLAN_DEFS.growth;
-
-  // base quotas
-  const quotas = { ...plan.quotas };
-
-  // add-ons
-  const addOns = await getAddOnTotals(userId);
-  for (const k of Object.keys(addOns)) {
-    if (quotas[k] == null) continue; // custom/unlimited stays unlimited
-    quotas[k] += addOns[k];
+function evaluateRow(row, now = new Date()) {
+  const status = normalizeStatus(row.status);
+  // current_period_end is Stripe-synced; PayPal rows only carry renews_at,
+  // which stands in as the period end for any provider-backed row
+  const periodEnd = toDate(row.current_period_end);
+  const renewsAt = toDate(row.renews_at);
+  const endsAt = periodEnd || (row.provider ? renewsAt : null);
+  const canceledAt = toDate(row.canceled_at);
+  const out = {
+    active: false,
+    reason: "inactive",
+    status,
+    access_until: null,
+    grace_until: null,
+    trial_ends_at: null,
+    will_renew: false,
+  };
+
+  // Canceled: access ends at canceled_at (future = paid through)
+  if (canceledAt) {
+    if (canceledAt <= now) return { ...out, reason: "canceled" };
+    if (["active", "trialing", "past_due", "canceled"].includes(status)) {
+      return {
+        ...out,
+        active: true,
+        reason: "paid_through",
+        access_until: iso(canceledAt),
+      };
+    }
+  }
+
+  if (status === "active") {
+    // Rows with no end date at all stay active until canceled
+    if (!endsAt) {
+      return {
+        ...out,
+        active: true,
+        reason: "active",
+        access_until: iso(renewsAt),
+        will_renew: !!renewsAt,
+      };
+    }
+    const until = new Date(+endsAt + RENEWAL_LAG_HOURS * 3600 * 1000);
+    if (until > now) {
+      return {
+        ...out,
+        active: true,
+        reason: "active",
+        access_until: iso(endsAt),
+        will_renew: !!renewsAt,
+      };
+    }
+    return { ...out, reason: "expired", access_until: iso(endsAt) };
+  }
+
+  if (status === "trialing") {
+    const trialDays = Number(row.in_trial_days || 0);
+    const started = toDate(row.started_at);
+    const trialEnd =
+      periodEnd ||
+      renewsAt ||
+      (started && trialDays > 0
+        ? new Date(+started + trialDays * DAY_MS)
+        : null);
+    if (!trialEnd || trialEnd > now) {
+      return {
+        ...out,
+        active: true,
+        reason: "trialing",
+        access_until: iso(trialEnd),
+        trial_ends_at: iso(trialEnd),
+        will_renew: true,
+      };
+    }
+    return { ...out, reason: "expired", trial_ends_at: iso(trialEnd) };
+  }
+
+  if (status === "past_due") {
+    const from = periodEnd || renewsAt || toDate(row.updated_at) || now;
+    const graceUntil = new Date(+from + PAST_DUE_GRACE_DAYS * DAY_MS);
+    if (graceUntil > now) {
+      return {
+        ...out,
+        active: true,
+        reason: "grace_period",
+        access_until: iso(graceUntil),
+        grace_until: iso(graceUntil),
+        will_renew: true,
+      };
+    }
+    return { ...out, reason: "past_due", grace_until: iso(graceUntil) };
+  }
+
+  if (status === "canceled" || status === "incomplete_expired") {
+    return { ...out, reason: "canceled" };
+  }
+  if (status === "expired") return { ...out, reason: "expired" };
+
+  // unpaid, incomplete, approval_pending, ...
+  return out;
+}
+
+async function getAddOns(userId) {
+  try {
+    const { rows } = await db.query(
+      `SELECT sku, SUM(quantity)::int AS quantity
+       FROM subscription_addons
+       WHERE user_id = $1
+       GROUP BY sku`,
+      [userId],
+    );
+    return rows.filter((r) => Number(r.quantity) > 0);
+  } catch {
+    // table is optional
+    return [];
+  }
+}
+
+function applyAddOns(quotas, addOns) {
+  const out = { ...quotas };
+  for (const a of addOns) {
+    const def = ADD_ON_DEFS[a.sku];
+    if (!def) continue;
+    for (const [k, per] of Object.entries(def)) {
+      if (out[k] == null) continue; // custom/unlimited stays unlimited
+      out[k] += per * Number(a.quantity || 0);
+    }
+  }
+  return out;
+}
+
+/* ───────────────────────── public API ───────────────────────── */
+
+/**
+ * The single entitlement decision for a user:
+ * {
+ *   user_id, active, reason, status, provider, plan_code, label,
+ *   access_until, grace_until, trial_ends_at, will_renew,
+ *   features, quotas, add_ons, support, subscription
+ * }
+ */
+async function resolveEntitlement(userId, { now = new Date() } = {}) {
+  const none = {
+    user_id: userId ?? null,
+    active: false,
+    reason: "no_subscription",
+    status: "none",
+    provider: null,
+    plan_code: null,
+    label: FREE.label,
+    access_until: null,
+    grace_until: null,
+    trial_ends_at: null,
+    will_renew: false,
+    features: { ...FREE.features },
+    quotas: { ...FREE.quotas },
+    add_ons: [],
+    support: FREE.support,
+    subscription: null,
+  };
+  if (userId == null) return none;
+
+  const { rows } = await db.query(
+    `SELECT s.*,
+            (p.id IS NOT NULL) AS has_plan_row,
+            to_jsonb(p) ->> 'title' AS plan_row_title,
+            to_jsonb(p) ->> 'in_trial_days' AS in_trial_days,
+            to_jsonb(p) ->> 'interval' AS plan_interval,
+            to_jsonb(p) ->> 'storage_hours_limit' AS plan_storage_hours,
+            to_jsonb(p) ->> 'live_hours_limit' AS plan_live_hours
+     FROM subscriptions s
+     LEFT JOIN subscription_plans p ON p.id = s.plan_id
+     WHERE s.user_id = $1
+     ORDER BY s.created_at DESC NULLS LAST, s.id DESC
+     LIMIT 20`,
+    [userId],
+  );
+  if (!rows.length) return none;
+
+  let best = null;
+  for (const row of rows) {
+    const d = evaluateRow(row, now);
+    if (!best || REASON_RANK[d.reason] > REASON_RANK[best.d.reason]) {
+      best = { row, d };
+    }
+  }
+  const { row, d } = best;
+
+  const key = planKey(row);
+  const plan = d.active ? PLAN_DEFS[key] || PLAN_DEFS.growth : FREE;
+  let quotas = { ...plan.quotas };
+  let addOns = [];
+
+  if (d.active) {
+    // subscription_plans limits win over the static plan table (NULL = unlimited)
+    if (row.has_plan_row) {
+      quotas.storage_hours =
+        row.plan_storage_hours == null ? null : Number(row.plan_storage_hours);
+      quotas.live_hours_monthly =
+        row.plan_live_hours == null ? null : Number(row.plan_live_hours);
+    }
+    addOns = await getAddOns(userId);
+    quotas = applyAddOns(quotas, addOns);
   }
 
   return {
-    plan_code: planCode,
-    label: plan.label,
+    ...none,
+    active: d.active,
+    reason: d.reason,
+    status: d.status,
+    provider: row.provider || "manual",
+    plan_code: row.plan_code || row.plan || null,
+    label: d.active ? row.plan_row_title || plan.label : FREE.label,
+    access_until: d.access_until,
+    grace_until: d.grace_until,
+    trial_ends_at: d.trial_ends_at,
+    will_renew: d.will_renew,
     features: { ...plan.features },
     quotas,
+    add_ons: addOns,
     support: plan.support,
+    subscription: row,
+  };
+}
+
+/** Decision for req.user, resolved at most once per request. */
+async function entitlementFor(req) {
+  const userId = req?.user?.id ?? null;
+  if (req.entitlement && req.entitlement.user_id === userId) {
+    return req.entitlement;
+  }
+  req.entitlement = await resolveEntitlement(userId);
+  return req.entitlement;
+}
+
+async function hasActiveSubscription(userId) {
+  if (userId == null) return false;
+  return (await resolveEntitlement(userId)).active;
+}
+
+/**
+ * Legacy shape ({ plan_code, label, features, quotas, support }).
+ */
+async function getEntitlements(userId) {
+  const e = await resolveEntitlement(userId);
+  return {
+    plan_code: e.plan_code,
+    label: e.label,
+    features: e.features,
+    quotas: e.quotas,
+    support: e.support,
   };
 }
 
-module.exports = { getEntitlements };
+module.exports = {
+  PAST_DUE_GRACE_DAYS,
+  evaluateRow,
+  resolveEntitlement,
+  entitlementFor,
+  hasActiveSubscription,
+  getEntitlements,
+};
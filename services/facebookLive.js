@@ -0,0 +1,85 @@
+// server-api/services/facebookLive.js
+const axios = require("axios");
+
+/**
+ * Facebook page live videos (Graph API). Used by routes/facebook.js and by
+ * the simulcast destinations in services/simulcast.js.
+ */
+
+const FB_GRAPH = "https://graph.facebook.com/v20.0";
+const TIMEOUT_MS = 15000;
+
+/** Graph error -> readable message */
+function graphError(err) {
+  const e = err?.response?.data?.error;
+  return e?.message || err?.message || "Facebook request failed";
+}
+
+/**
+ * Page access token for pageId, looked up with a user token that manages
+ * the page (facebook_connections.access_token).
+ */
+async function pageAccessToken(pageId, userAccessToken) {
+  const r = await axios.get(`${FB_GRAPH}/${encodeURIComponent(pageId)}`, {
+    params: { access_token: userAccessToken, fields: "id,name,access_token" },
+    timeout: TIMEOUT_MS,
+  });
+  if (!r.data?.access_token) {
+    throw new Error("This Facebook account cannot publish to that page");
+  }
+  return {
+    id: r.data.id,
+    name: r.data.name,
+    access_token: r.data.access_token,
+  };
+}
+
+/**
+ * Create a page live video.
+ * -> { live_video_id, stream_url, secure_stream_url, stream_key }
+ */
+async function createLiveVideo(
+  pageId,
+  pageToken,
+  { title, description, status } = {},
+) {
+  const r = await axios.post(
+    `${FB_GRAPH}/${encodeURIComponent(pageId)}/live_videos`,
+    null,
+    {
+      params: {
+        access_token: pageToken,
+        status: status || "LIVE_NOW",
+        title: title || "Live Stream",
+        description: description || "",
+      },
+      timeout: TIMEOUT_MS,
+    },
+  );
+  return {
+    live_video_id: r.data.id,
+    stream_url: r.data.stream_url,
+    secure_stream_url: r.data.secure_stream_url,
+    stream_key: r.data.stream_key,
+  };
+}
+
+async function endLiveVideo(liveVideoId, pageToken) {
+  const r = await axios.post(
+    `${FB_GRAPH}/${encodeURIComponent(liveVideoId)}`,
+    null,
+    {
+      params: { access_token: pageToken, end_live_video: true },
+      timeout: TIMEOUT_MS,
+    },
+  );
+  return r.data;
+}
+
+module.exports = {
+  FB_GRAPH,
+  graphError,
+  pageAccessToken,
+  createLiveVideo,
+  endLiveVideo,
+};
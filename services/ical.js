@@ -0,0 +1,439 @@
+// server-api/services/ical.js
+/**
+ * Minimal iCalendar (RFC 5545) helpers for the calendar feed/import.
+ *
+ * Writing:
+ *   buildCalendar({ name, events })  -> text/calendar string (with a
+ *                                       VTIMEZONE for every event tz)
+ *   formatUtc(date)                  -> 20250105T150000Z
+ *   formatLocal(date, tz)            -> 20250105T100000 (for ;TZID=)
+ *
+ * Reading:
+ *   parseCalendar(text)              -> [{ type, props, children }]
+ *   parseDateValue(prop)             -> { date, allDay } | null
+ *   parseRRule(value)                -> { FREQ, INTERVAL, ... }
+ *
+ * Only what our calendar model needs is supported; unknown properties are
+ * ignored on import and never emitted.
+ */
+
+const PRODID = "-//BishopTV//Calendar//EN";
+// VTIMEZONE observances run this many years past now / the latest event
+const TZ_YEARS_AHEAD = 10;
+const WEEK_MS = 7 * 24 * 3600 * 1000;
+
+/* ───────────────────────── writing ───────────────────────── */
+
+function escapeText(v) {
+  return String(v ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/** Fold content lines at 75 octets (continuation lines start with a space). */
+function foldLine(line) {
+  const buf = Buffer.from(line, "utf8");
+  if (buf.length <= 75) return line;
+
+  const out = [];
+  let cur = "";
+  let curBytes = 0;
+  for (const ch of line) {
+    const n = Buffer.byteLength(ch, "utf8");
+    const limit = out.length ? 74 : 75; // continuation lines lose 1 to the space
+    if (curBytes + n > limit) {
+      out.push(cur);
+      cur = "";
+      curBytes = 0;
+    }
+    cur += ch;
+    curBytes += n;
+  }
+  if (cur) out.push(cur);
+  return out.join("\r\n ");
+}
+
+function formatUtc(d) {
+  return new Date(d)
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}Z$/, "Z");
+}
+
+/** Wall-clock DATE-TIME in `tz` (for ;TZID= values): 20250105T100000 */
+function formatLocal(d, tz) {
+  const date = new Date(d);
+  return formatUtc(date.getTime() + tzOffsetMs(date, tz)).replace(/Z$/, "");
+}
+
+// "+0530" / "-0500"
+function formatOffset(ms) {
+  const m = Math.round(Math.abs(ms) / 60000);
+  const hh = String(Math.floor(m / 60)).padStart(2, "0");
+  const mm = String(m % 60).padStart(2, "0");
+  return `${ms < 0 ? "-" : "+"}${hh}${mm}`;
+}
+
+/** UTC offset changes of `tz` in [fromMs, toMs): [{ at, from, to }] (ms). */
+function tzTransitions(tz, fromMs, toMs) {
+  const out = [];
+  let prev = tzOffsetMs(new Date(fromMs), tz);
+  // weekly scan (offsets never change twice in a week), then to the minute
+  for (let t = fromMs + WEEK_MS; t < toMs + WEEK_MS; t += WEEK_MS) {
+    const off = tzOffsetMs(new Date(t), tz);
+    if (off === prev) continue;
+    let lo = t - WEEK_MS;
+    let hi = t;
+    while (hi - lo > 60000) {
+      const mid = lo + Math.floor((hi - lo) / 120000) * 60000;
+      if (tzOffsetMs(new Date(mid), tz) === prev) lo = mid;
+      else hi = mid;
+    }
+    if (hi < toMs) out.push({ at: hi, from: prev, to: off });
+    prev = off;
+  }
+  return out;
+}
+
+const tzBlocks = new Map();
+
+/**
+ * VTIMEZONE for `tz` over fromYear..toYear. Every offset change is listed
+ * as its own observance (no RRULEs), so it matches Intl's tz data exactly.
+ */
+function buildTimezone(tz, fromYear, toYear) {
+  const key = `${tz}|${fromYear}|${toYear}`;
+  if (tzBlocks.has(key)) return tzBlocks.get(key);
+
+  const fromMs = Date.UTC(fromYear, 0, 1);
+  const first = tzOffsetMs(new Date(fromMs), tz);
+  const observances = [
+    { at: fromMs, from: first, to: first },
+    ...tzTransitions(tz, fromMs, Date.UTC(toYear + 1, 0, 1)),
+  ];
+  const standard = Math.min(...observances.map((o) => o.to));
+
+  const lines = ["BEGIN:VTIMEZONE", `TZID:${tz}`];
+  for (const o of observances) {
+    const kind = o.to > standard ? "DAYLIGHT" : "STANDARD";
+    lines.push(
+      `BEGIN:${kind}`,
+      // observance DTSTART is wall-clock time before the change
+      `DTSTART:${formatUtc(o.at + o.from).replace(/Z$/, "")}`,
+      `TZOFFSETFROM:${formatOffset(o.from)}`,
+      `TZOFFSETTO:${formatOffset(o.to)}`,
+      `END:${kind}`,
+    );
+  }
+  lines.push("END:VTIMEZONE");
+  tzBlocks.set(key, lines);
+  return lines;
+}
+
+/**
+ * Serialize one VEVENT. `ev` fields:
+ *   uid, start, end?, summary, description?, categories?[], url?,
+ *   rrule?, exdates?[], recurrenceId?, tz?, x?{ NAME: value }
+ *
+ * With `tz` (IANA name) date-times are written as TZID-local values so
+ * clients expand RRULEs across DST the same way we do; buildCalendar()
+ * adds the matching VTIMEZONE.
+ */
+function buildEvent(ev) {
+  const local = ev.tz && ev.tz !== "UTC";
+  const dt = (name, values) =>
+    local
+      ? `${name};TZID=${ev.tz}:${values.map((v) => formatLocal(v, ev.tz)).join(",")}`
+      : `${name}:${values.map(formatUtc).join(",")}`;
+
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${ev.uid}`,
+    `DTSTAMP:${formatUtc(ev.stamp || new Date())}`,
+  ];
+  if (ev.recurrenceId) lines.push(dt("RECURRENCE-ID", [ev.recurrenceId]));
+  lines.push(dt("DTSTART", [ev.start]));
+  if (ev.end) lines.push(dt("DTEND", [ev.end]));
+  if (ev.rrule) lines.push(`RRULE:${ev.rrule}`);
+  if (ev.exdates?.length) lines.push(dt("EXDATE", ev.exdates));
+  lines.push(`SUMMARY:${escapeText(ev.summary || "Event")}`);
+  if (ev.description) lines.push(`DESCRIPTION:${escapeText(ev.description)}`);
+  if (ev.categories?.length) {
+    lines.push(`CATEGORIES:${ev.categories.map(escapeText).join(",")}`);
+  }
+  if (ev.url) lines.push(`URL:${ev.url}`);
+  for (const [k, v] of Object.entries(ev.x || {})) {
+    if (v !== null && v !== undefined && v !== "") {
+      lines.push(`X-${k}:${escapeText(v)}`);
+    }
+  }
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+function buildCalendar({ name, description, events = [] }) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+  ];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  if (description) lines.push(`X-WR-CALDESC:${escapeText(description)}`);
+  lines.push("X-PUBLISHED-TTL:PT1H");
+
+  // tz -> [first, last] year of its events
+  const years = new Map();
+  for (const ev of events) {
+    if (!ev.tz || ev.tz === "UTC") continue;
+    const y = new Date(ev.start).getUTCFullYear();
+    const [a, b] = years.get(ev.tz) || [y, y];
+    years.set(ev.tz, [Math.min(a, y), Math.max(b, y)]);
+  }
+  const thisYear = new Date().getUTCFullYear();
+  for (const [tz, [a, b]] of years) {
+    lines.push(
+      ...buildTimezone(tz, a - 1, Math.max(b, thisYear) + TZ_YEARS_AHEAD),
+    );
+  }
+
+  for (const ev of events) lines.push(...buildEvent(ev));
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+/* ───────────────────────── reading ───────────────────────── */
+
+function unescapeText(v) {
+  return String(v ?? "").replace(/\\([\\;,nN])/g, (_m, c) =>
+    c === "n" || c === "N" ? "\n" : c,
+  );
+}
+
+/** NAME;PARAM=a;PARAM2="b:c":VALUE -> { name, params, value } */
+function parseContentLine(line) {
+  let i = 0;
+  let inQuotes = false;
+  let colon = -1;
+  for (; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '"') inQuotes = !inQuotes;
+    else if (ch === ":" && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon < 0) return null;
+
+  const head = line.slice(0, colon);
+  const value = line.slice(colon + 1);
+
+  const parts = [];
+  let cur = "";
+  inQuotes = false;
+  for (const ch of head) {
+    if (ch === '"') inQuotes = !inQuotes;
+    if (ch === ";" && !inQuotes) {
+      parts.push(cur);
+      cur = "";
+    } else cur += ch;
+  }
+  parts.push(cur);
+
+  const name = parts.shift().trim().toUpperCase();
+  const params = {};
+  for (const p of parts) {
+    const eq = p.indexOf("=");
+    if (eq < 0) continue;
+    params[p.slice(0, eq).trim().toUpperCase()] = p
+      .slice(eq + 1)
+      .replace(/^"|"$/g, "");
+  }
+  return { name, params, value };
+}
+
+/**
+ * Parse text into a component tree. Each component:
+ *   { type: "VEVENT", props: [{ name, params, value }], children: [] }
+ */
+function parseCalendar(text) {
+  const unfolded = String(text || "")
+    .replace(/^\uFEFF/, "")
+    .replace(/\r?\n[ \t]/g, "");
+  const roots = [];
+  const stack = [];
+
+  for (const raw of unfolded.split(/\r?\n/)) {
+    if (!raw.trim()) continue;
+    const line = parseContentLine(raw);
+    if (!line) continue;
+
+    if (line.name === "BEGIN") {
+      const comp = {
+        type: line.value.trim().toUpperCase(),
+        props: [],
+        children: [],
+      };
+      if (stack.length) stack[stack.length - 1].children.push(comp);
+      else roots.push(comp);
+      stack.push(comp);
+    } else if (line.name === "END") {
+      stack.pop();
+    } else if (stack.length) {
+      stack[stack.length - 1].props.push(line);
+    }
+  }
+  return roots;
+}
+
+function getProp(comp, name) {
+  return comp.props.find((p) => p.name === name) || null;
+}
+
+function getProps(comp, name) {
+  return comp.props.filter((p) => p.name === name);
+}
+
+/** Collect every VEVENT in the tree (normally children of VCALENDAR). */
+function findEvents(roots) {
+  const out = [];
+  const walk = (c) => {
+    if (c.type === "VEVENT") out.push(c);
+    c.children.forEach(walk);
+  };
+  roots.forEach(walk);
+  return out;
+}
+
+/** Milliseconds `tz` is ahead of UTC at the given instant. */
+function tzOffsetMs(date, tz) {
+  const dtf = new Intl.DateTimeFormat("en-US", {
+    timeZone: tz,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  });
+  const p = {};
+  for (const { type, value } of dtf.formatToParts(date)) p[type] = value;
+  const asUtc = Date.UTC(
+    Number(p.year),
+    Number(p.month) - 1,
+    Number(p.day),
+    Number(p.hour),
+    Number(p.minute),
+    Number(p.second),
+  );
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/** Wall-clock time in `tz` -> UTC Date (two passes settle DST edges). */
+function zonedToUtc(y, mo, d, h, mi, s, tz) {
+  const guess = Date.UTC(y, mo, d, h, mi, s);
+  let ts = guess - tzOffsetMs(new Date(guess), tz);
+  ts = guess - tzOffsetMs(new Date(ts), tz);
+  return new Date(ts);
+}
+
+function isValidTimeZone(tz) {
+  if (!tz) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Parse a DATE / DATE-TIME value (UTC, TZID-local or floating).
+ * Floating times are read in `defaultTz` (UTC when not given).
+ */
+function parseDateString(value, tzid, defaultTz) {
+  const m = String(value || "")
+    .trim()
+    .match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!m) return null;
+  const [, y, mo, d, h, mi, s, z] = m;
+
+  if (h === undefined) {
+    return {
+      date: new Date(Date.UTC(+y, +mo - 1, +d)),
+      allDay: true,
+      dateOnly: `${y}-${mo}-${d}`,
+    };
+  }
+  const tz = z ? null : isValidTimeZone(tzid) ? tzid : defaultTz || null;
+  const date = tz
+    ? zonedToUtc(+y, +mo - 1, +d, +h, +mi, +(s || 0), tz)
+    : new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi, +(s || 0)));
+  return { date, allDay: false, tz };
+}
+
+function parseDateValue(prop, defaultTz) {
+  if (!prop) return null;
+  return parseDateString(prop.value, prop.params?.TZID, defaultTz);
+}
+
+/** Multi-valued date props (EXDATE can hold a comma separated list). */
+function parseDateList(prop, defaultTz) {
+  if (!prop) return [];
+  return String(prop.value || "")
+    .split(",")
+    .map((v) => parseDateString(v, prop.params?.TZID, defaultTz))
+    .filter(Boolean);
+}
+
+/** ISO 8601 duration (P1DT2H30M) -> milliseconds */
+function parseDuration(value) {
+  const m = String(value || "")
+    .trim()
+    .match(
+      /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/,
+    );
+  if (!m) return null;
+  const [, sign, w, d, h, mi, s] = m;
+  const ms =
+    ((+w || 0) * 7 * 86400 +
+      (+d || 0) * 86400 +
+      (+h || 0) * 3600 +
+      (+mi || 0) * 60 +
+      (+s || 0)) *
+    1000;
+  return sign === "-" ? -ms : ms;
+}
+
+function parseRRule(value) {
+  const out = {};
+  for (const part of String(value || "").split(";")) {
+    const eq = part.indexOf("=");
+    if (eq < 0) continue;
+    out[part.slice(0, eq).trim().toUpperCase()] = part.slice(eq + 1).trim();
+  }
+  return out;
+}
+
+module.exports = {
+  buildCalendar,
+  formatUtc,
+  formatLocal,
+  escapeText,
+  unescapeText,
+  parseCalendar,
+  findEvents,
+  getProp,
+  getProps,
+  parseDateValue,
+  parseDateList,
+  parseDuration,
+  parseRRule,
+  zonedToUtc,
+  tzOffsetMs,
+  isValidTimeZone,
+};
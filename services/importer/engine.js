@@ -3,6 +3,7 @@ const db = require("../../db");
 const { PassThrough } = require("stream");
 const wasabi = require("./providers/importWasabi");
 const bunny = require("./providers/bunny");
+const progress = require("./progress");
 
 function safeStr(v) {
   return (v ?? "").toString();
@@ -17,6 +18,12 @@ function asBigIntOr0(v) {
   return Number.isFinite(n) ? Math.max(0, Math.trunc(n)) : 0;
 }
 
+// Signed totals delta (a failed copy takes its bytes back off bytes_copied)
+function asDelta(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.trunc(n) : 0;
+}
+
 async function getJob(jobId) {
   const r = await db.query(`SELECT * FROM import_jobs WHERE id=$1`, [jobId]);
   return r.rows[0] || null;
@@ -48,6 +55,7 @@ async function setJobStatus(jobId, status, extra = {}) {
     `UPDATE import_jobs SET ${fields.join(", ")} WHERE id=$1`,
     vals,
   );
+  progress.emitStatus(jobId, status);
 }
 
 async function updateItem(jobId, itemId, patch = {}) {
@@ -68,6 +76,7 @@ async function updateItem(jobId, itemId, patch = {}) {
      WHERE job_id=$1 AND id=$2`,
     vals,
   );
+  progress.emitItem(jobId, itemId, patch);
 }
 
 /**
@@ -80,7 +89,7 @@ async function incTotals(jobId, inc = {}) {
     return Number.isFinite(v) && v !== 0;
   });
 
-  if (!keys.length) return;
+  if (!keys.length) return null;
 
   const base = `COALESCE(totals, '{}'::jsonb)`;
   let expr = base;
@@ -89,7 +98,7 @@ async function incTotals(jobId, inc = {}) {
   let idx = 2;
 
   for (const k of keys) {
-    const add = asBigIntOr0(inc[k]);
+    const add = asDelta(inc[k]);
     if (!add) continue;
 
     vals.push(add);
@@ -105,16 +114,19 @@ async function incTotals(jobId, inc = {}) {
     idx++;
   }
 
-  await db.query(
+  const r = await db.query(
     `UPDATE import_jobs
      SET totals = ${expr}
-     WHERE id = $1`,
+     WHERE id = $1
+     RETURNING totals`,
     vals,
   );
+  return r.rows[0]?.totals || null;
 }
 
 /**
  * ✅ DB-write throttling to avoid pool starvation.
+ * Each flush also pushes the new totals to the `import:<jobId>` room.
  */
 function makeTotalsBuffer(jobId) {
   let buf = {
@@ -147,7 +159,8 @@ function makeTotalsBuffer(jobId) {
     };
 
     try {
-      await incTotals(jobId, snap);
+      const totals = await incTotals(jobId, snap);
+      if (totals) progress.emitProgress(jobId, totals);
     } catch (e) {
       // restore buffer on failure
       buf.bytes_total += snap.bytes_total;
@@ -177,7 +190,7 @@ function makeTotalsBuffer(jobId) {
   return {
     add(delta) {
       for (const k of Object.keys(buf)) {
-        if (delta[k]) buf[k] += asBigIntOr0(delta[k]);
+        if (delta[k]) buf[k] += asDelta(delta[k]);
       }
       schedule();
     },
@@ -191,17 +204,211 @@ function makeTotalsBuffer(jobId) {
   };
 }
 
-async function listNextQueued(jobId, limit = 5) {
+/* =======================================================
+   ✅ Runner config (env defaults; per-job concurrency in settings)
+======================================================= */
+const MAX_CONCURRENCY = 8;
+const DEFAULT_CONCURRENCY = clamp(
+  Number(process.env.IMPORT_CONCURRENCY || 2) || 2,
+  1,
+  MAX_CONCURRENCY,
+);
+const MAX_ATTEMPTS = Math.max(1, Number(process.env.IMPORT_MAX_ATTEMPTS || 5));
+const BACKOFF_BASE_MS = Number(process.env.IMPORT_BACKOFF_BASE_MS || 15000);
+const BACKOFF_MAX_MS = Number(process.env.IMPORT_BACKOFF_MAX_MS || 30 * 60000);
+const HEARTBEAT_MS = Number(process.env.IMPORT_HEARTBEAT_MS || 10000);
+const STALE_MS = Number(process.env.IMPORT_STALE_MS || 60000);
+
+const IN_FLIGHT = ["validating", "copying", "importing"];
+
+function jobConcurrency(job) {
+  const n = Number(job?.settings?.concurrency);
+  if (!Number.isFinite(n) || n < 1) return DEFAULT_CONCURRENCY;
+  return clamp(Math.trunc(n), 1, MAX_CONCURRENCY);
+}
+
+function backoffMs(attempts) {
+  const exp = BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1);
+  return Math.min(BACKOFF_MAX_MS, exp);
+}
+
+/**
+ * Atomically take the next runnable item (queued, or retrying whose backoff
+ * has elapsed). attempts is bumped here so a crash mid-item still counts.
+ */
+async function claimNextItem(jobId) {
+  const r = await db.query(
+    `WITH picked AS (
+        SELECT id
+        FROM import_job_items
+        WHERE job_id=$1
+          AND status IN ('queued','retrying')
+          AND (next_attempt_at IS NULL OR next_attempt_at <= NOW())
+        ORDER BY id ASC
+        FOR UPDATE SKIP LOCKED
+        LIMIT 1
+     )
+     UPDATE import_job_items it
+     SET status='validating',
+         attempts=it.attempts + 1,
+         next_attempt_at=NULL,
+         updated_at=NOW()
+     FROM picked
+     WHERE it.id = picked.id
+     RETURNING it.*`,
+    [jobId],
+  );
+  const item = r.rows[0] || null;
+  if (item) {
+    progress.emitItem(jobId, item.id, {
+      status: item.status,
+      attempts: item.attempts,
+    });
+  }
+  return item;
+}
+
+/**
+ * Failed attempt: back off and retry until MAX_ATTEMPTS, then mark failed.
+ * Returns true when the failure is final.
+ */
+async function failItem(jobId, item, msg) {
+  const attempts = Number(item.attempts || 0);
+
+  if (attempts < MAX_ATTEMPTS) {
+    const r = await db.query(
+      `UPDATE import_job_items
+       SET status='retrying',
+           error=$3,
+           next_attempt_at=NOW() + ($4::int * interval '1 millisecond'),
+           updated_at=NOW()
+       WHERE job_id=$1 AND id=$2
+       RETURNING next_attempt_at`,
+      [jobId, item.id, msg, backoffMs(attempts)],
+    );
+    progress.emitItem(jobId, item.id, {
+      status: "retrying",
+      error: msg,
+      attempts,
+      next_attempt_at: r.rows[0]?.next_attempt_at || null,
+    });
+    return false;
+  }
+
+  await updateItem(jobId, item.id, { status: "failed", error: msg });
+  return true;
+}
+
+/**
+ * Items left validating/copying/importing by a runner that died. Only called
+ * by the worker that just took over the job lease, so nothing else owns them.
+ */
+async function recoverStaleItems(jobId) {
+  const r = await db.query(
+    `UPDATE import_job_items
+     SET status = CASE WHEN attempts >= $3 THEN 'failed' ELSE 'retrying' END,
+         error = COALESCE(error, 'Interrupted (worker restarted)'),
+         next_attempt_at = NOW(),
+         updated_at = NOW()
+     WHERE job_id=$1 AND status = ANY($2::text[])
+     RETURNING id, status, error`,
+    [jobId, IN_FLIGHT, MAX_ATTEMPTS],
+  );
+  for (const row of r.rows || []) {
+    progress.emitItem(jobId, row.id, { status: row.status, error: row.error });
+  }
+  const failed = (r.rows || []).filter((x) => x.status === "failed").length;
+  return { recovered: r.rowCount || 0, failed };
+}
+
+async function nextRetryAt(jobId) {
   const r = await db.query(
-    `SELECT *
+    `SELECT MIN(next_attempt_at) AS at
      FROM import_job_items
-     WHERE job_id=$1
-       AND status IN ('queued','retrying')
-     ORDER BY id ASC
-     LIMIT $2`,
-    [jobId, clamp(limit, 1, 25)],
+     WHERE job_id=$1 AND status='retrying'`,
+    [jobId],
+  );
+  return r.rows[0]?.at ? new Date(r.rows[0].at) : null;
+}
+
+/* =======================================================
+   ✅ Job lease (claimed by workers/importWorker.js)
+======================================================= */
+
+/**
+ * Claim one running job no live worker holds: never leased, released, or
+ * heartbeat older than STALE_MS (its worker crashed or restarted). Jobs whose
+ * only remaining work is backing off are skipped until a retry is due.
+ */
+async function claimJob(workerId) {
+  const client = await db.pool.connect();
+  try {
+    await client.query("BEGIN");
+    const r = await client.query(
+      `WITH picked AS (
+          SELECT id
+          FROM import_jobs
+          WHERE status='running'
+            AND (
+              locked_by IS NULL
+              OR heartbeat_at IS NULL
+              OR heartbeat_at < NOW() - ($2::int * interval '1 millisecond')
+            )
+            AND (
+              NOT EXISTS (
+                SELECT 1 FROM import_job_items i
+                WHERE i.job_id = import_jobs.id
+                  AND i.status = 'retrying' AND i.next_attempt_at > NOW()
+              )
+              OR EXISTS (
+                SELECT 1 FROM import_job_items i
+                WHERE i.job_id = import_jobs.id
+                  AND (
+                    i.status = 'queued'
+                    OR i.status = ANY($3::text[])
+                    OR (i.status = 'retrying'
+                        AND (i.next_attempt_at IS NULL OR i.next_attempt_at <= NOW()))
+                  )
+              )
+            )
+          ORDER BY started_at ASC NULLS FIRST, id ASC
+          FOR UPDATE SKIP LOCKED
+          LIMIT 1
+       )
+       UPDATE import_jobs j
+       SET locked_by=$1, heartbeat_at=NOW()
+       FROM picked
+       WHERE j.id = picked.id
+       RETURNING j.*`,
+      [workerId, STALE_MS, IN_FLIGHT],
+    );
+    await client.query("COMMIT");
+    return r.rows[0] || null;
+  } catch (e) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+async function heartbeatJob(jobId, workerId) {
+  const r = await db.query(
+    `UPDATE import_jobs SET heartbeat_at=NOW()
+     WHERE id=$1 AND locked_by=$2`,
+    [jobId, workerId],
+  );
+  return (r.rowCount || 0) > 0;
+}
+
+async function releaseJob(jobId, workerId) {
+  await db.query(
+    `UPDATE import_jobs SET locked_by=NULL, heartbeat_at=NULL
+     WHERE id=$1 AND locked_by=$2`,
+    [jobId, workerId],
   );
-  return r.rows || [];
 }
 
 /**
@@ -275,7 +482,7 @@ async function finalizeJob(jobId) {
   const finalStatus =
     pending === 0 ? (failedCount > 0 ? "failed" : "completed") : "running";
 
-  await db.query(
+  const r = await db.query(
     `UPDATE import_jobs
      SET status=$2,
          finished_at=CASE WHEN $2 IN ('completed','failed','canceled') THEN NOW() ELSE finished_at END,
@@ -286,7 +493,8 @@ async function finalizeJob(jobId) {
            ),
            '{failed}', to_jsonb(($5)::int), true
          )
-     WHERE id=$1`,
+     WHERE id=$1
+     RETURNING totals`,
     [
       jobId,
       finalStatus,
@@ -296,6 +504,9 @@ async function finalizeJob(jobId) {
     ],
   );
 
+  progress.emitProgress(jobId, r.rows[0]?.totals);
+  progress.emitStatus(jobId, finalStatus);
+
   return { ok: true, job_id: jobId, status: finalStatus };
 }
 
@@ -436,225 +647,278 @@ async function insertVideoRecord({ title, url, visibility, category_id }) {
   await db.query(sql, values);
 }
 
+/* =======================================================
+   ITEM IMPORT
+======================================================= */
+async function importItem(job, item, totalsBuf) {
+  const jobId = job.id;
+  const settings = job.settings || {};
+  const mode = safeStr(job.mode || "remote");
+  const itemId = item.id;
+  const key = safeStr(item.source_key);
+
+  if (mode === "copy_to_bunny") {
+    await updateItem(jobId, itemId, { status: "copying", error: null });
+
+    let head = null;
+    try {
+      head = await wasabi.headObject({ key });
+    } catch {
+      head = null;
+    }
+
+    const contentLength = asBigIntOr0(
+      head?.contentLength ||
+        head?.ContentLength ||
+        head?.size ||
+        item.source_size_bytes ||
+        0,
+    );
+
+    // ✅ Persist size ASAP so UI can show "0 / X" even while queued/copying
+    if (contentLength > 0 && !asBigIntOr0(item.source_size_bytes)) {
+      await updateItem(jobId, itemId, {
+        source_size_bytes: contentLength,
+      });
+    }
+
+    const contentType =
+      safeStr(head?.contentType || head?.ContentType || "") ||
+      (String(key).toLowerCase().endsWith(".mp4") ? "video/mp4" : "");
+
+    const { stream: srcStream } = await getWasabiReadable(key);
+
+    // Counted live for the progress bar; a failed attempt takes its bytes
+    // back so the retry doesn't count them twice
+    let copied = 0;
+    const counter = new PassThrough();
+    srcStream.on("data", (chunk) => {
+      const n = chunk?.length || 0;
+      if (n > 0) {
+        copied += n;
+        totalsBuf.add({ bytes_copied: n });
+      }
+    });
+    srcStream.on("error", (e) => counter.destroy(e));
+    srcStream.pipe(counter);
+
+    try {
+      const up = await bunny.copyFromWasabiStream({
+        sourceKey: key,
+        contentType,
+        contentLength: contentLength || undefined,
+        stream: counter,
+      });
+
+      const destUrl = up?.cdnUrl || up?.destPath || "";
+      if (!destUrl) throw new Error("Bunny upload did not return a URL/path");
+
+      await updateItem(jobId, itemId, {
+        status: "importing",
+        dest_url: destUrl || null,
+      });
+
+      const title =
+        typeof wasabi.titleFromKey === "function"
+          ? wasabi.titleFromKey({
+              key,
+              mode: safeStr(settings.default_title_mode || "filename_no_ext"),
+            })
+          : safeStr(key).split("/").pop();
+
+      await insertVideoRecord({
+        title,
+        url: destUrl,
+        visibility: safeStr(settings.visibility || "private"),
+        category_id: settings.category_id || null,
+      });
+
+      await updateItem(jobId, itemId, { status: "completed", error: null });
+    } catch (e) {
+      srcStream.destroy?.();
+      if (copied) totalsBuf.add({ bytes_copied: -copied });
+      throw e;
+    }
+    totalsBuf.add({ completed: 1 });
+    return;
+  }
+
+  // remote mode
+  await updateItem(jobId, itemId, { status: "importing", error: null });
+
+  // ✅ Persist size for remote too (helps UI + snapshots)
+  if (!asBigIntOr0(item.source_size_bytes)) {
+    try {
+      const head = await wasabi.headObject({ key });
+      const size = asBigIntOr0(
+        head?.contentLength || head?.ContentLength || head?.size || 0,
+      );
+      if (size > 0) {
+        await updateItem(jobId, itemId, { source_size_bytes: size });
+      }
+    } catch {
+      // ignore
+    }
+  }
+
+  const url =
+    typeof wasabi.buildRemoteUrl === "function"
+      ? await wasabi.buildRemoteUrl({
+          key,
+          access_mode: safeStr(settings.access_mode || "auto"),
+          signed_url_ttl_seconds: asBigIntOr0(
+            settings.signed_url_ttl_seconds || 3600,
+          ),
+        })
+      : await wasabi.makeRemoteUrl({ key });
+
+  const title =
+    typeof wasabi.titleFromKey === "function"
+      ? wasabi.titleFromKey({
+          key,
+          mode: safeStr(settings.default_title_mode || "filename_no_ext"),
+        })
+      : safeStr(key).split("/").pop();
+
+  await insertVideoRecord({
+    title,
+    url,
+    visibility: safeStr(settings.visibility || "private"),
+    category_id: settings.category_id || null,
+  });
+
+  await updateItem(jobId, itemId, {
+    status: "completed",
+    dest_url: url,
+    error: null,
+  });
+
+  totalsBuf.add({ completed: 1 });
+}
+
 /* =======================================================
    MAIN RUNNER
 ======================================================= */
-async function runJob(jobId) {
+
+/**
+ * Run a job whose lease is held by `workerId` (see claimJob). Items are
+ * processed by `concurrency` parallel lanes; the lease is heartbeated every
+ * HEARTBEAT_MS and the run stops as soon as it is lost, the job is paused /
+ * canceled, or nothing is runnable. When only backed-off items remain the
+ * job stays `running` and the run returns `backoff` so the worker releases
+ * the lease; claimJob picks the job up again once a retry is due.
+ */
+async function runJob(jobId, { workerId } = {}) {
   const job = await getJob(jobId);
   if (!job) throw new Error("Job not found");
 
   if (job.status === "canceled") return { ok: true, status: "canceled" };
 
   const totalsBuf = makeTotalsBuffer(jobId);
+  const ctx = { stop: null };
+  let retryAt = null;
 
-  await setJobStatus(jobId, "running", { started: true, last_error: null });
-
-  await db.query(
-    `UPDATE import_jobs SET totals = COALESCE(totals,'{}'::jsonb) WHERE id=$1`,
-    [jobId],
-  );
-
-  const settings = job.settings || {};
-  await ensureJobBytesTotal(jobId);
-
-  const mode = safeStr(job.mode || "remote");
+  let heartbeat = null;
+  if (workerId) {
+    heartbeat = setInterval(async () => {
+      try {
+        if (!(await heartbeatJob(jobId, workerId))) ctx.stop = "lost";
+      } catch (e) {
+        console.error("[engine] heartbeat failed:", e.message);
+      }
+    }, HEARTBEAT_MS);
+  }
 
-  let exitedPaused = false;
-  let exitedCanceled = false;
+  try {
+    await setJobStatus(jobId, "running", { started: true, last_error: null });
 
-  while (true) {
-    const live = await getJob(jobId);
-    if (!live) break;
+    await db.query(
+      `UPDATE import_jobs SET totals = COALESCE(totals,'{}'::jsonb) WHERE id=$1`,
+      [jobId],
+    );
 
-    const status = safeStr(live.status);
-    if (status === "paused") {
-      exitedPaused = true;
-      break;
+    const rec = await recoverStaleItems(jobId);
+    if (rec.recovered) {
+      console.log(
+        `[engine] job ${jobId}: recovered ${rec.recovered} interrupted item(s)`,
+      );
     }
-    if (status === "canceled") {
-      exitedCanceled = true;
-      break;
-    }
-
-    const batch = await listNextQueued(jobId, 3);
-    if (!batch.length) break;
+    if (rec.failed) totalsBuf.add({ failed: rec.failed });
 
-    for (const item of batch) {
-      const live2 = await getJob(jobId);
-      if (!live2) break;
+    await ensureJobBytesTotal(jobId);
 
-      const st2 = safeStr(live2.status);
-      if (st2 === "paused") {
-        exitedPaused = true;
-        break;
-      }
-      if (st2 === "canceled") {
-        exitedCanceled = true;
-        break;
-      }
+    const concurrency = jobConcurrency(job);
 
-      const itemId = item.id;
-      const key = safeStr(item.source_key);
+    async function checkLive() {
+      if (ctx.stop) return false;
+      const live = await getJob(jobId);
+      const status = safeStr(live?.status);
+      if (!live || status === "canceled") ctx.stop = "canceled";
+      else if (status === "paused") ctx.stop = "paused";
+      else if (workerId && live.locked_by !== workerId) ctx.stop = "lost";
+      return !ctx.stop;
+    }
 
-      try {
-        if (mode === "copy_to_bunny") {
-          await updateItem(jobId, itemId, { status: "copying", error: null });
-
-          let head = null;
-          try {
-            head = await wasabi.headObject({ key });
-          } catch {
-            head = null;
-          }
-
-          const contentLength = asBigIntOr0(
-            head?.contentLength ||
-              head?.ContentLength ||
-              head?.size ||
-              item.source_size_bytes ||
-              0,
+    async function lane() {
+      while (await checkLive()) {
+        const item = await claimNextItem(jobId);
+        if (!item) return;
+
+        try {
+          await importItem(job, item, totalsBuf);
+        } catch (e) {
+          const msg = safeStr(e?.message || "Import failed");
+          console.error(
+            "[engine item failed]",
+            jobId,
+            item.id,
+            `attempt ${item.attempts}/${MAX_ATTEMPTS}:`,
+            msg,
           );
 
-          // ✅ Persist size ASAP so UI can show "0 / X" even while queued/copying
-          if (contentLength > 0 && !asBigIntOr0(item.source_size_bytes)) {
-            await updateItem(jobId, itemId, {
-              source_size_bytes: contentLength,
-            });
-          }
-
-          const contentType =
-            safeStr(head?.contentType || head?.ContentType || "") ||
-            (String(key).toLowerCase().endsWith(".mp4") ? "video/mp4" : "");
-
-          const { stream: srcStream } = await getWasabiReadable(key);
-
-          const counter = new PassThrough();
-          srcStream.on("data", (chunk) => {
-            const n = chunk?.length || 0;
-            if (n > 0) totalsBuf.add({ bytes_copied: n });
-          });
-          srcStream.on("error", (e) => counter.destroy(e));
-          srcStream.pipe(counter);
-
-          const up = await bunny.copyFromWasabiStream({
-            sourceKey: key,
-            contentType,
-            contentLength: contentLength || undefined,
-            stream: counter,
-          });
-
-          const destUrl = up?.cdnUrl || up?.destPath || "";
-          if (!destUrl)
-            throw new Error("Bunny upload did not return a URL/path");
-
-          await updateItem(jobId, itemId, {
-            status: "importing",
-            dest_url: destUrl || null,
-          });
-
-          const title =
-            typeof wasabi.titleFromKey === "function"
-              ? wasabi.titleFromKey({
-                  key,
-                  mode: safeStr(
-                    settings.default_title_mode || "filename_no_ext",
-                  ),
-                })
-              : safeStr(key).split("/").pop();
-
-          await insertVideoRecord({
-            title,
-            url: destUrl,
-            visibility: safeStr(settings.visibility || "private"),
-            category_id: settings.category_id || null,
-          });
-
-          await updateItem(jobId, itemId, { status: "completed", error: null });
-          totalsBuf.add({ completed: 1 });
-        } else {
-          // remote mode
-          await updateItem(jobId, itemId, { status: "importing", error: null });
-
-          // ✅ Persist size for remote too (helps UI + snapshots)
-          if (!asBigIntOr0(item.source_size_bytes)) {
-            try {
-              const head = await wasabi.headObject({ key });
-              const size = asBigIntOr0(
-                head?.contentLength || head?.ContentLength || head?.size || 0,
-              );
-              if (size > 0) {
-                await updateItem(jobId, itemId, { source_size_bytes: size });
-              }
-            } catch {
-              // ignore
-            }
-          }
-
-          const url =
-            typeof wasabi.buildRemoteUrl === "function"
-              ? await wasabi.buildRemoteUrl({
-                  key,
-                  access_mode: safeStr(settings.access_mode || "auto"),
-                  signed_url_ttl_seconds: asBigIntOr0(
-                    settings.signed_url_ttl_seconds || 3600,
-                  ),
-                })
-              : await wasabi.makeRemoteUrl({ key });
-
-          const title =
-            typeof wasabi.titleFromKey === "function"
-              ? wasabi.titleFromKey({
-                  key,
-                  mode: safeStr(
-                    settings.default_title_mode || "filename_no_ext",
-                  ),
-                })
-              : safeStr(key).split("/").pop();
-
-          await insertVideoRecord({
-            title,
-            url,
-            visibility: safeStr(settings.visibility || "private"),
-            category_id: settings.category_id || null,
-          });
-
-          await updateItem(jobId, itemId, {
-            status: "completed",
-            dest_url: url,
-            error: null,
-          });
-
-          totalsBuf.add({ completed: 1 });
-        }
-      } catch (e) {
-        const msg = safeStr(e?.message || "Import failed");
-        console.error("[engine item failed]", jobId, itemId, msg);
+          const final = await failItem(jobId, item, msg);
+          if (final) totalsBuf.add({ failed: 1 });
 
-        await updateItem(jobId, itemId, { status: "failed", error: msg });
-        totalsBuf.add({ failed: 1 });
-
-        await db.query(`UPDATE import_jobs SET last_error=$2 WHERE id=$1`, [
-          jobId,
-          msg,
-        ]);
+          await db.query(`UPDATE import_jobs SET last_error=$2 WHERE id=$1`, [
+            jobId,
+            msg,
+          ]);
+        }
       }
     }
 
-    if (exitedPaused || exitedCanceled) break;
+    await Promise.all(Array.from({ length: concurrency }, () => lane()));
+    if (!ctx.stop) retryAt = await nextRetryAt(jobId);
+  } finally {
+    if (heartbeat) clearInterval(heartbeat);
+    await totalsBuf.flush();
   }
 
-  await totalsBuf.flush();
+  if (ctx.stop === "lost") {
+    return { ok: true, job_id: jobId, status: "lost" };
+  }
 
-  if (exitedPaused) {
+  if (ctx.stop === "paused") {
+    progress.emitStatus(jobId, "paused");
     return { ok: true, job_id: jobId, status: "paused" };
   }
 
-  if (exitedCanceled) {
+  if (ctx.stop === "canceled") {
     await setJobStatus(jobId, "canceled", { finished: true });
     return { ok: true, job_id: jobId, status: "canceled" };
   }
 
+  if (retryAt) {
+    return { ok: true, job_id: jobId, status: "backoff", retry_at: retryAt };
+  }
+
   return await finalizeJob(jobId);
 }
 
-module.exports = { runJob };
+module.exports = {
+  runJob,
+  claimJob,
+  releaseJob,
+  HEARTBEAT_MS,
+  STALE_MS,
+};
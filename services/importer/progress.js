@@ -0,0 +1,166 @@
+// server-api/services/importer/progress.js
+const db = require("../../db");
+const rbac = require("../rbac");
+const { handshakeToken, loadProfile } = require("../liveChat");
+const { userIdFromToken } = require("../../middleware/auth-bridge");
+
+/**
+ * Real-time import progress over Socket.IO (videos:import only).
+ *
+ * Client -> server:
+ *   import:join   { jobId }   -> ack { ok, job }
+ *   import:leave  { jobId }
+ *
+ * Server -> room `import:<jobId>`:
+ *   import:item      { job_id, item_id, status, error?, dest_url?, attempts?, next_attempt_at? }
+ *   import:progress  { job_id, totals, bytes_per_sec, items_per_sec, eta_seconds }
+ *   import:status    { job_id, status }
+ *
+ * The engine calls the emit* helpers; when no io is attached (e.g.
+ * workers/importWorker.js run standalone) they are no-ops.
+ */
+
+const RATE_WINDOW_MS = 30000;
+
+let _io = null;
+
+const room = (jobId) => `import:${jobId}`;
+
+function toId(v) {
+  const n = Number(v);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+function reply(ack, payload) {
+  if (typeof ack === "function") ack(payload);
+}
+
+async function canImportSocket(socket) {
+  // services/liveChat populates socket.data.profile in its io.use()
+  if (socket.data.profile === undefined) {
+    const userId = userIdFromToken(handshakeToken(socket));
+    socket.data.profile = userId ? await loadProfile(userId) : null;
+  }
+  return rbac.can(socket.data.profile?.access, "videos:import");
+}
+
+/* ───────────────────────── throughput / ETA ───────────────────────── */
+
+// jobId -> [{ t, bytes, done }] samples of cumulative totals
+const samples = new Map();
+
+function rates(jobId, totals) {
+  const now = Date.now();
+  const bytes = Number(totals?.bytes_copied || 0);
+  const done =
+    Number(totals?.completed || 0) +
+    Number(totals?.failed || 0) +
+    Number(totals?.skipped || 0);
+
+  const list = samples.get(jobId) || [];
+  list.push({ t: now, bytes, done });
+  while (list.length > 2 && now - list[0].t > RATE_WINDOW_MS) list.shift();
+  samples.set(jobId, list);
+
+  const first = list[0];
+  const secs = (now - first.t) / 1000;
+  if (list.length < 2 || secs <= 0) {
+    return { bytes_per_sec: null, items_per_sec: null, eta_seconds: null };
+  }
+
+  const bytesPerSec = Math.max(0, (bytes - first.bytes) / secs);
+  const itemsPerSec = Math.max(0, (done - first.done) / secs);
+
+  // Prefer bytes (copy_to_bunny); fall back to item rate (remote mode)
+  let eta = null;
+  const bytesTotal = Number(totals?.bytes_total || 0);
+  const itemsTotal = Number(totals?.scanned || 0);
+  if (bytesTotal > 0 && bytesPerSec > 0) {
+    eta = Math.max(0, (bytesTotal - bytes) / bytesPerSec);
+  } else if (itemsTotal > 0 && itemsPerSec > 0) {
+    eta = Math.max(0, (itemsTotal - done) / itemsPerSec);
+  }
+
+  return {
+    bytes_per_sec: Math.round(bytesPerSec),
+    items_per_sec: Math.round(itemsPerSec * 100) / 100,
+    eta_seconds: eta === null ? null : Math.round(eta),
+  };
+}
+
+/* ───────────────────────── emitters ───────────────────────── */
+
+function emitItem(jobId, itemId, patch = {}) {
+  if (!_io || !patch.status) return;
+  const payload = { job_id: Number(jobId), item_id: Number(itemId) };
+  for (const k of [
+    "status",
+    "error",
+    "dest_url",
+    "attempts",
+    "next_attempt_at",
+    "source_size_bytes",
+  ]) {
+    if (patch[k] !== undefined) payload[k] = patch[k];
+  }
+  _io.to(room(jobId)).emit("import:item", payload);
+}
+
+function emitProgress(jobId, totals) {
+  if (!_io || !totals) return;
+  _io.to(room(jobId)).emit("import:progress", {
+    job_id: Number(jobId),
+    totals,
+    ...rates(Number(jobId), totals),
+  });
+}
+
+function emitStatus(jobId, status) {
+  if (["completed", "failed", "canceled", "paused"].includes(status)) {
+    samples.delete(Number(jobId));
+  }
+  if (!_io) return;
+  _io.to(room(jobId)).emit("import:status", { job_id: Number(jobId), status });
+}
+
+/* ───────────────────────── socket wiring ───────────────────────── */
+
+function attachImportProgress(io) {
+  _io = io;
+
+  io.on("connection", (socket) => {
+    socket.on("import:join", async (payload, ack) => {
+      try {
+        const jobId = toId(payload?.jobId);
+        if (!jobId) return reply(ack, { ok: false, error: "invalid_job" });
+        if (!(await canImportSocket(socket)))
+          return reply(ack, { ok: false, error: "forbidden" });
+
+        const r = await db.query(
+          `SELECT id, mode, status, totals, last_error, started_at, finished_at
+           FROM import_jobs WHERE id=$1`,
+          [jobId],
+        );
+        if (!r.rows[0]) return reply(ack, { ok: false, error: "not_found" });
+
+        socket.join(room(jobId));
+        reply(ack, { ok: true, job: r.rows[0] });
+      } catch (e) {
+        console.error("[importProgress] join error:", e);
+        reply(ack, { ok: false, error: "server_error" });
+      }
+    });
+
+    socket.on("import:leave", (payload) => {
+      const jobId = toId(payload?.jobId);
+      if (jobId) socket.leave(room(jobId));
+    });
+  });
+}
+
+module.exports = {
+  attachImportProgress,
+  emitItem,
+  emitProgress,
+  emitStatus,
+};
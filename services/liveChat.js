@@ -0,0 +1,532 @@
+// server-api/services/liveChat.js
+const db = require("../db");
+const rbac = require("./rbac");
+const {
+  userIdFromToken,
+  tokenFromCookie,
+} = require("../middleware/auth-bridge");
+
+/**
+ * Socket.IO live chat for live events.
+ *
+ * Sockets authenticate with the same JWT authBridge accepts (handshake
+ * `auth.token`, `?token=`, Authorization header or `token` cookie).
+ * Guests may join a room to read; posting and moderating require a user.
+ *
+ * Client -> server:
+ *   chat:join     { eventId }
+ *   chat:leave    { eventId }
+ *   chat:message  { eventId, message }
+ *   chat:delete   { eventId, messageId }                (moderators)
+ *   chat:timeout  { eventId, userId, seconds, reason }  (moderators)
+ *   chat:ban      { eventId, userId, reason }           (moderators)
+ *   chat:unban    { eventId, userId }                   (moderators)
+ *   chat:slow_mode{ eventId, seconds }                  (moderators)
+ *   chat:pin      { eventId, messageId|null }           (moderators)
+ *
+ * Server -> room `live:<eventId>`:
+ *   chat:new, chat:deleted, chat:user_restricted, chat:user_unrestricted,
+ *   chat:slow_mode, chat:pinned
+ *
+ * Moderators are the event owner (live_events.created_by) and anyone whose
+ * roles grant live:manage or community:moderate (services/rbac.js).
+ */
+
+const MAX_MESSAGE_LENGTH = Number(process.env.LIVE_CHAT_MAX_LENGTH || 500);
+const RATE_WINDOW_MS = Number(process.env.LIVE_CHAT_RATE_WINDOW_MS || 10000);
+const RATE_MAX_MESSAGES = Number(process.env.LIVE_CHAT_RATE_MAX || 5);
+const MAX_SLOW_MODE_SECONDS = 600;
+const MAX_TIMEOUT_SECONDS = 7 * 24 * 60 * 60;
+
+/* ───────────────────────── DB bootstrap ───────────────────────── */
+
+async function ensureChatTables() {
+  const alters = [
+    "ALTER TABLE live_chat_messages ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ",
+    "ALTER TABLE live_chat_messages ADD COLUMN IF NOT EXISTS deleted_by INTEGER",
+    "ALTER TABLE live_events ADD COLUMN IF NOT EXISTS chat_slow_mode_seconds INTEGER NOT NULL DEFAULT 0",
+    "ALTER TABLE live_events ADD COLUMN IF NOT EXISTS chat_pinned_message_id INTEGER",
+  ];
+  for (const sql of alters) {
+    try {
+      await db.query(sql);
+    } catch {}
+  }
+
+  // kind: 'timeout' (expires_at set) | 'ban' (expires_at NULL)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS live_chat_bans (
+      id SERIAL PRIMARY KEY,
+      event_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      kind TEXT NOT NULL DEFAULT 'ban',
+      expires_at TIMESTAMPTZ,
+      reason TEXT,
+      created_by INTEGER,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      UNIQUE (event_id, user_id)
+    );
+  `);
+}
+
+let __initPromise = null;
+function initOnce() {
+  if (!__initPromise) {
+    __initPromise = ensureChatTables().catch((e) => {
+      console.error("[liveChat] ensureChatTables failed:", e);
+      __initPromise = null;
+      throw e;
+    });
+  }
+  return __initPromise;
+}
+
+/* ───────────────────────── helpers ───────────────────────── */
+
+function toId(v) {
+  const n = Number(v);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+function reply(ack, payload) {
+  if (typeof ack === "function") ack(payload);
+}
+
+function handshakeToken(socket) {
+  const hs = socket.handshake || {};
+  const auth = String(hs.headers?.authorization || "");
+  return (
+    hs.auth?.token ||
+    hs.query?.token ||
+    (auth.startsWith("Bearer ") ? auth.slice(7) : null) ||
+    tokenFromCookie(hs.headers?.cookie)
+  );
+}
+
+async function loadProfile(userId) {
+  const { rows } = await db.query(
+    "SELECT id, name, email FROM users WHERE id=$1 LIMIT 1",
+    [userId],
+  );
+  const u = rows[0];
+  if (!u) return null;
+  const name =
+    (u.name && String(u.name).trim()) ||
+    (u.email ? String(u.email).split("@")[0] : "") ||
+    `Member ${u.id}`;
+  return {
+    id: u.id,
+    name,
+    // roles/permissions from services/rbac.js
+    access: await rbac.loadAccess(u.id),
+  };
+}
+
+async function loadEvent(eventId) {
+  const { rows } = await db.query(
+    `SELECT id, created_by, chat_slow_mode_seconds, chat_pinned_message_id
+       FROM live_events
+      WHERE id=$1
+      LIMIT 1`,
+    [eventId],
+  );
+  return rows[0] || null;
+}
+
+function canModerate(profile, event) {
+  if (!profile || !event) return false;
+  if (
+    rbac.can(profile.access, "live:manage") ||
+    rbac.can(profile.access, "community:moderate")
+  ) {
+    return true;
+  }
+  return (
+    event.created_by != null && String(event.created_by) === String(profile.id)
+  );
+}
+
+async function activeRestriction(eventId, userId) {
+  const { rows } = await db.query(
+    `SELECT kind, expires_at, reason
+       FROM live_chat_bans
+      WHERE event_id=$1 AND user_id=$2
+        AND (expires_at IS NULL OR expires_at > NOW())
+      LIMIT 1`,
+    [eventId, userId],
+  );
+  return rows[0] || null;
+}
+
+async function loadMessage(eventId, messageId) {
+  const { rows } = await db.query(
+    `SELECT id, event_id, user_id, name, message, created_at
+       FROM live_chat_messages
+      WHERE id=$1 AND event_id=$2 AND deleted_at IS NULL
+      LIMIT 1`,
+    [messageId, eventId],
+  );
+  return rows[0] || null;
+}
+
+/* ───────────────────── in-memory rate limiting ─────────────────────
+   Per process only; good enough for a single API instance. Keys are
+   `${eventId}:${userId}`.
+──────────────────────────────────────────────────────────────────── */
+
+const recentSends = new Map();
+
+function checkRateLimit(key, now = Date.now()) {
+  const times = (recentSends.get(key) || []).filter(
+    (t) => now - t < RATE_WINDOW_MS,
+  );
+  if (times.length >= RATE_MAX_MESSAGES) {
+    recentSends.set(key, times);
+    return { ok: false, retryAfterMs: RATE_WINDOW_MS - (now - times[0]) };
+  }
+  return { ok: true, times };
+}
+
+function checkSlowMode(key, seconds, now = Date.now()) {
+  if (!seconds || seconds <= 0) return { ok: true };
+  const times = recentSends.get(key) || [];
+  const last = times[times.length - 1];
+  if (last && now - last < seconds * 1000) {
+    return { ok: false, retryAfterMs: seconds * 1000 - (now - last) };
+  }
+  return { ok: true };
+}
+
+function recordSend(key, now = Date.now()) {
+  const times = (recentSends.get(key) || []).filter(
+    (t) => now - t < Math.max(RATE_WINDOW_MS, MAX_SLOW_MODE_SECONDS * 1000),
+  );
+  times.push(now);
+  recentSends.set(key, times);
+}
+
+// Drop idle keys so the map does not grow without bound
+setInterval(() => {
+  const now = Date.now();
+  const keep = Math.max(RATE_WINDOW_MS, MAX_SLOW_MODE_SECONDS * 1000);
+  for (const [key, times] of recentSends.entries()) {
+    if (!times.length || now - times[times.length - 1] > keep) {
+      recentSends.delete(key);
+    }
+  }
+}, 60 * 1000).unref();
+
+/* ───────────────────────── socket wiring ───────────────────────── */
+
+function attachLiveChat(io) {
+  const room = (eventId) => `live:${eventId}`;
+
+  // Never blocks the handshake: guests can still read chat
+  io.use(async (socket, next) => {
+    socket.data.userId = userIdFromToken(handshakeToken(socket));
+    socket.data.profile = null;
+    if (socket.data.userId) {
+      try {
+        socket.data.profile = await loadProfile(socket.data.userId);
+      } catch (e) {
+        console.warn("[liveChat] profile load failed:", e?.message || e);
+      }
+      if (!socket.data.profile) socket.data.userId = null;
+    }
+    next();
+  });
+
+  // Shared guard for moderator-only actions
+  async function withModerator(socket, payload, ack, fn) {
+    try {
+      await initOnce();
+      const eventId = toId(payload?.eventId);
+      if (!eventId) return reply(ack, { ok: false, error: "invalid_event" });
+      if (!socket.data.profile)
+        return reply(ack, { ok: false, error: "auth_required" });
+
+      const event = await loadEvent(eventId);
+      if (!event) return reply(ack, { ok: false, error: "not_found" });
+      if (!canModerate(socket.data.profile, event))
+        return reply(ack, { ok: false, error: "forbidden" });
+
+      const out = await fn(eventId, event);
+      reply(ack, { ok: true, ...(out || {}) });
+    } catch (e) {
+      console.error("[liveChat] moderation error:", e);
+      reply(ack, { ok: false, error: "server_error" });
+    }
+  }
+
+  io.on("connection", (socket) => {
+    socket.on("chat:join", async (payload = {}, ack) => {
+      try {
+        await initOnce();
+        const eventId = toId(payload.eventId);
+        if (!eventId) return reply(ack, { ok: false, error: "invalid_event" });
+
+        const event = await loadEvent(eventId);
+        if (!event) return reply(ack, { ok: false, error: "not_found" });
+
+        socket.join(room(eventId));
+
+        const pinned = event.chat_pinned_message_id
+          ? await loadMessage(eventId, event.chat_pinned_message_id)
+          : null;
+        const restriction = socket.data.userId
+          ? await activeRestriction(eventId, socket.data.userId)
+          : null;
+
+        reply(ack, {
+          ok: true,
+          user_id: socket.data.userId || null,
+          can_post: !!socket.data.userId && !restriction,
+          can_moderate: canModerate(socket.data.profile, event),
+          slow_mode_seconds: Number(event.chat_slow_mode_seconds || 0),
+          pinned,
+          restriction,
+          max_length: MAX_MESSAGE_LENGTH,
+        });
+      } catch (e) {
+        console.error("socket chat:join error", e);
+        reply(ack, { ok: false, error: "server_error" });
+      }
+    });
+
+    socket.on("chat:leave", (payload = {}) => {
+      const eventId = toId(payload.eventId);
+      if (eventId) socket.leave(room(eventId));
+    });
+
+    socket.on("chat:message", async (payload = {}, ack) => {
+      try {
+        await initOnce();
+        const eventId = toId(payload.eventId);
+        const profile = socket.data.profile;
+        if (!eventId) return reply(ack, { ok: false, error: "invalid_event" });
+        if (!profile) return reply(ack, { ok: false, error: "auth_required" });
+
+        const message = String(payload.message ?? "").trim();
+        if (!message) return reply(ack, { ok: false, error: "empty" });
+        if (message.length > MAX_MESSAGE_LENGTH) {
+          return reply(ack, {
+            ok: false,
+            error: "too_long",
+            max_length: MAX_MESSAGE_LENGTH,
+          });
+        }
+
+        const event = await loadEvent(eventId);
+        if (!event) return reply(ack, { ok: false, error: "not_found" });
+
+        const restriction = await activeRestriction(eventId, profile.id);
+        if (restriction) {
+          return reply(ack, {
+            ok: false,
+            error: restriction.kind === "timeout" ? "timed_out" : "banned",
+            until: restriction.expires_at,
+          });
+        }
+
+        const key = `${eventId}:${profile.id}`;
+        const moderator = canModerate(profile, event);
+        if (!moderator) {
+          const rate = checkRateLimit(key);
+          if (!rate.ok) {
+            return reply(ack, {
+              ok: false,
+              error: "rate_limited",
+              retry_after_ms: rate.retryAfterMs,
+            });
+          }
+          const slow = checkSlowMode(key, Number(event.chat_slow_mode_seconds));
+          if (!slow.ok) {
+            return reply(ack, {
+              ok: false,
+              error: "slow_mode",
+              retry_after_ms: slow.retryAfterMs,
+            });
+          }
+        }
+        recordSend(key);
+
+        const ins = await db.query(
+          `INSERT INTO live_chat_messages (event_id, user_id, name, message)
+           VALUES ($1,$2,$3,$4)
+           RETURNING id, created_at`,
+          [eventId, profile.id, profile.name, message],
+        );
+
+        const msg = {
+          id: ins.rows[0].id,
+          event_id: eventId,
+          user_id: profile.id,
+          name: profile.name,
+          message,
+          created_at: ins.rows[0].created_at,
+        };
+
+        io.to(room(eventId)).emit("chat:new", msg);
+        reply(ack, { ok: true, message: msg });
+      } catch (e) {
+        console.error("socket chat:message error", e);
+        reply(ack, { ok: false, error: "server_error" });
+      }
+    });
+
+    socket.on("chat:delete", (payload = {}, ack) =>
+      withModerator(socket, payload, ack, async (eventId) => {
+        const messageId = toId(payload.messageId);
+        if (!messageId) throw new Error("messageId required");
+
+        const up = await db.query(
+          `UPDATE live_chat_messages
+              SET deleted_at = NOW(), deleted_by = $3
+            WHERE id=$1 AND event_id=$2 AND deleted_at IS NULL
+            RETURNING id`,
+          [messageId, eventId, socket.data.userId],
+        );
+        if (!up.rowCount) return { deleted: false };
+
+        // A deleted message cannot stay pinned
+        const unpinned = await db.query(
+          `UPDATE live_events SET chat_pinned_message_id = NULL, updated_at = NOW()
+            WHERE id=$1 AND chat_pinned_message_id=$2`,
+          [eventId, messageId],
+        );
+
+        io.to(room(eventId)).emit("chat:deleted", {
+          event_id: eventId,
+          id: messageId,
+        });
+        if (unpinned.rowCount) {
+          io.to(room(eventId)).emit("chat:pinned", {
+            event_id: eventId,
+            message: null,
+          });
+        }
+        return { deleted: true };
+      }),
+    );
+
+    async function restrict(payload, ack, kind) {
+      return withModerator(socket, payload, ack, async (eventId, event) => {
+        const targetId = toId(payload.userId);
+        if (!targetId) throw new Error("userId required");
+
+        // Never let a moderator lock out the owner or themselves
+        if (
+          String(targetId) === String(socket.data.userId) ||
+          String(targetId) === String(event.created_by)
+        ) {
+          return { restricted: false };
+        }
+
+        let expiresAt = null;
+        if (kind === "timeout") {
+          const seconds = Math.min(
+            Math.max(Math.trunc(Number(payload.seconds) || 300), 1),
+            MAX_TIMEOUT_SECONDS,
+          );
+          expiresAt = new Date(Date.now() + seconds * 1000);
+        }
+        const reason = payload.reason
+          ? String(payload.reason).slice(0, 500)
+          : null;
+
+        await db.query(
+          `INSERT INTO live_chat_bans (event_id, user_id, kind, expires_at, reason, created_by)
+           VALUES ($1,$2,$3,$4,$5,$6)
+           ON CONFLICT (event_id, user_id) DO UPDATE SET
+             kind = EXCLUDED.kind,
+             expires_at = EXCLUDED.expires_at,
+             reason = EXCLUDED.reason,
+             created_by = EXCLUDED.created_by,
+             created_at = NOW()`,
+          [eventId, targetId, kind, expiresAt, reason, socket.data.userId],
+        );
+
+        const out = {
+          event_id: eventId,
+          user_id: targetId,
+          kind,
+          expires_at: expiresAt,
+          reason,
+        };
+        io.to(room(eventId)).emit("chat:user_restricted", out);
+        return { restricted: true, ...out };
+      });
+    }
+
+    socket.on("chat:timeout", (payload = {}, ack) =>
+      restrict(payload, ack, "timeout"),
+    );
+    socket.on("chat:ban", (payload = {}, ack) => restrict(payload, ack, "ban"));
+
+    socket.on("chat:unban", (payload = {}, ack) =>
+      withModerator(socket, payload, ack, async (eventId) => {
+        const targetId = toId(payload.userId);
+        if (!targetId) throw new Error("userId required");
+
+        await db.query(
+          "DELETE FROM live_chat_bans WHERE event_id=$1 AND user_id=$2",
+          [eventId, targetId],
+        );
+        io.to(room(eventId)).emit("chat:user_unrestricted", {
+          event_id: eventId,
+          user_id: targetId,
+        });
+        return {};
+      }),
+    );
+
+    socket.on("chat:slow_mode", (payload = {}, ack) =>
+      withModerator(socket, payload, ack, async (eventId) => {
+        const seconds = Math.min(
+          Math.max(Math.trunc(Number(payload.seconds) || 0), 0),
+          MAX_SLOW_MODE_SECONDS,
+        );
+        await db.query(
+          `UPDATE live_events SET chat_slow_mode_seconds=$2, updated_at=NOW()
+            WHERE id=$1`,
+          [eventId, seconds],
+        );
+        io.to(room(eventId)).emit("chat:slow_mode", {
+          event_id: eventId,
+          seconds,
+        });
+        return { seconds };
+      }),
+    );
+
+    socket.on("chat:pin", (payload = {}, ack) =>
+      withModerator(socket, payload, ack, async (eventId) => {
+        const messageId =
+          payload.messageId == null ? null : toId(payload.messageId);
+        const message = messageId
+          ? await loadMessage(eventId, messageId)
+          : null;
+        if (messageId && !message) return { pinned: null };
+
+        await db.query(
+          `UPDATE live_events SET chat_pinned_message_id=$2, updated_at=NOW()
+            WHERE id=$1`,
+          [eventId, message ? message.id : null],
+        );
+        io.to(room(eventId)).emit("chat:pinned", {
+          event_id: eventId,
+          message,
+        });
+        return { pinned: message };
+      }),
+    );
+  });
+}
+
+module.exports = {
+  attachLiveChat,
+  ensureChatTables: initOnce,
+  handshakeToken,
+  loadProfile,
+  MAX_MESSAGE_LENGTH,
+};
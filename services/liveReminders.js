@@ -0,0 +1,515 @@
+// server-api/services/liveReminders.js
+const crypto = require("crypto");
+const db = require("../db");
+const notifyPrefs = require("./notificationPreferences");
+
+/**
+ * Live event registrations + reminders.
+ *
+ * Registered users get a reminder email (queued through email_jobs, sent by
+ * workers/emailWorker.js) and an FCM push at each offset before
+ * live_events.start_at, plus one when the event actually goes live.
+ *
+ *   LIVE_REMINDER_OFFSETS="24h,1h,live"   (units: m, h, d; "live" = went live)
+ *
+ * Each (event, offset, start time) is dispatched once: the run is claimed
+ * in live_event_reminder_runs before anything is sent, so several API
+ * instances can run the scheduler safely. Rescheduling an event re-arms its
+ * reminders for the new start time.
+ *
+ * Every registration carries an unsubscribe token used by the per-event
+ * unsubscribe link in the emails. Pushes skip users who turned off
+ * live_starting pushes or are in quiet hours
+ * (services/notificationPreferences.js); emails follow the live_reminders
+ * email category.
+ */
+
+const DEFAULT_OFFSETS = "24h,1h,live";
+const LIVE_NOW_WINDOW_MINUTES = 30;
+
+/* ───────────────────────── DB bootstrap ───────────────────────── */
+
+async function ensureReminderTables() {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS live_event_registrations (
+      id SERIAL PRIMARY KEY,
+      event_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      unsubscribe_token TEXT NOT NULL UNIQUE,
+      unsubscribed_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      UNIQUE (event_id, user_id)
+    );
+  `);
+  await db.query(
+    `CREATE INDEX IF NOT EXISTS idx_live_event_registrations_user ON live_event_registrations (user_id)`,
+  );
+
+  // offset_key: '24h', '1h', ... or 'live'; skipped = superseded by a
+  // closer offset (e.g. the server was down when the 24h one was due)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS live_event_reminder_runs (
+      id SERIAL PRIMARY KEY,
+      event_id INTEGER NOT NULL,
+      offset_key TEXT NOT NULL,
+      start_at TIMESTAMPTZ NOT NULL,
+      skipped BOOLEAN NOT NULL DEFAULT FALSE,
+      email_job_id BIGINT,
+      recipients INTEGER NOT NULL DEFAULT 0,
+      push_sent INTEGER NOT NULL DEFAULT 0,
+      push_failed INTEGER NOT NULL DEFAULT 0,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      UNIQUE (event_id, offset_key, start_at)
+    );
+  `);
+
+  // per-recipient template values ({{unsubscribe_url}} ...) for the worker
+  try {
+    await db.query(
+      "ALTER TABLE email_job_items ADD COLUMN IF NOT EXISTS vars JSONB",
+    );
+  } catch {}
+}
+
+let __initPromise = null;
+function initOnce() {
+  if (!__initPromise) {
+    __initPromise = ensureReminderTables().catch((e) => {
+      console.error("[liveReminders] ensureReminderTables failed:", e);
+      __initPromise = null;
+      throw e;
+    });
+  }
+  return __initPromise;
+}
+
+/* ───────────────────────── offsets ───────────────────────── */
+
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/** "24h,1h,live" -> [{ key: "24h", ms }, { key: "1h", ms }, { key: "live", ms: null }] */
+function parseOffsets(value = process.env.LIVE_REMINDER_OFFSETS) {
+  const out = [];
+  for (const raw of String(value || DEFAULT_OFFSETS).split(",")) {
+    const key = raw.trim().toLowerCase();
+    if (key === "live") {
+      out.push({ key, ms: null });
+      continue;
+    }
+    const m = key.match(/^(\d+)([mhd])$/);
+    if (m && Number(m[1]) > 0)
+      out.push({ key, ms: Number(m[1]) * UNIT_MS[m[2]] });
+  }
+  return out;
+}
+
+/* ───────────────────────── registrations ───────────────────────── */
+
+async function register(eventId, userId) {
+  await initOnce();
+  const { rows } = await db.query(
+    `INSERT INTO live_event_registrations (event_id, user_id, unsubscribe_token)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (event_id, user_id)
+     DO UPDATE SET unsubscribed_at = NULL, updated_at = NOW()
+     RETURNING id, event_id, user_id, unsubscribed_at, created_at`,
+    [eventId, userId, crypto.randomBytes(24).toString("base64url")],
+  );
+  return rows[0];
+}
+
+async function getRegistration(eventId, userId) {
+  await initOnce();
+  const { rows } = await db.query(
+    `SELECT id, event_id, user_id, unsubscribed_at, created_at
+     FROM live_event_registrations
+     WHERE event_id = $1 AND user_id = $2`,
+    [eventId, userId],
+  );
+  return rows[0] || null;
+}
+
+/** Stop reminders for one event (keeps the row so the token stays valid). */
+async function unsubscribe(eventId, userId) {
+  await initOnce();
+  const { rowCount } = await db.query(
+    `UPDATE live_event_registrations
+     SET unsubscribed_at = COALESCE(unsubscribed_at, NOW()), updated_at = NOW()
+     WHERE event_id = $1 AND user_id = $2`,
+    [eventId, userId],
+  );
+  return rowCount > 0;
+}
+
+/** The event an unsubscribe token is for (no changes), or null. */
+async function eventForToken(token) {
+  await initOnce();
+  if (!token) return null;
+  const { rows } = await db.query(
+    `SELECT e.id, e.title
+     FROM live_event_registrations r
+     JOIN live_events e ON e.id = r.event_id
+     WHERE r.unsubscribe_token = $1`,
+    [String(token)],
+  );
+  return rows[0] || null;
+}
+
+/** One-click unsubscribe from an email link. Returns the event (or null). */
+async function unsubscribeByToken(token) {
+  await initOnce();
+  if (!token) return null;
+  const { rows } = await db.query(
+    `UPDATE live_event_registrations r
+     SET unsubscribed_at = COALESCE(r.unsubscribed_at, NOW()), updated_at = NOW()
+     FROM live_events e
+     WHERE r.unsubscribe_token = $1 AND e.id = r.event_id
+     RETURNING e.id, e.title`,
+    [String(token)],
+  );
+  return rows[0] || null;
+}
+
+/* ───────────────────────── message content ───────────────────────── */
+
+function trimSlash(v) {
+  return String(v || "").replace(/\/+$/, "");
+}
+
+function watchUrl(eventId) {
+  return `${trimSlash(process.env.PUBLIC_URL)}/live/${eventId}`;
+}
+
+function unsubscribeUrl(token) {
+  const base = trimSlash(
+    process.env.API_BASE || process.env.PUBLIC_BASE_URL || "",
+  );
+  return `${base}/api/live/reminders/unsubscribe?token=${encodeURIComponent(
+    token,
+  )}`;
+}
+
+function escapeHtml(str = "") {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function formatStart(startAt) {
+  const timeZone =
+    process.env.LIVE_REMINDER_TIMEZONE ||
+    process.env.CALENDAR_TIMEZONE ||
+    "UTC";
+  try {
+    return new Date(startAt).toLocaleString("en-US", {
+      timeZone,
+      weekday: "long",
+      month: "long",
+      day: "numeric",
+      year: "numeric",
+      hour: "numeric",
+      minute: "2-digit",
+      timeZoneName: "short",
+    });
+  } catch {
+    return new Date(startAt).toUTCString();
+  }
+}
+
+// Time actually left, not the offset's label: an offset sent late (e.g. the
+// event was registered for after it passed) must not promise an hour that's gone
+function startsIn(startAt, now = Date.now()) {
+  const ms = startAt ? new Date(startAt).getTime() - now : NaN;
+  if (!Number.isFinite(ms) || ms < 60 * 1000) return "soon";
+  const minutes = Math.round(ms / 60000);
+  const [n, unit] =
+    minutes < 60
+      ? [minutes, "minute"]
+      : minutes < 48 * 60
+        ? [Math.round(minutes / 60), "hour"]
+        : [Math.round(minutes / (24 * 60)), "day"];
+  return `in ${n} ${unit}${n === 1 ? "" : "s"}`;
+}
+
+/** Subject/body for one event + offset. {{unsubscribe_url}} is per recipient. */
+function buildReminder(event, offset) {
+  const title = event.title || "Live event";
+  const url = watchUrl(event.id);
+  const live = offset.key === "live";
+  const when = event.start_at ? formatStart(event.start_at) : "";
+
+  const subject = live ? `We're live: ${title}` : `Reminder: ${title}`;
+  const lead = live
+    ? `"${title}" is live right now.`
+    : `"${title}" starts ${startsIn(event.start_at)}${when ? ` (${when})` : ""}.`;
+
+  const text = `${lead}
+Watch: ${url}
+
+You're getting this because you registered for this event.
+Stop reminders for this event: {{unsubscribe_url}}`;
+
+  const html = `<div style="font-family:Arial,sans-serif">
+    <p>${escapeHtml(lead)}</p>
+    <p><a href="${escapeHtml(url)}">Watch here</a></p>
+    <p style="color:#888;font-size:12px">
+      You're getting this because you registered for this event.
+      <a href="{{unsubscribe_url}}">Stop reminders for this event</a>.
+    </p>
+  </div>`;
+
+  return {
+    subject,
+    text,
+    html,
+    push: {
+      title: live ? "We're live!" : "Starting soon",
+      body: live ? title : `${title} starts ${startsIn(event.start_at)}`,
+      data: {
+        type: "live_reminder",
+        event_id: event.id,
+        route: `/live/${event.id}`,
+      },
+    },
+  };
+}
+
+/* ───────────────────────── dispatch ───────────────────────── */
+
+let pushModule;
+function loadPush() {
+  if (pushModule !== undefined) return pushModule;
+  pushModule = null;
+  if (process.env.LOCAL_DEV === "true") return pushModule;
+  try {
+    pushModule = require("../notifications/firebase");
+  } catch (e) {
+    console.warn("[liveReminders] push disabled:", e.message);
+  }
+  return pushModule;
+}
+
+/** Claim (event, offset, start) once. Returns the run id or null. */
+async function claimRun(eventId, offsetKey, startAt, skipped = false) {
+  const { rows } = await db.query(
+    `INSERT INTO live_event_reminder_runs (event_id, offset_key, start_at, skipped)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (event_id, offset_key, start_at) DO NOTHING
+     RETURNING id`,
+    [eventId, offsetKey, startAt, skipped],
+  );
+  return rows[0]?.id || null;
+}
+
+async function queueEmails(event, offset, message, recipients) {
+  const withEmail = recipients.filter((r) => r.email);
+  if (!withEmail.length) return null;
+
+  const client = await db.pool.connect();
+  try {
+    await client.query("BEGIN");
+    const job = await client.query(
+      `INSERT INTO email_jobs
+        (created_by, subject, body_html, body_text, audience, status, created_at, updated_at)
+       VALUES (NULL, $1, $2, $3, $4::jsonb, 'queued', NOW(), NOW())
+       RETURNING id`,
+      [
+        message.subject,
+        message.html,
+        message.text,
+        JSON.stringify({
+          type: "live_reminder",
+          category: "live_reminders",
+          event_id: event.id,
+          offset: offset.key,
+          count: withEmail.length,
+        }),
+      ],
+    );
+    const jobId = job.rows[0].id;
+
+    const values = [];
+    const params = [];
+    let p = 1;
+    for (const r of withEmail) {
+      values.push(
+        `($${p++}, $${p++}, $${p++}, $${p++}::jsonb, 'queued', NOW(), NOW())`,
+      );
+      params.push(
+        jobId,
+        r.user_id,
+        r.email,
+        JSON.stringify({
+          unsubscribe_url: unsubscribeUrl(r.unsubscribe_token),
+        }),
+      );
+    }
+    await client.query(
+      `INSERT INTO email_job_items
+        (job_id, user_id, email, vars, status, created_at, updated_at)
+       VALUES ${values.join(",")}`,
+      params,
+    );
+
+    await client.query("COMMIT");
+    return jobId;
+  } catch (e) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+async function sendPushes(message, recipients) {
+  const push = loadPush();
+  if (!push?.sendPushToTokens) return { sent: 0, failed: 0 };
+  // live_starting push preference + quiet hours
+  const userIds = await notifyPrefs.filterUserIds(
+    recipients.map((r) => r.user_id),
+    "live_starting",
+    "push",
+  );
+  if (!userIds.length) return { sent: 0, failed: 0 };
+
+  const t = await db.query(
+    `SELECT token FROM user_push_tokens
+     WHERE user_id = ANY($1::int[]) AND token IS NOT NULL AND token <> ''`,
+    [userIds],
+  );
+  const tokens = t.rows.map((r) => r.token);
+  if (!tokens.length) return { sent: 0, failed: 0 };
+
+  const r = await push.sendPushToTokens(
+    tokens,
+    message.push.title,
+    message.push.body,
+    message.push.data,
+  );
+  return { sent: r.successCount || 0, failed: r.failureCount || 0 };
+}
+
+/** Send one claimed run to every still-subscribed registrant. */
+async function dispatchRun(runId, event, offset) {
+  const { rows: recipients } = await db.query(
+    `SELECT r.user_id, r.unsubscribe_token, u.email
+     FROM live_event_registrations r
+     JOIN users u ON u.id = r.user_id
+     WHERE r.event_id = $1 AND r.unsubscribed_at IS NULL`,
+    [event.id],
+  );
+  if (!recipients.length) return;
+
+  const message = buildReminder(event, offset);
+
+  let emailJobId = null;
+  try {
+    emailJobId = await queueEmails(event, offset, message, recipients);
+  } catch (e) {
+    console.error(
+      `[liveReminders] email queue failed (event ${event.id}, ${offset.key}):`,
+      e?.message || e,
+    );
+  }
+
+  let push = { sent: 0, failed: 0 };
+  try {
+    push = await sendPushes(message, recipients);
+  } catch (e) {
+    console.error(
+      `[liveReminders] push failed (event ${event.id}, ${offset.key}):`,
+      e?.message || e,
+    );
+  }
+
+  await db.query(
+    `UPDATE live_event_reminder_runs
+     SET email_job_id = $2, recipients = $3, push_sent = $4, push_failed = $5
+     WHERE id = $1`,
+    [runId, emailJobId, recipients.length, push.sent, push.failed],
+  );
+}
+
+/**
+ * One scheduler pass: send every reminder that is due now.
+ * Returns the number of runs dispatched.
+ */
+async function runDueReminders(offsets = parseOffsets()) {
+  await initOnce();
+  let dispatched = 0;
+
+  const timed = offsets.filter((o) => o.ms).sort((a, b) => a.ms - b.ms);
+  if (timed.length) {
+    const maxMs = timed[timed.length - 1].ms;
+    const { rows: events } = await db.query(
+      `SELECT e.id, e.title, e.start_at
+       FROM live_events e
+       WHERE e.status = 'scheduled'
+         AND e.start_at > NOW()
+         AND e.start_at <= NOW() + ($1::bigint * interval '1 millisecond')
+         AND EXISTS (
+           SELECT 1 FROM live_event_registrations r
+           WHERE r.event_id = e.id AND r.unsubscribed_at IS NULL
+         )`,
+      [maxMs],
+    );
+
+    for (const event of events) {
+      const untilStart = new Date(event.start_at).getTime() - Date.now();
+      const due = timed.filter((o) => untilStart <= o.ms);
+      if (!due.length) continue;
+
+      // only the closest due offset is sent; farther ones are stale
+      const [closest, ...stale] = due;
+      for (const o of stale) {
+        await claimRun(event.id, o.key, event.start_at, true);
+      }
+      const runId = await claimRun(event.id, closest.key, event.start_at);
+      if (runId) {
+        await dispatchRun(runId, event, closest);
+        dispatched += 1;
+      }
+    }
+  }
+
+  const liveOffset = offsets.find((o) => o.key === "live");
+  if (liveOffset) {
+    const { rows: events } = await db.query(
+      `SELECT e.id, e.title, e.start_at, e.started_at
+       FROM live_events e
+       WHERE e.status = 'live'
+         AND e.started_at >= NOW() - ($1::int * interval '1 minute')
+         AND EXISTS (
+           SELECT 1 FROM live_event_registrations r
+           WHERE r.event_id = e.id AND r.unsubscribed_at IS NULL
+         )`,
+      [LIVE_NOW_WINDOW_MINUTES],
+    );
+    for (const event of events) {
+      const runId = await claimRun(event.id, "live", event.started_at);
+      if (runId) {
+        await dispatchRun(runId, event, liveOffset);
+        dispatched += 1;
+      }
+    }
+  }
+
+  return dispatched;
+}
+
+module.exports = {
+  ensureReminderTables: initOnce,
+  parseOffsets,
+  register,
+  getRegistration,
+  unsubscribe,
+  eventForToken,
+  unsubscribeByToken,
+  runDueReminders,
+};
@@ -205,6 +205,15 @@ async function sendPurchaseReceipt({
   interval,
   invoiceUrl,
 }) {
+  // Honour bounces/complaints and the "receipts" email preference
+  try {
+    if (!(await require("./emailPreferences").canSend(to, "receipts"))) {
+      return { skipped: true };
+    }
+  } catch (e) {
+    console.warn("[mailer] receipt preference check failed:", e.message);
+  }
+
   const money =
     amount != null ? `${(Number(amount) / 100).toFixed(2)} ${currency}` : "";
   const subject = `Your ${planName} subscription is active`;
@@ -0,0 +1,401 @@
+// server-api/services/moderation.js
+const db = require("../db");
+const videoComments = require("./videoComments");
+
+/**
+ * Member reports on community posts, community comments and video comments.
+ *
+ * content_reports holds one row per (target, reporter). Once a target has
+ * MODERATION_REPORT_THRESHOLD pending reports it is hidden automatically;
+ * admins then work the queue (one entry per target) and resolve every
+ * pending report on it at once:
+ *
+ *   hide | unhide | delete | suspend (author) | dismiss
+ *
+ * Hidden content keeps its row (is_hidden = TRUE) and is filtered out of
+ * member-facing lists. Suspended members can't post or comment.
+ */
+
+const REPORT_THRESHOLD = Math.max(
+  1,
+  Number(process.env.MODERATION_REPORT_THRESHOLD || 3),
+);
+
+const TARGETS = {
+  post: {
+    table: "public.community_posts",
+    text: "COALESCE(title, '') || ' ' || COALESCE(body, '')",
+  },
+  community_comment: { table: "public.community_comments", text: "body" },
+  video_comment: { table: "public.comments", text: "body" },
+};
+
+const REASONS = ["spam", "harassment", "hate", "sexual", "violence", "other"];
+const STATUSES = ["pending", "actioned", "dismissed"];
+const ACTIONS = ["hide", "unhide", "delete", "suspend", "dismiss"];
+
+/* ───────────────────────── DB bootstrap ───────────────────────── */
+
+async function ensureModerationTables() {
+  // Target tables that don't exist yet (e.g. community not set up) are
+  // skipped; any other ALTER failure fails init so it is retried
+  for (const { table } of Object.values(TARGETS)) {
+    const r = await db.query(`SELECT to_regclass($1) IS NOT NULL AS ok`, [
+      table,
+    ]);
+    if (!r.rows[0]?.ok) continue;
+    await db.query(
+      `ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS is_hidden BOOLEAN NOT NULL DEFAULT FALSE`,
+    );
+    await db.query(
+      `ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS hidden_at TIMESTAMPTZ`,
+    );
+  }
+
+  // target_id is TEXT: community ids are integers, video comment ids may not be
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS content_reports (
+      id SERIAL PRIMARY KEY,
+      target_type TEXT NOT NULL,
+      target_id TEXT NOT NULL,
+      reporter_id INTEGER NOT NULL,
+      author_id INTEGER,
+      excerpt TEXT,
+      reason TEXT NOT NULL DEFAULT 'other',
+      details TEXT,
+      status TEXT NOT NULL DEFAULT 'pending',
+      action TEXT,
+      resolved_by INTEGER,
+      resolved_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      UNIQUE (target_type, target_id, reporter_id)
+    );
+  `);
+  await db.query(
+    `CREATE INDEX IF NOT EXISTS content_reports_status_idx
+       ON content_reports (status, target_type, target_id)`,
+  );
+
+  // expires_at NULL = suspended until lifted
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS community_suspensions (
+      user_id INTEGER PRIMARY KEY,
+      reason TEXT,
+      expires_at TIMESTAMPTZ,
+      created_by INTEGER,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+}
+
+let __initPromise = null;
+function initOnce() {
+  if (!__initPromise) {
+    __initPromise = ensureModerationTables().catch((e) => {
+      console.error("[moderation] ensureModerationTables failed:", e);
+      __initPromise = null;
+      throw e;
+    });
+  }
+  return __initPromise;
+}
+
+/* ───────────────────────── helpers ───────────────────────── */
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function notFound(message) {
+  const err = new Error(message);
+  err.status = 404;
+  return err;
+}
+
+function targetFor(type) {
+  const t = TARGETS[type];
+  if (!t) throw badRequest(`Unknown target type "${type}"`);
+  return t;
+}
+
+async function loadTarget(type, id, client = db) {
+  const t = targetFor(type);
+  const r = await client.query(
+    `SELECT id, user_id, is_hidden, LEFT(${t.text}, 280) AS excerpt
+     FROM ${t.table}
+     WHERE id::text = $1
+     LIMIT 1`,
+    [String(id)],
+  );
+  return r.rows[0] || null;
+}
+
+async function setHidden(type, id, hidden, client = db) {
+  const t = targetFor(type);
+  await client.query(
+    `UPDATE ${t.table}
+     SET is_hidden = $2, hidden_at = CASE WHEN $2 THEN NOW() ELSE NULL END
+     WHERE id::text = $1`,
+    [String(id), hidden],
+  );
+}
+
+/* ───────────────────────── reporting ───────────────────────── */
+
+/**
+ * File (or update) a member's report. Returns
+ * { report, pending, hidden } where `hidden` is true when this report
+ * pushed the target over the threshold.
+ */
+async function reportContent({ type, id, reporterId, reason, details }) {
+  await initOnce();
+  const target = await loadTarget(type, id);
+  if (!target) throw notFound("Content not found");
+  if (String(target.user_id) === String(reporterId)) {
+    throw badRequest("You can't report your own content");
+  }
+
+  const why = REASONS.includes(String(reason || "").toLowerCase())
+    ? String(reason).toLowerCase()
+    : "other";
+
+  // A repeat report only refreshes one that is still pending; a resolved
+  // report stays resolved (the admin already acted on this reporter's flag)
+  const ins = await db.query(
+    `INSERT INTO content_reports
+       (target_type, target_id, reporter_id, author_id, excerpt, reason, details)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (target_type, target_id, reporter_id) DO UPDATE
+       SET reason = EXCLUDED.reason, details = EXCLUDED.details,
+           created_at = NOW()
+       WHERE content_reports.status = 'pending'
+     RETURNING id, target_type, target_id, reason, status, created_at`,
+    [
+      type,
+      String(target.id),
+      reporterId,
+      target.user_id || null,
+      target.excerpt || null,
+      why,
+      details ? String(details).slice(0, 1000) : null,
+    ],
+  );
+  let report = ins.rows[0];
+  if (!report) {
+    const prev = await db.query(
+      `SELECT id, target_type, target_id, reason, status, created_at
+       FROM content_reports
+       WHERE target_type = $1 AND target_id = $2 AND reporter_id = $3`,
+      [type, String(target.id), reporterId],
+    );
+    report = prev.rows[0] || null;
+  }
+
+  const c = await db.query(
+    `SELECT COUNT(*)::int AS n
+     FROM content_reports
+     WHERE target_type = $1 AND target_id = $2 AND status = 'pending'`,
+    [type, String(target.id)],
+  );
+  const pending = c.rows[0]?.n || 0;
+
+  let hidden = false;
+  if (!target.is_hidden && pending >= REPORT_THRESHOLD) {
+    await setHidden(type, target.id, true);
+    hidden = true;
+  }
+
+  return { report, pending, hidden };
+}
+
+/* ───────────────────────── queue ───────────────────────── */
+
+/**
+ * One row per reported target with its report count and latest report.
+ */
+async function listQueue({
+  status = "pending",
+  type,
+  limit = 50,
+  offset = 0,
+} = {}) {
+  await initOnce();
+  const st = STATUSES.includes(status) ? status : "pending";
+  if (type) targetFor(type);
+
+  const r = await db.query(
+    `WITH q AS (
+       SELECT target_type, target_id,
+              COUNT(*)::int AS reports,
+              array_agg(DISTINCT reason) AS reasons,
+              MAX(created_at) AS last_reported_at,
+              (array_agg(author_id ORDER BY created_at DESC))[1] AS author_id,
+              (array_agg(excerpt ORDER BY created_at DESC))[1] AS excerpt,
+              (array_agg(action ORDER BY resolved_at DESC NULLS LAST))[1] AS action
+       FROM content_reports
+       WHERE status = $1
+         AND ($2::text IS NULL OR target_type = $2)
+       GROUP BY target_type, target_id
+     )
+     SELECT q.*,
+            COALESCE(p.is_hidden, cc.is_hidden, vc.is_hidden, FALSE) AS is_hidden,
+            (p.id IS NULL AND cc.id IS NULL AND vc.id IS NULL) AS is_deleted,
+            (s.user_id IS NOT NULL) AS author_suspended
+     FROM q
+     LEFT JOIN public.community_posts p
+       ON q.target_type = 'post' AND p.id::text = q.target_id
+     LEFT JOIN public.community_comments cc
+       ON q.target_type = 'community_comment' AND cc.id::text = q.target_id
+     LEFT JOIN public.comments vc
+       ON q.target_type = 'video_comment' AND vc.id::text = q.target_id
+     LEFT JOIN community_suspensions s
+       ON s.user_id = q.author_id
+      AND (s.expires_at IS NULL OR s.expires_at > NOW())
+     ORDER BY q.reports DESC, q.last_reported_at DESC
+     LIMIT $3 OFFSET $4`,
+    [st, type || null, limit, offset],
+  );
+  return r.rows;
+}
+
+async function listReports(type, id) {
+  await initOnce();
+  targetFor(type);
+  const r = await db.query(
+    `SELECT r.id, r.reporter_id, r.reason, r.details, r.status, r.action,
+            r.resolved_by, r.resolved_at, r.created_at,
+            u.email AS reporter_email
+     FROM content_reports r
+     LEFT JOIN public.users u ON u.id = r.reporter_id
+     WHERE r.target_type = $1 AND r.target_id = $2
+     ORDER BY r.created_at DESC`,
+    [type, String(id)],
+  );
+  return r.rows;
+}
+
+/* ───────────────────────── actions ───────────────────────── */
+
+async function suspendUser(userId, { reason, days, createdBy } = {}) {
+  await initOnce();
+  const d = Number(days);
+  const r = await db.query(
+    `INSERT INTO community_suspensions (user_id, reason, expires_at, created_by)
+     VALUES ($1, $2, CASE WHEN $3::int IS NULL THEN NULL
+                          ELSE NOW() + ($3::int * interval '1 day') END, $4)
+     ON CONFLICT (user_id) DO UPDATE
+       SET reason = EXCLUDED.reason, expires_at = EXCLUDED.expires_at,
+           created_by = EXCLUDED.created_by, created_at = NOW()
+     RETURNING *`,
+    [
+      userId,
+      reason || null,
+      Number.isInteger(d) && d > 0 ? d : null,
+      createdBy || null,
+    ],
+  );
+  return r.rows[0];
+}
+
+async function liftSuspension(userId) {
+  await initOnce();
+  const r = await db.query(
+    `DELETE FROM community_suspensions WHERE user_id = $1`,
+    [userId],
+  );
+  return (r.rowCount || 0) > 0;
+}
+
+async function activeSuspension(userId) {
+  if (!userId) return null;
+  await initOnce();
+  const r = await db.query(
+    `SELECT reason, expires_at
+     FROM community_suspensions
+     WHERE user_id = $1 AND (expires_at IS NULL OR expires_at > NOW())
+     LIMIT 1`,
+    [userId],
+  );
+  return r.rows[0] || null;
+}
+
+/**
+ * Apply an admin action to a reported target and resolve its pending
+ * reports (`dismiss` -> dismissed, everything else -> actioned).
+ * `suspend` also hides the content; pass `days` for a temporary suspension.
+ */
+async function resolveTarget({ type, id, action, adminId, reason, days }) {
+  await initOnce();
+  const t = targetFor(type);
+  const act = String(action || "").toLowerCase();
+  if (!ACTIONS.includes(act)) {
+    throw badRequest(`Unknown action "${action}" (use ${ACTIONS.join(", ")})`);
+  }
+
+  const target = await loadTarget(type, id);
+  let authorId = target?.user_id || null;
+  if (!authorId) {
+    const r = await db.query(
+      `SELECT author_id FROM content_reports
+       WHERE target_type = $1 AND target_id = $2 AND author_id IS NOT NULL
+       ORDER BY created_at DESC LIMIT 1`,
+      [type, String(id)],
+    );
+    authorId = r.rows[0]?.author_id || null;
+  }
+
+  if (!target && ["hide", "unhide", "delete"].includes(act)) {
+    throw notFound("Content not found");
+  }
+
+  let suspension = null;
+  if (act === "hide" || act === "suspend") {
+    if (target) await setHidden(type, id, true);
+  } else if (act === "unhide") {
+    await setHidden(type, id, false);
+  } else if (act === "delete") {
+    await db.query(`DELETE FROM ${t.table} WHERE id::text = $1`, [String(id)]);
+    if (type === "video_comment") await videoComments.forgetComment(id);
+  }
+
+  if (act === "suspend") {
+    if (!authorId) throw badRequest("Content has no author to suspend");
+    suspension = await suspendUser(authorId, {
+      reason: reason || "Community guidelines",
+      days,
+      createdBy: adminId,
+    });
+  }
+
+  const r = await db.query(
+    `UPDATE content_reports
+     SET status = $3, action = $4, resolved_by = $5, resolved_at = NOW()
+     WHERE target_type = $1 AND target_id = $2 AND status = 'pending'`,
+    [
+      type,
+      String(id),
+      act === "dismiss" ? "dismissed" : "actioned",
+      act,
+      adminId || null,
+    ],
+  );
+
+  return { action: act, resolved: r.rowCount || 0, suspension };
+}
+
+module.exports = {
+  REPORT_THRESHOLD,
+  REASONS,
+  STATUSES,
+  ACTIONS,
+  ensureModerationTables: initOnce,
+  reportContent,
+  listQueue,
+  listReports,
+  resolveTarget,
+  suspendUser,
+  liftSuspension,
+  activeSuspension,
+};
@@ -0,0 +1,202 @@
+// server-api/services/notificationDigests.js
+const db = require("../db");
+const notifications = require("./notifications");
+const notifyPrefs = require("./notificationPreferences");
+
+/**
+ * Daily notification digests.
+ *
+ * Users with digest mode "daily" (services/notificationPreferences.js) get
+ * one email at digest_hour in their timezone listing the grouped unread
+ * notifications created since their previous digest. Groups whose type has
+ * email turned off are left out, and nothing is sent when nothing is left.
+ *
+ * Each digest is its own email_jobs row (category "digests", so the
+ * unsubscribe link and suppressions apply) delivered by
+ * workers/emailWorker.js. Due users are claimed by moving last_digest_at
+ * with FOR UPDATE SKIP LOCKED, so several instances can run
+ * workers/notificationDigestWorker.js.
+ */
+
+const DIGEST_MAX_GROUPS = 20;
+// first digest looks back at most this far
+const FIRST_DIGEST_LOOKBACK_HOURS = 24;
+
+/* ───────────────────────── helpers ───────────────────────── */
+
+function trimSlash(v) {
+  return String(v || "").replace(/\/+$/, "");
+}
+
+function escapeHtml(str = "") {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// a group of several opens the notification list, a single one its target
+function groupLink(group) {
+  const route = (group.count === 1 && group.payload?.route) || "/notifications";
+  return `${trimSlash(process.env.PUBLIC_URL)}${route}`;
+}
+
+/** Subject/body for one user's groups. */
+function buildDigest(groups) {
+  const total = groups.reduce((n, g) => n + g.unread_count, 0);
+  const subject =
+    total === 1
+      ? "You have 1 new notification"
+      : `You have ${total} new notifications`;
+  const settingsUrl = `${trimSlash(process.env.PUBLIC_URL)}/settings/notifications`;
+
+  const line = (g) =>
+    g.count > 1 || !g.body ? g.title : `${g.title}: ${g.body}`;
+
+  const listHtml = `<ul>${groups
+    .map(
+      (g) =>
+        `<li><a href="${escapeHtml(groupLink(g))}">${escapeHtml(line(g))}</a></li>`,
+    )
+    .join("")}</ul>`;
+  const listText = groups
+    .map((g) => `- ${line(g)}: ${groupLink(g)}`)
+    .join("\n");
+
+  const text = `Here's what you missed:
+
+${listText}
+
+Change how often you get these: ${settingsUrl}
+Unsubscribe from digests: {{unsubscribe_url}}`;
+
+  const html = `<div style="font-family:Arial,sans-serif">
+    <p>Here's what you missed:</p>
+    ${listHtml}
+    <p style="color:#888;font-size:12px">
+      <a href="${escapeHtml(settingsUrl)}">Change how often you get these</a> ·
+      <a href="{{unsubscribe_url}}">Unsubscribe from digests</a>
+    </p>
+  </div>`;
+
+  return { subject, text, html, total };
+}
+
+/** Claim users whose digest is due; returns [{ user_id, since }]. */
+async function claimDue(limit) {
+  const r = await db.query(
+    `WITH due AS (
+       SELECT np.user_id, np.last_digest_at
+       FROM notification_preferences np
+       WHERE np.digest_mode = 'daily'
+         AND EXTRACT(HOUR FROM NOW() AT TIME ZONE np.timezone) >= np.digest_hour
+         AND (np.last_digest_at IS NULL
+              OR (np.last_digest_at AT TIME ZONE np.timezone)::date
+                 < (NOW() AT TIME ZONE np.timezone)::date)
+       ORDER BY np.user_id
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     UPDATE notification_preferences np
+     SET last_digest_at = NOW()
+     FROM due
+     WHERE np.user_id = due.user_id
+     RETURNING np.user_id,
+               COALESCE(due.last_digest_at,
+                        NOW() - ($2::int * interval '1 hour')) AS since`,
+    [limit, FIRST_DIGEST_LOOKBACK_HOURS],
+  );
+  return r.rows;
+}
+
+async function queueDigestEmail(userId, email, message) {
+  const client = await db.pool.connect();
+  try {
+    await client.query("BEGIN");
+    const job = await client.query(
+      `INSERT INTO email_jobs
+        (created_by, subject, body_html, body_text, audience, status, created_at, updated_at)
+       VALUES (NULL, $1, $2, $3, $4::jsonb, 'queued', NOW(), NOW())
+       RETURNING id`,
+      [
+        message.subject,
+        message.html,
+        message.text,
+        JSON.stringify({
+          type: "notification_digest",
+          category: "digests",
+          user_id: userId,
+          count: message.total,
+        }),
+      ],
+    );
+    const jobId = job.rows[0].id;
+    await client.query(
+      `INSERT INTO email_job_items
+        (job_id, user_id, email, status, created_at, updated_at)
+       VALUES ($1, $2, $3, 'queued', NOW(), NOW())`,
+      [jobId, userId, email],
+    );
+    await client.query("COMMIT");
+    return jobId;
+  } catch (e) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+/** Build and queue one user's digest. Returns true when an email was queued. */
+async function sendDigest(userId, since) {
+  const u = await db.query(`SELECT email FROM users WHERE id = $1`, [userId]);
+  const email = u.rows[0]?.email;
+  if (!email) return false;
+
+  const prefs = await notifyPrefs.getPreferences(userId);
+  const groups = (
+    await notifications.listGroups(userId, {
+      limit: DIGEST_MAX_GROUPS,
+      since,
+      unreadOnly: true,
+    })
+  ).filter((g) => {
+    const type = notifications.CHANNEL_TYPES[g.channel];
+    return !type || prefs.types[type]?.email !== false;
+  });
+  if (!groups.length) return false;
+
+  await queueDigestEmail(userId, email, buildDigest(groups));
+  return true;
+}
+
+/**
+ * One pass: queue the digest of every user who is due.
+ * Returns the number of digests queued.
+ */
+async function runDueDigests(limit = 200) {
+  await notifyPrefs.ensureNotificationPreferenceTables();
+  await notifications.ensureNotificationColumns();
+
+  let queued = 0;
+  for (const row of await claimDue(limit)) {
+    try {
+      if (await sendDigest(row.user_id, row.since)) queued += 1;
+    } catch (e) {
+      console.error(
+        `[notificationDigests] user ${row.user_id}:`,
+        e?.message || e,
+      );
+    }
+  }
+  return queued;
+}
+
+module.exports = {
+  runDueDigests,
+  buildDigest,
+};
@@ -0,0 +1,343 @@
+// server-api/services/notificationPreferences.js
+const db = require("../db");
+const { isValidTimeZone } = require("./ical");
+const emailPrefs = require("./emailPreferences");
+
+/**
+ * Per-user notification preferences and quiet hours.
+ *
+ * Types:    new_video, live_starting, comment_reply, community_post, billing
+ * Channels: push, email, in_app (email only for EMAIL_TYPES, the types
+ *           something actually emails: new_video is the new_videos
+ *           campaign of services/emailCampaigns.js)
+ *
+ * notification_preferences.channels only stores opt-outs
+ * ({ "new_video": { "push": false } }); everything else is on. Email for
+ * live_starting and billing is the live_reminders / receipts category of
+ * services/emailPreferences.js, so unsubscribe links and this screen stay in
+ * sync and workers/emailWorker.js keeps enforcing it.
+ *
+ * Quiet hours (HH:MM to HH:MM in the user's timezone, may wrap midnight)
+ * only apply to pushes: a push due inside them is dropped, not sent later.
+ * In-app notifications are still recorded.
+ *
+ * Digest mode "daily" rolls unread in-app notifications into one email at
+ * digest_hour local time (services/notificationDigests.js).
+ *
+ * Senders filter recipients with allowedSql() (inside a bigger query) or
+ * filterUserIds().
+ */
+
+const TYPES = [
+  "new_video",
+  "live_starting",
+  "comment_reply",
+  "community_post",
+  "billing",
+];
+const CHANNELS = ["push", "email", "in_app"];
+// types with an email to opt out of
+const EMAIL_TYPES = ["new_video", "live_starting", "billing"];
+// email for these types is managed by services/emailPreferences.js
+const EMAIL_CATEGORY = { live_starting: "live_reminders", billing: "receipts" };
+const DEFAULT_QUIET = { start: "22:00", end: "07:00" };
+const DIGEST_MODES = ["off", "daily"];
+const DEFAULT_DIGEST_HOUR = 8;
+
+/* ───────────────────────── DB bootstrap ───────────────────────── */
+
+async function ensureNotificationPreferenceTables() {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS notification_preferences (
+      user_id INTEGER PRIMARY KEY,
+      channels JSONB NOT NULL DEFAULT '{}'::jsonb,
+      quiet_hours_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+      quiet_start_minute SMALLINT NOT NULL DEFAULT 1320,
+      quiet_end_minute SMALLINT NOT NULL DEFAULT 420,
+      timezone TEXT NOT NULL DEFAULT 'UTC',
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+  await db.query(`
+    ALTER TABLE notification_preferences
+      ADD COLUMN IF NOT EXISTS digest_mode TEXT NOT NULL DEFAULT 'off',
+      ADD COLUMN IF NOT EXISTS digest_hour SMALLINT NOT NULL DEFAULT 8,
+      ADD COLUMN IF NOT EXISTS last_digest_at TIMESTAMPTZ
+  `);
+  await db.query(
+    `CREATE INDEX IF NOT EXISTS notification_preferences_digest_idx
+       ON notification_preferences (digest_hour) WHERE digest_mode <> 'off'`,
+  );
+}
+
+let __initPromise = null;
+function initOnce() {
+  if (!__initPromise) {
+    __initPromise = ensureNotificationPreferenceTables().catch((e) => {
+      console.error(
+        "[notificationPreferences] ensureNotificationPreferenceTables failed:",
+        e,
+      );
+      __initPromise = null;
+      throw e;
+    });
+  }
+  return __initPromise;
+}
+
+/* ───────────────────────── helpers ───────────────────────── */
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/** "22:30" -> 1350 */
+function parseClock(v, field) {
+  const m = String(v ?? "")
+    .trim()
+    .match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+  if (!m) throw badRequest(`${field} must be HH:MM`);
+  return Number(m[1]) * 60 + Number(m[2]);
+}
+
+/** 1350 -> "22:30" */
+function formatClock(minute) {
+  const n = Number(minute) || 0;
+  const h = String(Math.floor(n / 60)).padStart(2, "0");
+  const m = String(n % 60).padStart(2, "0");
+  return `${h}:${m}`;
+}
+
+function channelsFor(type) {
+  return EMAIL_TYPES.includes(type)
+    ? CHANNELS
+    : CHANNELS.filter((c) => c !== "email");
+}
+
+function toObj(v) {
+  if (typeof v !== "string") return v || {};
+  try {
+    return JSON.parse(v);
+  } catch {
+    return {};
+  }
+}
+
+// The local minute of the day for a notification_preferences row `np`
+const LOCAL_MINUTE_SQL = `(EXTRACT(HOUR FROM NOW() AT TIME ZONE np.timezone) * 60
+  + EXTRACT(MINUTE FROM NOW() AT TIME ZONE np.timezone))`;
+
+const QUIET_NOW_SQL = `(np.quiet_hours_enabled
+  AND np.quiet_start_minute <> np.quiet_end_minute
+  AND CASE WHEN np.quiet_start_minute < np.quiet_end_minute
+        THEN ${LOCAL_MINUTE_SQL} >= np.quiet_start_minute
+         AND ${LOCAL_MINUTE_SQL} < np.quiet_end_minute
+        ELSE ${LOCAL_MINUTE_SQL} >= np.quiet_start_minute
+          OR ${LOCAL_MINUTE_SQL} < np.quiet_end_minute
+      END)`;
+
+/**
+ * SQL condition: may the user `userExpr` (e.g. "u.id") get a `type`
+ * notification on `channel` now? Pushes its bind values onto `params`.
+ * Callers must have run ensureNotificationPreferenceTables() first.
+ */
+function allowedSql(userExpr, type, channel, params) {
+  if (!TYPES.includes(type)) {
+    throw new Error(`Unknown notification type ${type}`);
+  }
+  if (!channelsFor(type).includes(channel)) {
+    throw new Error(`Unknown notification channel ${channel} for ${type}`);
+  }
+  params.push(type, channel);
+  const t = `$${params.length - 1}::text`;
+  const c = `$${params.length}::text`;
+  const quiet = channel === "push" ? ` OR ${QUIET_NOW_SQL}` : "";
+  return `NOT EXISTS (
+    SELECT 1 FROM notification_preferences np
+    WHERE np.user_id = ${userExpr}
+      AND ((np.channels -> ${t} ->> ${c}) = 'false'${quiet})
+  )`;
+}
+
+/** The subset of userIds that may get a `type` notification on `channel` now. */
+async function filterUserIds(userIds, type, channel) {
+  await initOnce();
+  const ids = [...new Set((userIds || []).map(Number))].filter(Number.isFinite);
+  if (!ids.length) return [];
+  const params = [ids];
+  const r = await db.query(
+    `SELECT x.id FROM unnest($1::int[]) AS x(id)
+     WHERE ${allowedSql("x.id", type, channel, params)}`,
+    params,
+  );
+  return r.rows.map((row) => row.id);
+}
+
+/* ───────────────────────── read / update ───────────────────────── */
+
+async function userEmail(userId) {
+  const r = await db.query(`SELECT email FROM users WHERE id = $1`, [userId]);
+  return r.rows[0]?.email || null;
+}
+
+/**
+ * { types: { new_video: { push, email, in_app },
+ *           comment_reply: { push, in_app }, ... },
+ *   quiet_hours: { enabled, start, end, timezone },
+ *   digest: { mode: "off"|"daily", hour } }
+ */
+async function getPreferences(userId) {
+  await initOnce();
+  const r = await db.query(
+    `SELECT * FROM notification_preferences WHERE user_id = $1`,
+    [userId],
+  );
+  const row = r.rows[0] || null;
+  const stored = toObj(row?.channels);
+
+  const email = await userEmail(userId);
+  const mail = email ? await emailPrefs.getPreferences(email) : null;
+
+  const types = {};
+  for (const type of TYPES) {
+    types[type] = {};
+    for (const channel of channelsFor(type)) {
+      types[type][channel] = stored[type]?.[channel] !== false;
+    }
+    if (EMAIL_CATEGORY[type]) {
+      types[type].email = mail ? mail[EMAIL_CATEGORY[type]] !== false : false;
+    }
+  }
+
+  return {
+    types,
+    quiet_hours: {
+      enabled: !!row?.quiet_hours_enabled,
+      start: row ? formatClock(row.quiet_start_minute) : DEFAULT_QUIET.start,
+      end: row ? formatClock(row.quiet_end_minute) : DEFAULT_QUIET.end,
+      timezone: row?.timezone || "UTC",
+    },
+    digest: {
+      mode: row?.digest_mode || "off",
+      hour: row ? Number(row.digest_hour) : DEFAULT_DIGEST_HOUR,
+    },
+  };
+}
+
+/**
+ * Partial update with the same shape as getPreferences():
+ *   { types?: { comment_reply: { push: false } },
+ *     quiet_hours?: { enabled?, start?, end?, timezone? },
+ *     digest?: { mode?, hour? } }
+ * The quiet hours timezone is also the digest's.
+ */
+async function updatePreferences(userId, patch = {}) {
+  await initOnce();
+
+  const types = patch.types || {};
+  if (typeof types !== "object" || Array.isArray(types)) {
+    throw badRequest("types must be an object");
+  }
+  const channelPatch = {};
+  const emailPatch = {};
+  for (const [type, channels] of Object.entries(types)) {
+    if (!TYPES.includes(type)) throw badRequest(`Unknown type ${type}`);
+    for (const [channel, on] of Object.entries(channels || {})) {
+      if (!channelsFor(type).includes(channel)) {
+        throw badRequest(`Unknown channel ${channel} for ${type}`);
+      }
+      if (typeof on !== "boolean") {
+        throw badRequest(`${type}.${channel} must be true or false`);
+      }
+      if (channel === "email" && EMAIL_CATEGORY[type]) {
+        emailPatch[EMAIL_CATEGORY[type]] = on;
+      } else {
+        channelPatch[type] = { ...channelPatch[type], [channel]: on };
+      }
+    }
+  }
+
+  const quiet = patch.quiet_hours || {};
+  const start =
+    quiet.start !== undefined ? parseClock(quiet.start, "start") : null;
+  const end = quiet.end !== undefined ? parseClock(quiet.end, "end") : null;
+  const timezone =
+    quiet.timezone !== undefined ? String(quiet.timezone).trim() : null;
+  if (timezone !== null && !isValidTimeZone(timezone)) {
+    throw badRequest("Invalid timezone");
+  }
+  const enabled = typeof quiet.enabled === "boolean" ? quiet.enabled : null;
+
+  const digest = patch.digest || {};
+  const digestMode =
+    digest.mode !== undefined ? String(digest.mode).trim().toLowerCase() : null;
+  if (digestMode !== null && !DIGEST_MODES.includes(digestMode)) {
+    throw badRequest(`digest.mode must be one of ${DIGEST_MODES.join(", ")}`);
+  }
+  const digestHour = digest.hour !== undefined ? Number(digest.hour) : null;
+  if (
+    digestHour !== null &&
+    !(Number.isInteger(digestHour) && digestHour >= 0 && digestHour <= 23)
+  ) {
+    throw badRequest("digest.hour must be 0-23");
+  }
+
+  // channels are merged one type at a time so other types' opt-outs stay
+  await db.query(
+    `INSERT INTO notification_preferences (user_id)
+     VALUES ($1)
+     ON CONFLICT (user_id) DO NOTHING`,
+    [userId],
+  );
+  await db.query(
+    `UPDATE notification_preferences np
+     SET channels = (
+           SELECT COALESCE(jsonb_object_agg(
+             k,
+             COALESCE(np.channels -> k, '{}'::jsonb)
+               || COALESCE($2::jsonb -> k, '{}'::jsonb)
+           ), '{}'::jsonb)
+           FROM jsonb_object_keys(np.channels || $2::jsonb) AS k
+         ),
+         quiet_hours_enabled = COALESCE($3, quiet_hours_enabled),
+         quiet_start_minute = COALESCE($4, quiet_start_minute),
+         quiet_end_minute = COALESCE($5, quiet_end_minute),
+         timezone = COALESCE($6, timezone),
+         digest_mode = COALESCE($7, digest_mode),
+         digest_hour = COALESCE($8, digest_hour),
+         updated_at = NOW()
+     WHERE np.user_id = $1`,
+    [
+      userId,
+      JSON.stringify(channelPatch),
+      enabled,
+      start,
+      end,
+      timezone,
+      digestMode,
+      digestHour,
+    ],
+  );
+
+  if (Object.keys(emailPatch).length) {
+    const email = await userEmail(userId);
+    if (email) await emailPrefs.updatePreferences(email, emailPatch, userId);
+  }
+
+  return getPreferences(userId);
+}
+
+module.exports = {
+  TYPES,
+  CHANNELS,
+  EMAIL_TYPES,
+  DIGEST_MODES,
+  ensureNotificationPreferenceTables: initOnce,
+  allowedSql,
+  filterUserIds,
+  getPreferences,
+  updatePreferences,
+};
@@ -0,0 +1,227 @@
+// server-api/services/notifications.js
+const db = require("../db");
+
+/**
+ * Grouping for in-app notifications (routes/notifications.js).
+ *
+ * Senders give similar notifications the same group_key (one per type and
+ * target, e.g. "new_video" or "comment_mention:video:42"). A row inserted
+ * within GROUP_WINDOW_MINUTES of an unread row with the same key joins that
+ * row's group (group_id = the group's first row); otherwise it starts a new
+ * group (group_id NULL). Rows are never merged, so a group can be expanded
+ * into its children and every child keeps its own read state.
+ *
+ *   NOTIFICATION_GROUP_WINDOW_MINUTES=60
+ */
+
+const GROUP_WINDOW_MINUTES = Number(
+  process.env.NOTIFICATION_GROUP_WINDOW_MINUTES || 60,
+);
+const CHILDREN_PREVIEW = 5;
+
+// notifications.channel -> services/notificationPreferences.js type
+const CHANNEL_TYPES = {
+  video_published: "new_video",
+  comment_mention: "comment_reply",
+};
+
+// "10 new videos" style titles for groups of more than one
+const SUMMARIES = {
+  video_published: (n) => `${n} new videos`,
+  comment_mention: (n) => `${n} new mentions`,
+};
+
+/* ───────────────────────── DB bootstrap ───────────────────────── */
+
+async function ensureNotificationColumns() {
+  await db.query(`
+    ALTER TABLE notifications
+      ADD COLUMN IF NOT EXISTS group_key TEXT,
+      ADD COLUMN IF NOT EXISTS group_id BIGINT
+  `);
+  await db.query(
+    `CREATE INDEX IF NOT EXISTS notifications_group_key_idx
+       ON notifications (user_id, group_key, id DESC) WHERE group_key IS NOT NULL`,
+  );
+  await db.query(
+    `CREATE INDEX IF NOT EXISTS notifications_group_id_idx
+       ON notifications (user_id, (COALESCE(group_id, id)))`,
+  );
+}
+
+let __initPromise = null;
+function initOnce() {
+  if (!__initPromise) {
+    __initPromise = ensureNotificationColumns().catch((e) => {
+      console.error("[notifications] ensureNotificationColumns failed:", e);
+      __initPromise = null;
+      throw e;
+    });
+  }
+  return __initPromise;
+}
+
+/* ───────────────────────── helpers ───────────────────────── */
+
+function toObj(v) {
+  if (typeof v !== "string") return v || null;
+  try {
+    return JSON.parse(v);
+  } catch {
+    return null;
+  }
+}
+
+function mapRow(row) {
+  return {
+    id: row.id,
+    user_id: row.user_id,
+    title: row.title,
+    body: row.body,
+    channel: row.channel,
+    payload: toObj(row.payload),
+    is_read: row.is_read,
+    created_at: row.created_at,
+    read_at: row.read_at || null,
+  };
+}
+
+function summaryTitle(channel, count, fallback) {
+  if (count <= 1) return fallback;
+  const fn = SUMMARIES[channel];
+  return fn ? fn(count) : `${fallback} (+${count - 1} more)`;
+}
+
+/**
+ * SQL expression for the group_id of a new row for user `userExpr` with
+ * group key `groupKey`. Pushes its bind values onto `params`; use it in the
+ * SELECT list of an INSERT ... SELECT next to the group_key itself.
+ */
+function groupIdSql(userExpr, groupKey, params) {
+  params.push(groupKey, GROUP_WINDOW_MINUTES);
+  const k = `$${params.length - 1}::text`;
+  const w = `$${params.length}::int`;
+  return `(SELECT COALESCE(p.group_id, p.id)
+     FROM notifications p
+     WHERE p.user_id = ${userExpr}
+       AND p.group_key = ${k}
+       AND p.is_read = FALSE
+       AND p.created_at >= NOW() - (${w} * interval '1 minute')
+     ORDER BY p.id DESC
+     LIMIT 1)`;
+}
+
+const ROW_COLUMNS = `id, user_id, title, body, channel, payload, is_read,
+  created_at, read_at`;
+
+/** Grouped rows -> API items (latest child on top, summary title). */
+function mapGroup(row) {
+  const latest = mapRow(row);
+  return {
+    ...latest,
+    group_id: Number(row.gid),
+    count: row.count,
+    unread_count: row.unread_count,
+    is_read: row.unread_count === 0,
+    title: summaryTitle(row.channel, row.count, row.title),
+    children: (row.children || []).map(mapRow),
+  };
+}
+
+/* ───────────────────────── reads ───────────────────────── */
+
+/**
+ * Newest groups first. Each item is the group's latest notification with
+ * count/unread_count and its first CHILDREN_PREVIEW children.
+ * `since` limits it to notifications created after that time and
+ * `unreadOnly` to unread ones (digests).
+ */
+async function listGroups(
+  userId,
+  { limit = 20, offset = 0, since = null, unreadOnly = false } = {},
+) {
+  await initOnce();
+  const r = await db.query(
+    `WITH rows AS (
+       SELECT *, COALESCE(group_id, id) AS gid
+       FROM notifications
+       WHERE user_id = $1
+         AND ($4::timestamptz IS NULL OR created_at > $4)
+         AND (NOT $5::boolean OR is_read = FALSE)
+     ),
+     g AS (
+       SELECT gid, COUNT(*)::int AS count,
+              COUNT(*) FILTER (WHERE is_read = FALSE)::int AS unread_count,
+              MAX(id) AS latest_id
+       FROM rows
+       GROUP BY gid
+       ORDER BY MAX(created_at) DESC, MAX(id) DESC
+       LIMIT $2 OFFSET $3
+     )
+     SELECT g.gid, g.count, g.unread_count, n.*,
+            (SELECT jsonb_agg(to_jsonb(c) ORDER BY c.id DESC)
+             FROM (
+               SELECT ${ROW_COLUMNS}
+               FROM rows c
+               WHERE c.gid = g.gid
+               ORDER BY c.id DESC
+               LIMIT $6
+             ) c) AS children
+     FROM g
+     JOIN notifications n ON n.id = g.latest_id
+     ORDER BY n.created_at DESC, n.id DESC`,
+    [userId, limit, offset, since, unreadOnly, CHILDREN_PREVIEW],
+  );
+  return r.rows.map(mapGroup);
+}
+
+/** Every child of one group, newest first. null if it isn't the user's. */
+async function getGroup(userId, groupId, { limit = 50, offset = 0 } = {}) {
+  await initOnce();
+  const r = await db.query(
+    `SELECT ${ROW_COLUMNS}
+     FROM notifications
+     WHERE user_id = $1 AND COALESCE(group_id, id) = $2
+     ORDER BY id DESC
+     LIMIT $3 OFFSET $4`,
+    [userId, groupId, limit, offset],
+  );
+  if (!r.rows.length && offset === 0) return null;
+  return r.rows.map(mapRow);
+}
+
+/** Mark a whole group read. Returns the number of rows updated. */
+async function markGroupRead(userId, groupId) {
+  await initOnce();
+  const r = await db.query(
+    `UPDATE notifications
+     SET is_read = TRUE, read_at = COALESCE(read_at, NOW())
+     WHERE user_id = $1 AND COALESCE(group_id, id) = $2 AND is_read = FALSE`,
+    [userId, groupId],
+  );
+  return r.rowCount || 0;
+}
+
+async function unreadGroupCount(userId) {
+  await initOnce();
+  const r = await db.query(
+    `SELECT COUNT(DISTINCT COALESCE(group_id, id))::int AS c
+     FROM notifications
+     WHERE user_id = $1 AND is_read = FALSE`,
+    [userId],
+  );
+  return r.rows[0]?.c || 0;
+}
+
+module.exports = {
+  GROUP_WINDOW_MINUTES,
+  CHANNEL_TYPES,
+  ensureNotificationColumns: initOnce,
+  groupIdSql,
+  summaryTitle,
+  mapRow,
+  listGroups,
+  getGroup,
+  markGroupRead,
+  unreadGroupCount,
+};
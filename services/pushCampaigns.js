@@ -0,0 +1,635 @@
+// server-api/services/pushCampaigns.js
+const db = require("../db");
+const segments = require("./emailSegments");
+
+/**
+ * Admin push campaigns (composer in routes/adminPush.js).
+ *
+ * A campaign is a title/body/image plus a deep link `route` opened by the
+ * app, sent to an audience:
+ *
+ *   { type: "all" }                                every registered device
+ *   { type: "platform", platforms: ["ios"] }       devices on those platforms
+ *   { type: "plan", plan_codes: [...] }            any services/emailSegments.js
+ *   { type: "segment", segment_id }                audience (plan, segment,
+ *   ...                                            rules, watched, ...)
+ *
+ * `platforms` narrows any audience to those user_push_tokens.platform values.
+ *
+ * Campaigns are sent by workers/pushCampaignWorker.js: "send now" is a
+ * campaign scheduled for now. Sending resolves the audience into one
+ * push_deliveries row per token, then multicasts PUSH_BATCH_SIZE (max 500)
+ * tokens at a time through firebase-admin and records each token's result.
+ * Tokens FCM reports as unregistered/invalid are deleted from
+ * user_push_tokens. A campaign left `sending` by a crashed worker is picked
+ * up again after STALE_MINUTES and continues with its pending deliveries.
+ *
+ * sendToTokens() is the same multicast + pruning for one-off pushes
+ * (e.g. video publish).
+ */
+
+const STATUSES = [
+  "draft",
+  "scheduled",
+  "sending",
+  "sent",
+  "failed",
+  "canceled",
+];
+const BATCH_SIZE = Math.min(Number(process.env.PUSH_BATCH_SIZE || 500), 500);
+const STALE_MINUTES = 5;
+const MAX_TITLE = 120;
+const MAX_BODY = 1000;
+// FCM error codes that mean the token will never work again
+const DEAD_TOKEN_CODES = [
+  "messaging/registration-token-not-registered",
+  "messaging/invalid-registration-token",
+];
+
+/* ───────────────────────── DB bootstrap ───────────────────────── */
+
+async function ensurePushCampaignTables() {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS push_campaigns (
+      id SERIAL PRIMARY KEY,
+      title TEXT NOT NULL,
+      body TEXT NOT NULL,
+      image_url TEXT,
+      route TEXT,
+      audience JSONB NOT NULL DEFAULT '{"type":"all"}'::jsonb,
+      status TEXT NOT NULL DEFAULT 'draft',
+      send_at TIMESTAMPTZ,
+      started_at TIMESTAMPTZ,
+      finished_at TIMESTAMPTZ,
+      canceled_at TIMESTAMPTZ,
+      target_count INTEGER NOT NULL DEFAULT 0,
+      success_count INTEGER NOT NULL DEFAULT 0,
+      failure_count INTEGER NOT NULL DEFAULT 0,
+      pruned_count INTEGER NOT NULL DEFAULT 0,
+      last_error TEXT,
+      created_by INTEGER,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+  await db.query(
+    `CREATE INDEX IF NOT EXISTS push_campaigns_due_idx
+       ON push_campaigns (send_at) WHERE status IN ('scheduled', 'sending')`,
+  );
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS push_deliveries (
+      id BIGSERIAL PRIMARY KEY,
+      campaign_id INTEGER NOT NULL REFERENCES push_campaigns(id) ON DELETE CASCADE,
+      user_id INTEGER,
+      token TEXT NOT NULL,
+      platform TEXT,
+      status TEXT NOT NULL DEFAULT 'pending',
+      error_code TEXT,
+      token_pruned BOOLEAN NOT NULL DEFAULT FALSE,
+      sent_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      UNIQUE (campaign_id, token)
+    );
+  `);
+  await db.query(
+    `CREATE INDEX IF NOT EXISTS push_deliveries_pending_idx
+       ON push_deliveries (campaign_id, id) WHERE status = 'pending'`,
+  );
+}
+
+let __initPromise = null;
+function initOnce() {
+  if (!__initPromise) {
+    __initPromise = ensurePushCampaignTables().catch((e) => {
+      console.error("[pushCampaigns] ensurePushCampaignTables failed:", e);
+      __initPromise = null;
+      throw e;
+    });
+  }
+  return __initPromise;
+}
+
+/* ───────────────────────── helpers ───────────────────────── */
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function safeStr(v) {
+  return (v ?? "").toString();
+}
+
+function toObj(v) {
+  if (typeof v !== "string") return v || null;
+  try {
+    return JSON.parse(v);
+  } catch {
+    return null;
+  }
+}
+
+function strList(v) {
+  const arr = Array.isArray(v) ? v : v ? String(v).split(",") : [];
+  return arr.map((x) => String(x).trim().toLowerCase()).filter(Boolean);
+}
+
+let pushModule;
+function loadPush() {
+  if (pushModule !== undefined) return pushModule;
+  pushModule = null;
+  if (process.env.LOCAL_DEV === "true") return pushModule;
+  try {
+    pushModule = require("../notifications/firebase");
+  } catch (e) {
+    console.warn("[pushCampaigns] push disabled:", e.message);
+  }
+  return pushModule;
+}
+
+function parseSendAt(v) {
+  if (v === undefined || v === null || v === "") return null;
+  const d = new Date(v);
+  if (!Number.isFinite(d.getTime())) throw badRequest("Invalid send_at");
+  return d;
+}
+
+// { ...audience, platforms } with the platform filter split out
+function splitAudience(audience) {
+  const aud = toObj(audience) || { type: "all" };
+  const type = safeStr(aud.type || "all")
+    .trim()
+    .toLowerCase();
+  const platforms = strList(aud.platforms || aud.platform);
+  if (type === "platform" && !platforms.length) {
+    throw badRequest("platform audience requires platforms");
+  }
+  const users = type === "platform" ? { type: "all" } : { ...aud, type };
+  delete users.platforms;
+  delete users.platform;
+  return { users, platforms };
+}
+
+/**
+ * `FROM user_push_tokens t WHERE ...` for an audience, with its params.
+ */
+async function audienceTokensSql(audience) {
+  const { users, platforms } = splitAudience(audience);
+  const { sql, params } = await segments.audienceUserIdsSql(users);
+  params.push(platforms);
+  return {
+    sql: `FROM user_push_tokens t
+          WHERE t.token IS NOT NULL AND t.token <> ''
+            AND t.user_id::text IN (${sql})
+            AND (cardinality($${params.length}::text[]) = 0
+                 OR LOWER(COALESCE(t.platform, '')) = ANY($${params.length}::text[]))`,
+    params,
+  };
+}
+
+function cleanCampaign(body, existing = {}) {
+  const pick = (k) => (body[k] !== undefined ? body[k] : existing[k]);
+
+  const title = safeStr(pick("title")).trim();
+  const text = safeStr(pick("body")).trim();
+  if (!title) throw badRequest("Missing title");
+  if (!text) throw badRequest("Missing body");
+  if (title.length > MAX_TITLE) {
+    throw badRequest(`title is limited to ${MAX_TITLE} characters`);
+  }
+  if (text.length > MAX_BODY) {
+    throw badRequest(`body is limited to ${MAX_BODY} characters`);
+  }
+
+  const imageUrl = safeStr(pick("image_url")).trim();
+  if (imageUrl && !/^https:\/\//i.test(imageUrl)) {
+    throw badRequest("image_url must be an https URL");
+  }
+  const route = safeStr(pick("route")).trim();
+  if (route && !route.startsWith("/")) {
+    throw badRequest('route must be an app path such as "/watch/42"');
+  }
+
+  return {
+    title,
+    body: text,
+    image_url: imageUrl || null,
+    route: route || null,
+    audience: toObj(pick("audience")) || { type: "all" },
+  };
+}
+
+/**
+ * Delete tokens FCM reported as dead. results: [{ token, ok, error }]
+ * Returns the set of pruned tokens.
+ */
+async function pruneDeadTokens(results) {
+  const dead = results
+    .filter((r) => !r.ok && DEAD_TOKEN_CODES.includes(r.error))
+    .map((r) => r.token);
+  if (!dead.length) return new Set();
+  await db.query(`DELETE FROM user_push_tokens WHERE token = ANY($1::text[])`, [
+    dead,
+  ]);
+  return new Set(dead);
+}
+
+function campaignData(c) {
+  return {
+    type: "campaign",
+    campaign_id: c.id,
+    route: c.route || "",
+    ...(c.image_url ? { image_url: c.image_url } : {}),
+  };
+}
+
+/* ───────────────────────── composer ───────────────────────── */
+
+async function previewAudience(audience) {
+  await initOnce();
+  const { sql, params } = await audienceTokensSql(audience);
+  const r = await db.query(
+    `SELECT COALESCE(LOWER(t.platform), 'unknown') AS platform,
+            COUNT(*)::int AS tokens,
+            COUNT(DISTINCT t.user_id)::int AS users
+     ${sql}
+     GROUP BY 1
+     ORDER BY 2 DESC`,
+    params,
+  );
+  const total = await db.query(
+    `SELECT COUNT(DISTINCT t.user_id)::int AS users ${sql}`,
+    params,
+  );
+  return {
+    users: total.rows[0]?.users || 0,
+    tokens: r.rows.reduce((n, row) => n + row.tokens, 0),
+    by_platform: r.rows,
+  };
+}
+
+async function listCampaigns({ limit = 25, offset = 0 } = {}) {
+  await initOnce();
+  const r = await db.query(
+    `SELECT * FROM push_campaigns
+     ORDER BY COALESCE(send_at, created_at) DESC, id DESC
+     LIMIT $1 OFFSET $2`,
+    [Math.min(Number(limit) || 25, 100), Math.max(Number(offset) || 0, 0)],
+  );
+  return r.rows;
+}
+
+async function getCampaign(id) {
+  await initOnce();
+  const r = await db.query(`SELECT * FROM push_campaigns WHERE id = $1`, [id]);
+  return r.rows[0] || null;
+}
+
+/**
+ * Create or edit a campaign. `send_at` schedules it (now or later);
+ * without it the campaign stays a draft. Only drafts and scheduled
+ * campaigns can be edited.
+ */
+async function saveCampaign(body, { id, createdBy } = {}) {
+  await initOnce();
+
+  const existing = id ? await getCampaign(id) : null;
+  if (id && !existing) return null;
+  if (existing && !["draft", "scheduled"].includes(existing.status)) {
+    throw badRequest(`A ${existing.status} campaign can no longer be edited`);
+  }
+
+  const c = cleanCampaign(body || {}, existing || {});
+  const { users } = splitAudience(c.audience);
+  await segments.validateRules(users);
+
+  const sendAt =
+    body?.send_at !== undefined
+      ? parseSendAt(body.send_at)
+      : existing?.send_at || null;
+  const status = sendAt ? "scheduled" : "draft";
+
+  const vals = [
+    c.title,
+    c.body,
+    c.image_url,
+    c.route,
+    JSON.stringify(c.audience),
+    status,
+    sendAt,
+  ];
+
+  if (existing) {
+    const r = await db.query(
+      `UPDATE push_campaigns
+       SET title = $2, body = $3, image_url = $4, route = $5,
+           audience = $6::jsonb, status = $7, send_at = $8, updated_at = NOW()
+       WHERE id = $1 AND status IN ('draft', 'scheduled')
+       RETURNING *`,
+      [id, ...vals],
+    );
+    if (!r.rowCount) throw badRequest("Campaign is already sending");
+    return r.rows[0];
+  }
+
+  const r = await db.query(
+    `INSERT INTO push_campaigns
+       (title, body, image_url, route, audience, status, send_at, created_by)
+     VALUES ($1, $2, $3, $4, $5::jsonb, $6, $7, $8)
+     RETURNING *`,
+    [...vals, createdBy || null],
+  );
+  return r.rows[0];
+}
+
+/** Move a draft/scheduled campaign up to now; the worker sends it next. */
+async function sendNow(id) {
+  await initOnce();
+  const r = await db.query(
+    `UPDATE push_campaigns
+     SET status = 'scheduled', send_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND status IN ('draft', 'scheduled')
+     RETURNING *`,
+    [id],
+  );
+  return r.rows[0] || null;
+}
+
+/**
+ * Send a campaign (saved or not) to one user's devices only, so the
+ * composer can check how it looks. Nothing is recorded.
+ */
+async function sendTest(body, userId) {
+  await initOnce();
+  const c = cleanCampaign(body || {});
+  if (!loadPush()?.sendPushToTokens) {
+    throw badRequest("Push notifications are not configured");
+  }
+  const r = await db.query(
+    `SELECT token FROM user_push_tokens WHERE user_id = $1`,
+    [userId],
+  );
+  if (!r.rows.length) throw badRequest("You have no registered devices");
+  return sendToTokens(
+    r.rows.map((row) => row.token),
+    {
+      title: c.title,
+      body: c.body,
+      data: campaignData({ id: 0, ...c }),
+      imageUrl: c.image_url,
+    },
+  );
+}
+
+/** Cancel a draft/scheduled campaign. Returns false once it has started. */
+async function cancelCampaign(id) {
+  await initOnce();
+  const r = await db.query(
+    `UPDATE push_campaigns
+     SET status = 'canceled', canceled_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND status IN ('draft', 'scheduled')
+     RETURNING id`,
+    [id],
+  );
+  return (r.rowCount || 0) > 0;
+}
+
+/**
+ * Delivery report: counters, results by status and platform, and the
+ * most common FCM error codes.
+ */
+async function campaignReport(id) {
+  await initOnce();
+  const campaign = await getCampaign(id);
+  if (!campaign) return null;
+
+  const [byStatus, errors] = await Promise.all([
+    db.query(
+      `SELECT status, COALESCE(LOWER(platform), 'unknown') AS platform,
+              COUNT(*)::int AS n
+       FROM push_deliveries
+       WHERE campaign_id = $1
+       GROUP BY 1, 2
+       ORDER BY 1, 2`,
+      [id],
+    ),
+    db.query(
+      `SELECT error_code, COUNT(*)::int AS n,
+              COUNT(*) FILTER (WHERE token_pruned)::int AS pruned
+       FROM push_deliveries
+       WHERE campaign_id = $1 AND status = 'failed'
+       GROUP BY 1
+       ORDER BY 2 DESC
+       LIMIT 20`,
+      [id],
+    ),
+  ]);
+
+  return { campaign, breakdown: byStatus.rows, errors: errors.rows };
+}
+
+async function listDeliveries(id, { status, limit = 100, offset = 0 } = {}) {
+  await initOnce();
+  const r = await db.query(
+    `SELECT id, user_id, platform, status, error_code, token_pruned, sent_at,
+            LEFT(token, 12) || '…' AS token_prefix
+     FROM push_deliveries
+     WHERE campaign_id = $1 AND ($2::text IS NULL OR status = $2)
+     ORDER BY id ASC
+     LIMIT $3 OFFSET $4`,
+    [
+      id,
+      status || null,
+      Math.min(Number(limit) || 100, 500),
+      Math.max(Number(offset) || 0, 0),
+    ],
+  );
+  return r.rows;
+}
+
+/* ───────────────────────── sending ───────────────────────── */
+
+/**
+ * Multicast one message to raw tokens and prune the dead ones.
+ * message: { title, body, data, imageUrl, collapseKey }
+ */
+async function sendToTokens(tokens, message) {
+  const push = loadPush();
+  if (!push?.sendPushToTokens || !tokens?.length) {
+    return { sent: 0, failed: 0, pruned: 0 };
+  }
+  const r = await push.sendPushToTokens(
+    tokens,
+    message.title,
+    message.body,
+    message.data,
+    { imageUrl: message.imageUrl, collapseKey: message.collapseKey },
+  );
+  const pruned = await pruneDeadTokens(r.results || []);
+  return {
+    sent: r.successCount || 0,
+    failed: r.failureCount || 0,
+    pruned: pruned.size,
+  };
+}
+
+// Resolve the audience into pending deliveries (once per campaign)
+async function materialize(c) {
+  const { sql, params } = await audienceTokensSql(c.audience);
+  params.push(c.id);
+  await db.query(
+    `INSERT INTO push_deliveries (campaign_id, user_id, token, platform)
+     SELECT $${params.length}, t.user_id, t.token, LOWER(t.platform)
+     ${sql}
+     ON CONFLICT (campaign_id, token) DO NOTHING`,
+    params,
+  );
+  const n = await db.query(
+    `SELECT COUNT(*)::int AS n FROM push_deliveries WHERE campaign_id = $1`,
+    [c.id],
+  );
+  await db.query(
+    `UPDATE push_campaigns SET target_count = $2, updated_at = NOW()
+     WHERE id = $1`,
+    [c.id, n.rows[0].n],
+  );
+}
+
+async function sendBatch(c, push) {
+  const r = await db.query(
+    `SELECT id, token FROM push_deliveries
+     WHERE campaign_id = $1 AND status = 'pending'
+     ORDER BY id
+     LIMIT $2`,
+    [c.id, BATCH_SIZE],
+  );
+  if (!r.rows.length) return 0;
+
+  const out = await push.sendPushToTokens(
+    r.rows.map((d) => d.token),
+    c.title,
+    c.body,
+    campaignData(c),
+    { imageUrl: c.image_url },
+  );
+  if (out.ok === false) throw new Error(out.error || "FCM send failed");
+
+  const byToken = new Map((out.results || []).map((x) => [x.token, x]));
+  const pruned = await pruneDeadTokens(out.results || []);
+  const ids = [];
+  const statuses = [];
+  const codes = [];
+  const prunedFlags = [];
+  for (const d of r.rows) {
+    const res = byToken.get(d.token);
+    ids.push(d.id);
+    statuses.push(res?.ok ? "sent" : "failed");
+    codes.push(res?.ok ? null : res?.error || "unknown");
+    prunedFlags.push(pruned.has(d.token));
+  }
+
+  await db.query(
+    `UPDATE push_deliveries d
+     SET status = u.status, error_code = u.code, token_pruned = u.pruned,
+         sent_at = NOW()
+     FROM unnest($1::bigint[], $2::text[], $3::text[], $4::boolean[])
+          AS u(id, status, code, pruned)
+     WHERE d.id = u.id`,
+    [ids, statuses, codes, prunedFlags],
+  );
+  const sent = statuses.filter((s) => s === "sent").length;
+  await db.query(
+    `UPDATE push_campaigns
+     SET success_count = success_count + $2,
+         failure_count = failure_count + $3,
+         pruned_count = pruned_count + $4,
+         updated_at = NOW()
+     WHERE id = $1`,
+    [c.id, sent, statuses.length - sent, pruned.size],
+  );
+  return r.rows.length;
+}
+
+/** Claim one due (or stale `sending`) campaign. */
+async function claimDue() {
+  const r = await db.query(
+    `UPDATE push_campaigns
+     SET status = 'sending', started_at = COALESCE(started_at, NOW()),
+         updated_at = NOW()
+     WHERE id = (
+       SELECT id FROM push_campaigns
+       WHERE (status = 'scheduled' AND send_at <= NOW())
+          OR (status = 'sending'
+              AND updated_at < NOW() - ($1::int * interval '1 minute'))
+       ORDER BY send_at ASC NULLS FIRST, id ASC
+       FOR UPDATE SKIP LOCKED
+       LIMIT 1
+     )
+     RETURNING *, (started_at = updated_at) AS fresh`,
+    [STALE_MINUTES],
+  );
+  return r.rows[0] || null;
+}
+
+/**
+ * Send every due campaign to completion. Returns the number of campaigns
+ * finished.
+ */
+async function runDueCampaigns(limit = 5) {
+  await initOnce();
+  const push = loadPush();
+  let finished = 0;
+
+  for (let i = 0; i < limit; i++) {
+    const c = await claimDue();
+    if (!c) break;
+    c.audience = toObj(c.audience) || { type: "all" };
+
+    try {
+      if (!push?.sendPushToTokens) throw new Error("Push is not configured");
+      // a resumed campaign keeps the deliveries it already resolved
+      if (c.fresh || !c.target_count) await materialize(c);
+      let sent;
+      do {
+        sent = await sendBatch(c, push);
+      } while (sent > 0);
+      await db.query(
+        `UPDATE push_campaigns
+         SET status = 'sent', finished_at = NOW(), updated_at = NOW()
+         WHERE id = $1`,
+        [c.id],
+      );
+    } catch (e) {
+      console.error(`[pushCampaigns] campaign ${c.id}:`, e.message);
+      await db.query(
+        `UPDATE push_campaigns
+         SET status = 'failed', last_error = $2, finished_at = NOW(),
+             updated_at = NOW()
+         WHERE id = $1`,
+        [c.id, String(e.message || e).slice(0, 500)],
+      );
+    }
+    finished += 1;
+  }
+
+  return finished;
+}
+
+module.exports = {
+  STATUSES,
+  ensurePushCampaignTables: initOnce,
+  parseSendAt,
+  previewAudience,
+  listCampaigns,
+  getCampaign,
+  saveCampaign,
+  sendNow,
+  sendTest,
+  cancelCampaign,
+  campaignReport,
+  listDeliveries,
+  sendToTokens,
+  runDueCampaigns,
+};
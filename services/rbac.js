@@ -0,0 +1,348 @@
+// server-api/services/rbac.js
+const db = require("../db");
+
+/**
+ * Roles and permissions, loaded from the database.
+ *
+ *   roles       (name, description, permissions TEXT[], is_system)
+ *   user_roles  (user_id, role_id)
+ *
+ * A user's access is the union of their user_roles plus the legacy
+ * users.role / users.is_admin columns (users.role = 'admin' still means
+ * admin, users.role = 'moderator' picks up the moderator role, etc.).
+ *
+ * Permissions are "<area>:<action>" strings; "*" grants everything and
+ * "<area>:*" grants every action in an area.
+ *
+ * Access is cached in-process for RBAC_CACHE_MS (default 30s); role edits
+ * through this module invalidate it immediately on this process.
+ */
+
+const CACHE_MS = Number(process.env.RBAC_CACHE_MS || 30000);
+
+const PERMISSIONS = {
+  "users:manage": "View and edit user accounts",
+  "roles:manage": "Create roles and assign them to users",
+  "videos:publish": "Publish, unpublish and schedule videos",
+  "videos:edit": "Edit any video, category or playlist",
+  "videos:import": "Run storage imports",
+  "storage:manage": "Manage storage connections",
+  "live:manage": "Create and run live events",
+  "calendar:edit": "Edit the calendar, series and feeds",
+  "pages:edit": "Edit pages and resources",
+  "email:send": "Send broadcasts and manage campaigns",
+  "email:manage": "Email provider settings and suppression list",
+  "push:send": "Send push notification campaigns",
+  "community:moderate": "Work the moderation queue and suspend members",
+  "analytics:view": "View dashboards and analytics",
+};
+
+const SYSTEM_ROLES = [
+  { name: "admin", description: "Full access", permissions: ["*"] },
+  {
+    name: "editor",
+    description: "Content and schedule",
+    permissions: [
+      "videos:publish",
+      "videos:edit",
+      "videos:import",
+      "live:manage",
+      "calendar:edit",
+      "pages:edit",
+    ],
+  },
+  {
+    name: "moderator",
+    description: "Community moderation",
+    permissions: ["community:moderate"],
+  },
+  {
+    name: "marketer",
+    description: "Email, push and analytics",
+    permissions: ["email:send", "push:send", "analytics:view"],
+  },
+];
+
+// Legacy users.role values that mean "admin"
+const LEGACY_ADMIN_ROLES = ["admin", "owner", "super_admin", "superadmin"];
+
+/* ───────────────────────── DB bootstrap ───────────────────────── */
+
+async function ensureRbacTables() {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS roles (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL UNIQUE,
+      description TEXT,
+      permissions TEXT[] NOT NULL DEFAULT '{}',
+      is_system BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS user_roles (
+      user_id INTEGER NOT NULL,
+      role_id INTEGER NOT NULL REFERENCES roles(id) ON DELETE CASCADE,
+      granted_by INTEGER,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (user_id, role_id)
+    );
+  `);
+
+  for (const r of SYSTEM_ROLES) {
+    await db.query(
+      `INSERT INTO roles (name, description, permissions, is_system)
+       VALUES ($1, $2, $3::text[], TRUE)
+       ON CONFLICT (name) DO NOTHING`,
+      [r.name, r.description, r.permissions],
+    );
+  }
+}
+
+let __initPromise = null;
+function initOnce() {
+  if (!__initPromise) {
+    __initPromise = ensureRbacTables().catch((e) => {
+      console.error("[rbac] ensureRbacTables failed:", e);
+      __initPromise = null;
+      throw e;
+    });
+  }
+  return __initPromise;
+}
+
+/* ───────────────────────── helpers ───────────────────────── */
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function cleanRoleName(v) {
+  return String(v || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, "_");
+}
+
+function cleanPermissions(list) {
+  const out = new Set();
+  for (const p of Array.isArray(list) ? list : []) {
+    const s = String(p || "").trim();
+    if (!s) continue;
+    const area = s.split(":")[0];
+    const known =
+      s === "*" ||
+      PERMISSIONS[s] ||
+      (s.endsWith(":*") &&
+        Object.keys(PERMISSIONS).some((k) => k.startsWith(`${area}:`)));
+    if (!known) throw badRequest(`Unknown permission "${s}"`);
+    out.add(s);
+  }
+  return [...out];
+}
+
+/**
+ * Does a permission list grant `permission`?
+ * Accepts an access object, a req.user decorated by middleware/rbac, or
+ * a plain array.
+ */
+function can(subject, permission) {
+  const perms = Array.isArray(subject) ? subject : subject?.permissions || [];
+  if (!permission) return true;
+  if (perms.includes("*") || perms.includes(permission)) return true;
+  const area = String(permission).split(":")[0];
+  return perms.includes(`${area}:*`);
+}
+
+/* ───────────────────────── access ───────────────────────── */
+
+// userId -> { at, access }
+const cache = new Map();
+
+function invalidateAccess(userId) {
+  if (userId == null) cache.clear();
+  else cache.delete(String(userId));
+}
+
+/**
+ * { userId, roles: [names], permissions: [..], isAdmin }
+ * Unknown users get an empty access object.
+ */
+async function loadAccess(userId) {
+  const key = String(userId);
+  const hit = cache.get(key);
+  if (hit && Date.now() - hit.at < CACHE_MS) return hit.access;
+
+  await initOnce();
+
+  // to_jsonb() keeps this working whether or not users.is_admin exists
+  const r = await db.query(
+    `WITH u AS (
+       SELECT x.id,
+              LOWER(COALESCE(to_jsonb(x) ->> 'role', '')) AS legacy_role,
+              COALESCE((to_jsonb(x) ->> 'is_admin')::boolean, FALSE) AS is_admin
+       FROM users x
+       WHERE x.id = $1
+     ),
+     granted AS (
+       SELECT ro.name, ro.permissions
+       FROM roles ro, u
+       WHERE ro.id IN (SELECT role_id FROM user_roles WHERE user_id = u.id)
+          OR ro.name = u.legacy_role
+          OR (ro.name = 'admin'
+              AND (u.legacy_role = ANY($2::text[]) OR u.is_admin))
+     )
+     SELECT (SELECT COUNT(*) FROM u)::int AS found,
+            COALESCE((SELECT array_agg(DISTINCT name) FROM granted), '{}') AS roles,
+            COALESCE((SELECT array_agg(DISTINCT p)
+                        FROM granted, unnest(granted.permissions) p), '{}') AS permissions`,
+    [userId, LEGACY_ADMIN_ROLES],
+  );
+
+  const row = r.rows[0];
+  const access = {
+    userId: row?.found ? Number(userId) : null,
+    roles: row?.roles || [],
+    permissions: row?.permissions || [],
+    isAdmin: false,
+  };
+  access.isAdmin = access.permissions.includes("*");
+
+  cache.set(key, { at: Date.now(), access });
+  return access;
+}
+
+/* ───────────────────────── role admin ───────────────────────── */
+
+async function listRoles() {
+  await initOnce();
+  const r = await db.query(
+    `SELECT ro.id, ro.name, ro.description, ro.permissions, ro.is_system,
+            ro.created_at, ro.updated_at,
+            (SELECT COUNT(*)::int FROM user_roles ur WHERE ur.role_id = ro.id) AS members
+     FROM roles ro
+     ORDER BY ro.is_system DESC, ro.name ASC`,
+  );
+  return r.rows;
+}
+
+async function saveRole({ id, name, description, permissions }) {
+  await initOnce();
+  const perms = cleanPermissions(permissions);
+
+  if (id) {
+    const cur = await db.query(`SELECT is_system FROM roles WHERE id = $1`, [
+      id,
+    ]);
+    if (!cur.rows[0]) return null;
+    if (cur.rows[0].is_system) {
+      throw badRequest("System roles can't be edited");
+    }
+    const r = await db.query(
+      `UPDATE roles
+       SET description = COALESCE($2, description),
+           permissions = $3::text[], updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [id, description ?? null, perms],
+    );
+    invalidateAccess();
+    return r.rows[0];
+  }
+
+  const roleName = cleanRoleName(name);
+  if (!roleName) throw badRequest("Role name is required");
+  const r = await db.query(
+    `INSERT INTO roles (name, description, permissions)
+     VALUES ($1, $2, $3::text[])
+     ON CONFLICT (name) DO NOTHING
+     RETURNING *`,
+    [roleName, description || null, perms],
+  );
+  if (!r.rows[0]) throw badRequest(`Role "${roleName}" already exists`);
+  return r.rows[0];
+}
+
+async function deleteRole(id) {
+  await initOnce();
+  const r = await db.query(
+    `DELETE FROM roles WHERE id = $1 AND is_system = FALSE`,
+    [id],
+  );
+  invalidateAccess();
+  return (r.rowCount || 0) > 0;
+}
+
+async function getUserRoles(userId) {
+  await initOnce();
+  const r = await db.query(
+    `SELECT ro.id, ro.name, ur.granted_by, ur.created_at
+     FROM user_roles ur
+     JOIN roles ro ON ro.id = ur.role_id
+     WHERE ur.user_id = $1
+     ORDER BY ro.name`,
+    [userId],
+  );
+  return r.rows;
+}
+
+/**
+ * Replace a user's assigned roles with `roleNames`. Legacy users.role is
+ * left alone. Returns the user's fresh access.
+ */
+async function setUserRoles(userId, roleNames, grantedBy) {
+  await initOnce();
+  const names = [...new Set((roleNames || []).map(cleanRoleName))].filter(
+    Boolean,
+  );
+
+  const found = await db.query(
+    `SELECT id, name FROM roles WHERE name = ANY($1::text[])`,
+    [names],
+  );
+  const missing = names.filter(
+    (n) => !found.rows.some((row) => row.name === n),
+  );
+  if (missing.length)
+    throw badRequest(`Unknown role(s): ${missing.join(", ")}`);
+
+  const client = await db.pool.connect();
+  try {
+    await client.query("BEGIN");
+    await client.query(`DELETE FROM user_roles WHERE user_id = $1`, [userId]);
+    for (const row of found.rows) {
+      await client.query(
+        `INSERT INTO user_roles (user_id, role_id, granted_by)
+         VALUES ($1, $2, $3)`,
+        [userId, row.id, grantedBy || null],
+      );
+    }
+    await client.query("COMMIT");
+  } catch (e) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    throw e;
+  } finally {
+    client.release();
+  }
+
+  invalidateAccess(userId);
+  return loadAccess(userId);
+}
+
+module.exports = {
+  PERMISSIONS,
+  ensureRbacTables: initOnce,
+  can,
+  loadAccess,
+  invalidateAccess,
+  listRoles,
+  saveRole,
+  deleteRole,
+  getUserRoles,
+  setUserRoles,
+};
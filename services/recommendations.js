@@ -0,0 +1,372 @@
+// server-api/services/recommendations.js
+const db = require("../db");
+const { ensureProgressTable } = require("./watchProgress");
+
+/**
+ * "Recommended for you" (GET /api/videos/recommended).
+ *
+ * Precomputed nightly by workers/recommendationsWorker.js:
+ *   video_cowatch     users who finished X also finished Y (cosine score,
+ *                     top COWATCH_PER_VIDEO per video), from analytics_events
+ *                     video_complete + completed watch_progress rows
+ *   video_popularity  plays / finishes in the last 30 days
+ *
+ * Per request a user's seeds are their watch_progress rows (finished weigh
+ * more, older ones decay) and watchlist. Candidates are scored by
+ *
+ *   W_COWATCH * co-watch with seeds + W_CATEGORY * category affinity
+ *   + W_POPULAR * popularity
+ *
+ * and anything already started or saved is skipped. Users with no seeds
+ * (and anonymous callers) get popular-in-last-30-days.
+ */
+
+const WEIGHTS = {
+  cowatch: Number(process.env.RECS_W_COWATCH || 0.6),
+  category: Number(process.env.RECS_W_CATEGORY || 0.25),
+  popular: Number(process.env.RECS_W_POPULAR || 0.15),
+};
+const COWATCH_PER_VIDEO = 50;
+const COWATCH_MIN_USERS = Number(process.env.RECS_COWATCH_MIN_USERS || 2);
+const COWATCH_LOOKBACK_DAYS = 180;
+// UTC hour after which the nightly precompute may run
+const RUN_HOUR_UTC = Number(process.env.RECS_RUN_HOUR_UTC ?? 3);
+
+/* ───────────────────────── DB bootstrap ───────────────────────── */
+
+async function ensureRecommendationTables() {
+  await ensureProgressTable();
+
+  // Same table as routes/library.js (watchlist)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS user_watchlist (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      video_id INTEGER NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      UNIQUE (user_id, video_id)
+    );
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS video_cowatch (
+      video_id INTEGER NOT NULL,
+      other_video_id INTEGER NOT NULL,
+      users INTEGER NOT NULL DEFAULT 0,
+      score NUMERIC NOT NULL DEFAULT 0,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (video_id, other_video_id)
+    );
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS video_popularity (
+      video_id INTEGER PRIMARY KEY,
+      plays_30d INTEGER NOT NULL DEFAULT 0,
+      finishes_30d INTEGER NOT NULL DEFAULT 0,
+      score NUMERIC NOT NULL DEFAULT 0,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  // One row per nightly run; run_date makes the run claimable once
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS recommendation_runs (
+      id SERIAL PRIMARY KEY,
+      run_date DATE NOT NULL UNIQUE,
+      started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      finished_at TIMESTAMPTZ,
+      pairs INTEGER,
+      videos INTEGER,
+      error TEXT
+    );
+  `);
+}
+
+let __initPromise = null;
+function initOnce() {
+  if (!__initPromise) {
+    __initPromise = ensureRecommendationTables().catch((e) => {
+      console.error("[recommendations] ensureRecommendationTables failed:", e);
+      __initPromise = null;
+      throw e;
+    });
+  }
+  return __initPromise;
+}
+
+/* ───────────────────────── SQL pieces ───────────────────────── */
+
+// Plays are deduped per user per day, finishes per user; anonymous
+// events count once each
+const POPULARITY_SQL = `
+  SELECT ae.video_id,
+         (COUNT(DISTINCT CASE WHEN ae.user_id IS NOT NULL AND ae.event_type = 'video_play'
+                              THEN ae.user_id::text || ':' || ae.created_at::date END)
+          + COUNT(*) FILTER (WHERE ae.user_id IS NULL AND ae.event_type = 'video_play'))::int AS plays_30d,
+         (COUNT(DISTINCT CASE WHEN ae.user_id IS NOT NULL AND ae.event_type = 'video_complete'
+                              THEN ae.user_id::text END)
+          + COUNT(*) FILTER (WHERE ae.user_id IS NULL AND ae.event_type = 'video_complete'))::int AS finishes_30d
+  FROM analytics_events ae
+  WHERE ae.video_id IS NOT NULL
+    AND ae.event_type IN ('video_play', 'video_complete')
+    AND ae.created_at >= NOW() - interval '30 days'
+  GROUP BY ae.video_id`;
+
+const VIDEO_COLUMNS = `
+  v.id, v.title, v.description, v.thumbnail_url, v.category_id,
+  c.name AS category_name, v.duration_seconds,
+  COALESCE(v.is_premium, TRUE) AS is_premium,
+  v.published_at, v.created_at`;
+
+const VISIBLE_SQL = `v.is_published = TRUE AND v.visibility <> 'unlisted'`;
+
+/* ───────────────────────── precompute ───────────────────────── */
+
+/**
+ * Rebuild video_cowatch and video_popularity.
+ * Returns { pairs, videos }.
+ */
+async function precompute() {
+  await initOnce();
+  const client = await db.pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    await client.query(`DELETE FROM video_cowatch`);
+    const pairs = await client.query(
+      `WITH finished AS (
+         SELECT DISTINCT ae.user_id::text AS user_id, ae.video_id::int AS video_id
+         FROM analytics_events ae
+         WHERE ae.event_type = 'video_complete'
+           AND ae.user_id IS NOT NULL
+           AND ae.video_id IS NOT NULL
+           AND ae.created_at >= NOW() - ($1::int * interval '1 day')
+         UNION
+         SELECT wp.user_id, wp.video_id
+         FROM watch_progress wp
+         WHERE wp.completed = TRUE
+       ),
+       totals AS (
+         SELECT video_id, COUNT(*) AS n FROM finished GROUP BY video_id
+       ),
+       pairs AS (
+         SELECT a.video_id, b.video_id AS other_video_id, COUNT(*)::int AS users
+         FROM finished a
+         JOIN finished b ON b.user_id = a.user_id AND b.video_id <> a.video_id
+         GROUP BY a.video_id, b.video_id
+         HAVING COUNT(*) >= $2
+       ),
+       ranked AS (
+         SELECT p.*,
+                p.users / SQRT(ta.n * tb.n) AS score,
+                ROW_NUMBER() OVER (PARTITION BY p.video_id
+                                   ORDER BY p.users DESC, p.other_video_id) AS rn
+         FROM pairs p
+         JOIN totals ta ON ta.video_id = p.video_id
+         JOIN totals tb ON tb.video_id = p.other_video_id
+       )
+       INSERT INTO video_cowatch (video_id, other_video_id, users, score, updated_at)
+       SELECT video_id, other_video_id, users, score, NOW()
+       FROM ranked
+       WHERE rn <= $3`,
+      [COWATCH_LOOKBACK_DAYS, COWATCH_MIN_USERS, COWATCH_PER_VIDEO],
+    );
+
+    await client.query(`DELETE FROM video_popularity`);
+    const videos = await client.query(
+      `INSERT INTO video_popularity (video_id, plays_30d, finishes_30d, score, updated_at)
+       SELECT p.video_id::int, p.plays_30d, p.finishes_30d,
+              p.plays_30d + 2 * p.finishes_30d, NOW()
+       FROM (${POPULARITY_SQL}) p
+       JOIN videos v ON v.id = p.video_id::int`,
+    );
+
+    await client.query("COMMIT");
+    return { pairs: pairs.rowCount || 0, videos: videos.rowCount || 0 };
+  } catch (e) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Run precompute() once per UTC day after RUN_HOUR_UTC. Safe to call from
+ * several instances: the day's recommendation_runs row is the claim.
+ * Returns the run summary, or null when nothing was due.
+ */
+async function runNightlyIfDue(now = new Date()) {
+  await initOnce();
+  if (now.getUTCHours() < RUN_HOUR_UTC) return null;
+
+  const claim = await db.query(
+    `INSERT INTO recommendation_runs (run_date)
+     VALUES ($1::date)
+     ON CONFLICT (run_date) DO NOTHING
+     RETURNING id`,
+    [now.toISOString().slice(0, 10)],
+  );
+  const runId = claim.rows[0]?.id;
+  if (!runId) return null;
+
+  try {
+    const result = await precompute();
+    await db.query(
+      `UPDATE recommendation_runs
+       SET finished_at = NOW(), pairs = $2, videos = $3
+       WHERE id = $1`,
+      [runId, result.pairs, result.videos],
+    );
+    return result;
+  } catch (e) {
+    await db.query(
+      `UPDATE recommendation_runs SET finished_at = NOW(), error = $2 WHERE id = $1`,
+      [runId, String(e?.message || e).slice(0, 1000)],
+    );
+    throw e;
+  }
+}
+
+/* ───────────────────────── reads ───────────────────────── */
+
+/**
+ * Popular in the last 30 days. Reads video_popularity; before the first
+ * nightly run it computes the same numbers on the fly, and with no plays
+ * at all it falls back to the newest videos.
+ */
+async function popular({ limit = 20, excludeUserId = null } = {}) {
+  await initOnce();
+  const take = Math.min(Math.max(Number(limit) || 20, 1), 100);
+
+  const precomputed = await db.query(
+    `SELECT EXISTS (SELECT 1 FROM video_popularity) AS ready`,
+  );
+  const source = precomputed.rows[0]?.ready
+    ? `SELECT video_id, plays_30d, finishes_30d FROM video_popularity`
+    : `SELECT video_id::int AS video_id, plays_30d, finishes_30d FROM (${POPULARITY_SQL}) live`;
+
+  const r = await db.query(
+    `WITH pop AS (${source})
+     SELECT ${VIDEO_COLUMNS},
+            COALESCE(p.plays_30d, 0) AS plays_30d,
+            COALESCE(p.plays_30d, 0) + 2 * COALESCE(p.finishes_30d, 0) AS score,
+            'popular' AS reason
+     FROM videos v
+     LEFT JOIN pop p ON p.video_id = v.id
+     LEFT JOIN categories c ON c.id = v.category_id
+     WHERE ${VISIBLE_SQL}
+       AND ($2::text IS NULL OR v.id NOT IN (
+             SELECT video_id FROM watch_progress
+             WHERE user_id = $2 AND completed = TRUE))
+     ORDER BY score DESC, COALESCE(v.published_at, v.created_at) DESC
+     LIMIT $1`,
+    [take, excludeUserId == null ? null : String(excludeUserId)],
+  );
+  return r.rows;
+}
+
+/**
+ * Personalized list for a user: { strategy, items }.
+ * strategy is "personalized" or "popular" (cold start).
+ */
+async function recommendFor(userId, { limit = 20 } = {}) {
+  await initOnce();
+  const take = Math.min(Math.max(Number(limit) || 20, 1), 100);
+
+  if (userId == null) {
+    return { strategy: "popular", items: await popular({ limit: take }) };
+  }
+
+  const r = await db.query(
+    `WITH seen AS (
+       SELECT video_id, completed, updated_at
+       FROM watch_progress
+       WHERE user_id = $1::text
+     ),
+     saved AS (
+       SELECT video_id FROM user_watchlist WHERE user_id::text = $1::text
+     ),
+     seeds AS (
+       SELECT video_id,
+              (CASE WHEN completed THEN 1.0 ELSE 0.5 END)
+                * EXP(-EXTRACT(EPOCH FROM (NOW() - updated_at)) / 86400 / 60) AS w
+       FROM seen
+       UNION ALL
+       SELECT video_id, 0.75 FROM saved
+     ),
+     cat AS (
+       SELECT v.category_id, SUM(s.w) AS w
+       FROM seeds s
+       JOIN videos v ON v.id = s.video_id
+       WHERE v.category_id IS NOT NULL
+       GROUP BY v.category_id
+     ),
+     cat_norm AS (
+       SELECT category_id, w / NULLIF(MAX(w) OVER (), 0) AS affinity FROM cat
+     ),
+     co AS (
+       SELECT cw.other_video_id AS video_id, SUM(cw.score * s.w) AS s
+       FROM video_cowatch cw
+       JOIN seeds s ON s.video_id = cw.video_id
+       GROUP BY cw.other_video_id
+     ),
+     co_norm AS (
+       SELECT video_id, s / NULLIF(MAX(s) OVER (), 0) AS cowatch FROM co
+     ),
+     pop_norm AS (
+       SELECT video_id, score / NULLIF(MAX(score) OVER (), 0) AS popular
+       FROM video_popularity
+     ),
+     scored AS (
+       SELECT v.id,
+              COALESCE(cn.cowatch, 0) AS cowatch,
+              COALESCE(ca.affinity, 0) AS category,
+              COALESCE(pn.popular, 0) AS popular
+       FROM videos v
+       LEFT JOIN co_norm cn ON cn.video_id = v.id
+       LEFT JOIN cat_norm ca ON ca.category_id = v.category_id
+       LEFT JOIN pop_norm pn ON pn.video_id = v.id
+       WHERE ${VISIBLE_SQL}
+         AND v.id NOT IN (SELECT video_id FROM seen)
+         AND v.id NOT IN (SELECT video_id FROM saved)
+     )
+     SELECT ${VIDEO_COLUMNS},
+            (s.cowatch * $3 + s.category * $4 + s.popular * $5)::float AS score,
+            CASE
+              WHEN s.cowatch > 0 THEN 'cowatch'
+              WHEN s.category > 0 THEN 'category'
+              ELSE 'popular'
+            END AS reason,
+            (SELECT COUNT(*) FROM seeds)::int AS seed_count
+     FROM scored s
+     JOIN videos v ON v.id = s.id
+     LEFT JOIN categories c ON c.id = v.category_id
+     ORDER BY score DESC, COALESCE(v.published_at, v.created_at) DESC
+     LIMIT $2`,
+    [String(userId), take, WEIGHTS.cowatch, WEIGHTS.category, WEIGHTS.popular],
+  );
+
+  const seedCount = r.rows[0]?.seed_count || 0;
+  if (!seedCount) {
+    return {
+      strategy: "popular",
+      items: await popular({ limit: take, excludeUserId: userId }),
+    };
+  }
+  return {
+    strategy: "personalized",
+    items: r.rows.map(({ seed_count, ...row }) => row),
+  };
+}
+
+module.exports = {
+  ensureRecommendationTables: initOnce,
+  precompute,
+  runNightlyIfDue,
+  popular,
+  recommendFor,
+};
@@ -0,0 +1,396 @@
+// server-api/services/recurrence.js
+/**
+ * Recurring calendar series expansion (a practical subset of RFC 5545 RRULE).
+ *
+ * recurrence_json:
+ *   {
+ *     freq: "daily" | "weekly" | "monthly" | "yearly",
+ *     interval: 1,
+ *     byweekday: ["MO", "WE"] | ["2SU", "-1FR"],  // ordinals: monthly/yearly
+ *     bymonthday: [1, 15, -1],                     // monthly/yearly
+ *     bymonth: [1, 12],                            // yearly
+ *     bysetpos: [-1],                              // monthly/yearly
+ *     wkst: "MO",                                  // weekly: first day of
+ *                                                  // the week (missing = the
+ *                                                  // start's weekday)
+ *     count: 10 | null,
+ *     until: ISO | null,
+ *     timezone: "America/New_York"                 // missing = UTC
+ *   }
+ *
+ * All day math happens on wall-clock dates in the series time zone, and each
+ * occurrence keeps the wall-clock time of the series start, so a 10:00 event
+ * stays at 10:00 on both sides of a DST change. Occurrences are identified by
+ * their local date (YYYY-MM-DD), which is also what exceptions are keyed on.
+ */
+
+const { tzOffsetMs, zonedToUtc, isValidTimeZone } = require("./ical");
+
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// hard stop for pathological rules (e.g. BYSETPOS that never matches)
+const MAX_PERIODS = 20000;
+
+function resolveTimeZone(tz) {
+  return isValidTimeZone(tz) ? tz : "UTC";
+}
+
+/** Wall-clock fields of an instant in `tz` (dow: 0 = Sunday). */
+function localParts(value, tz) {
+  const date = new Date(value);
+  const l = new Date(date.getTime() + tzOffsetMs(date, resolveTimeZone(tz)));
+  return {
+    y: l.getUTCFullYear(),
+    m: l.getUTCMonth(),
+    d: l.getUTCDate(),
+    h: l.getUTCHours(),
+    mi: l.getUTCMinutes(),
+    s: l.getUTCSeconds(),
+    ms: date.getUTCMilliseconds(),
+    dow: l.getUTCDay(),
+  };
+}
+
+/* ───────────── local dates as day numbers (days since 1970-01-01) ───────────── */
+
+function dayNum(y, m, d) {
+  return Math.floor(Date.UTC(y, m, d) / DAY_MS);
+}
+
+function fromDayNum(n) {
+  const d = new Date(n * DAY_MS);
+  return {
+    y: d.getUTCFullYear(),
+    m: d.getUTCMonth(),
+    d: d.getUTCDate(),
+    dow: d.getUTCDay(),
+  };
+}
+
+function dayNumToDateOnly(n) {
+  return new Date(n * DAY_MS).toISOString().slice(0, 10);
+}
+
+function dateOnlyToDayNum(s) {
+  const [y, m, d] = String(s).split("-").map(Number);
+  return dayNum(y, m - 1, d);
+}
+
+/** Local calendar date (YYYY-MM-DD) of an instant in `tz`. */
+function toLocalDateOnly(value, tz) {
+  const p = localParts(value, tz);
+  return dayNumToDateOnly(dayNum(p.y, p.m, p.d));
+}
+
+/** "2SU" -> { n: 2, wd: 0 }, "FR" -> { n: 0, wd: 5 } */
+function parseWeekday(token) {
+  const m = String(token || "")
+    .trim()
+    .toUpperCase()
+    .match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+  if (!m) return null;
+  return { n: m[1] ? Number(m[1]) : 0, wd: WEEKDAYS.indexOf(m[2]) };
+}
+
+function daysInMonth(y, m) {
+  return new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+}
+
+/**
+ * Days of one month matched by BYMONTHDAY / BYDAY (intersection when both
+ * are present). Returns null when the rule has neither.
+ */
+function matchMonthDays(y, m, rec) {
+  const last = daysInMonth(y, m);
+  let days = null;
+
+  if (rec.bymonthday?.length) {
+    days = new Set(
+      rec.bymonthday
+        .map((v) => (v > 0 ? v : last + v + 1))
+        .filter((v) => v >= 1 && v <= last),
+    );
+  }
+
+  if (rec.byweekday?.length) {
+    const byDay = new Set();
+    for (const w of rec.byweekday.map(parseWeekday).filter(Boolean)) {
+      const all = [];
+      for (let d = 1; d <= last; d++) {
+        if (new Date(Date.UTC(y, m, d)).getUTCDay() === w.wd) all.push(d);
+      }
+      if (!w.n) all.forEach((d) => byDay.add(d));
+      else {
+        const pick = w.n > 0 ? all[w.n - 1] : all[all.length + w.n];
+        if (pick) byDay.add(pick);
+      }
+    }
+    days = days ? new Set([...days].filter((d) => byDay.has(d))) : byDay;
+  }
+
+  return days ? [...days].sort((a, b) => a - b) : null;
+}
+
+function applySetPos(list, bysetpos) {
+  if (!bysetpos?.length || !list.length) return list;
+  const picked = new Set();
+  for (const pos of bysetpos) {
+    const v = pos > 0 ? list[pos - 1] : list[list.length + pos];
+    if (v !== undefined) picked.add(v);
+  }
+  return [...picked].sort((a, b) => a - b);
+}
+
+/** First day of the week block holding the series start (weekly rules). */
+function weekAnchor(rec, start, startDay) {
+  if (rec.wkst === null) return startDay;
+  return startDay - ((start.dow - rec.wkst + 7) % 7);
+}
+
+/** Candidate local days (day numbers, ascending) for period `k`. */
+function periodCandidates(rec, start, startDay, k) {
+  const interval = rec.interval;
+  const weekdays = (rec.byweekday || [])
+    .map(parseWeekday)
+    .filter((w) => w && !w.n)
+    .map((w) => w.wd);
+
+  if (rec.freq === "daily") {
+    const day = startDay + k * interval;
+    const p = fromDayNum(day);
+    if (weekdays.length && !weekdays.includes(p.dow)) return [];
+    if (rec.bymonth?.length && !rec.bymonth.includes(p.m + 1)) return [];
+    return [day];
+  }
+
+  if (rec.freq === "weekly") {
+    // week blocks start on wkst (or the series start day without one)
+    const first = weekAnchor(rec, start, startDay) + k * interval * 7;
+    const want = weekdays.length ? weekdays : [start.dow];
+    const out = [];
+    for (let i = 0; i < 7; i++) {
+      if (want.includes(fromDayNum(first + i).dow)) out.push(first + i);
+    }
+    return applySetPos(out, rec.bysetpos);
+  }
+
+  if (rec.freq === "monthly") {
+    const mIndex = start.m + k * interval;
+    const y = start.y + Math.floor(mIndex / 12);
+    const m = ((mIndex % 12) + 12) % 12;
+    // no day rule: day-of-month of the start, clamped (31st -> 30th/28th)
+    const days = matchMonthDays(y, m, rec) || [
+      Math.min(start.d, daysInMonth(y, m)),
+    ];
+    return applySetPos(
+      days.map((d) => dayNum(y, m, d)),
+      rec.bysetpos,
+    );
+  }
+
+  // yearly
+  const y = start.y + k * interval;
+  const months = rec.bymonth?.length
+    ? [...rec.bymonth].sort((a, b) => a - b).map((v) => v - 1)
+    : [start.m];
+  const out = [];
+  for (const m of months) {
+    const days = matchMonthDays(y, m, rec) || [start.d];
+    for (const d of days) {
+      if (d <= daysInMonth(y, m)) out.push(dayNum(y, m, d));
+    }
+  }
+  return applySetPos(out, rec.bysetpos);
+}
+
+/** Index of the period that contains local day `day`. */
+function periodIndexOf(rec, start, startDay, day) {
+  const p = fromDayNum(day);
+  switch (rec.freq) {
+    case "daily":
+      return Math.floor((day - startDay) / rec.interval);
+    case "weekly":
+      return Math.floor(
+        (day - weekAnchor(rec, start, startDay)) / (7 * rec.interval),
+      );
+    case "monthly":
+      return Math.floor(
+        ((p.y - start.y) * 12 + (p.m - start.m)) / rec.interval,
+      );
+    default:
+      return Math.floor((p.y - start.y) / rec.interval);
+  }
+}
+
+function normalizeRule(rec, start) {
+  const freq = String(rec?.freq || "weekly").toLowerCase();
+  const ints = (v) =>
+    (Array.isArray(v) ? v : [])
+      .map(Number)
+      .filter((n) => Number.isInteger(n) && n !== 0);
+
+  return {
+    freq: ["daily", "weekly", "monthly", "yearly"].includes(freq)
+      ? freq
+      : "weekly",
+    interval: Math.max(1, Number(rec?.interval) || 1),
+    byweekday: (Array.isArray(rec?.byweekday) ? rec.byweekday : []).filter(
+      (w) => parseWeekday(w),
+    ),
+    bymonthday: ints(rec?.bymonthday),
+    bymonth: ints(rec?.bymonth),
+    bysetpos: ints(rec?.bysetpos),
+    count: Number(rec?.count) > 0 ? Math.floor(Number(rec.count)) : null,
+    until: rec?.until ? new Date(rec.until).getTime() : null,
+    wkst: parseWeekday(rec?.wkst)?.n === 0 ? parseWeekday(rec.wkst).wd : null,
+    start,
+  };
+}
+
+/** Series row -> { rec, tz } with recurrence parsed from any stored shape. */
+function seriesRule(seriesRow) {
+  let rec =
+    seriesRow.recurrence ||
+    seriesRow.recurrence_json ||
+    seriesRow.recurrence_rule ||
+    null;
+  if (typeof rec === "string") {
+    try {
+      rec = JSON.parse(rec);
+    } catch {
+      rec = null;
+    }
+  }
+  return { rec: rec || {}, tz: resolveTimeZone(rec?.timezone) };
+}
+
+/**
+ * Occurrence start/end for a local date: the series' wall-clock start time on
+ * that date in `tz`, keeping the series duration.
+ */
+function buildOccurrenceTimestamps(
+  baseStartISO,
+  baseEndISO,
+  occurrenceDateOnly,
+  tz = "UTC",
+) {
+  const zone = resolveTimeZone(tz);
+  const base = localParts(baseStartISO, zone);
+  const day = fromDayNum(dateOnlyToDayNum(occurrenceDateOnly));
+
+  const occStart = new Date(
+    zonedToUtc(day.y, day.m, day.d, base.h, base.mi, base.s, zone).getTime() +
+      base.ms,
+  );
+
+  let occEnd = null;
+  if (baseEndISO) {
+    const durationMs =
+      new Date(baseEndISO).getTime() - new Date(baseStartISO).getTime();
+    if (Number.isFinite(durationMs) && durationMs >= 0) {
+      occEnd = new Date(occStart.getTime() + durationMs);
+    }
+  }
+
+  return {
+    start_at: occStart.toISOString(),
+    end_at: occEnd ? occEnd.toISOString() : null,
+  };
+}
+
+/**
+ * Local dates (YYYY-MM-DD) of the occurrences whose start falls within
+ * [fromISO..toISO]. COUNT is honoured by counting from the series start.
+ */
+function generateOccurrences(seriesRow, fromISO, toISO) {
+  const { rec: raw, tz } = seriesRule(seriesRow);
+  const start = localParts(seriesRow.start_at, tz);
+  const rec = normalizeRule(raw, start);
+  const startDay = dayNum(start.y, start.m, start.d);
+
+  const fromMs = new Date(fromISO).getTime();
+  const toMs = new Date(toISO).getTime();
+  const capMs = rec.until !== null ? Math.min(toMs, rec.until) : toMs;
+  if (capMs < fromMs) return [];
+
+  const fromLocal = localParts(fromISO, tz);
+  const toLocal = localParts(capMs, tz);
+  const fromDay = dayNum(fromLocal.y, fromLocal.m, fromLocal.d) - 1;
+  const lastDay = dayNum(toLocal.y, toLocal.m, toLocal.d) + 1;
+
+  // without COUNT nothing before the range matters, so jump straight to it
+  const firstK = rec.count
+    ? 0
+    : Math.max(0, periodIndexOf(rec, start, startDay, fromDay) - 1);
+
+  const occurrences = [];
+  let emitted = 0;
+
+  for (let k = firstK; k < firstK + MAX_PERIODS; k++) {
+    const days = periodCandidates(rec, start, startDay, k);
+
+    for (const day of days) {
+      if (day < startDay) continue;
+      if (day > lastDay) return occurrences;
+
+      const dateOnly = dayNumToDateOnly(day);
+      const startMs = new Date(
+        buildOccurrenceTimestamps(seriesRow.start_at, null, dateOnly, tz)
+          .start_at,
+      ).getTime();
+
+      if (rec.until !== null && startMs > rec.until) return occurrences;
+      emitted += 1;
+      if (rec.count && emitted > rec.count) return occurrences;
+
+      if (startMs >= fromMs && startMs <= capMs) occurrences.push(dateOnly);
+    }
+
+    // every day of the next period lies past the range
+    if (periodStartDay(rec, start, startDay, k + 1) > lastDay) break;
+  }
+
+  return occurrences;
+}
+
+/** First local day of period `k` (for the loop's stop condition). */
+function periodStartDay(rec, start, startDay, k) {
+  switch (rec.freq) {
+    case "daily":
+      return startDay + k * rec.interval;
+    case "weekly":
+      return weekAnchor(rec, start, startDay) + k * rec.interval * 7;
+    case "monthly": {
+      const mIndex = start.m + k * rec.interval;
+      return dayNum(
+        start.y + Math.floor(mIndex / 12),
+        ((mIndex % 12) + 12) % 12,
+        1,
+      );
+    }
+    default:
+      return dayNum(start.y + k * rec.interval, 0, 1);
+  }
+}
+
+/** True when `dateOnly` is a generated occurrence of the series. */
+function isOccurrence(seriesRow, dateOnly) {
+  const { tz } = seriesRule(seriesRow);
+  const ts = buildOccurrenceTimestamps(seriesRow.start_at, null, dateOnly, tz);
+  return generateOccurrences(seriesRow, ts.start_at, ts.start_at).includes(
+    dateOnly,
+  );
+}
+
+module.exports = {
+  WEEKDAYS,
+  resolveTimeZone,
+  localParts,
+  toLocalDateOnly,
+  parseWeekday,
+  seriesRule,
+  buildOccurrenceTimestamps,
+  generateOccurrences,
+  isOccurrence,
+};
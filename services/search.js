@@ -0,0 +1,387 @@
+// server-api/services/search.js
+const db = require("../db");
+const moderation = require("./moderation");
+
+/**
+ * Site search (GET /api/search) over videos, public playlists, collections,
+ * resources and community posts.
+ *
+ * Matching is Postgres full-text (english config) with every term
+ * prefix-matched ("serm" finds "sermons"), plus pg_trgm word similarity on
+ * titles (the <% operator, pg_trgm.word_similarity_threshold) so small
+ * typos still hit. Results are ranked by ts_rank_cd plus the title
+ * similarity; snippets come from ts_headline. Titles and bodies are
+ * member-written, so ts_headline marks matches with HIGHLIGHT's markers and
+ * headlineHtml() escapes the text before turning those into <mark> tags.
+ *
+ * Videos also match on their caption transcripts (video_caption_cues from
+ * services/captions.js); video items then carry up to MOMENTS_PER_VIDEO
+ * `moments` — the cues where the words are spoken, with a ?t= deep link.
+ *
+ * Each source applies the same visibility the public endpoints use for the
+ * viewer (admins see everything). Premium videos are returned with
+ * locked = true for viewers without an active subscription, or left out
+ * with includeLocked: false; their transcripts are neither matched nor
+ * returned as moments for those viewers.
+ *
+ * Indexes and the pg_trgm extension are created by
+ * db/migrations/20261019_05_search.sql. Without pg_trgm the typo matching
+ * is skipped; missing source tables are skipped too.
+ */
+
+const TYPES = ["video", "playlist", "collection", "resource", "post"];
+const SOURCE_TABLES = {
+  video: "videos",
+  playlist: "playlists",
+  collection: "collections",
+  resource: "resources",
+  post: "community_posts",
+};
+const MAX_TERMS = 8;
+const MOMENTS_PER_VIDEO = 3;
+const CAPABILITIES_TTL_MS = 5 * 60 * 1000;
+// ts_headline StartSel/StopSel; private-use characters that never show up
+// in real text
+const MARK_START = "\uE000";
+const MARK_STOP = "\uE001";
+const HIGHLIGHT = `StartSel="${MARK_START}", StopSel="${MARK_STOP}"`;
+
+/* ───────────────────────── capabilities ───────────────────────── */
+
+let __caps = null;
+
+// Which source tables exist, whether pg_trgm is installed and whether
+// caption transcripts are available
+async function capabilities() {
+  if (__caps && Date.now() - __caps.at < CAPABILITIES_TTL_MS) return __caps;
+
+  const r = await db.query(
+    `SELECT EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_trgm') AS trgm,
+            ARRAY(SELECT t FROM unnest($1::text[]) t
+                  WHERE to_regclass('public.' || t) IS NOT NULL) AS tables`,
+    [[...Object.values(SOURCE_TABLES), "video_caption_cues"]],
+  );
+  const tables = new Set(r.rows[0]?.tables || []);
+  __caps = {
+    at: Date.now(),
+    trgm: !!r.rows[0]?.trgm,
+    transcripts: tables.has("video_caption_cues"),
+    types: TYPES.filter((t) => tables.has(SOURCE_TABLES[t])),
+  };
+  return __caps;
+}
+
+/* ───────────────────────── helpers ───────────────────────── */
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function escapeHtml(str = "") {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/** ts_headline(..., HIGHLIGHT) output -> escaped HTML with <mark> tags */
+function headlineHtml(text) {
+  if (text == null) return null;
+  return escapeHtml(text)
+    .split(MARK_START)
+    .join("<mark>")
+    .split(MARK_STOP)
+    .join("</mark>");
+}
+
+/** "Sermon on faith!" -> "sermon:* & faith:*" (null when nothing is left) */
+function toPrefixQuery(q) {
+  const terms = (String(q || "").match(/[\p{L}\p{N}]+/gu) || [])
+    .map((t) => t.toLowerCase())
+    .slice(0, MAX_TERMS);
+  if (!terms.length) return null;
+  return terms.map((t) => `${t}:*`).join(" & ");
+}
+
+function parseTypes(types) {
+  if (!types) return TYPES;
+  const list = (Array.isArray(types) ? types : String(types).split(","))
+    .map((t) => String(t).trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = list.filter((t) => !TYPES.includes(t));
+  if (unknown.length) {
+    throw badRequest(
+      `Unknown type(s): ${unknown.join(", ")}. Use ${TYPES.join(", ")}`,
+    );
+  }
+  return list.length ? list : TYPES;
+}
+
+/**
+ * One SELECT per source, all shaped as
+ *   (type, id, title, body, thumbnail_url, url, created_at, locked, rank)
+ * $1 = tsquery text, $2 = raw query, $3 = viewer id, $4 = viewer is admin,
+ * $5 = viewer entitled
+ */
+function sourceSql(type, { trgm, transcripts }) {
+  const doc = (title, body) =>
+    `to_tsvector('english', COALESCE(${title}, '') || ' ' || COALESCE(${body}, ''))`;
+  const match = (title, body) =>
+    trgm
+      ? `(${doc(title, body)} @@ tsq.q OR $2 <% ${title})`
+      : `${doc(title, body)} @@ tsq.q`;
+  const rank = (title, body) =>
+    trgm
+      ? `ts_rank_cd(${doc(title, body)}, tsq.q) + word_similarity($2, COALESCE(${title}, ''))`
+      : `ts_rank_cd(${doc(title, body)}, tsq.q)`;
+
+  switch (type) {
+    case "video": {
+      const locked =
+        "(COALESCE(v.is_premium, TRUE) AND NOT $5::boolean AND NOT $4::boolean)";
+      // "spoken" (see search()) = cue matches per video in the transcripts;
+      // a locked video's transcript is not searchable
+      const spokenJoin = transcripts
+        ? `LEFT JOIN spoken s ON s.video_id = v.id AND NOT ${locked}`
+        : "";
+      const spokenMatch = transcripts ? " OR s.video_id IS NOT NULL" : "";
+      const spokenRank = transcripts
+        ? " + LEAST(COALESCE(s.n, 0), 10) * 0.02"
+        : "";
+      return `
+        SELECT 'video' AS type, v.id::text AS id, v.title,
+               v.description AS body, v.thumbnail_url,
+               '/watch/' || v.id AS url,
+               COALESCE(v.published_at, v.created_at) AS created_at,
+               ${locked} AS locked,
+               ${rank("v.title", "v.description")}${spokenRank} AS rank
+        FROM videos v
+        CROSS JOIN tsq
+        ${spokenJoin}
+        WHERE ($4::boolean OR (v.is_published = TRUE
+                               AND COALESCE(v.visibility, 'public') <> 'unlisted'))
+          AND (${match("v.title", "v.description")}${spokenMatch})`;
+    }
+
+    case "playlist":
+      return `
+        SELECT 'playlist' AS type, p.id::text AS id, p.title,
+               p.description AS body, p.thumbnail_url,
+               '/playlists/' || COALESCE(p.slug, p.id::text) AS url,
+               p.created_at, FALSE AS locked,
+               ${rank("p.title", "p.description")} AS rank
+        FROM playlists p, tsq
+        WHERE ($4::boolean OR p.visibility = 'public')
+          AND ${match("p.title", "p.description")}`;
+
+    case "collection":
+      return `
+        SELECT 'collection' AS type, c.id::text AS id, c.title,
+               c.description AS body,
+               to_jsonb(c) ->> 'thumbnail_url' AS thumbnail_url,
+               '/collections/' || COALESCE(c.slug, c.id::text) AS url,
+               c.created_at, FALSE AS locked,
+               ${rank("c.title", "c.description")} AS rank
+        FROM collections c, tsq
+        WHERE ($4::boolean OR EXISTS (
+                 SELECT 1
+                 FROM collection_videos cv
+                 JOIN videos v ON v.id = cv.video_id
+                 WHERE cv.collection_id = c.id
+                   AND v.is_published = TRUE
+                   AND v.visibility <> 'unlisted'))
+          AND ${match("c.title", "c.description")}`;
+
+    case "resource":
+      return `
+        SELECT 'resource' AS type, r.id::text AS id, r.title,
+               r.description AS body, NULL::text AS thumbnail_url,
+               r.url, r.created_at, FALSE AS locked,
+               ${rank("r.title", "r.description")} AS rank
+        FROM resources r, tsq
+        WHERE ($4::boolean OR (COALESCE(r.is_active, TRUE) = TRUE
+               AND (r.visibility = 'public'
+                    OR ($3::int IS NOT NULL AND r.visibility = 'members'))))
+          AND ${match("r.title", "r.description")}`;
+
+    case "post":
+      return `
+        SELECT 'post' AS type, p.id::text AS id,
+               COALESCE(NULLIF(p.title, ''), LEFT(p.body, 80)) AS title,
+               p.body, p.media_url AS thumbnail_url,
+               '/community/posts/' || p.id AS url,
+               p.created_at, FALSE AS locked,
+               ${rank("p.title", "p.body")} AS rank
+        FROM community_posts p, tsq
+        WHERE ($4::boolean OR (
+                 (p.visibility = 'public'
+                  OR ($3::int IS NOT NULL AND p.visibility = 'members'))
+                 AND p.is_hidden = FALSE))
+          AND ${match("p.title", "p.body")}`;
+
+    default:
+      throw badRequest(`Unknown type "${type}"`);
+  }
+}
+
+/**
+ * First MOMENTS_PER_VIDEO matching transcript cues per video
+ * -> Map(videoId -> [{ lang, start_seconds, text_html, url }])
+ */
+async function moments(videoIds, tsquery) {
+  const out = new Map();
+  if (!videoIds.length) return out;
+
+  const r = await db.query(
+    `SELECT video_id, lang, start_ms, text_html
+     FROM (
+       SELECT c.video_id, c.lang, c.start_ms,
+              ts_headline('english', c.text, to_tsquery('english', $2),
+                          '${HIGHLIGHT}, HighlightAll=true') AS text_html,
+              ROW_NUMBER() OVER (PARTITION BY c.video_id ORDER BY c.start_ms) AS rn
+       FROM video_caption_cues c
+       WHERE c.video_id = ANY($1::int[])
+         AND to_tsvector('english', c.text) @@ to_tsquery('english', $2)
+     ) m
+     WHERE rn <= $3
+     ORDER BY video_id, start_ms`,
+    [videoIds, tsquery, MOMENTS_PER_VIDEO],
+  );
+  for (const row of r.rows) {
+    if (!out.has(row.video_id)) out.set(row.video_id, []);
+    const start = Math.floor(row.start_ms / 1000);
+    out.get(row.video_id).push({
+      lang: row.lang,
+      start_seconds: start,
+      text_html: headlineHtml(row.text_html),
+      url: `/watch/${row.video_id}?t=${start}`,
+    });
+  }
+  return out;
+}
+
+/* ───────────────────────── public API ───────────────────────── */
+
+/**
+ * search(q, { types, limit, offset, viewer, includeLocked })
+ *   viewer = { id, isAdmin, entitled }
+ * -> { query, total, facets: { video: n, ... }, items: [...] }
+ *
+ * Facet counts cover every type the viewer can see; items are filtered by
+ * `types`.
+ */
+async function search(
+  q,
+  { types, limit = 20, offset = 0, viewer = {}, includeLocked = true } = {},
+) {
+  const query = String(q || "").trim();
+  if (query.length < 2) throw badRequest("q must be at least 2 characters");
+  const tsquery = toPrefixQuery(query);
+  if (!tsquery) throw badRequest("q has no searchable words");
+
+  const wanted = parseTypes(types);
+  const take = Math.min(Math.max(Number(limit) || 20, 1), 50);
+  const skip = Math.max(Number(offset) || 0, 0);
+
+  const caps = await capabilities();
+  if (!caps.types.length) return { query, total: 0, facets: {}, items: [] };
+  // community_posts.is_hidden comes from services/moderation.js
+  if (caps.types.includes("post")) await moderation.ensureModerationTables();
+
+  const hits = `
+    WITH tsq AS (
+      -- every parameter is typed here, whichever sources are included
+      SELECT to_tsquery('english', $1) AS q, $2::text AS raw,
+             $3::int AS viewer_id, $4::boolean AS is_admin,
+             $5::boolean AS entitled, $6::boolean AS include_locked
+    ),${
+      caps.transcripts
+        ? `
+    spoken AS (
+      SELECT c.video_id, COUNT(*)::int AS n
+      FROM video_caption_cues c, tsq
+      WHERE to_tsvector('english', c.text) @@ tsq.q
+      GROUP BY c.video_id
+    ),`
+        : ""
+    }
+    hits AS (
+      ${caps.types.map((t) => sourceSql(t, caps)).join("\nUNION ALL\n")}
+    ),
+    visible AS (
+      SELECT * FROM hits WHERE ($6::boolean OR locked = FALSE)
+    )`;
+  const base = [
+    tsquery,
+    query,
+    viewer.id ?? null,
+    !!viewer.isAdmin,
+    !!viewer.entitled,
+    !!includeLocked,
+  ];
+
+  const [facetRes, pageRes] = await Promise.all([
+    db.query(
+      `${hits}
+       SELECT type, COUNT(*)::int AS n FROM visible GROUP BY type`,
+      base,
+    ),
+    db.query(
+      `${hits},
+       page AS (
+         SELECT * FROM visible
+         WHERE type = ANY($7::text[])
+         ORDER BY rank DESC, created_at DESC NULLS LAST
+         LIMIT $8 OFFSET $9
+       )
+       SELECT page.type, page.id, page.title, page.thumbnail_url, page.url,
+              page.created_at, page.locked,
+              ROUND(page.rank::numeric, 4)::float AS score,
+              ts_headline('english', COALESCE(page.title, ''), tsq.q,
+                          '${HIGHLIGHT}, HighlightAll=true') AS title_html,
+              ts_headline('english', COALESCE(page.body, ''), tsq.q,
+                          '${HIGHLIGHT}, MaxWords=30, MinWords=12, MaxFragments=2') AS snippet
+       FROM page, tsq
+       ORDER BY page.rank DESC, page.created_at DESC NULLS LAST`,
+      [...base, wanted, take, skip],
+    ),
+  ]);
+
+  const facets = {};
+  for (const t of caps.types) facets[t] = 0;
+  for (const row of facetRes.rows) facets[row.type] = row.n;
+
+  const items = pageRes.rows.map((row) => ({
+    ...row,
+    title_html: headlineHtml(row.title_html),
+    snippet: headlineHtml(row.snippet),
+  }));
+  if (caps.transcripts) {
+    const ids = items
+      .filter((it) => it.type === "video" && !it.locked)
+      .map((it) => Number(it.id));
+    const byVideo = await moments(ids, tsquery);
+    for (const it of items) {
+      if (it.type === "video") it.moments = byVideo.get(Number(it.id)) || [];
+    }
+  }
+
+  return {
+    query,
+    total: wanted.reduce((sum, t) => sum + (facets[t] || 0), 0),
+    facets,
+    items,
+  };
+}
+
+module.exports = {
+  TYPES,
+  HIGHLIGHT,
+  search,
+  toPrefixQuery,
+  headlineHtml,
+};
@@ -0,0 +1,514 @@
+// server-api/services/simulcast.js
+const axios = require("axios");
+const db = require("../db");
+const facebookLive = require("./facebookLive");
+
+/**
+ * Simulcast destinations for live_events (routes/live.js).
+ *
+ * A destination is a Facebook page, a YouTube channel or any RTMP URL + key
+ * attached to one event:
+ *   facebook  page_id (+ page token, resolved from the admin's
+ *             facebook_connections row when not given). Starting the event
+ *             creates the page live video and stores its stream URL/key;
+ *             ending it ends the live video.
+ *   youtube   stream key from YouTube Studio (ingest URL defaults to
+ *             YOUTUBE_RTMP_URL); there is no YouTube API connection here.
+ *   rtmp      url + stream_key.
+ *
+ * When the event streams through Livepeer, every provisioned destination is
+ * added to the Livepeer stream as a multistream target (relay = "livepeer")
+ * and removed again on end. Livepeer applies target changes to new
+ * sessions, so the encoder should connect after the event is started.
+ * For other providers the destination is left "ready" with its ingest URL
+ * for the encoder to push to (relay = "encoder").
+ *
+ * Each destination keeps its own status (idle, live, ready, ended, error)
+ * and last_error; one failing destination never blocks the event or the
+ * others. Secrets (page tokens, stream keys) are masked by toPublic();
+ * the event owner reads an encoder destination's full ingest URL and key
+ * through encoderIngest().
+ */
+
+const KINDS = ["facebook", "youtube", "rtmp"];
+const YOUTUBE_RTMP_URL =
+  process.env.YOUTUBE_RTMP_URL || "rtmp://a.rtmp.youtube.com/live2";
+const LIVEPEER_BASE =
+  process.env.LIVEPEER_BASE || "https://livepeer.studio/api";
+const LIVEPEER_API_KEY = process.env.LIVEPEER_API_KEY || "";
+const ACTIVE_STATUSES = ["live", "ready"];
+
+/* ───────────────────────── DB bootstrap ───────────────────────── */
+
+async function ensureDestinationTables() {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS live_event_destinations (
+      id SERIAL PRIMARY KEY,
+      event_id INTEGER NOT NULL REFERENCES live_events(id) ON DELETE CASCADE,
+      kind TEXT NOT NULL CHECK (kind IN ('facebook', 'youtube', 'rtmp')),
+      label TEXT,
+      enabled BOOLEAN NOT NULL DEFAULT TRUE,
+      config JSONB NOT NULL DEFAULT '{}'::jsonb,
+      status TEXT NOT NULL DEFAULT 'idle',
+      relay TEXT,
+      remote_id TEXT,
+      ingest_url TEXT,
+      stream_key TEXT,
+      livepeer_target_id TEXT,
+      last_error TEXT,
+      started_at TIMESTAMPTZ,
+      ended_at TIMESTAMPTZ,
+      created_by INTEGER,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+  await db.query(
+    `CREATE INDEX IF NOT EXISTS idx_live_event_destinations_event
+       ON live_event_destinations (event_id)`,
+  );
+}
+
+let __initPromise = null;
+function initOnce() {
+  if (!__initPromise) {
+    __initPromise = ensureDestinationTables().catch((e) => {
+      console.error("[simulcast] ensureDestinationTables failed:", e);
+      __initPromise = null;
+      throw e;
+    });
+  }
+  return __initPromise;
+}
+
+/* ───────────────────────── helpers ───────────────────────── */
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function notFound(message) {
+  const err = new Error(message);
+  err.status = 404;
+  return err;
+}
+
+function mask(secret) {
+  if (!secret) return null;
+  const s = String(secret);
+  return s.length <= 4 ? "••••" : `••••${s.slice(-4)}`;
+}
+
+function isRtmpUrl(url) {
+  return /^rtmps?:\/\/[^\s/]+/i.test(String(url || ""));
+}
+
+// Provider errors (Graph / Livepeer / axios) -> one line
+function errorMessage(err) {
+  const data = err?.response?.data;
+  return (
+    data?.error?.message ||
+    (Array.isArray(data?.errors) ? data.errors.join("; ") : null) ||
+    err?.message ||
+    "Unknown error"
+  ).slice(0, 500);
+}
+
+/** Destination row -> API shape (no tokens, keys masked) */
+function toPublic(row) {
+  const cfg = row.config || {};
+  return {
+    id: row.id,
+    event_id: row.event_id,
+    kind: row.kind,
+    label: row.label,
+    enabled: row.enabled,
+    page_id: cfg.page_id || null,
+    page_name: cfg.page_name || null,
+    url: cfg.url || null,
+    configured_stream_key: mask(cfg.stream_key),
+    status: row.status,
+    relay: row.relay,
+    remote_id: row.remote_id,
+    ingest_url: row.ingest_url,
+    stream_key: mask(row.stream_key),
+    last_error: row.last_error,
+    started_at: row.started_at,
+    ended_at: row.ended_at,
+    updated_at: row.updated_at,
+  };
+}
+
+async function lp(method, path, body) {
+  const { data } = await axios({
+    method,
+    url: `${LIVEPEER_BASE}${path}`,
+    data: body,
+    headers: {
+      Authorization: `Bearer ${LIVEPEER_API_KEY}`,
+      "Content-Type": "application/json",
+    },
+    timeout: 15000,
+  });
+  return data;
+}
+
+function usesLivepeer(event) {
+  return (
+    String(event.provider || "").toLowerCase() === "livepeer" &&
+    !!event.provider_stream_id &&
+    !!LIVEPEER_API_KEY
+  );
+}
+
+// Replace our targets on the stream, keeping targets added elsewhere
+async function setLivepeerTargets(streamId, { add = [], remove = [] }) {
+  const stream = await lp("get", `/stream/${streamId}`);
+  const keep = (stream?.multistream?.targets || []).filter(
+    (t) => !remove.includes(t.id) && !add.includes(t.id),
+  );
+  await lp("patch", `/stream/${streamId}`, {
+    multistream: {
+      targets: [...keep, ...add.map((id) => ({ id, profile: "source" }))],
+    },
+  });
+}
+
+async function loadDestination(eventId, destId) {
+  const r = await db.query(
+    "SELECT * FROM live_event_destinations WHERE id = $1 AND event_id = $2",
+    [destId, eventId],
+  );
+  if (!r.rowCount) throw notFound("Destination not found");
+  return r.rows[0];
+}
+
+async function record(id, fields) {
+  const keys = Object.keys(fields);
+  const sets = keys.map((k, i) => `${k} = $${i + 2}`);
+  const r = await db.query(
+    `UPDATE live_event_destinations
+     SET ${sets.join(", ")}, updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [id, ...keys.map((k) => fields[k])],
+  );
+  return r.rows[0];
+}
+
+// Validated config for a destination kind (merged over the current one)
+async function buildConfig(kind, input, current = {}, { userId } = {}) {
+  const cfg = { ...current };
+  if (kind === "facebook") {
+    if (input.page_id !== undefined) cfg.page_id = String(input.page_id || "");
+    if (!cfg.page_id) throw badRequest("page_id is required");
+
+    if (input.page_access_token) {
+      cfg.page_access_token = String(input.page_access_token);
+    } else if (!cfg.page_access_token || input.page_id !== undefined) {
+      const conn = await db.query(
+        `SELECT access_token FROM facebook_connections
+         WHERE admin_id = $1 ORDER BY id DESC LIMIT 1`,
+        [userId],
+      );
+      if (!conn.rowCount) {
+        throw badRequest("Facebook not connected (or pass page_access_token)");
+      }
+      try {
+        const page = await facebookLive.pageAccessToken(
+          cfg.page_id,
+          conn.rows[0].access_token,
+        );
+        cfg.page_access_token = page.access_token;
+        cfg.page_name = page.name || null;
+      } catch (e) {
+        throw badRequest(facebookLive.graphError(e));
+      }
+    }
+    return cfg;
+  }
+
+  if (input.url !== undefined) cfg.url = String(input.url || "").trim();
+  if (input.stream_key !== undefined)
+    cfg.stream_key = String(input.stream_key || "").trim();
+  if (kind === "rtmp" && !isRtmpUrl(cfg.url)) {
+    throw badRequest("url must be an rtmp:// or rtmps:// URL");
+  }
+  if (kind === "youtube" && cfg.url && !isRtmpUrl(cfg.url)) {
+    throw badRequest("url must be an rtmp:// or rtmps:// URL");
+  }
+  if (!cfg.stream_key) throw badRequest("stream_key is required");
+  return cfg;
+}
+
+/* ───────────────────────── provisioning ───────────────────────── */
+
+// -> { remote_id, ingest_url, stream_key } for one destination
+async function provision(dest, event) {
+  const cfg = dest.config || {};
+  if (dest.kind === "facebook") {
+    const live = await facebookLive.createLiveVideo(
+      cfg.page_id,
+      cfg.page_access_token,
+      { title: event.title, description: event.description },
+    );
+    const url = live.secure_stream_url || live.stream_url;
+    const key = live.stream_key || null;
+    return {
+      remote_id: live.live_video_id,
+      // Facebook's stream URL already ends with the key
+      ingest_url:
+        key && url.endsWith(key) ? url.slice(0, -key.length - 1) : url,
+      stream_key: key,
+    };
+  }
+
+  const base = dest.kind === "youtube" ? cfg.url || YOUTUBE_RTMP_URL : cfg.url;
+  return {
+    remote_id: null,
+    ingest_url: base.replace(/\/+$/, ""),
+    stream_key: cfg.stream_key,
+  };
+}
+
+function pushUrl(row) {
+  return row.stream_key
+    ? `${row.ingest_url}/${row.stream_key}`
+    : row.ingest_url;
+}
+
+async function startOne(dest, event) {
+  let row = dest;
+  try {
+    const p = await provision(dest, event);
+    row = await record(dest.id, {
+      ...p,
+      status: "ready",
+      relay: "encoder",
+      last_error: null,
+      started_at: new Date(),
+      ended_at: null,
+    });
+
+    if (usesLivepeer(event)) {
+      const target = await lp("post", "/multistream/target", {
+        name: `${event.title || "Live"} → ${dest.label || dest.kind}`.slice(
+          0,
+          100,
+        ),
+        url: pushUrl(row),
+      });
+      row = await record(dest.id, { livepeer_target_id: target.id });
+      await setLivepeerTargets(event.provider_stream_id, { add: [target.id] });
+      row = await record(dest.id, { status: "live", relay: "livepeer" });
+    }
+  } catch (e) {
+    console.warn(`[simulcast] start ${dest.kind}#${dest.id}:`, errorMessage(e));
+    row = await record(dest.id, {
+      status: "error",
+      last_error: errorMessage(e),
+    });
+  }
+  return row;
+}
+
+async function stopOne(dest, event) {
+  const errors = [];
+
+  if (dest.livepeer_target_id) {
+    try {
+      if (event.provider_stream_id) {
+        await setLivepeerTargets(event.provider_stream_id, {
+          remove: [dest.livepeer_target_id],
+        });
+      }
+      await lp("delete", `/multistream/target/${dest.livepeer_target_id}`);
+    } catch (e) {
+      errors.push(`livepeer: ${errorMessage(e)}`);
+    }
+  }
+
+  if (dest.kind === "facebook" && dest.remote_id) {
+    try {
+      await facebookLive.endLiveVideo(
+        dest.remote_id,
+        dest.config?.page_access_token,
+      );
+    } catch (e) {
+      errors.push(`facebook: ${facebookLive.graphError(e)}`);
+    }
+  }
+
+  if (errors.length) {
+    console.warn(`[simulcast] stop ${dest.kind}#${dest.id}:`, errors);
+  }
+  return record(dest.id, {
+    status: errors.length ? "error" : "ended",
+    last_error: errors.length ? errors.join("; ").slice(0, 500) : null,
+    livepeer_target_id: null,
+    ended_at: new Date(),
+  });
+}
+
+/* ───────────────────────── public API ───────────────────────── */
+
+async function listDestinations(eventId) {
+  await initOnce();
+  const r = await db.query(
+    "SELECT * FROM live_event_destinations WHERE event_id = $1 ORDER BY id",
+    [eventId],
+  );
+  return r.rows.map(toPublic);
+}
+
+/**
+ * Full push URL + stream key of a relay = "encoder" destination, for the
+ * event owner to paste into their encoder.
+ */
+async function encoderIngest(eventId, destId) {
+  await initOnce();
+  const row = await loadDestination(eventId, destId);
+  if (row.relay !== "encoder" || !row.ingest_url) {
+    throw badRequest("Destination has no encoder ingest (start the event)");
+  }
+  return {
+    id: row.id,
+    ingest_url: row.ingest_url,
+    stream_key: row.stream_key || null,
+    push_url: pushUrl(row),
+  };
+}
+
+/**
+ * addDestination(event, { kind, label, enabled, page_id, page_access_token,
+ *                         url, stream_key }, { userId })
+ * Added while the event is live, the destination starts right away.
+ */
+async function addDestination(event, input = {}, { userId = null } = {}) {
+  await initOnce();
+  const kind = String(input.kind || "").toLowerCase();
+  if (!KINDS.includes(kind)) {
+    throw badRequest(`kind must be one of ${KINDS.join(", ")}`);
+  }
+  const config = await buildConfig(kind, input, {}, { userId });
+  const label =
+    String(input.label || "")
+      .trim()
+      .slice(0, 80) ||
+    config.page_name ||
+    (kind === "youtube"
+      ? "YouTube"
+      : kind === "facebook"
+        ? "Facebook"
+        : "RTMP");
+
+  const r = await db.query(
+    `INSERT INTO live_event_destinations
+       (event_id, kind, label, enabled, config, created_by)
+     VALUES ($1, $2, $3, $4, $5::jsonb, $6)
+     RETURNING *`,
+    [event.id, kind, label, input.enabled !== false, config, userId],
+  );
+  let row = r.rows[0];
+  if (event.status === "live" && row.enabled) row = await startOne(row, event);
+  return toPublic(row);
+}
+
+/**
+ * Change label / enabled / connection details. Connection changes take
+ * effect on the next start; disabling a running destination stops it.
+ */
+async function updateDestination(event, destId, input = {}, { userId } = {}) {
+  await initOnce();
+  const cur = await loadDestination(event.id, destId);
+
+  const fields = {};
+  if (input.label !== undefined) {
+    fields.label =
+      String(input.label || "")
+        .trim()
+        .slice(0, 80) || cur.label;
+  }
+  if (input.enabled !== undefined) fields.enabled = !!input.enabled;
+  const touchesConfig = [
+    "page_id",
+    "page_access_token",
+    "url",
+    "stream_key",
+  ].some((k) => input[k] !== undefined);
+  if (touchesConfig) {
+    fields.config = await buildConfig(cur.kind, input, cur.config || {}, {
+      userId,
+    });
+  }
+
+  let row = Object.keys(fields).length ? await record(cur.id, fields) : cur;
+  if (fields.enabled === false && ACTIVE_STATUSES.includes(row.status)) {
+    row = await stopOne(row, event);
+  } else if (
+    fields.enabled === true &&
+    event.status === "live" &&
+    !ACTIVE_STATUSES.includes(row.status)
+  ) {
+    row = await startOne(row, event);
+  }
+  return toPublic(row);
+}
+
+async function removeDestination(event, destId) {
+  await initOnce();
+  const cur = await loadDestination(event.id, destId);
+  if (
+    ACTIVE_STATUSES.includes(cur.status) ||
+    cur.livepeer_target_id ||
+    (cur.remote_id && !cur.ended_at)
+  ) {
+    await stopOne(cur, event);
+  }
+  await db.query("DELETE FROM live_event_destinations WHERE id = $1", [cur.id]);
+  return true;
+}
+
+/** Provision every enabled destination that is not already running. */
+async function startDestinations(event) {
+  await initOnce();
+  const r = await db.query(
+    `SELECT * FROM live_event_destinations
+     WHERE event_id = $1 AND enabled = TRUE
+       AND status <> ALL($2::text[])
+     ORDER BY id`,
+    [event.id, ACTIVE_STATUSES],
+  );
+  for (const dest of r.rows) await startOne(dest, event);
+  return listDestinations(event.id);
+}
+
+/** Stop everything that was provisioned for the event. */
+async function stopDestinations(event) {
+  await initOnce();
+  const r = await db.query(
+    `SELECT * FROM live_event_destinations
+     WHERE event_id = $1
+       AND (status = ANY($2::text[])
+            OR livepeer_target_id IS NOT NULL
+            OR (remote_id IS NOT NULL AND ended_at IS NULL))
+     ORDER BY id`,
+    [event.id, ACTIVE_STATUSES],
+  );
+  for (const dest of r.rows) await stopOne(dest, event);
+  return listDestinations(event.id);
+}
+
+module.exports = {
+  KINDS,
+  ensureDestinationTables,
+  listDestinations,
+  encoderIngest,
+  addDestination,
+  updateDestination,
+  removeDestination,
+  startDestinations,
+  stopDestinations,
+};
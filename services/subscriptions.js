@@ -4,6 +4,19 @@ const db = require("../db");
 // Recommended once in DB (for "one active row per user"):
 // ALTER TABLE subscriptions ADD CONSTRAINT uniq_sub_user UNIQUE (user_id);
 
+// canonical: starter | pro | custom
+function canonicalPlanCode(str) {
+  const s = String(str || "").toLowerCase();
+  if (!s) return null;
+  if (s.includes("custom") || s.includes("enterprise")) return "custom";
+  if (s.includes("starter") || s.includes("basic") || s.includes("growth"))
+    return "starter";
+  if (s.includes("pro") || s.includes("plus") || s.includes("essential"))
+    return "pro";
+  if (["starter", "pro", "custom"].includes(s)) return s;
+  return null;
+}
+
 function toTs(v) {
   if (!v) return null;
   const d = new Date(v);
@@ -18,6 +31,8 @@ function toTs(v) {
  *
  * - status is stored lowercased if present
  * - started_at defaults to NOW() when first created
+ * - passing `canceled_at: null` explicitly clears a previous cancellation
+ *   (omitting the key keeps whatever is stored)
  */
 async function upsertSubscription(userId, patch = {}) {
   const {
@@ -35,6 +50,10 @@ async function upsertSubscription(userId, patch = {}) {
   const normalizedStatus =
     typeof status === "string" ? status.toLowerCase() : status;
 
+  const clearCanceled =
+    Object.prototype.hasOwnProperty.call(patch, "canceled_at") &&
+    patch.canceled_at === null;
+
   const q = `
     INSERT INTO subscriptions
       (user_id, status, plan_code, started_at,
@@ -48,7 +67,8 @@ async function upsertSubscription(userId, patch = {}) {
       started_at          = COALESCE(EXCLUDED.started_at, subscriptions.started_at),
       current_period_end  = COALESCE(EXCLUDED.current_period_end, subscriptions.current_period_end),
       renews_at           = COALESCE(EXCLUDED.renews_at, subscriptions.renews_at),
-      canceled_at         = COALESCE(EXCLUDED.canceled_at, subscriptions.canceled_at),
+      canceled_at         = CASE WHEN $11::boolean THEN NULL
+                                 ELSE COALESCE(EXCLUDED.canceled_at, subscriptions.canceled_at) END,
       provider            = COALESCE(EXCLUDED.provider, subscriptions.provider),
       provider_ref        = COALESCE(EXCLUDED.provider_ref, subscriptions.provider_ref),
       portal_url          = COALESCE(EXCLUDED.portal_url, subscriptions.portal_url),
@@ -67,6 +87,7 @@ async function upsertSubscription(userId, patch = {}) {
     provider,
     provider_ref,
     portal_url,
+    clearCanceled,
   ];
 
   const { rows } = await db.query(q, params);
@@ -136,4 +157,9 @@ async function markCanceled(userId) {
   return rows[0];
 }
 
-module.exports = { upsertSubscription, getActiveForUser, markCanceled };
+module.exports = {
+  canonicalPlanCode,
+  upsertSubscription,
+  getActiveForUser,
+  markCanceled,
+};
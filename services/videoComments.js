@@ -0,0 +1,593 @@
+// server-api/services/videoComments.js
+const db = require("../db");
+const notifyPrefs = require("./notificationPreferences");
+const notifications = require("./notifications");
+
+/**
+ * Threads, edits, reactions, pins and @mentions for video comments
+ * (public.comments, served by routes/comments.js).
+ *
+ *   listThreads(videoId, { cursor, limit, sort, viewerId })
+ *     -> { pinned, items, next_cursor }
+ *
+ * Top-level comments are cursor-paginated on (created_at, id); each one
+ * carries its whole reply tree (up to MAX_DEPTH levels). The pinned
+ * comment is returned on the first page only and is skipped by the pages.
+ *
+ * position_seconds ties a comment to a moment in the video; it defaults to
+ * the first "mm:ss" / "h:mm:ss" in the text. timeline() buckets those
+ * positions across the video's duration for the player's heat strip.
+ *
+ * comment_edits keeps the body before and after every edit;
+ * comment_reactions holds one row per (comment, user, emoji).
+ * Comment ids are stored as TEXT, like content_reports.target_id.
+ */
+
+const REACTIONS = ["👍", "❤️", "😂", "😮", "😢", "🔥", "👏", "🙏"];
+const MAX_DEPTH = 8;
+const MAX_REPLIES = 500;
+const MAX_MENTIONS = 10;
+const DEFAULT_BUCKETS = 60;
+
+/* ───────────────────────── DB bootstrap ───────────────────────── */
+
+async function ensureCommentTables() {
+  await db.query(
+    `ALTER TABLE public.comments ADD COLUMN IF NOT EXISTS edited_at TIMESTAMPTZ`,
+  );
+  await db.query(
+    `ALTER TABLE public.comments ADD COLUMN IF NOT EXISTS is_pinned BOOLEAN NOT NULL DEFAULT FALSE`,
+  );
+  await db.query(
+    `ALTER TABLE public.comments ADD COLUMN IF NOT EXISTS pinned_at TIMESTAMPTZ`,
+  );
+  await db.query(
+    `ALTER TABLE public.comments ADD COLUMN IF NOT EXISTS pinned_by INTEGER`,
+  );
+  await db.query(
+    `ALTER TABLE public.comments ADD COLUMN IF NOT EXISTS position_seconds INTEGER`,
+  );
+  await db.query(
+    `CREATE INDEX IF NOT EXISTS comments_video_position_idx
+       ON public.comments (video_id, position_seconds)
+       WHERE position_seconds IS NOT NULL`,
+  );
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS comment_edits (
+      id SERIAL PRIMARY KEY,
+      comment_id TEXT NOT NULL,
+      editor_id INTEGER,
+      body_before TEXT,
+      body_after TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+  await db.query(
+    `CREATE INDEX IF NOT EXISTS comment_edits_comment_idx
+       ON comment_edits (comment_id, created_at)`,
+  );
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS comment_reactions (
+      comment_id TEXT NOT NULL,
+      user_id INTEGER NOT NULL,
+      emoji TEXT NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (comment_id, user_id, emoji)
+    );
+  `);
+}
+
+let __initPromise = null;
+function initOnce() {
+  if (!__initPromise) {
+    __initPromise = ensureCommentTables().catch((e) => {
+      console.error("[videoComments] ensureCommentTables failed:", e);
+      __initPromise = null;
+      throw e;
+    });
+  }
+  return __initPromise;
+}
+
+/* ───────────────────────── helpers ───────────────────────── */
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function notFound(message) {
+  const err = new Error(message);
+  err.status = 404;
+  return err;
+}
+
+function forbidden(message) {
+  const err = new Error(message);
+  err.status = 403;
+  return err;
+}
+
+// created_at as Postgres text (cursor_at in listThreads): a JS Date would
+// drop the microseconds and repeat the last row of a page on the next
+const CURSOR_TIME_RE =
+  /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}(\.\d{1,6})?([+-]\d{2}(:?\d{2})?)?$/;
+
+function encodeCursor(row) {
+  return Buffer.from(
+    JSON.stringify({ t: row.cursor_at, id: String(row.id) }),
+  ).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    const c = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+    if (!CURSOR_TIME_RE.test(String(c?.t ?? "")) || c.id == null) return null;
+    return { t: String(c.t), id: String(c.id) };
+  } catch {
+    return null;
+  }
+}
+
+const SELECT_COMMENT = `
+  c.id, c.post_id, c.video_id, c.user_id, c.author_id, c.body,
+  c.created_at, c.parent_id, c.edited_at, c.is_pinned, c.pinned_at,
+  c.position_seconds,
+  u.name AS user_name, u.email AS user_email`;
+
+async function loadComment(id) {
+  const r = await db.query(
+    `SELECT c.id, c.video_id, c.user_id, c.body, c.parent_id, c.is_hidden,
+            c.edited_at,
+            v.created_by AS video_owner_id
+     FROM public.comments c
+     LEFT JOIN public.videos v ON v.id = c.video_id
+     WHERE c.id::text = $1
+     LIMIT 1`,
+    [String(id)],
+  );
+  return r.rows[0] || null;
+}
+
+async function reactionsFor(ids, viewerId) {
+  if (!ids.length) return new Map();
+  const r = await db.query(
+    `SELECT comment_id, emoji, COUNT(*)::int AS count,
+            BOOL_OR(user_id = $2) AS mine
+     FROM comment_reactions
+     WHERE comment_id = ANY($1::text[])
+     GROUP BY comment_id, emoji
+     ORDER BY comment_id, count DESC`,
+    [ids.map(String), viewerId ?? null],
+  );
+  const out = new Map();
+  for (const row of r.rows) {
+    if (!out.has(row.comment_id)) out.set(row.comment_id, []);
+    out.get(row.comment_id).push({
+      emoji: row.emoji,
+      count: row.count,
+      mine: !!row.mine,
+    });
+  }
+  return out;
+}
+
+/* ───────────────────────── threads ───────────────────────── */
+
+async function listThreads(
+  videoId,
+  { cursor, limit = 20, sort = "oldest", viewerId = null } = {},
+) {
+  await initOnce();
+  const newest = sort === "newest";
+  const after = decodeCursor(cursor);
+  const take = Math.min(Math.max(Number(limit) || 20, 1), 100);
+
+  const params = [videoId, take + 1];
+  let cursorSql = "";
+  if (after) {
+    params.push(after.t, after.id);
+    cursorSql = `AND (c.created_at, c.id::text) ${newest ? "<" : ">"} ($3, $4)`;
+  }
+  const dir = newest ? "DESC" : "ASC";
+
+  const roots = await db.query(
+    `SELECT ${SELECT_COMMENT}, c.created_at::text AS cursor_at
+     FROM public.comments c
+     LEFT JOIN public.users u ON u.id = c.user_id
+     WHERE c.video_id = $1
+       AND c.parent_id IS NULL
+       AND c.is_hidden = FALSE
+       AND c.is_pinned = FALSE
+       ${cursorSql}
+     ORDER BY c.created_at ${dir}, c.id::text ${dir}
+     LIMIT $2`,
+    params,
+  );
+  const page = roots.rows.slice(0, take);
+  const hasMore = roots.rows.length > take;
+
+  let pinned = [];
+  if (!after) {
+    const p = await db.query(
+      `SELECT ${SELECT_COMMENT}
+       FROM public.comments c
+       LEFT JOIN public.users u ON u.id = c.user_id
+       WHERE c.video_id = $1 AND c.is_pinned = TRUE AND c.is_hidden = FALSE
+       ORDER BY c.pinned_at DESC NULLS LAST
+       LIMIT 1`,
+      [videoId],
+    );
+    pinned = p.rows;
+  }
+
+  const topIds = [...pinned, ...page].map((r) => String(r.id));
+  let replies = [];
+  if (topIds.length) {
+    const r = await db.query(
+      `WITH RECURSIVE t AS (
+         SELECT c.*, 1 AS depth
+         FROM public.comments c
+         WHERE c.parent_id::text = ANY($1::text[]) AND c.is_hidden = FALSE
+         UNION ALL
+         SELECT c.*, t.depth + 1
+         FROM public.comments c
+         JOIN t ON c.parent_id::text = t.id::text
+         WHERE c.is_hidden = FALSE AND t.depth < $2
+       )
+       SELECT ${SELECT_COMMENT.replace(/\bc\./g, "t.")}
+       FROM t
+       LEFT JOIN public.users u ON u.id = t.user_id
+       ORDER BY t.created_at ASC, t.id::text ASC
+       LIMIT $3`,
+      [topIds, MAX_DEPTH, MAX_REPLIES],
+    );
+    replies = r.rows;
+  }
+
+  const all = [...pinned, ...page, ...replies];
+  const reactions = await reactionsFor(
+    all.map((r) => r.id),
+    viewerId,
+  );
+
+  const nodes = new Map();
+  for (const row of all) {
+    nodes.set(String(row.id), {
+      ...row,
+      reactions: reactions.get(String(row.id)) || [],
+      replies: [],
+    });
+  }
+  for (const row of replies) {
+    const parent = nodes.get(String(row.parent_id));
+    if (parent) parent.replies.push(nodes.get(String(row.id)));
+  }
+
+  return {
+    pinned: pinned.map((r) => nodes.get(String(r.id))),
+    items: page.map((r) => nodes.get(String(r.id))),
+    next_cursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+  };
+}
+
+/* ───────────────────────── timestamps ───────────────────────── */
+
+/**
+ * "at 23:10 and again 1:02:03" ->
+ *   [{ label: "23:10", seconds: 1390, index: 3 },
+ *    { label: "1:02:03", seconds: 3723, index: 24 }]
+ */
+function parseTimestamps(text) {
+  const out = [];
+  const re = /(^|[^\d:])((?:(\d{1,2}):)?(\d{1,3}):([0-5]\d))(?![\d:])/g;
+  let m;
+  while ((m = re.exec(String(text || "")))) {
+    const h = Number(m[3] || 0);
+    const min = Number(m[4]);
+    if (m[3] != null && min > 59) continue;
+    out.push({
+      label: m[2],
+      seconds: h * 3600 + min * 60 + Number(m[5]),
+      index: m.index + m[1].length,
+    });
+  }
+  return out;
+}
+
+/** Explicit position_seconds, else the first timestamp in the text. */
+function resolvePosition(value, text) {
+  if (value !== undefined && value !== null && value !== "") {
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0) {
+      throw badRequest("position_seconds must be a non-negative number");
+    }
+    return Math.floor(n);
+  }
+  const first = parseTimestamps(text)[0];
+  return first ? first.seconds : null;
+}
+
+/**
+ * Comment counts per slice of the video:
+ * { duration_seconds, bucket_seconds, total, buckets: [{ index, start, end, count }] }
+ * Falls back to the furthest comment position when the video has no duration.
+ */
+async function timeline(videoId, { buckets = DEFAULT_BUCKETS } = {}) {
+  await initOnce();
+  const n = Math.min(Math.max(Number(buckets) || DEFAULT_BUCKETS, 1), 500);
+
+  const meta = await db.query(
+    `SELECT
+       (SELECT to_jsonb(v) ->> 'duration_seconds' FROM public.videos v WHERE v.id = $1) AS duration,
+       (SELECT MAX(position_seconds) FROM public.comments
+         WHERE video_id = $1 AND is_hidden = FALSE) AS max_position`,
+    [videoId],
+  );
+  const duration =
+    Number(meta.rows[0]?.duration) || Number(meta.rows[0]?.max_position) || 0;
+  const size = duration > 0 ? Math.max(1, Math.ceil(duration / n)) : 1;
+  const count = duration > 0 ? Math.ceil(duration / size) : 0;
+
+  const rows = count
+    ? (
+        await db.query(
+          `SELECT LEAST(position_seconds / $2, $3 - 1)::int AS idx,
+                  COUNT(*)::int AS count
+           FROM public.comments
+           WHERE video_id = $1
+             AND is_hidden = FALSE
+             AND position_seconds IS NOT NULL
+           GROUP BY 1`,
+          [videoId, size, count],
+        )
+      ).rows
+    : [];
+  const byIdx = new Map(rows.map((r) => [r.idx, r.count]));
+
+  const out = [];
+  for (let i = 0; i < count; i++) {
+    out.push({
+      index: i,
+      start: i * size,
+      end: Math.min((i + 1) * size, duration),
+      count: byIdx.get(i) || 0,
+    });
+  }
+  return {
+    video_id: videoId,
+    duration_seconds: duration || null,
+    bucket_seconds: count ? size : null,
+    total: rows.reduce((sum, r) => sum + r.count, 0),
+    buckets: out,
+  };
+}
+
+/* ───────────────────────── edits ───────────────────────── */
+
+async function editComment(id, editorId, body) {
+  await initOnce();
+  const text = String(body ?? "").trim();
+  if (!text) throw badRequest("text/body is required");
+
+  const cur = await loadComment(id);
+  if (!cur || cur.is_hidden) throw notFound("Not found");
+  if (String(cur.user_id) !== String(editorId)) throw forbidden("Forbidden");
+  if (cur.body === text) return { comment: cur, previous: cur.body };
+
+  let editedAt = null;
+  const client = await db.pool.connect();
+  try {
+    await client.query("BEGIN");
+    await client.query(
+      `INSERT INTO comment_edits (comment_id, editor_id, body_before, body_after)
+       VALUES ($1, $2, $3, $4)`,
+      [String(cur.id), editorId, cur.body, text],
+    );
+    const u = await client.query(
+      `UPDATE public.comments SET body = $2, edited_at = NOW()
+       WHERE id::text = $1
+       RETURNING edited_at`,
+      [String(cur.id), text],
+    );
+    await client.query("COMMIT");
+    editedAt = u.rows[0]?.edited_at ?? null;
+  } catch (e) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    throw e;
+  } finally {
+    client.release();
+  }
+
+  return {
+    comment: { ...cur, body: text, edited_at: editedAt },
+    previous: cur.body,
+  };
+}
+
+/**
+ * Edit history of a comment, newest first. Hidden comments only show
+ * theirs to the author and moderators; everyone else gets a 404.
+ */
+async function listEdits(id, { viewerId = null, isModerator = false } = {}) {
+  await initOnce();
+  const cur = await loadComment(id);
+  if (!cur) throw notFound("Not found");
+  const isAuthor = viewerId != null && String(cur.user_id) === String(viewerId);
+  if (cur.is_hidden && !isAuthor && !isModerator) throw notFound("Not found");
+
+  const r = await db.query(
+    `SELECT id, editor_id, body_before, body_after, created_at
+     FROM comment_edits
+     WHERE comment_id = $1
+     ORDER BY created_at DESC, id DESC`,
+    [String(cur.id)],
+  );
+  return r.rows;
+}
+
+/* ───────────────────────── reactions ───────────────────────── */
+
+async function react(id, userId, emoji, on = true) {
+  await initOnce();
+  const e = String(emoji || "").trim();
+  if (!REACTIONS.includes(e)) {
+    throw badRequest(`emoji must be one of ${REACTIONS.join(" ")}`);
+  }
+  const cur = await loadComment(id);
+  if (!cur || cur.is_hidden) throw notFound("Not found");
+
+  if (on) {
+    await db.query(
+      `INSERT INTO comment_reactions (comment_id, user_id, emoji)
+       VALUES ($1, $2, $3)
+       ON CONFLICT DO NOTHING`,
+      [String(cur.id), userId, e],
+    );
+  } else {
+    await db.query(
+      `DELETE FROM comment_reactions
+       WHERE comment_id = $1 AND user_id = $2 AND emoji = $3`,
+      [String(cur.id), userId, e],
+    );
+  }
+  return (await reactionsFor([cur.id], userId)).get(String(cur.id)) || [];
+}
+
+/* ───────────────────────── pins ───────────────────────── */
+
+/**
+ * Pin (or unpin) a top-level comment. Only the video owner or an admin;
+ * pinning unpins whatever was pinned on the video before.
+ */
+async function setPinned(id, { userId, isAdmin = false, pinned = true }) {
+  await initOnce();
+  const cur = await loadComment(id);
+  if (!cur || cur.is_hidden) throw notFound("Not found");
+  const isVideoOwner =
+    cur.video_owner_id != null && String(cur.video_owner_id) === String(userId);
+  if (!isVideoOwner && !isAdmin) throw forbidden("Forbidden");
+  if (pinned && cur.parent_id != null) {
+    throw badRequest("Only top-level comments can be pinned");
+  }
+
+  if (pinned) {
+    await db.query(
+      `UPDATE public.comments
+       SET is_pinned = (id::text = $2),
+           pinned_at = CASE WHEN id::text = $2 THEN NOW() END,
+           pinned_by = CASE WHEN id::text = $2 THEN $3::int END
+       WHERE video_id = $1 AND (is_pinned = TRUE OR id::text = $2)`,
+      [cur.video_id, String(cur.id), userId],
+    );
+  } else {
+    await db.query(
+      `UPDATE public.comments
+       SET is_pinned = FALSE, pinned_at = NULL, pinned_by = NULL
+       WHERE id::text = $1`,
+      [String(cur.id)],
+    );
+  }
+  return { id: cur.id, video_id: cur.video_id, is_pinned: pinned };
+}
+
+/* ───────────────────────── mentions ───────────────────────── */
+
+/** "@jane.doe thanks @Bob!" -> ["jane.doe", "bob"] */
+function parseMentions(text) {
+  const out = new Set();
+  const re = /(^|[^\w@])@([a-z0-9_][a-z0-9_.-]{1,39})/gi;
+  let m;
+  while ((m = re.exec(String(text || ""))) && out.size < MAX_MENTIONS) {
+    out.add(m[2].replace(/[.-]+$/, "").toLowerCase());
+  }
+  return [...out];
+}
+
+/**
+ * Insert a comment_mention notification for every user newly mentioned in
+ * `text` (handles already in `previousText` are skipped, so edits don't
+ * re-notify). A handle matches users.username, the email local part, or
+ * the name with spaces removed. Users who turned off in-app comment_reply
+ * notifications are skipped; mentions on one video are grouped.
+ */
+async function notifyMentions({
+  commentId,
+  videoId,
+  authorId,
+  authorName,
+  text,
+  previousText = "",
+}) {
+  const before = new Set(parseMentions(previousText));
+  const handles = parseMentions(text).filter((h) => !before.has(h));
+  if (!handles.length) return 0;
+
+  await notifyPrefs.ensureNotificationPreferenceTables();
+  await notifications.ensureNotificationColumns();
+  const groupKey = `comment_mention:video:${videoId}`;
+  const params = [
+    handles,
+    authorId,
+    `${authorName || "Someone"} mentioned you`,
+    String(text).slice(0, 140),
+    videoId,
+    String(commentId),
+    `/watch/${videoId}`,
+    groupKey,
+  ];
+  const r = await db.query(
+    `INSERT INTO notifications
+       (user_id, title, body, channel, payload, group_key, group_id)
+     SELECT u.id, $3::text, $4::text, 'comment_mention'::text,
+            jsonb_build_object(
+              'type', 'comment_mention',
+              'video_id', $5::int,
+              'comment_id', $6::text,
+              'route', $7::text
+            ),
+            $8::text,
+            ${notifications.groupIdSql("u.id", groupKey, params)}
+     FROM users u
+     WHERE u.id <> $2
+       AND (LOWER(COALESCE(to_jsonb(u) ->> 'username', '')) = ANY($1::text[])
+            OR LOWER(split_part(COALESCE(u.email, ''), '@', 1)) = ANY($1::text[])
+            OR LOWER(regexp_replace(COALESCE(u.name, ''), '\\s+', '', 'g')) = ANY($1::text[]))
+       AND ${notifyPrefs.allowedSql("u.id", "comment_reply", "in_app", params)}`,
+    params,
+  );
+  return r.rowCount || 0;
+}
+
+/** Drop edits and reactions for a deleted comment. */
+async function forgetComment(id) {
+  await initOnce();
+  await db.query(`DELETE FROM comment_reactions WHERE comment_id = $1`, [
+    String(id),
+  ]);
+  await db.query(`DELETE FROM comment_edits WHERE comment_id = $1`, [
+    String(id),
+  ]);
+}
+
+module.exports = {
+  REACTIONS,
+  ensureCommentTables: initOnce,
+  listThreads,
+  editComment,
+  listEdits,
+  react,
+  setPinned,
+  parseMentions,
+  notifyMentions,
+  parseTimestamps,
+  resolvePosition,
+  timeline,
+  forgetComment,
+};
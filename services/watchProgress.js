@@ -0,0 +1,409 @@
+// server-api/services/watchProgress.js
+const db = require("../db");
+
+/**
+ * The one store for playback position (watch_progress), shared by
+ * POST /api/videos/:id/progress (web) and POST /me/progress (TV/mobile).
+ *
+ * - Last write wins by updated_at. Clients may send the time the position
+ *   was recorded (`updated_at`); an offline device syncing later can't
+ *   overwrite newer progress from another device.
+ * - A video is completed once the position reaches
+ *   WATCH_COMPLETE_THRESHOLD of the duration (default 0.95) or the last
+ *   WATCH_COMPLETE_TAIL_SECONDS (default 5). Starting it again from the top
+ *   clears `completed`; completed_at keeps the last finish.
+ *
+ * The same rows are the user's watch history (GET /me/history). While a
+ * user has paused history (watch_history_settings.paused) nothing is
+ * saved here and analytics events are recorded without their user id.
+ *
+ * user_video_progress (the old /me/progress table) is merged in by
+ * db/migrations/20261019_04_merge_watch_progress.sql.
+ */
+
+const COMPLETE_THRESHOLD = Math.min(
+  1,
+  Math.max(0.5, Number(process.env.WATCH_COMPLETE_THRESHOLD || 0.95)),
+);
+const COMPLETE_TAIL_SECONDS = Math.max(
+  0,
+  Number(process.env.WATCH_COMPLETE_TAIL_SECONDS || 5),
+);
+const SETTINGS_CACHE_MS = 30000;
+
+/* ───────────────────────── DB bootstrap ───────────────────────── */
+
+// Keep this defensive because some dev/prod databases may already have an
+// older watch_progress table that was created before the unique constraint or
+// the newer columns existed. ON CONFLICT(user_id, video_id) requires a unique
+// index, and completed must never be inserted as NULL.
+async function ensureProgressTable() {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS watch_progress (
+      id SERIAL PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      video_id INTEGER NOT NULL REFERENCES videos(id) ON DELETE CASCADE,
+      position_seconds INTEGER NOT NULL DEFAULT 0,
+      duration_seconds INTEGER,
+      completed BOOLEAN NOT NULL DEFAULT FALSE,
+      completed_at TIMESTAMPTZ,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  await db.query(
+    `ALTER TABLE watch_progress
+       ADD COLUMN IF NOT EXISTS position_seconds INTEGER NOT NULL DEFAULT 0,
+       ADD COLUMN IF NOT EXISTS duration_seconds INTEGER,
+       ADD COLUMN IF NOT EXISTS completed BOOLEAN NOT NULL DEFAULT FALSE,
+       ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ,
+       ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+       ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()`,
+  );
+
+  // Fails on a table that still has duplicate (user, video) rows; those are
+  // merged by db/migrations/20261019_04_merge_watch_progress.sql.
+  await db.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_watch_progress_user_video_unique
+      ON watch_progress (user_id, video_id)
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_watch_progress_user_updated
+      ON watch_progress (user_id, updated_at DESC)
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_watch_progress_video_updated
+      ON watch_progress (video_id, updated_at DESC)
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS watch_history_settings (
+      user_id TEXT PRIMARY KEY,
+      paused BOOLEAN NOT NULL DEFAULT FALSE,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+}
+
+let __initPromise = null;
+function initOnce() {
+  if (!__initPromise) {
+    __initPromise = ensureProgressTable().catch((e) => {
+      console.error("[watchProgress] ensureProgressTable failed:", e);
+      __initPromise = null;
+      throw e;
+    });
+  }
+  return __initPromise;
+}
+
+/* ───────────────────────── helpers ───────────────────────── */
+
+function coerceSeconds(v, fallback = 0) {
+  const n = Number(v);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.max(0, Math.floor(n));
+}
+
+// Client clocks are trusted for ordering, but never ahead of ours
+function coerceUpdatedAt(v) {
+  const now = new Date();
+  if (!v) return now;
+  const d = new Date(typeof v === "number" && v < 1e12 ? v * 1000 : v);
+  if (!Number.isFinite(+d) || d > now) return now;
+  return d;
+}
+
+// Completion test in SQL; the duration may only be known to the DB.
+// $7 = COMPLETE_THRESHOLD, $8 = COMPLETE_TAIL_SECONDS
+function completeSql(pos, dur) {
+  return `(COALESCE(${dur}, 0) > 0
+           AND (${pos} >= ${dur} * $7::numeric OR ${pos} >= ${dur} - $8::int))`;
+}
+
+const RETURNING = `video_id, position_seconds, duration_seconds, completed,
+                   completed_at, updated_at`;
+
+function emptyProgress(videoId) {
+  return {
+    video_id: Number(videoId),
+    position_seconds: 0,
+    duration_seconds: null,
+    completed: false,
+    completed_at: null,
+    updated_at: null,
+  };
+}
+
+function encodeCursor(row) {
+  return Buffer.from(
+    JSON.stringify({ t: row.updated_at, id: Number(row.video_id) }),
+  ).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    const c = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+    if (!c?.t || !Number.isFinite(Number(c.id))) return null;
+    return { t: new Date(c.t), id: Number(c.id) };
+  } catch {
+    return null;
+  }
+}
+
+// YYYY-MM-DD in `timeZone` (falls back to UTC for unknown zones)
+function dayKey(date, timeZone) {
+  try {
+    return new Intl.DateTimeFormat("en-CA", { timeZone }).format(date);
+  } catch {
+    return new Date(date).toISOString().slice(0, 10);
+  }
+}
+
+/* ───────────────────────── history settings ───────────────────────── */
+
+// userId -> { at, paused }
+const settingsCache = new Map();
+
+async function isHistoryPaused(userId) {
+  if (userId == null) return false;
+  const key = String(userId);
+  const hit = settingsCache.get(key);
+  if (hit && Date.now() - hit.at < SETTINGS_CACHE_MS) return hit.paused;
+
+  await initOnce();
+  const r = await db.query(
+    `SELECT paused FROM watch_history_settings WHERE user_id = $1`,
+    [key],
+  );
+  const paused = !!r.rows[0]?.paused;
+  settingsCache.set(key, { at: Date.now(), paused });
+  return paused;
+}
+
+async function setHistoryPaused(userId, paused) {
+  await initOnce();
+  const r = await db.query(
+    `INSERT INTO watch_history_settings (user_id, paused, updated_at)
+     VALUES ($1, $2, NOW())
+     ON CONFLICT (user_id)
+     DO UPDATE SET paused = EXCLUDED.paused, updated_at = NOW()
+     RETURNING paused, updated_at`,
+    [String(userId), !!paused],
+  );
+  settingsCache.delete(String(userId));
+  return r.rows[0];
+}
+
+/* ───────────────────────── public API ───────────────────────── */
+
+async function getProgress(userId, videoId) {
+  await initOnce();
+  const r = await db.query(
+    `SELECT ${RETURNING}
+     FROM watch_progress
+     WHERE user_id = $1 AND video_id = $2
+     LIMIT 1`,
+    [String(userId), Number(videoId)],
+  );
+  return r.rows[0] || emptyProgress(videoId);
+}
+
+/**
+ * Save a position. Body fields are loose on purpose (web and TV send
+ * different names):
+ *   { position_seconds|position|seconds, duration_seconds|duration,
+ *     completed?, updated_at? }
+ * Returns the stored row plus `applied: false` when a newer write from
+ * another device already won, or `history_paused: true` when nothing was
+ * saved because the user paused history.
+ */
+async function saveProgress(userId, videoId, input = {}) {
+  await initOnce();
+  if (await isHistoryPaused(userId)) {
+    return { ...emptyProgress(videoId), applied: false, history_paused: true };
+  }
+
+  const position = coerceSeconds(
+    input.position_seconds ?? input.position ?? input.seconds,
+    0,
+  );
+  const durationRaw = input.duration_seconds ?? input.duration ?? null;
+  const duration =
+    durationRaw == null || durationRaw === ""
+      ? null
+      : coerceSeconds(durationRaw, 0) || null;
+  const updatedAt = coerceUpdatedAt(input.updated_at ?? input.client_time);
+  const forced = Boolean(input.completed);
+
+  const r = await db.query(
+    `WITH v AS (
+       SELECT COALESCE($4::int, (SELECT duration_seconds FROM videos WHERE id = $2)) AS dur
+     )
+     INSERT INTO watch_progress AS wp
+       (user_id, video_id, position_seconds, duration_seconds, completed,
+        completed_at, updated_at)
+     SELECT $1::text, $2::int, $3::int, v.dur,
+            $5::boolean OR ${completeSql("$3::int", "v.dur")},
+            CASE WHEN $5::boolean OR ${completeSql("$3::int", "v.dur")}
+                 THEN $6::timestamptz END,
+            $6::timestamptz
+     FROM v
+     ON CONFLICT (user_id, video_id)
+     DO UPDATE SET
+       position_seconds = EXCLUDED.position_seconds,
+       duration_seconds = COALESCE(EXCLUDED.duration_seconds, wp.duration_seconds),
+       completed = $5 OR ${completeSql(
+         "EXCLUDED.position_seconds",
+         "COALESCE(EXCLUDED.duration_seconds, wp.duration_seconds)",
+       )},
+       completed_at = CASE
+         WHEN $5 OR ${completeSql(
+           "EXCLUDED.position_seconds",
+           "COALESCE(EXCLUDED.duration_seconds, wp.duration_seconds)",
+         )} THEN EXCLUDED.updated_at
+         ELSE wp.completed_at
+       END,
+       updated_at = EXCLUDED.updated_at
+     WHERE wp.updated_at <= EXCLUDED.updated_at
+     RETURNING ${RETURNING}`,
+    [
+      String(userId),
+      Number(videoId),
+      position,
+      duration,
+      forced,
+      updatedAt,
+      COMPLETE_THRESHOLD,
+      COMPLETE_TAIL_SECONDS,
+    ],
+  );
+
+  if (r.rows[0]) return { ...r.rows[0], applied: true };
+  // A newer write from another device won; hand back what is stored
+  return { ...(await getProgress(userId, videoId)), applied: false };
+}
+
+/**
+ * "Continue watching": started, unfinished videos the user can still
+ * play — published, public/private visibility, and premium only while
+ * `entitled`.
+ */
+async function listContinue(userId, { limit = 50, entitled = false } = {}) {
+  await initOnce();
+  const take = Math.min(Math.max(Number(limit) || 50, 1), 100);
+  const r = await db.query(
+    `SELECT p.video_id AS id,
+            p.position_seconds,
+            COALESCE(p.duration_seconds, v.duration_seconds) AS duration_seconds,
+            p.updated_at,
+            v.title,
+            v.thumbnail_url,
+            COALESCE(v.is_premium, TRUE) AS is_premium
+     FROM watch_progress p
+     JOIN videos v ON v.id = p.video_id
+     WHERE p.user_id = $1
+       AND p.completed = FALSE
+       AND p.position_seconds > 0
+       AND v.is_published = TRUE
+       AND LOWER(COALESCE(v.visibility, 'public')) IN ('public', 'private', '')
+       AND ($2::boolean OR COALESCE(v.is_premium, TRUE) = FALSE)
+     ORDER BY p.updated_at DESC
+     LIMIT $3`,
+    [String(userId), !!entitled, take],
+  );
+  return r.rows;
+}
+
+/* ───────────────────────── history ───────────────────────── */
+
+/**
+ * Watch history, newest first, grouped by day in `timeZone`:
+ * { days: [{ date: "2026-10-19", items: [...] }], next_cursor }
+ * A day can continue on the next page.
+ */
+async function listHistory(
+  userId,
+  { cursor, limit = 30, timeZone = "UTC" } = {},
+) {
+  await initOnce();
+  const take = Math.min(Math.max(Number(limit) || 30, 1), 100);
+  const after = decodeCursor(cursor);
+
+  const params = [String(userId), take + 1];
+  let cursorSql = "";
+  if (after) {
+    params.push(after.t, after.id);
+    cursorSql = "AND (p.updated_at, p.video_id) < ($3, $4)";
+  }
+
+  const r = await db.query(
+    `SELECT p.video_id,
+            p.position_seconds,
+            COALESCE(p.duration_seconds, v.duration_seconds) AS duration_seconds,
+            p.completed,
+            p.completed_at,
+            p.updated_at,
+            v.title,
+            v.thumbnail_url
+     FROM watch_progress p
+     JOIN videos v ON v.id = p.video_id
+     WHERE p.user_id = $1
+       ${cursorSql}
+     ORDER BY p.updated_at DESC, p.video_id DESC
+     LIMIT $2`,
+    params,
+  );
+  const page = r.rows.slice(0, take);
+
+  const days = [];
+  for (const row of page) {
+    const date = dayKey(row.updated_at, timeZone);
+    let day = days[days.length - 1];
+    if (!day || day.date !== date) {
+      day = { date, items: [] };
+      days.push(day);
+    }
+    day.items.push({ ...row, watched_at: row.updated_at });
+  }
+
+  return {
+    days,
+    next_cursor:
+      r.rows.length > take ? encodeCursor(page[page.length - 1]) : null,
+  };
+}
+
+async function deleteHistoryEntry(userId, videoId) {
+  await initOnce();
+  const r = await db.query(
+    `DELETE FROM watch_progress WHERE user_id = $1 AND video_id = $2`,
+    [String(userId), Number(videoId)],
+  );
+  return (r.rowCount || 0) > 0;
+}
+
+async function clearHistory(userId) {
+  await initOnce();
+  const r = await db.query(`DELETE FROM watch_progress WHERE user_id = $1`, [
+    String(userId),
+  ]);
+  return r.rowCount || 0;
+}
+
+module.exports = {
+  COMPLETE_THRESHOLD,
+  ensureProgressTable: initOnce,
+  getProgress,
+  saveProgress,
+  listContinue,
+  listHistory,
+  deleteHistoryEntry,
+  clearHistory,
+  isHistoryPaused,
+  setHistoryPaused,
+};
@@ -0,0 +1,54 @@
+// server-api/workers/emailCampaignWorker.js
+const path = require("path");
+
+// Only load dotenv when running this file directly
+if (require.main === module) {
+  require("dotenv").config({ path: path.join(__dirname, "..", ".env") });
+}
+
+const {
+  runDueCampaigns,
+  releaseDueJobs,
+} = require("../services/emailCampaigns");
+
+const WORKER_NAME = "emailCampaignWorker";
+
+function info(...args) {
+  console.log(`[${WORKER_NAME}]`, ...args);
+}
+function errlog(...args) {
+  console.error(`[${WORKER_NAME}]`, ...args);
+}
+
+/**
+ * Poll for recurring campaigns and scheduled (send_at) jobs that are due
+ * (see services/emailCampaigns.js). Jobs are only queued here;
+ * workers/emailWorker.js delivers them.
+ */
+async function startEmailCampaignWorker(opts = {}) {
+  const pollMs = Number(
+    opts.intervalMs || process.env.EMAIL_CAMPAIGN_POLL_MS || 30000,
+  );
+
+  info(`Starting worker (poll=${pollMs}ms)`);
+
+  // eslint-disable-next-line no-constant-condition
+  while (true) {
+    try {
+      const created = await runDueCampaigns();
+      if (created) info(`Created ${created} campaign job(s)`);
+
+      const released = await releaseDueJobs();
+      if (released) info(`Queued ${released} scheduled job(s)`);
+    } catch (e) {
+      errlog("loop error:", e?.message || e);
+    }
+    await new Promise((r) => setTimeout(r, pollMs));
+  }
+}
+
+module.exports = { startEmailCampaignWorker };
+
+if (require.main === module) {
+  startEmailCampaignWorker({});
+}
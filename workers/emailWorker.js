@@ -14,6 +14,7 @@ const FormData = require("form-data");
 const defaultDb = require("../db");
 
 const { decryptJSON } = require("../utils/crypto");
+const emailPrefs = require("../services/emailPreferences");
 
 const WORKER_NAME = "emailWorker";
 
@@ -83,6 +84,7 @@ async function sendViaMailgun({
   text,
   html,
   attachments = [],
+  headers = {},
 }) {
   const apiKey = getSecret(secrets, "apiKey", "api_key");
   const domain = getSecret(secrets, "domain", "domain");
@@ -103,6 +105,9 @@ async function sendViaMailgun({
   form.append("subject", subject || "");
   if (text) form.append("text", text);
   if (html) form.append("html", html);
+  for (const [k, v] of Object.entries(headers || {})) {
+    if (v) form.append(`h:${k}`, v);
+  }
 
   for (const a of (Array.isArray(attachments) ? attachments : []).slice(0, 8)) {
     const filePath = parseUploadsPathFromUrl(a?.url);
@@ -169,7 +174,8 @@ async function updateJobStatus(db, jobId) {
         SUM(CASE WHEN status='queued' THEN 1 ELSE 0 END) AS queued,
         SUM(CASE WHEN status='sending' THEN 1 ELSE 0 END) AS sending,
         SUM(CASE WHEN status='sent' THEN 1 ELSE 0 END) AS sent,
-        SUM(CASE WHEN status='failed' THEN 1 ELSE 0 END) AS failed
+        SUM(CASE WHEN status='failed' THEN 1 ELSE 0 END) AS failed,
+        SUM(CASE WHEN status='skipped' THEN 1 ELSE 0 END) AS skipped
      FROM email_job_items
      WHERE job_id = $1`,
     [jobId],
@@ -181,10 +187,12 @@ async function updateJobStatus(db, jobId) {
   const sent = Number(s.sent || 0);
   const failed = Number(s.failed || 0);
 
+  const skipped = Number(s.skipped || 0);
+
   let status = "queued";
   if (queued > 0 || sending > 0) status = "queued";
   else if (failed > 0) status = "failed";
-  else if (sent > 0 && failed === 0) status = "sent";
+  else if ((sent > 0 || skipped > 0) && failed === 0) status = "sent";
 
   await db.query(
     `UPDATE email_jobs
@@ -208,12 +216,26 @@ async function claimQueuedItems(client, batchSize) {
      SET status = 'sending', updated_at = NOW()
      FROM picked
      WHERE it.id = picked.id
-     RETURNING it.id, it.job_id, it.user_id, it.email`,
+     RETURNING it.id, it.job_id, it.user_id, it.email,
+               to_jsonb(it) -> 'vars' AS vars`,
     [batchSize],
   );
   return r.rows || [];
 }
 
+/**
+ * Per-recipient placeholders: "{{unsubscribe_url}}" -> item.vars.unsubscribe_url.
+ * (vars is read via to_jsonb so older schemas without the column still work.)
+ */
+function renderVars(str, vars, escape = false) {
+  if (!str || !vars || typeof vars !== "object") return str;
+  return str.replace(/\{\{\s*([a-z0-9_]+)\s*\}\}/gi, (m, key) => {
+    if (vars[key] === undefined || vars[key] === null) return m;
+    const v = safeStr(vars[key]);
+    return escape ? v.replace(/&/g, "&amp;").replace(/"/g, "&quot;") : v;
+  });
+}
+
 async function getJobPayload(db, jobId) {
   try {
     const r = await db.query(
@@ -236,6 +258,63 @@ async function getJobPayload(db, jobId) {
   }
 }
 
+/**
+ * Suppression / per-category opt-out check + unsubscribe links for a job's
+ * claimed items. Blocked items are marked `skipped`; returns the rest with
+ * their List-Unsubscribe URL (item vars.unsubscribe_url wins, e.g. the
+ * per-event link on live reminders).
+ */
+async function prepareRecipients(db, job, items) {
+  const category =
+    emailPrefs.cleanCategory(job?.audience?.category) ||
+    emailPrefs.DEFAULT_CATEGORY;
+
+  const blocked = await emailPrefs.blockedRecipients(
+    items.map((it) => it.email),
+    category,
+  );
+  const tokens = await emailPrefs.tokensFor(items);
+
+  const sendable = [];
+  for (const it of items) {
+    const email = emailPrefs.normalizeEmail(it.email);
+    const reason = blocked.get(email);
+    if (reason) {
+      await db.query(
+        `UPDATE email_job_items
+         SET status='skipped', error=$2, updated_at=NOW()
+         WHERE id=$1`,
+        [it.id, reason],
+      );
+      continue;
+    }
+
+    const token = tokens.get(email);
+    const unsubscribeUrl =
+      it.vars?.unsubscribe_url ||
+      (token ? emailPrefs.unsubscribeUrl(token, category) : "");
+    sendable.push({
+      ...it,
+      vars: {
+        ...(it.vars || {}),
+        unsubscribe_url: unsubscribeUrl || undefined,
+      },
+      unsubscribeUrl,
+    });
+  }
+
+  if (blocked.size) log(`Job ${job.id}: skipped ${blocked.size} suppressed`);
+  return sendable;
+}
+
+function unsubscribeHeaders(url) {
+  if (!url) return {};
+  return {
+    "List-Unsubscribe": `<${url}>`,
+    "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+  };
+}
+
 function normalizeAttachments(job) {
   const a1 = job?.attachments;
   if (Array.isArray(a1)) return a1;
@@ -307,7 +386,21 @@ async function processOnce(db, batchSize) {
 
       const attachments = normalizeAttachments(job);
 
-      for (const it of jobItems) {
+      let sendable;
+      try {
+        sendable = await prepareRecipients(db, job, jobItems);
+      } catch (e) {
+        // don't send unchecked; hand the items back for the next poll
+        errlog("Suppression check failed:", e?.message || e);
+        await db.query(
+          `UPDATE email_job_items SET status='queued', updated_at=NOW()
+           WHERE id = ANY($1::bigint[]) AND status='sending'`,
+          [jobItems.map((it) => it.id)],
+        );
+        continue;
+      }
+
+      for (const it of sendable) {
         const to = safeStr(it.email).trim();
         if (!to) {
           await db.query(
@@ -323,10 +416,11 @@ async function processOnce(db, batchSize) {
           await sendViaMailgun({
             secrets: conn.secrets,
             to,
-            subject: safeStr(job.subject),
-            text: safeStr(job.body_text),
-            html: safeStr(job.body_html),
+            subject: renderVars(safeStr(job.subject), it.vars),
+            text: renderVars(safeStr(job.body_text), it.vars),
+            html: renderVars(safeStr(job.body_html), it.vars, true),
             attachments,
+            headers: unsubscribeHeaders(it.unsubscribeUrl),
           });
 
           await db.query(
@@ -0,0 +1,80 @@
+// server-api/workers/importWorker.js
+const path = require("path");
+
+// Only load dotenv when running this file directly
+if (require.main === module) {
+  require("dotenv").config({ path: path.join(__dirname, "..", ".env") });
+}
+
+const os = require("os");
+const crypto = require("crypto");
+
+const db = require("../db");
+const { runJob, claimJob, releaseJob } = require("../services/importer/engine");
+
+const WORKER_NAME = "importWorker";
+
+function info(...args) {
+  console.log(`[${WORKER_NAME}]`, ...args);
+}
+function errlog(...args) {
+  console.error(`[${WORKER_NAME}]`, ...args);
+}
+
+/**
+ * Background runner for Wasabi imports. routes/importJobs.js only marks a
+ * job `running`; this loop leases it (FOR UPDATE SKIP LOCKED + heartbeat),
+ * so several processes can run side by side and a job orphaned by a restart
+ * is picked up again once its heartbeat goes stale.
+ */
+async function startImportWorker(opts = {}) {
+  const pollMs = Number(
+    opts.intervalMs || process.env.IMPORT_WORKER_POLL_MS || 5000,
+  );
+  const workerId =
+    opts.workerId ||
+    `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString("hex")}`;
+
+  info(`Starting worker (poll=${pollMs}ms id=${workerId})`);
+
+  // eslint-disable-next-line no-constant-condition
+  while (true) {
+    let job = null;
+    try {
+      job = await claimJob(workerId);
+      if (job) {
+        info(`Claimed job ${job.id}`);
+        const result = await runJob(job.id, { workerId });
+        info(`Job ${job.id} -> ${result?.status}`);
+      }
+    } catch (e) {
+      errlog("loop error:", e?.message || e);
+      if (job) {
+        try {
+          await db.query(
+            `UPDATE import_jobs SET status='failed', last_error=$2
+             WHERE id=$1 AND locked_by=$3`,
+            [job.id, e?.message || "job failed", workerId],
+          );
+        } catch {}
+      }
+    } finally {
+      if (job) {
+        try {
+          await releaseJob(job.id, workerId);
+        } catch (e) {
+          errlog("release failed:", e?.message || e);
+        }
+      }
+    }
+
+    // Go straight for the next job if there was one
+    if (!job) await new Promise((r) => setTimeout(r, pollMs));
+  }
+}
+
+module.exports = { startImportWorker };
+
+if (require.main === module) {
+  startImportWorker({});
+}
@@ -0,0 +1,51 @@
+// server-api/workers/liveReminderWorker.js
+const path = require("path");
+
+// Only load dotenv when running this file directly
+if (require.main === module) {
+  require("dotenv").config({ path: path.join(__dirname, "..", ".env") });
+}
+
+const { runDueReminders, parseOffsets } = require("../services/liveReminders");
+
+const WORKER_NAME = "liveReminderWorker";
+
+function info(...args) {
+  console.log(`[${WORKER_NAME}]`, ...args);
+}
+function errlog(...args) {
+  console.error(`[${WORKER_NAME}]`, ...args);
+}
+
+/**
+ * Poll for due live-event reminders (see services/liveReminders.js).
+ * Emails are only queued here; workers/emailWorker.js delivers them.
+ */
+async function startLiveReminderWorker(opts = {}) {
+  const pollMs = Number(
+    opts.intervalMs || process.env.LIVE_REMINDER_POLL_MS || 60000,
+  );
+  const offsets = parseOffsets(opts.offsets);
+
+  info(
+    `Starting worker (poll=${pollMs}ms offsets=${offsets.map((o) => o.key).join(",") || "none"})`,
+  );
+  if (!offsets.length) return;
+
+  // eslint-disable-next-line no-constant-condition
+  while (true) {
+    try {
+      const n = await runDueReminders(offsets);
+      if (n) info(`Dispatched ${n} reminder run(s)`);
+    } catch (e) {
+      errlog("loop error:", e?.message || e);
+    }
+    await new Promise((r) => setTimeout(r, pollMs));
+  }
+}
+
+module.exports = { startLiveReminderWorker };
+
+if (require.main === module) {
+  startLiveReminderWorker({});
+}
@@ -0,0 +1,48 @@
+// server-api/workers/notificationDigestWorker.js
+const path = require("path");
+
+// Only load dotenv when running this file directly
+if (require.main === module) {
+  require("dotenv").config({ path: path.join(__dirname, "..", ".env") });
+}
+
+const { runDueDigests } = require("../services/notificationDigests");
+
+const WORKER_NAME = "notificationDigestWorker";
+
+function info(...args) {
+  console.log(`[${WORKER_NAME}]`, ...args);
+}
+function errlog(...args) {
+  console.error(`[${WORKER_NAME}]`, ...args);
+}
+
+/**
+ * Queue daily notification digests for users whose local digest hour has
+ * come (see services/notificationDigests.js). The emails are delivered by
+ * workers/emailWorker.js.
+ */
+async function startNotificationDigestWorker(opts = {}) {
+  const pollMs = Number(
+    opts.intervalMs || process.env.NOTIFICATION_DIGEST_POLL_MS || 300000,
+  );
+
+  info(`Starting worker (poll=${pollMs}ms)`);
+
+  // eslint-disable-next-line no-constant-condition
+  while (true) {
+    try {
+      const queued = await runDueDigests();
+      if (queued) info(`Queued ${queued} digest(s)`);
+    } catch (e) {
+      errlog("loop error:", e?.message || e);
+    }
+    await new Promise((r) => setTimeout(r, pollMs));
+  }
+}
+
+module.exports = { startNotificationDigestWorker };
+
+if (require.main === module) {
+  startNotificationDigestWorker({});
+}
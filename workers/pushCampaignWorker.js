@@ -0,0 +1,47 @@
+// server-api/workers/pushCampaignWorker.js
+const path = require("path");
+
+// Only load dotenv when running this file directly
+if (require.main === module) {
+  require("dotenv").config({ path: path.join(__dirname, "..", ".env") });
+}
+
+const { runDueCampaigns } = require("../services/pushCampaigns");
+
+const WORKER_NAME = "pushCampaignWorker";
+
+function info(...args) {
+  console.log(`[${WORKER_NAME}]`, ...args);
+}
+function errlog(...args) {
+  console.error(`[${WORKER_NAME}]`, ...args);
+}
+
+/**
+ * Poll for push campaigns that are due (scheduled or "send now") and
+ * deliver them through FCM (see services/pushCampaigns.js).
+ */
+async function startPushCampaignWorker(opts = {}) {
+  const pollMs = Number(
+    opts.intervalMs || process.env.PUSH_CAMPAIGN_POLL_MS || 15000,
+  );
+
+  info(`Starting worker (poll=${pollMs}ms)`);
+
+  // eslint-disable-next-line no-constant-condition
+  while (true) {
+    try {
+      const done = await runDueCampaigns();
+      if (done) info(`Finished ${done} campaign(s)`);
+    } catch (e) {
+      errlog("loop error:", e?.message || e);
+    }
+    await new Promise((r) => setTimeout(r, pollMs));
+  }
+}
+
+module.exports = { startPushCampaignWorker };
+
+if (require.main === module) {
+  startPushCampaignWorker({});
+}
@@ -0,0 +1,64 @@
+// server-api/workers/recommendationsWorker.js
+const path = require("path");
+
+// Only load dotenv when running this file directly
+if (require.main === module) {
+  require("dotenv").config({ path: path.join(__dirname, "..", ".env") });
+}
+
+const { runNightlyIfDue, precompute } = require("../services/recommendations");
+
+const WORKER_NAME = "recommendationsWorker";
+
+function info(...args) {
+  console.log(`[${WORKER_NAME}]`, ...args);
+}
+function errlog(...args) {
+  console.error(`[${WORKER_NAME}]`, ...args);
+}
+
+/**
+ * Nightly precompute of co-watch pairs and 30-day popularity
+ * (see services/recommendations.js). Polls so a restart after the run hour
+ * still catches up; only one instance runs each day.
+ *
+ * `node workers/recommendationsWorker.js --now` runs a precompute once.
+ */
+async function startRecommendationsWorker(opts = {}) {
+  const pollMs = Number(
+    opts.intervalMs || process.env.RECS_POLL_MS || 15 * 60 * 1000,
+  );
+
+  info(`Starting worker (poll=${pollMs}ms)`);
+
+  // eslint-disable-next-line no-constant-condition
+  while (true) {
+    try {
+      const result = await runNightlyIfDue();
+      if (result) {
+        info(`Precomputed ${result.pairs} pair(s), ${result.videos} video(s)`);
+      }
+    } catch (e) {
+      errlog("loop error:", e?.message || e);
+    }
+    await new Promise((r) => setTimeout(r, pollMs));
+  }
+}
+
+module.exports = { startRecommendationsWorker };
+
+if (require.main === module) {
+  if (process.argv.includes("--now")) {
+    precompute()
+      .then((result) => {
+        info(`Precomputed ${result.pairs} pair(s), ${result.videos} video(s)`);
+        process.exit(0);
+      })
+      .catch((e) => {
+        errlog("precompute failed:", e?.message || e);
+        process.exit(1);
+      });
+  } else {
+    startRecommendationsWorker({});
+  }
+}